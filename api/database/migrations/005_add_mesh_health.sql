@@ -0,0 +1,5 @@
+-- Migration: 005_add_mesh_health
+-- Description: Store the mesh validation report with each print request
+-- Created: 2026-10-19
+
+ALTER TABLE print_requests ADD COLUMN IF NOT EXISTS mesh_health VARIANT NULL;
@@ -0,0 +1,9 @@
+-- Migration: 006_add_file_hash
+-- Description: Record the content hash of each stored model file
+-- Created: 2026-10-19
+
+ALTER TABLE print_requests ADD COLUMN IF NOT EXISTS file_hash STRING NULL;
+
+-- Create index for looking up requests by file
+CREATE INDEX IF NOT EXISTS idx_print_requests_file_hash 
+ON print_requests (file_hash);
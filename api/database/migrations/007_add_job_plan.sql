@@ -0,0 +1,6 @@
+-- Migration: 007_add_job_plan
+-- Description: Store how a request's parts and copies were laid out on build plates
+-- Created: 2026-10-19
+
+ALTER TABLE print_requests ADD COLUMN IF NOT EXISTS plate_count INTEGER NULL;
+ALTER TABLE print_requests ADD COLUMN IF NOT EXISTS job_plan VARIANT NULL;
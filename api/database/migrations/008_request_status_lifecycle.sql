@@ -0,0 +1,12 @@
+-- Migration: 008_request_status_lifecycle
+-- Description: Move free-text request statuses onto the enforced lifecycle
+-- (submitted, needs_review, approved, queued, printing, post_processing, ready_for_pickup,
+-- picked_up, rejected, failed, cancelled)
+-- Created: 2026-10-19
+
+UPDATE print_requests SET status = 'submitted' WHERE LOWER(status) = 'pending';
+UPDATE print_requests SET status = 'printing' WHERE LOWER(status) IN ('in_progress', 'in progress');
+UPDATE print_requests SET status = 'picked_up' WHERE LOWER(status) = 'completed';
+UPDATE print_requests SET status = LOWER(status) WHERE LOWER(status) IN ('failed', 'cancelled');
+
+ALTER TABLE print_requests ALTER COLUMN status SET DEFAULT 'submitted';
@@ -0,0 +1,13 @@
+-- Migration: 009_review_workflow
+-- Description: Record staff review decisions, locked quotes and file revisions on print requests
+-- Created: 2026-10-19
+
+ALTER TABLE print_requests ADD COLUMN IF NOT EXISTS revision INTEGER DEFAULT 1;
+ALTER TABLE print_requests ADD COLUMN IF NOT EXISTS review_decision STRING NULL;
+ALTER TABLE print_requests ADD COLUMN IF NOT EXISTS review_reason_code STRING NULL;
+ALTER TABLE print_requests ADD COLUMN IF NOT EXISTS review_notes STRING NULL;
+ALTER TABLE print_requests ADD COLUMN IF NOT EXISTS reviewed_by STRING NULL;
+ALTER TABLE print_requests ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP_NTZ NULL;
+ALTER TABLE print_requests ADD COLUMN IF NOT EXISTS approved_cost NUMBER(10,2) NULL;
+ALTER TABLE print_requests ADD COLUMN IF NOT EXISTS quote_locked_at TIMESTAMP_NTZ NULL;
+ALTER TABLE print_requests ADD COLUMN IF NOT EXISTS quote_locked_by STRING NULL;
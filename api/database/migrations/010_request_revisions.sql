@@ -0,0 +1,61 @@
+-- Migration: 010_request_revisions
+-- Description: Keep the file, analysis, settings and price of every revision of a print request
+-- Created: 2026-10-19
+
+-- Create print_request_revisions table
+CREATE TABLE IF NOT EXISTS print_request_revisions (
+  revision_id         STRING PRIMARY KEY DEFAULT UUID_STRING(),
+  request_id          STRING NOT NULL,
+  revision            INTEGER NOT NULL,
+  file_name           STRING NULL,
+  file_size           NUMBER NULL,
+  file_type           STRING NULL,
+  file_hash           STRING NULL,
+  file_url            STRING NULL,
+  model_url           STRING NULL,
+  fallback_image_url  STRING NULL,
+  measurements        VARIANT NULL,
+  mesh_health         VARIANT NULL,
+  analysis            VARIANT NULL,
+  material            STRING NULL,
+  printer_id          STRING NULL,
+  print_settings      VARIANT NULL,
+  job_plan            VARIANT NULL,
+  estimated_cost      NUMBER(10,2) NULL,
+  estimated_print_time STRING NULL,
+  snapshot_id         STRING NULL,
+  notes               STRING NULL,
+  created_at          TIMESTAMP_NTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_by          STRING NOT NULL,
+  CONSTRAINT uq_revisions_request_revision UNIQUE (request_id, revision)
+);
+
+-- Add foreign key constraints
+ALTER TABLE print_request_revisions 
+ADD CONSTRAINT fk_revisions_request_id 
+FOREIGN KEY (request_id) REFERENCES print_requests(request_id);
+
+ALTER TABLE print_request_revisions 
+ADD CONSTRAINT fk_revisions_snapshot_id 
+FOREIGN KEY (snapshot_id) REFERENCES pricing_snapshots(snapshot_id);
+
+-- Tie each price to the revision it quoted
+ALTER TABLE pricing_snapshots ADD COLUMN IF NOT EXISTS revision INTEGER NULL;
+
+-- Add clustering
+ALTER TABLE print_request_revisions CLUSTER BY (request_id, revision);
+
+-- Record the current file of existing requests as their first revision, from the columns
+-- migrations 001-009 create (file_link is the file URL, filament_type the requested material)
+INSERT INTO print_request_revisions (
+  request_id, revision, file_type, file_hash, file_url, mesh_health, material, printer_id,
+  job_plan, estimated_cost, estimated_print_time, created_at, created_by
+)
+SELECT
+  pr.request_id, COALESCE(pr.revision, 1), pr.file_type, pr.file_hash, pr.file_link, pr.mesh_health,
+  COALESCE(pr.recommended_material, pr.filament_type), pr.recommended_printer,
+  pr.job_plan, pr.estimated_cost, pr.estimated_time, pr.submitted_at, 'migration'
+FROM print_requests pr
+WHERE NOT EXISTS (
+  SELECT 1 FROM print_request_revisions r WHERE r.request_id = pr.request_id
+);
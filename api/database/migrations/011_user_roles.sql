@@ -0,0 +1,44 @@
+-- Migration: 011_user_roles
+-- Description: Store the roles of each user (student, staff, faculty_approver, admin) for server-side authorization
+-- Created: 2026-10-19
+
+-- Create users table; databases set up from snowflake_schema.sql already have it
+CREATE TABLE IF NOT EXISTS users (
+  user_id           STRING PRIMARY KEY,
+  email             STRING NOT NULL UNIQUE,
+  display_name      STRING NULL,
+  rutgers_netid     STRING NULL,
+  phone_number      STRING NULL,
+  is_admin          BOOLEAN DEFAULT FALSE,
+  is_staff          BOOLEAN DEFAULT FALSE,
+  created_at        TIMESTAMP_NTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at        TIMESTAMP_NTZ DEFAULT CURRENT_TIMESTAMP,
+  last_login        TIMESTAMP_NTZ NULL,
+  profile_image_url STRING NULL,
+  preferences       VARIANT NULL,
+  status            STRING DEFAULT 'active'
+);
+
+-- Role changes are audited
+CREATE TABLE IF NOT EXISTS audit_logs (
+  log_id            STRING PRIMARY KEY,
+  user_id           STRING NULL,
+  action            STRING NOT NULL,
+  table_name        STRING NULL,
+  record_id         STRING NULL,
+  old_values        VARIANT NULL,
+  new_values        VARIANT NULL,
+  created_at        TIMESTAMP_NTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add roles column
+ALTER TABLE users ADD COLUMN IF NOT EXISTS roles ARRAY NULL;
+
+-- Give existing users the roles their admin and staff flags stood for
+UPDATE users
+SET roles = CASE
+  WHEN is_admin THEN ARRAY_CONSTRUCT('admin')
+  WHEN is_staff THEN ARRAY_CONSTRUCT('staff')
+  ELSE ARRAY_CONSTRUCT('student')
+END
+WHERE roles IS NULL;
@@ -0,0 +1,23 @@
+-- Migration: 012_api_keys
+-- Description: API keys for external integrations, stored hashed, scoped, owned and rate limited
+-- Created: 2026-10-19
+
+-- Create api_keys table
+CREATE TABLE IF NOT EXISTS api_keys (
+  key_id                STRING PRIMARY KEY,
+  key_prefix            STRING NOT NULL,
+  key_hash              STRING NOT NULL UNIQUE,
+  name                  STRING NOT NULL,
+  owner_user_id         STRING NOT NULL,
+  scopes                ARRAY NOT NULL,
+  rate_limit_per_minute INTEGER NOT NULL DEFAULT 60,
+  created_by            STRING NULL,
+  created_at            TIMESTAMP_NTZ DEFAULT CURRENT_TIMESTAMP(),
+  last_used_at          TIMESTAMP_NTZ NULL,
+  expires_at            TIMESTAMP_NTZ NULL,
+  revoked_at            TIMESTAMP_NTZ NULL,
+  revoked_by            STRING NULL
+);
+
+-- Add clustering
+ALTER TABLE api_keys CLUSTER BY (key_hash);
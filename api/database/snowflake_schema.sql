@@ -20,6 +20,7 @@ CREATE TABLE IF NOT EXISTS users (
     phone_number STRING,                           -- Phone number (optional)
     is_admin BOOLEAN DEFAULT FALSE,                -- Admin status
     is_staff BOOLEAN DEFAULT FALSE,                -- Staff status
+    roles ARRAY,                                   -- student, staff, faculty_approver, admin
     created_at TIMESTAMP_NTZ DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP_NTZ DEFAULT CURRENT_TIMESTAMP,
     last_login TIMESTAMP_NTZ,
@@ -39,17 +40,30 @@ CREATE TABLE IF NOT EXISTS print_requests (
     material STRING NOT NULL,                      -- Material type (PLA, PETG, ABS, etc.)
     color STRING NOT NULL,                         -- Color selection
     quantity INTEGER DEFAULT 1,                    -- Number of copies
+    plate_count INTEGER,                           -- Build plates needed for all parts and copies
+    job_plan VARIANT,                              -- Per-plate layout and time
     urgency STRING DEFAULT 'normal',               -- low, normal, high, urgent
     special_instructions TEXT,                     -- Special requirements
     file_name STRING,                              -- Original file name
     file_size INTEGER,                             -- File size in bytes
-    file_type STRING,                              -- stl, obj, 3mf
+    file_type STRING,                              -- stl, obj, 3mf, gcode
+    file_hash STRING,                              -- SHA-256 of the stored file
     file_url STRING,                               -- URL to stored file
     model_url STRING,                              -- URL to 3D model for viewing
     fallback_image_url STRING,                     -- Fallback image URL
-    status STRING DEFAULT 'pending',               -- pending, in_progress, completed, failed, cancelled
+    mesh_health VARIANT,                           -- Mesh validation report (holes, normals, shells)
+    status STRING DEFAULT 'submitted',             -- Lifecycle status (see src/models/RequestStatusMachine.js)
     is_public BOOLEAN DEFAULT FALSE,               -- Public visibility in community
+    revision INTEGER DEFAULT 1,                    -- File revision, raised each time the submitter uploads a fix
+    review_decision STRING,                        -- approve, reject, request_changes
+    review_reason_code STRING,                     -- Rejection reason code (see src/models/ReviewDecision.js)
+    review_notes TEXT,                             -- Reviewer's notes, e.g. the changes requested
+    reviewed_by STRING,                            -- Reviewer
+    reviewed_at TIMESTAMP_NTZ,
     estimated_cost DECIMAL(10,2),                  -- Estimated cost
+    approved_cost DECIMAL(10,2),                   -- Quote locked when staff approved the request
+    quote_locked_at TIMESTAMP_NTZ,
+    quote_locked_by STRING,
     actual_cost DECIMAL(10,2),                     -- Actual cost
     estimated_print_time STRING,                   -- Estimated print time
     actual_print_time STRING,                      -- Actual print time
@@ -63,6 +77,51 @@ CREATE TABLE IF NOT EXISTS print_requests (
     CONSTRAINT fk_print_requests_user FOREIGN KEY (user_id) REFERENCES users(user_id)
 );
 
+-- =============================================
+-- PRINT REQUEST LOGS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS print_request_logs (
+    log_id STRING PRIMARY KEY DEFAULT UUID_STRING(),
+    request_id STRING NOT NULL,                    -- Foreign key to print_requests
+    logged_at TIMESTAMP_NTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    event_type STRING NOT NULL,                    -- status_changed, ai_completed, ...
+    event_data VARIANT,                            -- e.g. { from_status, to_status }
+    note STRING,                                   -- Reason given for the event
+    created_by STRING NOT NULL,                    -- Actor: staff email, system or service name
+    CONSTRAINT fk_logs_request_id FOREIGN KEY (request_id) REFERENCES print_requests(request_id)
+);
+
+-- =============================================
+-- PRINT REQUEST REVISIONS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS print_request_revisions (
+    revision_id STRING PRIMARY KEY DEFAULT UUID_STRING(),
+    request_id STRING NOT NULL,                    -- Foreign key to print_requests
+    revision INTEGER NOT NULL,                     -- 1 for the original upload, then one per fix
+    file_name STRING,
+    file_size INTEGER,
+    file_type STRING,
+    file_hash STRING,                              -- SHA-256 of this revision's file
+    file_url STRING,
+    model_url STRING,
+    fallback_image_url STRING,
+    measurements VARIANT,                          -- Volume, surface area, dimensions, counts
+    mesh_health VARIANT,
+    analysis VARIANT,                              -- AI analysis of this revision
+    material STRING,
+    printer_id STRING,
+    print_settings VARIANT,
+    job_plan VARIANT,
+    estimated_cost DECIMAL(10,2),
+    estimated_print_time STRING,
+    snapshot_id STRING,                            -- Pricing snapshot quoting this revision
+    notes TEXT,                                    -- Submitter's description of the change
+    created_at TIMESTAMP_NTZ DEFAULT CURRENT_TIMESTAMP,
+    created_by STRING NOT NULL,
+    CONSTRAINT uq_revisions_request_revision UNIQUE (request_id, revision),
+    CONSTRAINT fk_revisions_request_id FOREIGN KEY (request_id) REFERENCES print_requests(request_id)
+);
+
 -- =============================================
 -- EQUIPMENT TABLE
 -- =============================================
@@ -148,6 +207,26 @@ CREATE TABLE IF NOT EXISTS print_jobs (
     CONSTRAINT fk_print_jobs_staff FOREIGN KEY (staff_id) REFERENCES users(user_id)
 );
 
+-- =============================================
+-- API KEYS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS api_keys (
+    key_id STRING PRIMARY KEY,                     -- UUID
+    key_prefix STRING NOT NULL,                    -- First characters of the key, to recognize it
+    key_hash STRING NOT NULL UNIQUE,               -- SHA-256 of the key; the key itself is never stored
+    name STRING NOT NULL,                          -- What the key is for
+    owner_user_id STRING NOT NULL,                 -- Foreign key to users; calls act for this user
+    scopes ARRAY NOT NULL,                         -- e.g. read:printers, write:print-requests, admin:*
+    rate_limit_per_minute INTEGER NOT NULL DEFAULT 60,
+    created_by STRING,
+    created_at TIMESTAMP_NTZ DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP_NTZ,
+    expires_at TIMESTAMP_NTZ,
+    revoked_at TIMESTAMP_NTZ,
+    revoked_by STRING,
+    CONSTRAINT fk_api_keys_owner FOREIGN KEY (owner_user_id) REFERENCES users(user_id)
+);
+
 -- =============================================
 -- AUDIT LOG TABLE
 -- =============================================
@@ -217,9 +296,9 @@ SELECT
     u.email,
     u.display_name,
     COUNT(pr.request_id) as total_requests,
-    COUNT(CASE WHEN pr.status = 'completed' THEN 1 END) as completed_requests,
-    COUNT(CASE WHEN pr.status = 'pending' THEN 1 END) as pending_requests,
-    COUNT(CASE WHEN pr.status = 'in_progress' THEN 1 END) as in_progress_requests,
+    COUNT(CASE WHEN pr.status = 'picked_up' THEN 1 END) as completed_requests,
+    COUNT(CASE WHEN pr.status IN ('submitted', 'needs_review', 'approved') THEN 1 END) as pending_requests,
+    COUNT(CASE WHEN pr.status IN ('queued', 'printing', 'post_processing', 'ready_for_pickup') THEN 1 END) as in_progress_requests,
     SUM(pr.actual_cost) as total_spent,
     MAX(pr.created_at) as last_request_date
 FROM users u
@@ -253,9 +332,9 @@ CREATE OR REPLACE VIEW admin_dashboard_stats AS
 SELECT 
     COUNT(DISTINCT u.user_id) as total_users,
     COUNT(pr.request_id) as total_requests,
-    COUNT(CASE WHEN pr.status = 'completed' THEN 1 END) as completed_requests,
-    COUNT(CASE WHEN pr.status = 'pending' THEN 1 END) as pending_requests,
-    COUNT(CASE WHEN pr.status = 'in_progress' THEN 1 END) as in_progress_requests,
+    COUNT(CASE WHEN pr.status = 'picked_up' THEN 1 END) as completed_requests,
+    COUNT(CASE WHEN pr.status IN ('submitted', 'needs_review', 'approved') THEN 1 END) as pending_requests,
+    COUNT(CASE WHEN pr.status IN ('queued', 'printing', 'post_processing', 'ready_for_pickup') THEN 1 END) as in_progress_requests,
     SUM(pr.actual_cost) as total_revenue,
     COUNT(e.equipment_id) as total_equipment,
     COUNT(CASE WHEN e.status = 'operational' THEN 1 END) as operational_equipment,
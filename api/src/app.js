@@ -47,6 +47,8 @@ class MakerspaceAPI {
             origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000', 'http://localhost:3001'],
             methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
             allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key'],
+            // Lets the dashboard name downloaded slicer profiles
+            exposedHeaders: ['Content-Disposition'],
             credentials: true
         }));
 
@@ -136,12 +138,17 @@ class MakerspaceAPI {
                 version: '1.0.0',
                 documentation: '/api/config',
                 endpoints: [
-                    'POST /api/print-request - Process 3D printing request',
+                    'POST /api/print-request - Queue 3D printing request',
+                    'GET /api/print-request/:id/status - Get request processing progress',
+                    'POST /api/events/token - Get a short-lived token for the event stream',
+                    'GET /api/events - Live request and equipment updates (Server-Sent Events)',
                     'GET /api/materials - Get available materials',
                     'GET /api/printers - Get available printers',
                     'GET /api/pricing - Get pricing information',
                     'POST /api/estimate-cost - Get cost estimate',
                     'GET /api/health - Health check',
+                    'GET /api/files/:hash - Download a stored model file',
+                    'POST /api/slicer-profile - Export print settings as a slicer profile',
                     'GET /api/config - API configuration'
                 ],
                 timestamp: new Date().toISOString()
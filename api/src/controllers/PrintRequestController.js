@@ -3,7 +3,32 @@ const PrinterSelector = require('../models/PrinterSelector');
 const MaterialAdvisor = require('../models/MaterialAdvisor');
 const PrintSettingsOptimizer = require('../models/PrintSettingsOptimizer');
 const GeminiAdapter = require('../services/GeminiAdapter');
+const OpenAiProvider = require('../services/analysis/OpenAiProvider');
+const RuleBasedProvider = require('../services/analysis/RuleBasedProvider');
+const AnalysisCache = require('../services/analysis/AnalysisCache');
+const PromptLibrary = require('../services/analysis/PromptLibrary');
 const PricingEngine = require('../services/PricingEngine');
+const GeometryService = require('../services/GeometryService');
+const FileStorageService = require('../services/FileStorageService');
+const SlicerProfileExporter = require('../services/SlicerProfileExporter');
+const PrintTimeEstimator = require('../services/PrintTimeEstimator');
+const GcodeService = require('../services/GcodeService');
+const JobPlanner = require('../services/JobPlanner');
+const JobQueue = require('../services/jobs/JobQueue');
+const EventBus = require('../services/events/EventBus');
+const EventStreamTokens = require('../services/events/EventStreamTokens');
+const RequestStatusMachine = require('../models/RequestStatusMachine');
+const ReviewDecision = require('../models/ReviewDecision');
+const PrintRequestRepository = require('../repositories/PrintRequestRepository');
+const UserRepository = require('../repositories/UserRepository');
+const UserRoles = require('../models/UserRoles');
+const { ValidationError, NotFoundError, UnauthorizedError, ForbiddenError, ConflictError } = require('../middleware/errorHandler');
+
+// Steps a queued request reports progress through, in order
+const PROCESSING_STEPS = ['analysis', 'material', 'printer', 'settings', 'pricing', 'persistence'];
+
+// Roles that see every request and live event, like the review queue they work from
+const STAFF_ROLES = ['staff', 'faculty_approver'];
 
 /**
  * @class PrintRequestController
@@ -11,94 +36,678 @@ const PricingEngine = require('../services/PricingEngine');
  * Handles input validation, AI analysis, printer/material selection, and cost calculation.
  */
 class PrintRequestController {
-    #geminiAdapter;
+    #analysisProvider;
+    #fallbackProvider;
+    #analysisCache;
+    #prompts;
     #printerSelector;
     #materialAdvisor;
     #pricingEngine;
+    #geometryService;
+    #fileStorage;
+    #slicerProfileExporter;
+    #printTimeEstimator;
+    #gcodeService;
+    #jobPlanner;
+    #jobs;
+    #events;
+    #eventTokens;
+    #statusMachine;
+    #requests;
+    #users;
     #debugMode;
 
     /**
      * Creates a new PrintRequestController instance
      * @param {Object} config - Configuration object
+     * @param {string} config.analysisProvider - 'gemini', 'openai' or 'rules' (default 'gemini' when a Gemini key is set, otherwise 'rules')
      * @param {string} config.geminiApiKey - Gemini API key
      * @param {string} config.geminiApiUrl - Gemini API URL
+     * @param {Object} config.openai - Options for the OpenAI-compatible provider (see OpenAiProvider)
+     * @param {Object} config.analysisCache - Analysis cache size, TTL and directory (see AnalysisCache)
+     * @param {string} config.promptVersion - Prompt template version for new analyses (default the latest)
+     * @param {number} config.overhangAngle - Steepest overhang in degrees printable without support
+     * @param {number} config.thumbnailSize - Width and height of model thumbnails in pixels
+     * @param {Object} config.storage - File storage configuration (see FileStorageService)
+     * @param {Object} config.jobs - Background job queue backend, concurrency and retention (see JobQueue)
+     * @param {Object} config.events - Live event history size (see EventBus) and stream token lifetime (tokenTtlSeconds, see EventStreamTokens)
      * @param {boolean} config.debugMode - Enable debug logging
      */
     constructor(config) {
         this.#validateConfig(config);
-        this.#geminiAdapter = new GeminiAdapter(config.geminiApiKey, config.geminiApiUrl, config.debugMode);
+        this.#fallbackProvider = new RuleBasedProvider({}, config.debugMode);
+        this.#analysisProvider = this.#createAnalysisProvider(config);
+        this.#analysisCache = new AnalysisCache(config.analysisCache, config.debugMode);
+        this.#prompts = new PromptLibrary({ version: config.promptVersion });
         this.#printerSelector = new PrinterSelector(config.debugMode);
         this.#materialAdvisor = new MaterialAdvisor(config.debugMode);
         this.#pricingEngine = new PricingEngine({}, config.debugMode);
+        this.#geometryService = new GeometryService(config.debugMode, {
+            overhangAngle: config.overhangAngle,
+            thumbnailSize: config.thumbnailSize
+        });
+        this.#fileStorage = new FileStorageService(config.storage, config.debugMode);
+        this.#slicerProfileExporter = new SlicerProfileExporter(config.debugMode);
+        this.#printTimeEstimator = new PrintTimeEstimator({}, config.debugMode);
+        this.#gcodeService = new GcodeService(config.debugMode);
+        this.#jobPlanner = new JobPlanner({}, config.debugMode);
+        this.#events = new EventBus(config.events, config.debugMode);
+        this.#eventTokens = new EventStreamTokens({ ttlSeconds: config.events?.tokenTtlSeconds });
+        this.#statusMachine = new RequestStatusMachine();
+        this.#requests = new PrintRequestRepository();
+        this.#users = new UserRepository();
+        this.#jobs = new JobQueue({
+            ...config.jobs,
+            onUpdate: (job) => this.#publishJobUpdate(job)
+        }, config.debugMode);
         this.#debugMode = config.debugMode;
     }
 
     /**
-     * Processes a complete 3D printing request
+     * Validates a print request and queues it for processing in the background
      * @param {Object} requestData - Raw request data from API
-     * @returns {Object} Complete analysis and recommendations
+     * @returns {Promise<Object>} Queued job (see getPrintRequestStatus)
+     * @throws {ServiceUnavailableError} If the processing queue is full
      */
-    async processPrintRequest(requestData) {
+    async submitPrintRequest(requestData) {
+        let printRequest;
         try {
             // Step 1: Validate and create PrintRequest object
-            const printRequest = new PrintRequest(requestData);
-            
-            if (this.#debugMode) {
-                console.log('Processing print request:', printRequest.getSummary());
+            printRequest = new PrintRequest(requestData);
+        } catch (error) {
+            throw this.#handleProcessingError(error, requestData);
+        }
+
+        return this.#queueProcessing(printRequest, requestData);
+    }
+
+    /**
+     * Uploads a revised file for a request sent back for changes and queues it for processing.
+     * The revision keeps the request's ID and project details; once quoted and saved, it returns
+     * to review. Until then the request stays in changes_requested, so a revision whose processing
+     * fails can be uploaded again.
+     * @param {string} requestId - Request ID
+     * @param {Object} revisionData - Revision data from API
+     * @param {Object} revisionData.file - Revised model or print file
+     * @param {Object} revisionData.user - Verified user or API key owner, whose UID must be the submitter's
+     * @param {string} revisionData.notes - What changed (optional)
+     * @returns {Promise<Object>} Queued job (see getPrintRequestStatus)
+     * @throws {NotFoundError} If the request does not exist
+     * @throws {ForbiddenError} If the user is not the submitter
+     * @throws {ConflictError} If the request is not waiting for changes or a revision is being processed
+     * @throws {ServiceUnavailableError} If the processing queue is full
+     */
+    async submitRevision(requestId, revisionData) {
+        const stored = await this.#requests.getSubmission(requestId);
+        if (!stored) {
+            throw new NotFoundError(`Print request ${requestId} not found.`);
+        }
+        const isSubmitter = Boolean(revisionData.user && revisionData.user.uid) && stored.userId === revisionData.user.uid;
+        if (!isSubmitter) {
+            throw new ForbiddenError(`Only the submitter can revise print request ${requestId}.`);
+        }
+        // Refuse before touching the job record, so a request that is not waiting for changes keeps its status URL
+        this.#statusMachine.assertTransition(stored.status, 'submitted');
+
+        const revision = stored.revision + 1;
+        const requestData = {
+            ...revisionData,
+            requestId,
+            revision,
+            projectName: stored.projectName,
+            description: stored.description,
+            material: stored.material,
+            color: stored.color,
+            quantity: stored.quantity,
+            urgency: stored.urgency,
+            specialInstructions: stored.specialInstructions,
+            userEmail: stored.userEmail,
+            userName: stored.userName
+        };
+
+        let printRequest;
+        try {
+            printRequest = new PrintRequest(requestData);
+        } catch (error) {
+            throw this.#handleProcessingError(error, requestData);
+        }
+
+        const current = await this.#jobs.get(requestId);
+        if (current && (current.status === 'queued' || current.status === 'running')) {
+            throw new ConflictError(`A revision of print request ${requestId} is already being processed.`);
+        }
+        // Refuse a full queue before dropping the previous job's status URL
+        this.#jobs.assertCapacity();
+        await this.#jobs.remove(requestId);
+
+        return this.#queueProcessing(printRequest, requestData);
+    }
+
+    /**
+     * Queues a validated request for quoting in the background
+     * @private
+     * @param {PrintRequest} printRequest - Validated print request
+     * @param {Object} requestData - Raw request data from API
+     * @returns {Promise<Object>} Queued job (see getPrintRequestStatus)
+     */
+    async #queueProcessing(printRequest, requestData) {
+        if (this.#debugMode) {
+            console.log('Queueing print request:', printRequest.getSummary());
+        }
+
+        const job = await this.#jobs.enqueue(printRequest.requestId, PROCESSING_STEPS, async (progress) => {
+            try {
+                return (await this.#processPrintRequest(printRequest, requestData, progress)).data;
+            } catch (error) {
+                console.error('Error processing print request:', error.message);
+                const failure = new Error(error.message);
+                failure.code = this.#getErrorCode(error);
+                throw failure;
             }
+        }, {
+            userId: requestData.user ? requestData.user.uid : null,
+            projectName: printRequest.projectName,
+            userName: printRequest.userName,
+            email: printRequest.userEmail,
+            material: printRequest.material
+        });
 
-            // Step 2: Analyze project with Gemini AI
-            const geminiAnalysis = await this.#analyzeWithGemini(printRequest);
-            
-            // Step 3: Get material recommendation
-            const materialRecommendation = this.#getMaterialRecommendation(printRequest, geminiAnalysis);
-            
-            // Step 4: Select optimal printer
-            const printerSelection = this.#selectOptimalPrinter(materialRecommendation.material, geminiAnalysis);
-            
-            // Step 5: Optimize print settings
-            const printSettings = this.#optimizePrintSettings(
+        return this.#describeJob(job);
+    }
+
+    /**
+     * Gets the processing progress of a submitted request
+     * @param {string} requestId - Request ID returned by submitPrintRequest
+     * @returns {Promise<Object>} Job status, per-step progress, and the quote or error once finished
+     * @throws {NotFoundError} If no job is kept for the request, including once a finished job outlives its retention
+     */
+    async getPrintRequestStatus(requestId) {
+        const job = await this.#jobs.get(requestId);
+        if (!job) {
+            throw new NotFoundError(`No processing job found for request ${requestId}.`);
+        }
+
+        return this.#describeJob(job);
+    }
+
+    /**
+     * Gets job queue load and configuration
+     * @returns {Object} Queue statistics (see JobQueue)
+     */
+    getJobQueueStats() {
+        return this.#jobs.getStats();
+    }
+
+    /**
+     * Issues a short-lived token that opens the event stream for an authenticated caller. Staff
+     * and faculty approvers, including API keys owned by them, receive every event; other users
+     * receive the events about their own requests.
+     * @param {Object} user - Verified caller (req.user: { uid, roles, apiKey })
+     * @returns {Object} Token and when it expires (see EventStreamTokens)
+     */
+    createEventStreamToken(user) {
+        return this.#eventTokens.issue({ staff: this.#seesEveryRequest(user), userId: user.uid });
+    }
+
+    /**
+     * Checks that a caller may read a request, its processing status and its slicer profile: the
+     * submitter, or staff and faculty approvers. API keys act with their owner's roles. A request
+     * still being processed is matched on its job.
+     * @param {string} requestId - Request ID
+     * @param {Object} user - Verified caller (req.user: { uid, roles, apiKey })
+     * @returns {Promise<void>}
+     * @throws {NotFoundError} If the request is neither being processed nor stored
+     * @throws {ForbiddenError} If the caller did not submit the request
+     */
+    async assertCanReadRequest(requestId, user) {
+        if (this.#seesEveryRequest(user)) {
+            return;
+        }
+
+        const job = await this.#jobs.get(requestId);
+        const stored = job ? null : await this.#requests.getSubmission(requestId);
+        if (!job && !stored) {
+            throw new NotFoundError(`Print request ${requestId} not found.`);
+        }
+        const ownerId = job ? job.details.userId : stored.userId;
+        if (!ownerId || ownerId !== user.uid) {
+            throw new ForbiddenError(`Only the submitter and staff can view print request ${requestId}.`);
+        }
+    }
+
+    /**
+     * Checks that a caller may download a stored file: staff and faculty approvers, or the
+     * submitter of a request holding the file as its upload, a revision or its thumbnail
+     * @param {string} hash - SHA-256 hash of the file
+     * @param {Object} user - Verified caller (req.user: { uid, roles, apiKey })
+     * @returns {Promise<void>}
+     * @throws {ForbiddenError} If none of the caller's requests hold the file
+     */
+    async assertCanReadFile(hash, user) {
+        if (this.#seesEveryRequest(user)) {
+            return;
+        }
+
+        const ownerIds = await this.#requests.getFileOwnerIds(hash, this.#fileStorage.getUrl(hash));
+        if (!user.uid || !ownerIds.includes(user.uid)) {
+            throw new ForbiddenError(`Only the submitter and staff can download file ${hash}.`);
+        }
+    }
+
+    /**
+     * Checks whether a caller sees every request: staff and faculty approvers. An API key holds
+     * its owner's roles, so a key owned by a student only sees that student's requests.
+     * @private
+     * @param {Object} user - Verified caller (req.user: { roles })
+     * @returns {boolean} True if the caller is not limited to their own requests
+     */
+    #seesEveryRequest(user) {
+        return UserRoles.fromStored(user.roles).hasAny(STAFF_ROLES);
+    }
+
+    /**
+     * Gets the subscriber an event stream token was issued for
+     * @param {string} token - Token from createEventStreamToken
+     * @returns {Object} Subscriber ({ staff, userId }, see EventBus)
+     * @throws {UnauthorizedError} If the token is unknown or has expired
+     */
+    getEventSubscriber(token) {
+        const subscriber = this.#eventTokens.redeem(token);
+        if (!subscriber) {
+            throw new UnauthorizedError('Event stream token is invalid or has expired.');
+        }
+        return subscriber;
+    }
+
+    /**
+     * Subscribes to live request and equipment events
+     * @param {Object} subscriber - Who is subscribing ({ staff, userId }, see EventBus)
+     * @param {Function} listener - Called with each event the subscriber may see
+     * @param {number} lastEventId - Last event received before reconnecting, to replay what was missed
+     * @returns {Function} Unsubscribes the listener
+     */
+    subscribeToEvents(subscriber, listener, lastEventId = null) {
+        return this.#events.subscribe(subscriber, listener, lastEventId);
+    }
+
+    /**
+     * Gets live event subscriber and event counts
+     * @returns {Object} Event statistics (see EventBus)
+     */
+    getEventStats() {
+        return this.#events.getStats();
+    }
+
+    /**
+     * Moves a stored request to its next lifecycle status and announces the change. Approving,
+     * rejecting and requesting changes are left to reviewPrintRequest, which records the decision
+     * and locks the quote; a request is only queued for printing once its quote is locked.
+     * @param {string} requestId - Request ID
+     * @param {string} status - Requested status (see RequestStatusMachine)
+     * @param {Object} change - Who made the change and why
+     * @param {string} change.actor - Staff email, or 'system' for automated changes
+     * @param {string} change.reason - Reason for the change (optional)
+     * @returns {Promise<Object>} The change, with the previous status and the statuses allowed next
+     * @throws {NotFoundError} If the request does not exist
+     * @throws {ConflictError} If the lifecycle does not allow the transition, the status is set by
+     * review, or the request would be queued without a locked quote
+     */
+    async updateRequestStatus(requestId, status, change = {}) {
+        if (ReviewDecision.getStatuses().includes(status)) {
+            throw new ConflictError(`Print request ${requestId} can only become ${status} by reviewing it (POST /api/admin/print-request/${requestId}/review).`);
+        }
+        return this.#changeStatus(requestId, status, change);
+    }
+
+    /**
+     * Moves a stored request to a lifecycle status, including the ones set by review, and
+     * announces the change
+     * @private
+     * @param {string} requestId - Request ID
+     * @param {string} status - Requested status (see RequestStatusMachine)
+     * @param {Object} change - Who made the change and why ({ actor, reason })
+     * @returns {Promise<Object>} The change, with the previous status and the statuses allowed next
+     * @throws {NotFoundError} If the request does not exist
+     * @throws {ConflictError} If the lifecycle does not allow the transition
+     */
+    async #changeStatus(requestId, status, { actor = 'system', reason = null } = {}) {
+        const change = await this.#requests.updateRequestStatus(requestId, status, { actor, reason });
+        const changedAt = new Date().toISOString();
+
+        this.#events.publish('print-request.status', {
+            requestId,
+            previousStatus: change.previousStatus,
+            status: change.status,
+            label: this.#statusMachine.getLabel(change.status),
+            reason: change.reason,
+            actor: change.actor,
+            changedAt
+        }, { userId: change.userId });
+
+        return {
+            requestId,
+            previousStatus: change.previousStatus,
+            status: change.status,
+            label: this.#statusMachine.getLabel(change.status),
+            reason: change.reason,
+            actor: change.actor,
+            changedAt,
+            allowedTransitions: change.allowedTransitions
+        };
+    }
+
+    /**
+     * Gets every status change of a stored request, oldest first
+     * @param {string} requestId - Request ID
+     * @returns {Promise<Object>} Current status, statuses allowed next and the change history
+     * @throws {NotFoundError} If the request does not exist
+     */
+    async getStatusHistory(requestId) {
+        const status = await this.#requests.getRequestStatus(requestId);
+        if (!status) {
+            throw new NotFoundError(`Print request ${requestId} not found.`);
+        }
+
+        return {
+            requestId,
+            status,
+            label: this.#statusMachine.getLabel(status),
+            allowedTransitions: this.#statusMachine.getAllowedTransitions(status),
+            history: await this.#requests.getStatusHistory(requestId)
+        };
+    }
+
+    /**
+     * Records a verified user, taking over the requests submitted with their email before
+     * sign-in was verified if Firebase has verified that email
+     * @param {Object} user - Verified Firebase user ({ uid, email, emailVerified, name })
+     * @returns {Promise<string>} User ID, which is the Firebase UID
+     */
+    async linkUser(user) {
+        return this.#users.linkUser(user);
+    }
+
+    /**
+     * Gets the users and their roles, newest first
+     * @param {number} limit - Maximum number of users (default 200)
+     * @returns {Promise<Object>} Users, and the roles that can be granted
+     */
+    async getUsers(limit = 200) {
+        const users = await this.#users.listUsers(limit);
+        return {
+            users,
+            count: users.length,
+            roles: UserRoles.getRoles()
+        };
+    }
+
+    /**
+     * Replaces the roles of a user and records who changed them
+     * @param {string} userId - User ID (Firebase UID)
+     * @param {string[]} roles - New roles
+     * @param {string} actor - Admin making the change
+     * @returns {Promise<Object>} { userId, previousRoles, roles }
+     * @throws {ValidationError} If a role is unknown or none is given
+     * @throws {NotFoundError} If the user does not exist
+     */
+    async updateUserRoles(userId, roles, actor) {
+        return this.#users.setRoles(userId, new UserRoles(roles), actor);
+    }
+
+    /**
+     * Gets the requests waiting for staff review, oldest first
+     * @returns {Promise<Object>} Requests with their quotes, and the rejection reasons staff can give
+     */
+    async getReviewQueue() {
+        const requests = await this.#requests.getReviewQueue();
+        return {
+            requests,
+            count: requests.length,
+            rejectionReasons: ReviewDecision.getRejectionReasons()
+        };
+    }
+
+    /**
+     * Records a staff decision on a request waiting for review. Approving locks the quoted cost;
+     * rejecting records the reason code; requesting changes sends the notes to the submitter,
+     * who answers with a revision (see submitRevision).
+     * @param {string} requestId - Request ID
+     * @param {Object} review - Decision, reason code, notes and reviewer (see ReviewDecision)
+     * @returns {Promise<Object>} The decision, the status change and the locked quote when approved
+     * @throws {ValidationError} If the decision lacks its reason code or notes
+     * @throws {NotFoundError} If the request does not exist
+     * @throws {ConflictError} If the request is not waiting for review
+     */
+    async reviewPrintRequest(requestId, review) {
+        const decision = new ReviewDecision(review);
+        const change = await this.#changeStatus(requestId, decision.status, {
+            actor: decision.reviewer,
+            reason: decision.reason
+        });
+        await this.#requests.recordReview(requestId, decision.toObject());
+        const quote = decision.decision === 'approve'
+            ? await this.#requests.lockQuote(requestId, decision.reviewer)
+            : null;
+
+        return {
+            requestId,
+            ...decision.toObject(),
+            change,
+            quote
+        };
+    }
+
+    /**
+     * Sets the status of a piece of equipment and announces the change
+     * @param {string} equipmentId - Equipment ID
+     * @param {string} status - 'operational', 'maintenance' or 'out_of_order'
+     * @param {string} notes - Reason for the change (optional)
+     * @returns {Promise<Object>} The change, with the previous status
+     * @throws {NotFoundError} If the equipment does not exist
+     */
+    async updateEquipmentStatus(equipmentId, status, notes = null) {
+        const snowflakeClient = require('../database/snowflakeClient');
+        const rows = await snowflakeClient.execute(
+            'SELECT equipment_id, name, status FROM equipment WHERE equipment_id = ?',
+            [equipmentId]
+        );
+        if (rows.length === 0) {
+            throw new NotFoundError(`Equipment ${equipmentId} not found.`);
+        }
+
+        await snowflakeClient.execute(
+            'UPDATE equipment SET status = ?, notes = ?, updated_at = CURRENT_TIMESTAMP() WHERE equipment_id = ?',
+            [status, notes || null, equipmentId]
+        );
+
+        const change = {
+            equipmentId,
+            name: rows[0].NAME,
+            previousStatus: rows[0].STATUS,
+            status,
+            notes: notes || null,
+            updatedAt: new Date().toISOString()
+        };
+        // Equipment availability is shown to everyone on the equipment pages
+        this.#events.publish('equipment.status', change, { public: true });
+
+        return change;
+    }
+
+    /**
+     * Runs the full quoting pipeline for a validated request
+     * @private
+     * @param {PrintRequest} printRequest - Validated print request
+     * @param {Object} requestData - Raw request data from API
+     * @param {Object} progress - Job progress reporter (see JobQueue)
+     * @returns {Promise<Object>} Complete analysis and recommendations
+     */
+    async #processPrintRequest(printRequest, requestData, progress) {
+        if (this.#debugMode) {
+            console.log('Processing print request:', printRequest.getSummary());
+        }
+
+        await progress.start('analysis');
+        // Step 2: Measure the uploaded model, or read the print file the submitter sliced themselves
+        const printFile = await this.#analyzePrintFile(printRequest);
+        const geometry = printFile ? null : await this.#measureGeometry(printRequest);
+        const buildVolumeFit = this.#checkBuildVolumeFit(geometry, printRequest.orientation);
+
+        // Step 3: Keep the exact file being quoted, with a rendered preview
+        const storedFile = await this.#storeModelFile(printRequest, geometry, printFile);
+
+        // Step 4: Analyze the project with the configured AI provider
+        const geminiAnalysis = await this.#analyzeProject(printRequest, geometry, printFile, storedFile);
+        
+        await progress.start('material');
+        // Step 5: Get material recommendation
+        const materialRecommendation = this.#getMaterialRecommendation(printRequest, geminiAnalysis, printFile);
+        
+        await progress.start('printer');
+        // Step 6: Select optimal printer
+        const printerSelection = printFile
+            ? this.#selectSlicedPrinter(materialRecommendation.material, geminiAnalysis, printFile, printRequest.file)
+            : this.#selectOptimalPrinter(
                 materialRecommendation.material,
-                printerSelection.printer,
-                geminiAnalysis
+                geminiAnalysis,
+                printRequest.orientation
             );
-            
-            // Step 6: Calculate pricing
-            const pricing = this.#calculatePricing(
+        
+        // Step 7: Find overhangs in the chosen build orientation
+        const analysis = this.#applyOverhangAnalysis(
+            geminiAnalysis,
+            geometry,
+            printerSelection.orientation,
+            materialRecommendation.material
+        );
+
+        await progress.start('settings');
+        // Step 8: Optimize print settings, keeping those already baked into a print file
+        const printSettings = this.#applySlicedSettings(
+            this.#optimizePrintSettings(
                 materialRecommendation.material,
                 printerSelection.printer,
-                printSettings.settings,
-                geminiAnalysis
-            );
+                analysis
+            ),
+            printFile
+        );
+        
+        // Step 9: Time the sliced toolpaths on the chosen printer
+        const printTime = printFile
+            ? this.#describeSlicedPrintTime(printFile, printerSelection.printer)
+            : this.#estimatePrintTime(geometry, printerSelection, printSettings.settings, analysis);
 
-            // Step 7: Compile final response
-            const response = this.#compileResponse(
-                printRequest,
-                materialRecommendation,
-                printerSelection,
-                printSettings,
-                pricing,
-                geminiAnalysis
-            );
+        await progress.start('pricing');
+        // Step 10: Lay every part and copy out on build plates
+        const jobPlan = printFile
+            ? this.#planSlicedJob(printRequest, printFile, printerSelection.printer)
+            : this.#planJob(printRequest, geometry, printerSelection, printSettings.settings, analysis, printTime);
 
-            // Step 8: Save to database
-            await this.#saveToDatabase(printRequest, materialRecommendation, printerSelection, pricing, requestData);
+        // Step 11: Calculate pricing
+        const pricing = this.#calculatePricing(
+            materialRecommendation.material,
+            printerSelection.printer,
+            printSettings.settings,
+            analysis,
+            printTime,
+            printRequest.quantity,
+            jobPlan
+        );
 
-            if (this.#debugMode) {
-                console.log('Print request processed successfully:', {
-                    requestId: printRequest.requestId,
-                    material: materialRecommendation.material,
-                    printer: printerSelection.printer.name,
-                    cost: pricing.total
-                });
-            }
+        // Step 12: Compile final response
+        const response = this.#compileResponse(
+            printRequest,
+            materialRecommendation,
+            printerSelection,
+            printSettings,
+            pricing,
+            analysis,
+            geometry,
+            buildVolumeFit,
+            storedFile,
+            printTime,
+            printFile,
+            jobPlan
+        );
 
-            return response;
+        await progress.start('persistence');
+        // Step 13: Save to database
+        await this.#saveToDatabase(
+            printRequest,
+            materialRecommendation,
+            printerSelection,
+            printSettings,
+            printTime,
+            jobPlan,
+            pricing,
+            requestData,
+            geometry,
+            storedFile,
+            analysis
+        );
 
-        } catch (error) {
-            console.error('Error processing print request:', error.message);
-            throw this.#handleProcessingError(error, requestData);
+        if (this.#debugMode) {
+            console.log('Print request processed successfully:', {
+                requestId: printRequest.requestId,
+                material: materialRecommendation.material,
+                printer: printerSelection.printer.name,
+                cost: pricing.total
+            });
         }
+
+        return response;
+    }
+
+    /**
+     * Announces a queued request or its processing progress to staff and the submitter
+     * @private
+     * @param {Object} job - Job record (see JobQueue)
+     */
+    #publishJobUpdate(job) {
+        const audience = { userId: job.details.userId };
+
+        if (job.status === 'queued') {
+            this.#events.publish('print-request.submitted', {
+                requestId: job.id,
+                projectName: job.details.projectName,
+                userName: job.details.userName,
+                email: job.details.email,
+                material: job.details.material,
+                status: job.status,
+                createdAt: job.createdAt
+            }, audience);
+            return;
+        }
+
+        this.#events.publish('print-request.progress', {
+            requestId: job.id,
+            status: job.status,
+            currentStep: job.currentStep,
+            steps: job.steps.map(step => ({ name: step.name, status: step.status })),
+            error: job.error,
+            completedAt: job.completedAt
+        }, audience);
+    }
+
+    /**
+     * Shapes a job record for API responses
+     * @private
+     * @param {Object} job - Job record (see JobQueue)
+     * @returns {Object} Job status with the URL to poll
+     */
+    #describeJob(job) {
+        return {
+            requestId: job.id,
+            status: job.status,
+            currentStep: job.currentStep,
+            steps: job.steps,
+            statusUrl: `/api/print-request/${job.id}/status`,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            completedAt: job.completedAt,
+            result: job.result,
+            error: job.error
+        };
     }
 
     /**
@@ -111,59 +720,366 @@ class PrintRequestController {
             throw new Error('Configuration must be a valid object.');
         }
 
-        if (!config.geminiApiKey || typeof config.geminiApiKey !== 'string') {
-            throw new Error('Gemini API key must be provided.');
+        const provider = this.#getProviderName(config);
+        if (!['gemini', 'openai', 'rules'].includes(provider)) {
+            throw new Error(`Unknown analysis provider '${provider}'. Use gemini, openai or rules.`);
+        }
+
+        if (provider === 'gemini') {
+            if (!config.geminiApiKey || typeof config.geminiApiKey !== 'string') {
+                throw new Error('Gemini API key must be provided.');
+            }
+
+            if (!config.geminiApiUrl || typeof config.geminiApiUrl !== 'string') {
+                throw new Error('Gemini API URL must be provided.');
+            }
+        }
+    }
+
+    /**
+     * Gets the configured analysis provider name
+     * @private
+     * @param {Object} config - Configuration object
+     * @returns {string} Provider name
+     */
+    #getProviderName(config) {
+        return config.analysisProvider || (config.geminiApiKey ? 'gemini' : 'rules');
+    }
+
+    /**
+     * Creates the configured analysis provider
+     * @private
+     * @param {Object} config - Configuration object
+     * @returns {AnalysisProvider} Analysis provider
+     */
+    #createAnalysisProvider(config) {
+        const provider = this.#getProviderName(config);
+
+        if (provider === 'gemini') {
+            return new GeminiAdapter(config.geminiApiKey, config.geminiApiUrl, config.debugMode);
+        }
+
+        if (provider === 'openai') {
+            return new OpenAiProvider(config.openai || {}, config.debugMode);
         }
 
-        if (!config.geminiApiUrl || typeof config.geminiApiUrl !== 'string') {
-            throw new Error('Gemini API URL must be provided.');
+        return this.#fallbackProvider;
+    }
+
+    /**
+     * Reads an uploaded G-code or sliced 3MF print file
+     * @private
+     * @param {PrintRequest} printRequest - Print request object
+     * @returns {Promise<Object|null>} Slicer metadata and toolpath, or null when the upload is a model
+     */
+    async #analyzePrintFile(printRequest) {
+        const file = printRequest.file;
+        if (!file || !Buffer.isBuffer(file.buffer) || !this.#gcodeService.isPrintFile(file)) {
+            return null;
         }
+
+        return this.#gcodeService.analyzeFile(file);
     }
 
     /**
-     * Analyzes project with Gemini AI
+     * Parses the uploaded model file and measures its geometry
      * @private
      * @param {PrintRequest} printRequest - Print request object
-     * @returns {Object} Gemini analysis results
+     * @returns {Promise<Object|null>} Mesh and metrics, or null when no file contents were uploaded
      */
-    async #analyzeWithGemini(printRequest) {
+    async #measureGeometry(printRequest) {
+        const file = printRequest.file;
+        if (!file || !Buffer.isBuffer(file.buffer)) {
+            return null;
+        }
+
+        return this.#geometryService.analyzeFile(file, {
+            unit: printRequest.unit,
+            scaleFactor: printRequest.scaleFactor ?? undefined
+        });
+    }
+
+    /**
+     * Stores the uploaded model file and its thumbnail
+     * @private
+     * @param {PrintRequest} printRequest - Print request object
+     * @param {Object|null} geometry - Measured model geometry
+     * @param {Object|null} printFile - Print file analysis, whose slicer may have embedded a preview
+     * @returns {Object|null} Stored file record, or null when no file contents were uploaded
+     */
+    async #storeModelFile(printRequest, geometry, printFile) {
+        const file = printRequest.file;
+        if (!file || !Buffer.isBuffer(file.buffer)) {
+            return null;
+        }
+
+        let renderPreview = null;
+        if (geometry) {
+            renderPreview = () => this.#geometryService.renderThumbnail(geometry);
+        } else if (printFile && printFile.thumbnail) {
+            renderPreview = () => printFile.thumbnail;
+        }
+
+        const stored = await this.#fileStorage.store(file);
+        return {
+            ...stored,
+            name: file.originalname,
+            thumbnailUrl: renderPreview ? await this.#storeThumbnail(file, renderPreview) : null
+        };
+    }
+
+    /**
+     * Renders and stores a PNG preview of the model
+     * @private
+     * @param {Object} file - Uploaded file object
+     * @param {Function} renderPreview - Returns the PNG contents
+     * @returns {string|null} Thumbnail URL, or null if rendering failed
+     */
+    async #storeThumbnail(file, renderPreview) {
         try {
-            const analysis = await this.#geminiAdapter.analyzeProject(
-                printRequest.description,
-                printRequest.renderImages,
-                printRequest.material,
-                printRequest.color
+            const png = renderPreview();
+            const baseName = file.originalname.replace(/(\.gcode)?\.[^.]*$/i, '');
+            const thumbnail = await this.#fileStorage.storeBuffer(png, {
+                originalName: `${baseName}.png`,
+                contentType: 'image/png'
+            });
+            return thumbnail.url;
+        } catch (error) {
+            // A missing preview should never block a quote
+            console.error('Failed to render model thumbnail:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Describes where the slicer profile for a quote can be downloaded
+     * @private
+     * @param {PrintRequest} printRequest - Print request object
+     * @param {Object} printer - Selected printer
+     * @returns {Object|null} Format and download URL, or null if the printer has no supported slicer
+     */
+    #describeSlicerProfile(printRequest, printer) {
+        const format = this.#slicerProfileExporter.getFormatForPrinter(printer);
+        if (!format) {
+            return null;
+        }
+
+        return {
+            format,
+            url: `/api/print-request/${encodeURIComponent(printRequest.requestId)}/slicer-profile`
+        };
+    }
+
+    /**
+     * Checks the measured part against every printer's build volume, rejecting parts that fit nowhere
+     * @private
+     * @param {Object|null} geometry - Measured model geometry
+     * @param {string} orientation - Build orientation preference
+     * @returns {Array|null} Per-printer fit results, or null when the model was not measured
+     */
+    #checkBuildVolumeFit(geometry, orientation) {
+        if (!geometry) {
+            return null;
+        }
+
+        const dimensions = geometry.metrics.dimensions;
+        const fit = this.#printerSelector.checkBuildVolumeFit(dimensions, orientation);
+
+        if (!fit.some(result => result.fits)) {
+            const largest = fit.reduce((best, result) => {
+                const volume = result.maxBuildVolume.x * result.maxBuildVolume.y * result.maxBuildVolume.z;
+                return !best || volume > best.volume ? { ...result, volume } : best;
+            }, null);
+            const format = (size) => ['x', 'y', 'z'].map(axis => Math.round(size[axis] * 10) / 10).join(' × ');
+
+            throw new ValidationError(
+                `Part measures ${format(dimensions)} mm, which does not fit any printer in any orientation ` +
+                `(largest build volume is ${format(largest.maxBuildVolume)} mm on the ${largest.printerName}). ` +
+                'Scale the model down or split it into smaller parts.',
+                'file'
             );
+        }
+
+        return fit;
+    }
+
+    /**
+     * Analyzes the project with the configured provider, falling back to the rule-based provider if it fails.
+     * Analyses from the configured provider are cached by their inputs and the stored file's hash.
+     * @private
+     * @param {PrintRequest} printRequest - Print request object
+     * @param {Object|null} geometry - Measured model geometry
+     * @param {Object|null} printFile - Print file analysis
+     * @param {Object|null} storedFile - Stored model file
+     * @returns {Object} Analysis results with the name of the provider that produced them
+     */
+    async #analyzeProject(printRequest, geometry, printFile, storedFile) {
+        const inputs = {
+            description: printRequest.description,
+            imageUrls: printRequest.renderImages,
+            material: printRequest.material,
+            color: printRequest.color,
+            measurements: this.#describeMeasurements(geometry, printFile),
+            fileHash: storedFile ? storedFile.hash : null
+        };
+        const views = this.#renderAnalysisViews(geometry);
+        const promptVersion = this.#prompts.getDefaultVersion();
+        const args = this.#buildAnalysisArgs(inputs, views, promptVersion);
+
+        let provider = this.#analysisProvider;
+        // Views are rendered from the file, so their names stand in for the image data
+        const cacheKey = this.#analysisCache.createKey({
+            provider: provider.getConfiguration(),
+            inputs,
+            views: views.map(view => view.view),
+            promptVersion
+        });
+
+        let analysis = await this.#analysisCache.get(cacheKey);
+        const cached = !!analysis;
+        if (!cached) {
+            try {
+                analysis = await provider.analyzeProject(...args);
+                await this.#analysisCache.set(cacheKey, analysis);
+            } catch (error) {
+                // Fallback analyses are not cached, so the provider is tried again next time
+                console.error(`${provider.name} analysis failed:`, error.message);
+                provider = this.#fallbackProvider;
+                analysis = await provider.analyzeProject(...args);
+            }
+        }
+
+        return {
+            ...analysis,
+            provider: provider.name,
+            cached,
+            views: views.map(view => view.view),
+            inputs,
+            modelCharacteristics: this.#buildModelCharacteristics(analysis, geometry, printFile)
+        };
+    }
+
+    /**
+     * Builds the analysisProvider.analyzeProject arguments for a set of analysis inputs
+     * @private
+     * @param {Object} inputs - Description, image URLs, material, color and measurements
+     * @param {Object[]} views - Rendered model views
+     * @param {string} promptVersion - Prompt template version
+     * @returns {Array} Arguments in analyzeProject order
+     */
+    #buildAnalysisArgs(inputs, views, promptVersion) {
+        return [
+            inputs.description,
+            inputs.imageUrls || [],
+            inputs.material,
+            inputs.color,
+            { measurements: inputs.measurements, views, promptVersion }
+        ];
+    }
+
+    /**
+     * Renders standard views of the measured model for analysis providers that read images
+     * @private
+     * @param {Object|null} geometry - Measured model geometry
+     * @returns {Object[]} View name, MIME type and base64 PNG data of each render; empty without a mesh
+     */
+    #renderAnalysisViews(geometry) {
+        if (!geometry) {
+            return [];
+        }
 
+        try {
+            return this.#geometryService.renderViews(geometry).map(render => ({
+                view: render.view,
+                mimeType: render.contentType,
+                data: render.buffer.toString('base64')
+            }));
+        } catch (error) {
+            // The description and measurements are still enough to analyze
+            console.error('Failed to render model views:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Collects the measurements analysis providers can use alongside the description
+     * @private
+     * @param {Object|null} geometry - Measured model geometry
+     * @param {Object|null} printFile - Print file analysis
+     * @returns {Object|null} Volume, surface area, dimensions and counts, or null when nothing was uploaded
+     */
+    #describeMeasurements(geometry, printFile) {
+        if (geometry) {
+            const { metrics } = geometry;
             return {
-                ...analysis,
-                modelCharacteristics: {
-                    complexity: analysis.complexity,
-                    supportsNeeded: analysis.supportsNeeded,
-                    volumeCategory: analysis.volumeCategory,
-                    estimatedVolume: this.#estimateVolumeFromCategory(analysis.volumeCategory)
-                }
+                volume: metrics.volume,
+                surfaceArea: metrics.surfaceArea,
+                dimensions: metrics.dimensions,
+                triangleCount: metrics.triangleCount,
+                objectCount: metrics.objects.length
             };
+        }
 
-        } catch (error) {
-            console.error('Gemini analysis failed:', error.message);
-            // Return fallback analysis
+        if (printFile) {
             return {
-                recommendedMaterial: printRequest.material || 'PLA',
-                complexity: 'medium',
-                supportsNeeded: true,
-                volumeCategory: 'medium',
-                qualityRecommendation: 'standard',
-                reasoning: 'Fallback analysis due to AI service unavailability',
-                confidence: 0.5,
-                modelCharacteristics: {
-                    complexity: 'medium',
-                    supportsNeeded: true,
-                    volumeCategory: 'medium',
-                    estimatedVolume: 2.0
-                }
+                volume: printFile.filament.volume,
+                surfaceArea: null,
+                dimensions: printFile.toolpath.bounds.size,
+                triangleCount: null,
+                objectCount: null
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Builds model characteristics, preferring measured geometry or slicer figures over AI size categories
+     * @private
+     * @param {Object} analysis - AI analysis results
+     * @param {Object|null} geometry - Measured model geometry
+     * @param {Object|null} printFile - Print file analysis
+     * @returns {Object} Model characteristics
+     */
+    #buildModelCharacteristics(analysis, geometry, printFile) {
+        const characteristics = {
+            complexity: analysis.complexity,
+            supportsNeeded: analysis.supportsNeeded,
+            volumeCategory: analysis.volumeCategory,
+            estimatedVolume: this.#estimateVolumeFromCategory(analysis.volumeCategory),
+            measured: false
+        };
+
+        if (printFile) {
+            const { filament } = printFile;
+            return {
+                ...characteristics,
+                supportsNeeded: printFile.supports ?? characteristics.supportsNeeded,
+                estimatedVolume: filament.volume ?? characteristics.estimatedVolume,
+                dimensions: printFile.toolpath.bounds.size,
+                filamentGrams: filament.grams,
+                filamentVolume: filament.volume,
+                sliced: true
             };
         }
+
+        if (!geometry) {
+            return characteristics;
+        }
+
+        const { metrics } = geometry;
+        return {
+            ...characteristics,
+            estimatedVolume: metrics.volume,
+            surfaceArea: metrics.surfaceArea,
+            triangleCount: metrics.triangleCount,
+            boundingBox: metrics.boundingBox,
+            dimensions: metrics.dimensions,
+            format: metrics.format,
+            objects: metrics.objects,
+            units: metrics.units,
+            measured: true
+        };
     }
 
     /**
@@ -186,9 +1102,10 @@ class PrintRequestController {
      * @private
      * @param {PrintRequest} printRequest - Print request object
      * @param {Object} geminiAnalysis - Gemini analysis results
+     * @param {Object|null} printFile - Print file analysis
      * @returns {Object} Material recommendation
      */
-    #getMaterialRecommendation(printRequest, geminiAnalysis) {
+    #getMaterialRecommendation(printRequest, geminiAnalysis, printFile) {
         const recommendation = this.#materialAdvisor.recommendMaterial(
             printRequest.description,
             printRequest.preferredMaterial,
@@ -196,13 +1113,43 @@ class PrintRequestController {
             this.#extractRequirements(printRequest.description)
         );
 
-        // Override with Gemini recommendation if confidence is high
-        if (geminiAnalysis.confidence > 0.7) {
+        // Override with the AI recommendation if confidence is high and the model actually named a material
+        if (geminiAnalysis.confidence > 0.7 && geminiAnalysis.fieldSources.recommendedMaterial !== 'default') {
             recommendation.material = geminiAnalysis.recommendedMaterial;
             recommendation.reasoning = `AI-recommended ${geminiAnalysis.recommendedMaterial}: ${geminiAnalysis.reasoning}`;
         }
 
-        return recommendation;
+        // A print file is sliced for one filament; temperatures and flow are already tuned for it
+        const slicedMaterial = printFile ? this.#matchFilamentMaterial(printFile.filament.type) : null;
+        if (slicedMaterial) {
+            recommendation.material = slicedMaterial;
+            recommendation.reasoning = `${slicedMaterial} as set in the uploaded ${printFile.slicer || 'G-code'} file`;
+        }
+
+        return recommendation;
+    }
+
+    /**
+     * Matches a slicer filament type such as 'PLA', 'Generic PETG' or 'PA-CF' to a makerspace material
+     * @private
+     * @param {string|null} filamentType - Filament type from the G-code header
+     * @returns {string|null} Material name, or null if no stocked material matches
+     */
+    #matchFilamentMaterial(filamentType) {
+        if (!filamentType) {
+            return null;
+        }
+
+        const materials = this.#materialAdvisor.getAllMaterials();
+        const type = filamentType.toUpperCase();
+        const exact = materials.find(material => material.toUpperCase() === type);
+        if (exact) {
+            return exact;
+        }
+
+        // Fall back to the base polymer named anywhere in the type, e.g. 'PA' in 'PA-CF'
+        const tokens = type.split(/[^A-Z0-9]+/);
+        return materials.find(material => tokens.includes(material.toUpperCase())) || null;
     }
 
     /**
@@ -245,28 +1192,98 @@ class PrintRequestController {
      * @private
      * @param {string} material - Selected material
      * @param {Object} geminiAnalysis - Gemini analysis results
+     * @param {string} orientation - Build orientation preference
      * @returns {Object} Printer selection results
      */
-    #selectOptimalPrinter(material, geminiAnalysis) {
-        const dimensions = this.#getDimensionsFromVolume(geminiAnalysis.modelCharacteristics.estimatedVolume);
+    #selectOptimalPrinter(material, geminiAnalysis, orientation) {
+        const modelCharacteristics = geminiAnalysis.modelCharacteristics;
+        const dimensions = modelCharacteristics.measured
+            ? modelCharacteristics.dimensions
+            : this.#getDimensionsFromVolume(modelCharacteristics.estimatedVolume);
         
         return this.#printerSelector.selectPrinter(
             material,
             dimensions,
-            geminiAnalysis.modelCharacteristics.complexity,
-            { qualityPreference: geminiAnalysis.qualityRecommendation }
+            modelCharacteristics.complexity,
+            { qualityPreference: geminiAnalysis.qualityRecommendation, orientation }
         );
     }
 
+    /**
+     * Uses the printer a print file was sliced for, checking its toolpath fits that printer
+     * @private
+     * @param {string} material - Selected material
+     * @param {Object} geminiAnalysis - Gemini analysis results
+     * @param {Object} printFile - Print file analysis
+     * @param {Object} file - Uploaded file object
+     * @returns {Object} Printer selection results
+     * @throws {ValidationError} If the file targets a printer the makerspace lacks or overruns its build volume
+     */
+    #selectSlicedPrinter(material, geminiAnalysis, printFile, file) {
+        let printer = this.#printerSelector.findPrinterByModel(printFile.printerModel);
+        let reasoning = printer ? `${file.originalname} was sliced for the ${printer.name}` : null;
+
+        if (!printer && printFile.printerModel) {
+            const fleet = this.#printerSelector.getAvailablePrinters()
+                .filter(p => p.type === 'FDM')
+                .map(p => p.name)
+                .join(', ');
+            throw new ValidationError(
+                `${file.originalname} was sliced for the ${printFile.printerModel}, which the makerspace does not have. ` +
+                `Re-slice it for one of: ${fleet}.`,
+                'file'
+            );
+        }
+
+        if (!printer) {
+            // Generic G-code names no printer, so pick one that fits the toolpath as it lies on the bed
+            const selection = this.#printerSelector.selectPrinter(
+                material,
+                printFile.toolpath.bounds.size,
+                geminiAnalysis.modelCharacteristics.complexity,
+                { qualityPreference: geminiAnalysis.qualityRecommendation }
+            );
+            printer = selection.printer;
+            reasoning = `${file.originalname} does not name its printer; ${selection.reasoning}`;
+        }
+
+        if (!printer.supportedMaterials.includes(material)) {
+            throw new ValidationError(`${file.originalname} is sliced for ${material}, which the ${printer.name} cannot print.`, 'file');
+        }
+
+        const fit = this.#gcodeService.checkBuildVolume(printFile, printer);
+        if (!fit.fits) {
+            const format = (size) => ['x', 'y', 'z'].map(axis => Math.round(size[axis] * 10) / 10).join(' × ');
+            const tooLarge = ['x', 'y', 'z'].some(axis => fit.size[axis] > fit.maxBuildVolume[axis]);
+            throw new ValidationError(
+                tooLarge
+                    ? `The toolpath in ${file.originalname} spans ${format(fit.size)} mm, which exceeds the ` +
+                      `${format(fit.maxBuildVolume)} mm build volume of the ${printer.name}.`
+                    : `The toolpath in ${file.originalname} runs from ${format(fit.min)} to ${format(fit.max)} mm, ` +
+                      `outside the ${format(fit.maxBuildVolume)} mm build volume of the ${printer.name}.`,
+                'file'
+            );
+        }
+
+        return {
+            printer,
+            orientation: null,
+            reasoning,
+            score: null,
+            toolpathFit: fit,
+            alternatives: []
+        };
+    }
+
     /**
      * Gets dimensions from volume estimate
      * @private
      * @param {number} volume - Volume in cubic cm
-     * @returns {Object} Estimated dimensions
+     * @returns {Object} Estimated dimensions in millimetres
      */
     #getDimensionsFromVolume(volume) {
-        // Assume roughly cubic shape
-        const side = Math.cbrt(volume);
+        // Assume roughly cubic shape; printer build volumes are in millimetres
+        const side = Math.cbrt(volume) * 10;
         return {
             x: side,
             y: side,
@@ -274,6 +1291,38 @@ class PrintRequestController {
         };
     }
 
+    /**
+     * Replaces the AI support guess with overhangs measured in the build orientation
+     * @private
+     * @param {Object} geminiAnalysis - Gemini analysis results
+     * @param {Object|null} geometry - Measured model geometry
+     * @param {Object|null} orientation - Build orientation chosen with the printer
+     * @param {string} material - Selected material
+     * @returns {Object} Analysis with overhang data in its model characteristics
+     */
+    #applyOverhangAnalysis(geminiAnalysis, geometry, orientation, material) {
+        if (!geometry) {
+            return geminiAnalysis;
+        }
+
+        const overhangs = this.#geometryService.analyzeOverhangs(geometry, orientation ? orientation.rotation : null);
+        const density = this.#materialAdvisor.getMaterialInfo(material).density;
+        const supportMass = overhangs.hasOverhangs
+            ? Math.round(overhangs.supportVolume * density * 10) / 10
+            : 0;
+
+        return {
+            ...geminiAnalysis,
+            modelCharacteristics: {
+                ...geminiAnalysis.modelCharacteristics,
+                hasOverhangs: overhangs.hasOverhangs,
+                supportsNeeded: overhangs.hasOverhangs,
+                overhangs: { ...overhangs, supportMass },
+                supportMass
+            }
+        };
+    }
+
     /**
      * Optimizes print settings
      * @private
@@ -294,14 +1343,237 @@ class PrintRequestController {
         return optimizer.optimizeSettings(
             geminiAnalysis.modelCharacteristics.complexity,
             {
-                hasOverhangs: geminiAnalysis.modelCharacteristics.supportsNeeded,
+                hasOverhangs: geminiAnalysis.modelCharacteristics.hasOverhangs ?? geminiAnalysis.modelCharacteristics.supportsNeeded,
                 complexity: geminiAnalysis.modelCharacteristics.complexity,
-                estimatedVolume: geminiAnalysis.modelCharacteristics.estimatedVolume
+                estimatedVolume: geminiAnalysis.modelCharacteristics.estimatedVolume,
+                overhangs: geminiAnalysis.modelCharacteristics.overhangs
             },
             { speedPreference: geminiAnalysis.qualityRecommendation }
         );
     }
 
+    /**
+     * Replaces optimized settings with the ones a print file was sliced with
+     * @private
+     * @param {Object} printSettings - Optimized print settings
+     * @param {Object|null} printFile - Print file analysis
+     * @returns {Object} Print settings matching the uploaded file
+     */
+    #applySlicedSettings(printSettings, printFile) {
+        if (!printFile) {
+            return printSettings;
+        }
+
+        const settings = { ...printSettings.settings };
+        if (printFile.layerHeight !== null) settings.layerHeight = `${printFile.layerHeight}mm`;
+        if (printFile.infill !== null) settings.infill = `${printFile.infill}%`;
+        if (printFile.supports !== null) settings.supports = printFile.supports;
+        if (printFile.nozzleTemp !== null) settings.nozzleTemp = `${printFile.nozzleTemp}C`;
+        if (printFile.bedTemp !== null) settings.bedTemp = `${printFile.bedTemp}C`;
+
+        return {
+            ...printSettings,
+            settings,
+            reasoning: `Settings read from the uploaded ${printFile.slicer || 'G-code'} file; values it does not record are makerspace defaults`
+        };
+    }
+
+    /**
+     * Reports the print time the slicer calculated for a print file
+     * @private
+     * @param {Object} printFile - Print file analysis
+     * @param {Object} printer - Printer the file was sliced for
+     * @returns {Object|null} Print time, or null if the slicer did not record one
+     */
+    #describeSlicedPrintTime(printFile, printer) {
+        if (printFile.estimatedSeconds === null) {
+            return null;
+        }
+
+        const hours = printFile.estimatedSeconds / 3600;
+        return {
+            source: 'slicer',
+            printerId: printer.id,
+            layers: printFile.toolpath.layers,
+            layerHeight: printFile.layerHeight,
+            seconds: printFile.estimatedSeconds,
+            hours: Math.round(hours * 100) / 100,
+            formatted: this.#printTimeEstimator.formatDuration(hours),
+            breakdown: null,
+            toolpath: null
+        };
+    }
+
+    /**
+     * Estimates print time by slicing the measured model at the chosen layer height
+     * @private
+     * @param {Object|null} geometry - Measured model geometry
+     * @param {Object} printerSelection - Printer selection with build orientation
+     * @param {Object} settings - Optimized print settings
+     * @param {Object} analysis - Analysis with measured overhangs
+     * @returns {Object|null} Sliced time estimate, or null when the model was not measured
+     */
+    #estimatePrintTime(geometry, printerSelection, settings, analysis) {
+        if (!geometry) {
+            return null;
+        }
+
+        try {
+            const { orientation } = printerSelection;
+            const overhangs = analysis.modelCharacteristics.overhangs;
+            const estimate = this.#printTimeEstimator.estimate(geometry.mesh, printerSelection.printer, settings, {
+                rotation: orientation ? orientation.rotation : null,
+                insideOut: geometry.health ? geometry.health.insideOut : false,
+                supportVolume: overhangs && overhangs.hasOverhangs ? overhangs.supportVolume : 0
+            });
+            return { source: 'model', ...estimate };
+        } catch (error) {
+            // Fall back to the rough estimate rather than failing the quote
+            console.error('Failed to estimate sliced print time:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Packs the model's parts, times the requested quantity, onto the chosen printer's build plates
+     * @private
+     * @param {PrintRequest} printRequest - Print request object
+     * @param {Object|null} geometry - Measured model geometry
+     * @param {Object} printerSelection - Printer selection with build orientation
+     * @param {Object} settings - Optimized print settings
+     * @param {Object} analysis - Analysis with measured overhangs
+     * @param {Object|null} printTime - Sliced print time estimate for the whole model
+     * @returns {Object|null} Plate count, per-plate layout and total time, or null if the job could not be planned
+     */
+    #planJob(printRequest, geometry, printerSelection, settings, analysis, printTime) {
+        try {
+            const parts = geometry
+                ? this.#describeParts(geometry, printerSelection, settings, analysis, printTime)
+                : [{
+                    name: printRequest.projectName || 'Part',
+                    // Without a model the AI volume guess is the only size there is
+                    size: this.#getDimensionsFromVolume(analysis.modelCharacteristics.estimatedVolume || 0.1),
+                    time: null
+                }];
+
+            const plan = this.#jobPlanner.plan(
+                parts.map(part => ({ ...part, copies: printRequest.quantity })),
+                printerSelection.printer
+            );
+
+            return {
+                source: geometry ? 'model' : 'estimate',
+                ...plan,
+                formatted: plan.totalSeconds === null ? null : this.#printTimeEstimator.formatDuration(plan.totalSeconds / 3600)
+            };
+        } catch (error) {
+            // Price the copies one plate each rather than failing the quote
+            console.error('Failed to plan build plates:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Splits a measured model into parts with their footprint and print time
+     * @private
+     * @param {Object} geometry - Measured model geometry
+     * @param {Object} printerSelection - Printer selection with build orientation
+     * @param {Object} settings - Optimized print settings
+     * @param {Object} analysis - Analysis with measured overhangs
+     * @param {Object|null} printTime - Sliced print time estimate for the whole model
+     * @returns {Array} Parts for JobPlanner
+     */
+    #describeParts(geometry, printerSelection, settings, analysis, printTime) {
+        const { printer, orientation } = printerSelection;
+        const rotation = orientation ? orientation.rotation : null;
+        const parts = this.#geometryService.getParts(geometry, rotation);
+
+        if (parts.length === 1) {
+            return [{ name: parts[0].name, size: parts[0].size, time: this.#splitPrintTime(printTime) }];
+        }
+
+        const overhangs = analysis.modelCharacteristics.overhangs;
+        const supportVolume = overhangs && overhangs.hasOverhangs ? overhangs.supportVolume : 0;
+
+        return parts.map(part => {
+            let time = null;
+            // Only time the parts when the whole model could be timed on this printer
+            if (printTime) {
+                try {
+                    time = this.#splitPrintTime(this.#printTimeEstimator.estimate(part.mesh, printer, settings, {
+                        rotation,
+                        insideOut: geometry.health ? geometry.health.insideOut : false,
+                        // Overhangs are measured for the whole model, so share its support by triangle count
+                        supportVolume: supportVolume * part.mesh.triangleCount / geometry.mesh.triangleCount
+                    }));
+                } catch (error) {
+                    console.error(`Failed to estimate print time for ${part.name}:`, error.message);
+                }
+            }
+            return { name: part.name, size: part.size, time };
+        });
+    }
+
+    /**
+     * Splits a print time estimate into the time spent printing and the per-layer overhead parts on one plate share
+     * @private
+     * @param {Object|null} estimate - Result of PrintTimeEstimator.estimate
+     * @returns {Object|null} Print and shared layer seconds, or null without an estimate
+     */
+    #splitPrintTime(estimate) {
+        if (!estimate) {
+            return null;
+        }
+
+        const { startup, layerChanges, cooling = 0 } = estimate.breakdown;
+        const layerSeconds = layerChanges + cooling;
+        return {
+            printSeconds: estimate.seconds - startup - layerSeconds,
+            layerSeconds
+        };
+    }
+
+    /**
+     * Plans a print file, which reprints every plate it was sliced with once per copy
+     * @private
+     * @param {PrintRequest} printRequest - Print request object
+     * @param {Object} printFile - Print file analysis
+     * @param {Object} printer - Printer the file was sliced for
+     * @returns {Object} Plate count and total time; the layout is the slicer's own
+     */
+    #planSlicedJob(printRequest, printFile, printer) {
+        const copies = printRequest.quantity;
+        const plates = [];
+        for (let copy = 1; copy <= copies; copy++) {
+            for (let slicedPlate = 1; slicedPlate <= printFile.plates; slicedPlate++) {
+                plates.push({
+                    plate: plates.length + 1,
+                    slicedPlate,
+                    copy,
+                    parts: null,
+                    coverage: null,
+                    height: null,
+                    // The slicer reports one time for all of its plates together
+                    seconds: printFile.plates === 1 ? printFile.estimatedSeconds : null
+                });
+            }
+        }
+
+        const totalSeconds = printFile.estimatedSeconds === null ? null : printFile.estimatedSeconds * copies;
+        return {
+            source: 'slicer',
+            printerId: printer.id,
+            copies,
+            plateCount: plates.length,
+            spacing: null,
+            margin: null,
+            plates,
+            totalSeconds,
+            totalHours: totalSeconds === null ? null : Math.round(totalSeconds / 36) / 100,
+            formatted: totalSeconds === null ? null : this.#printTimeEstimator.formatDuration(totalSeconds / 3600)
+        };
+    }
+
     /**
      * Calculates pricing
      * @private
@@ -309,16 +1581,32 @@ class PrintRequestController {
      * @param {Object} printer - Selected printer
      * @param {Object} printSettings - Print settings
      * @param {Object} geminiAnalysis - Gemini analysis results
+     * @param {Object|null} printTime - Sliced print time estimate for one copy
+     * @param {number} quantity - Number of copies
+     * @param {Object|null} jobPlan - Build plate plan for all copies
      * @returns {Object} Pricing information
      */
-    #calculatePricing(material, printer, printSettings, geminiAnalysis) {
+    #calculatePricing(material, printer, printSettings, geminiAnalysis, printTime, quantity, jobPlan) {
+        const modelCharacteristics = {
+            ...geminiAnalysis.modelCharacteristics,
+            copies: quantity,
+            plates: jobPlan ? jobPlan.plateCount : quantity
+        };
+
+        // Print time covers the whole job: copies sharing a plate share its startup and layer changes
+        if (jobPlan && jobPlan.totalHours !== null) {
+            modelCharacteristics.printTimeHours = jobPlan.totalHours;
+        } else if (printTime) {
+            modelCharacteristics.printTimeHours = printTime.hours * quantity;
+        }
+
         return this.#pricingEngine.calculateCost(
             material,
             printer,
             printSettings,
-            geminiAnalysis.modelCharacteristics,
+            modelCharacteristics,
             {
-                supports: geminiAnalysis.modelCharacteristics.supportsNeeded,
+                supports: printSettings.supports,
                 postProcessing: geminiAnalysis.qualityRecommendation === 'high',
                 rushOrder: false // Could be added as user preference
             }
@@ -334,9 +1622,15 @@ class PrintRequestController {
      * @param {Object} printSettings - Print settings
      * @param {Object} pricing - Pricing information
      * @param {Object} geminiAnalysis - Gemini analysis
+     * @param {Object|null} geometry - Measured model geometry
+     * @param {Array|null} buildVolumeFit - Per-printer build volume fit results
+     * @param {Object|null} storedFile - Stored model file record
+     * @param {Object|null} printTime - Sliced print time estimate
+     * @param {Object|null} printFile - Print file analysis
+     * @param {Object|null} jobPlan - Build plate plan for all copies
      * @returns {Object} Complete response
      */
-    #compileResponse(printRequest, materialRecommendation, printerSelection, printSettings, pricing, geminiAnalysis) {
+    #compileResponse(printRequest, materialRecommendation, printerSelection, printSettings, pricing, geminiAnalysis, geometry, buildVolumeFit, storedFile, printTime, printFile, jobPlan) {
         return {
             status: 'success',
             data: {
@@ -350,16 +1644,27 @@ class PrintRequestController {
                 project: {
                     description: printRequest.description,
                     fileLink: printRequest.fileLink,
+                    file: storedFile,
                     complexity: geminiAnalysis.complexity,
-                    confidence: geminiAnalysis.confidence
+                    confidence: geminiAnalysis.confidence,
+                    geometry: this.#summarizeGeometry(geminiAnalysis.modelCharacteristics),
+                    meshHealth: geometry ? geometry.health : null,
+                    overhangs: geminiAnalysis.modelCharacteristics.overhangs || null,
+                    buildVolumeFit,
+                    printFile: this.#summarizePrintFile(printFile, printerSelection.toolpathFit)
                 },
                 recommendations: {
                     recommendedPrinter: printerSelection.printer.name,
+                    orientation: printerSelection.orientation,
                     recommendedMaterial: materialRecommendation.material,
                     recommendedColor: printRequest.preferredColor,
                     printSettings: printSettings.settings,
+                    slicerProfile: this.#describeSlicerProfile(printRequest, printerSelection.printer),
                     estimatedCost: pricing.total,
-                    estimatedPrintTime: printSettings.estimatedPrintTime,
+                    estimatedMaterialWeight: pricing.materialWeight,
+                    estimatedPrintTime: this.#describeJobTime(jobPlan, printTime, printSettings),
+                    printTime,
+                    jobPlan,
                     qualityLevel: printSettings.qualityLevel
                 },
                 reasoning: {
@@ -373,15 +1678,93 @@ class PrintRequestController {
                     printers: printerSelection.alternatives
                 },
                 aiAnalysis: {
+                    provider: geminiAnalysis.provider,
                     geminiReasoning: geminiAnalysis.reasoning,
                     confidence: geminiAnalysis.confidence,
                     supportsNeeded: geminiAnalysis.supportsNeeded,
-                    volumeCategory: geminiAnalysis.volumeCategory
+                    volumeCategory: geminiAnalysis.volumeCategory,
+                    fieldSources: geminiAnalysis.fieldSources,
+                    repaired: geminiAnalysis.repaired,
+                    cached: geminiAnalysis.cached,
+                    views: geminiAnalysis.views,
+                    promptVersion: geminiAnalysis.promptVersion
                 }
             }
         };
     }
 
+    /**
+     * Describes how long the whole job takes, falling back to one copy's estimate when the plates were not timed
+     * @private
+     * @param {Object|null} jobPlan - Build plate plan for all copies
+     * @param {Object|null} printTime - Sliced print time estimate for one copy
+     * @param {Object} printSettings - Print settings with the rough time estimate
+     * @returns {string} Human-readable duration
+     */
+    #describeJobTime(jobPlan, printTime, printSettings) {
+        if (jobPlan && jobPlan.formatted) {
+            return jobPlan.formatted;
+        }
+        return printTime ? printTime.formatted : printSettings.estimatedPrintTime;
+    }
+
+    /**
+     * Summarizes measured geometry for the API response
+     * @private
+     * @param {Object} modelCharacteristics - Model characteristics
+     * @returns {Object|null} Geometry summary, or null when the model was not measured
+     */
+    #summarizeGeometry(modelCharacteristics) {
+        if (!modelCharacteristics.measured) {
+            return null;
+        }
+
+        return {
+            format: modelCharacteristics.format,
+            objects: modelCharacteristics.objects,
+            volume: modelCharacteristics.estimatedVolume,
+            surfaceArea: modelCharacteristics.surfaceArea,
+            triangleCount: modelCharacteristics.triangleCount,
+            dimensions: modelCharacteristics.dimensions,
+            boundingBox: modelCharacteristics.boundingBox,
+            units: modelCharacteristics.units
+        };
+    }
+
+    /**
+     * Summarizes an uploaded print file for the API response
+     * @private
+     * @param {Object|null} printFile - Print file analysis
+     * @param {Object|undefined} toolpathFit - Toolpath fit against the printer the file targets
+     * @returns {Object|null} Print file summary, or null when a model was uploaded
+     */
+    #summarizePrintFile(printFile, toolpathFit) {
+        if (!printFile) {
+            return null;
+        }
+
+        const round = (value, decimals) => (value === null ? null : Math.round(value * 10 ** decimals) / 10 ** decimals);
+        return {
+            format: printFile.format,
+            slicer: printFile.slicer,
+            slicerVersion: printFile.slicerVersion,
+            printerModel: printFile.printerModel,
+            plates: printFile.plates,
+            filament: {
+                type: printFile.filament.type,
+                grams: round(printFile.filament.grams, 2),
+                length: round(printFile.filament.length, 1),
+                volume: round(printFile.filament.volume, 2)
+            },
+            estimatedSeconds: printFile.estimatedSeconds,
+            nozzleTemp: printFile.nozzleTemp,
+            bedTemp: printFile.bedTemp,
+            layerHeight: printFile.layerHeight,
+            toolpath: printFile.toolpath,
+            buildVolume: toolpathFit || null
+        };
+    }
+
     /**
      * Handles processing errors
      * @private
@@ -411,6 +1794,10 @@ class PrintRequestController {
      * @returns {number} HTTP error code
      */
     #getErrorCode(error) {
+        if (typeof error.code === 'number' && error.code >= 400 && error.code < 500) {
+            return error.code;
+        }
+
         if (error.message.includes('validation') || error.message.includes('invalid')) {
             return 422;
         } else if (error.message.includes('not found') || error.message.includes('missing')) {
@@ -426,16 +1813,16 @@ class PrintRequestController {
      */
     async testConfiguration() {
         const results = {
-            geminiConnection: false,
+            analysisProvider: false,
             materialAdvisor: false,
             printerSelector: false,
             pricingEngine: false
         };
 
         try {
-            results.geminiConnection = await this.#geminiAdapter.testConnection();
+            results.analysisProvider = await this.#analysisProvider.testConnection();
         } catch (error) {
-            console.error('Gemini connection test failed:', error.message);
+            console.error(`${this.#analysisProvider.name} connection test failed:`, error.message);
         }
 
         try {
@@ -463,15 +1850,173 @@ class PrintRequestController {
     }
 
     /**
-     * Save print request to database
+     * Gets analysis cache hit and miss counts
+     * @returns {Object} Cache statistics (see AnalysisCache)
+     */
+    getAnalysisCacheStats() {
+        return this.#analysisCache.getStats();
+    }
+
+    /**
+     * Replays stored requests through the configured analysis provider with another prompt version and
+     * compares the recommendations with the stored ones
+     * @param {string[]} requestIds - Requests to replay
+     * @param {string} promptVersion - Prompt template version to replay with
+     * @returns {Promise<Object>} Per-request before, after and changed fields, with a summary
+     * @throws {ValidationError} If the prompt version does not exist
+     */
+    async replayAnalyses(requestIds, promptVersion) {
+        if (!this.#prompts.hasVersion(promptVersion)) {
+            throw new ValidationError(
+                `Unknown prompt version '${promptVersion}'. Use ${this.#prompts.getVersions().join(', ')}.`,
+                'promptVersion'
+            );
+        }
+
+        const results = [];
+        for (const requestId of requestIds) {
+            results.push(await this.#replayAnalysis(requestId, promptVersion));
+        }
+
+        return {
+            provider: this.#analysisProvider.name,
+            promptVersion,
+            summary: {
+                requested: requestIds.length,
+                replayed: results.filter(result => result.status === 'replayed').length,
+                changed: results.filter(result => result.changes && result.changes.length > 0).length,
+                skipped: results.filter(result => result.status === 'skipped' || result.status === 'not_found').length,
+                failed: results.filter(result => result.status === 'failed').length
+            },
+            results
+        };
+    }
+
+    /**
+     * Replays one stored request
+     * @private
+     * @param {string} requestId - Request to replay
+     * @param {string} promptVersion - Prompt template version to replay with
+     * @returns {Promise<Object>} Replay result with status 'replayed', 'skipped', 'not_found' or 'failed'
+     */
+    async #replayAnalysis(requestId, promptVersion) {
+        const snowflakeClient = require('../database/snowflakeClient');
+        const rows = await snowflakeClient.execute(
+            'SELECT request_id, result_data FROM print_requests WHERE request_id = ?',
+            [requestId]
+        );
+        if (rows.length === 0) {
+            return { requestId, status: 'not_found' };
+        }
+
+        let stored = null;
+        try {
+            const resultData = rows[0].RESULT_DATA;
+            stored = typeof resultData === 'string' ? JSON.parse(resultData) : resultData;
+        } catch (error) {
+            console.warn('Failed to parse result data:', error.message);
+        }
+        if (!stored || !stored.analysis || !stored.analysisInputs) {
+            return { requestId, status: 'skipped', message: 'No stored analysis inputs to replay.' };
+        }
+
+        const inputs = stored.analysisInputs;
+        const views = stored.analysis.views && stored.analysis.views.length > 0
+            ? await this.#renderStoredViews(inputs.fileHash)
+            : [];
+
+        let replayed;
+        try {
+            replayed = await this.#analysisProvider.analyzeProject(...this.#buildAnalysisArgs(inputs, views, promptVersion));
+        } catch (error) {
+            return { requestId, status: 'failed', message: error.message };
+        }
+
+        const before = stored.analysis;
+        const after = this.#describeStoredAnalysis({ ...replayed, provider: this.#analysisProvider.name, views: views.map(view => view.view) }).analysis;
+        // Reasoning is free text and differs on every call, so only the recommendations are compared
+        const changes = ['recommendedMaterial', 'complexity', 'supportsNeeded', 'volumeCategory', 'qualityRecommendation', 'confidence']
+            .filter(field => before[field] !== after[field])
+            .map(field => ({ field, before: before[field], after: after[field] }));
+
+        return { requestId, status: 'replayed', before, after, changes };
+    }
+
+    /**
+     * Renders the analysis views of a stored model file again
+     * @private
+     * @param {string|null} fileHash - SHA-256 hash of the stored file
+     * @returns {Promise<Object[]>} Rendered views, or none if the file is gone or unreadable
+     */
+    async #renderStoredViews(fileHash) {
+        const file = fileHash ? await this.#fileStorage.retrieve(fileHash) : null;
+        if (!file || !this.#geometryService.isSupported(file.originalName)) {
+            return [];
+        }
+
+        try {
+            // Views are framed to fit the model, so they do not depend on the unit it was quoted in
+            const geometry = await this.#geometryService.analyzeFile({ originalname: file.originalName, buffer: file.buffer });
+            return this.#renderAnalysisViews(geometry);
+        } catch (error) {
+            console.error(`Failed to re-read stored file ${fileHash}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Describes an analysis for result_data, with the inputs needed to replay it
+     * @private
+     * @param {Object} analysis - Project analysis from #analyzeProject
+     * @returns {Object} Stored analysis and analysis inputs
+     */
+    #describeStoredAnalysis(analysis) {
+        return {
+            analysis: {
+                provider: analysis.provider,
+                promptVersion: analysis.promptVersion,
+                recommendedMaterial: analysis.recommendedMaterial,
+                complexity: analysis.complexity,
+                supportsNeeded: analysis.supportsNeeded,
+                volumeCategory: analysis.volumeCategory,
+                qualityRecommendation: analysis.qualityRecommendation,
+                reasoning: analysis.reasoning,
+                confidence: analysis.confidence,
+                fieldSources: analysis.fieldSources,
+                repaired: analysis.repaired,
+                views: analysis.views
+            },
+            analysisInputs: analysis.inputs || null
+        };
+    }
+
+    /**
+     * Reads a formatted price such as '$12.50' as a number
+     * @private
+     * @param {string|number} amount - Formatted or numeric amount
+     * @returns {number} Amount, or 0 if it cannot be read
+     */
+    #parseAmount(amount) {
+        const value = typeof amount === 'number' ? amount : parseFloat(String(amount).replace(/[^0-9.-]/g, ''));
+        return Number.isFinite(value) ? value : 0;
+    }
+
+    /**
+     * Save print request to database, or replace the quoted file of a revised request
      * @private
      * @param {PrintRequest} printRequest - Print request object
      * @param {Object} materialRecommendation - Material recommendation
      * @param {Object} printerSelection - Printer selection
+     * @param {Object} printSettings - Optimized print settings
+     * @param {Object|null} printTime - Sliced print time estimate
+     * @param {Object|null} jobPlan - Build plate plan for all copies
      * @param {Object} pricing - Pricing information
-     * @param {Object} requestData - Original request data
+     * @param {Object} requestData - Original request data (with `revision` for a revised request)
+     * @param {Object|null} geometry - Measured model geometry
+     * @param {Object|null} storedFile - Stored model file record
+     * @param {Object} analysis - Project analysis with the inputs it was made from
      */
-    async #saveToDatabase(printRequest, materialRecommendation, printerSelection, pricing, requestData) {
+    async #saveToDatabase(printRequest, materialRecommendation, printerSelection, printSettings, printTime, jobPlan, pricing, requestData, geometry, storedFile, analysis) {
         try {
             const snowflakeClient = require('../database/snowflakeClient');
             
@@ -479,58 +2024,142 @@ class PrintRequestController {
             await snowflakeClient.execute('USE DATABASE RUTGERS_MAKERSPACE');
             await snowflakeClient.execute('USE SCHEMA MAKERSPACE');
 
-            // Get or create user
-            let userId = requestData.userEmail || 'anonymous@rutgers.edu';
-            const userName = requestData.userName || 'Anonymous User';
-            
-            // Check if user exists, if not create them
-            const existingUser = await snowflakeClient.execute(
-                'SELECT user_id FROM users WHERE email = ?', 
-                [userId]
-            );
-            
-            if (existingUser.length === 0) {
-                // Create new user
-                const newUserId = `user-${Date.now()}`;
+            // Columns describing the quoted file; a revision replaces them
+            const quote = {
+                material: materialRecommendation.material,
+                plate_count: jobPlan ? jobPlan.plateCount : null,
+                file_name: requestData.file?.originalname || '',
+                file_size: requestData.file?.size || 0,
+                file_type: (requestData.file?.originalname ? requestData.file.originalname.split('.').pop()?.toLowerCase() : null) || 'stl',
+                file_hash: storedFile ? storedFile.hash : null,
+                file_url: storedFile ? storedFile.url : '',
+                model_url: storedFile ? storedFile.url : null,
+                fallback_image_url: storedFile ? storedFile.thumbnailUrl : null,
+                estimated_cost: pricing.total,
+                estimated_print_time: this.#describeJobTime(jobPlan, printTime, printSettings),
+                printer_id: printerSelection.printer?.id || null,
+                print_settings: JSON.stringify(printSettings.settings || {}),
+                mesh_health: geometry ? JSON.stringify(geometry.health) : null,
+                job_plan: jobPlan ? JSON.stringify(jobPlan) : null,
+                result_data: JSON.stringify(this.#describeStoredAnalysis(analysis))
+            };
+
+            // VARIANT columns take their JSON through PARSE_JSON so they are stored as objects, not strings
+            const variantColumns = ['mesh_health', 'job_plan', 'result_data'];
+            const placeholder = (column) => variantColumns.includes(column) ? 'PARSE_JSON(?)' : '?';
+
+            if (requestData.revision) {
                 await snowflakeClient.execute(`
-                    INSERT INTO users (user_id, email, display_name, status, created_at)
-                    VALUES (?, ?, ?, 'active', CURRENT_TIMESTAMP)
-                `, [newUserId, userId, userName]);
-                userId = newUserId;
+                    UPDATE print_requests
+                    SET ${Object.keys(quote).map(column => `${column} = ${placeholder(column)}`).join(', ')},
+                        revision = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE request_id = ?
+                `, [...Object.values(quote), requestData.revision, printRequest.requestId]);
             } else {
-                userId = existingUser[0].USER_ID;
+                // Get or create user
+                let userId = requestData.userEmail || 'anonymous@rutgers.edu';
+                const userName = requestData.userName || 'Anonymous User';
+                
+                if (requestData.user) {
+                    // Verified users are keyed by their Firebase UID
+                    userId = await this.#users.linkUser(requestData.user);
+                } else {
+                    // Check if user exists, if not create them
+                    const existingUser = await snowflakeClient.execute(
+                        'SELECT user_id FROM users WHERE email = ?', 
+                        [userId]
+                    );
+                    
+                    if (existingUser.length === 0) {
+                        // Create new user
+                        const newUserId = `user-${Date.now()}`;
+                        await snowflakeClient.execute(`
+                            INSERT INTO users (user_id, email, display_name, status, created_at)
+                            VALUES (?, ?, ?, 'active', CURRENT_TIMESTAMP)
+                        `, [newUserId, userId, userName]);
+                        userId = newUserId;
+                    } else {
+                        userId = existingUser[0].USER_ID;
+                    }
+                }
+
+                // Save print request
+                const columns = {
+                    request_id: printRequest.requestId,
+                    user_id: userId,
+                    project_name: printRequest.projectName,
+                    description: printRequest.description,
+                    color: printRequest.color,
+                    quantity: printRequest.quantity,
+                    urgency: printRequest.urgency,
+                    special_instructions: printRequest.specialInstructions || '',
+                    ...quote,
+                    status: this.#statusMachine.getInitialStatus(),
+                    revision: 1,
+                    is_public: false
+                };
+                // PARSE_JSON is not allowed in a VALUES list, so insert from a SELECT
+                await snowflakeClient.execute(`
+                    INSERT INTO print_requests (${Object.keys(columns).join(', ')}, created_at)
+                    SELECT ${Object.keys(columns).map(placeholder).join(', ')}, CURRENT_TIMESTAMP
+                `, Object.values(columns));
+
+                await this.#requests.logSubmission(printRequest.requestId, requestData.userEmail || 'anonymous@rutgers.edu');
             }
 
-            // Save print request
-            await snowflakeClient.execute(`
-                INSERT INTO print_requests (
-                    request_id, user_id, project_name, description, material, color, 
-                    quantity, urgency, special_instructions, file_name, file_size, 
-                    file_type, file_url, model_url, fallback_image_url, status, 
-                    estimated_cost, printer_id, print_settings, is_public, created_at
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-            `, [
-                printRequest.requestId,
-                userId,
-                printRequest.projectName,
-                printRequest.description,
-                materialRecommendation.material,
-                printRequest.color,
-                printRequest.quantity,
-                printRequest.urgency,
-                printRequest.specialInstructions || '',
-                requestData.file?.name || '',
-                requestData.file?.size || 0,
-                (requestData.file?.name ? requestData.file.name.split('.').pop()?.toLowerCase() : null) || 'stl',
-                requestData.file ? `https://storage.example.com/files/${requestData.file.name}` : '',
-                null, // model_url
-                'https://images.unsplash.com/photo-1558618666-fcd25c85cd64?w=300&h=300&fit=crop', // fallback_image_url
-                'pending',
-                pricing.total,
-                printerSelection.printer?.id || null,
-                JSON.stringify(printerSelection.settings || {}),
-                false // is_public
-            ]);
+            // Each revision keeps its own file, analysis, settings and price for later comparison
+            const revision = requestData.revision || 1;
+            const snapshotId = await this.#requests.createPricingSnapshot(printRequest.requestId, {
+                revision,
+                priceAmount: this.#parseAmount(pricing.total),
+                breakdown: {
+                    materialCost: this.#parseAmount(pricing.materialCost),
+                    laborCost: this.#parseAmount(pricing.printerCost),
+                    overheadCost: this.#parseAmount(pricing.additionalCosts) + this.#parseAmount(pricing.setupFee),
+                    materialWeight: pricing.materialWeight,
+                    copies: pricing.copies,
+                    plates: pricing.plates,
+                    subtotal: this.#parseAmount(pricing.subtotal),
+                    total: this.#parseAmount(pricing.total)
+                },
+                complexityFactor: pricing.complexityMultiplier
+            });
+            await this.#requests.createRevision(printRequest.requestId, {
+                revision,
+                fileName: quote.file_name,
+                fileSize: quote.file_size,
+                fileType: quote.file_type,
+                fileHash: quote.file_hash,
+                fileUrl: quote.file_url,
+                modelUrl: quote.model_url,
+                fallbackImageUrl: quote.fallback_image_url,
+                measurements: analysis.inputs?.measurements || null,
+                meshHealth: geometry ? geometry.health : null,
+                analysis: this.#describeStoredAnalysis(analysis).analysis,
+                material: quote.material,
+                printerId: quote.printer_id,
+                printSettings: printSettings.settings || {},
+                jobPlan,
+                estimatedCost: quote.estimated_cost,
+                estimatedPrintTime: quote.estimated_print_time,
+                snapshotId,
+                notes: requestData.notes,
+                createdBy: requestData.userEmail || 'anonymous@rutgers.edu'
+            });
+
+            // A revision leaves changes_requested only once it is saved
+            if (requestData.revision) {
+                await this.updateRequestStatus(printRequest.requestId, 'submitted', {
+                    actor: requestData.userEmail,
+                    reason: requestData.notes || `Revision ${requestData.revision} uploaded`
+                });
+            }
+
+            // The quote is ready, so the request waits for staff review
+            await this.updateRequestStatus(printRequest.requestId, 'needs_review', {
+                actor: 'system',
+                reason: requestData.revision ? `Revision ${requestData.revision} analysis completed` : 'Automated analysis completed'
+            });
 
             if (this.#debugMode) {
                 console.log('Print request saved to database:', printRequest.requestId);
@@ -538,14 +2167,86 @@ class PrintRequestController {
 
         } catch (error) {
             console.error('Failed to save print request to database:', error.message);
+            // A revision that was not saved fails its job, so the submitter knows to upload it again
+            if (requestData.revision) {
+                throw error;
+            }
             // Don't throw error - we don't want to fail the request if DB save fails
         }
     }
 
+    /**
+     * Gets a stored model file by its content hash
+     * @param {string} hash - SHA-256 hash of the file
+     * @returns {Object|null} File contents and metadata, or null if not stored
+     */
+    async getStoredFile(hash) {
+        return this.#fileStorage.retrieve(hash);
+    }
+
+    /**
+     * Exports print settings for a printer as a slicer profile
+     * @param {Object} options - Export request
+     * @param {string} options.printerId - Printer to slice for
+     * @param {string} options.material - Material to print with
+     * @param {string} options.projectType - Project type used to optimize settings when none are given
+     * @param {Object} options.settings - Settings to export, e.g. recommendations.printSettings from a quote
+     * @param {string} options.format - Profile format, or 'auto' to follow the printer's manufacturer
+     * @returns {Object} Profile file name, content type and contents
+     */
+    createSlicerProfile({ printerId, material, projectType = 'general', settings = null, format = 'auto' }) {
+        let printer;
+        try {
+            printer = this.#printerSelector.getPrinterById(printerId);
+        } catch (error) {
+            throw new ValidationError(error.message, 'printerId');
+        }
+
+        if (!printer.supportedMaterials.includes(material)) {
+            throw new ValidationError(`${printer.name} cannot print ${material}.`, 'material');
+        }
+
+        const printSettings = settings || new PrintSettingsOptimizer(
+            this.#materialAdvisor.getMaterialInfo(material),
+            printer,
+            this.#debugMode
+        ).optimizeSettings(projectType).settings;
+
+        return this.#slicerProfileExporter.exportProfile(printSettings, printer, material, { format });
+    }
+
+    /**
+     * Exports the saved print settings of a request as a slicer profile
+     * @param {string} requestId - The request ID
+     * @param {string} format - Profile format, or 'auto' to follow the printer's manufacturer
+     * @returns {Promise<Object>} Profile file name, content type and contents
+     */
+    async exportRequestSlicerProfile(requestId, format = 'auto') {
+        const details = await this.getPrintRequestDetails(requestId);
+        if (details.status !== 'success') {
+            if (details.code === 404) {
+                throw new NotFoundError(`Print request ${requestId} not found.`);
+            }
+            throw new Error(details.message);
+        }
+
+        const { printer, project } = details.data;
+        if (!printer.id || !printer.settings || Object.keys(printer.settings).length === 0) {
+            throw new ValidationError(`Print request ${requestId} has no saved print settings to export.`, 'requestId');
+        }
+
+        return this.createSlicerProfile({
+            printerId: printer.id,
+            material: project.material,
+            settings: printer.settings,
+            format
+        });
+    }
+
     /**
      * Get detailed print request information by ID
      * @param {string} requestId - The request ID to fetch
-     * @returns {Object} Detailed print request data
+     * @returns {Object} Detailed print request data, with the history of its revisions
      */
     async getPrintRequestDetails(requestId) {
         try {
@@ -567,6 +2268,7 @@ class PrintRequestController {
                     file_name,
                     file_size,
                     file_type,
+                    file_hash,
                     file_url,
                     model_url,
                     fallback_image_url,
@@ -574,6 +2276,8 @@ class PrintRequestController {
                     estimated_cost,
                     recommended_printer_id,
                     print_settings,
+                    mesh_health,
+                    revision,
                     is_public,
                     created_at,
                     updated_at
@@ -602,6 +2306,21 @@ class PrintRequestController {
                     console.warn('Failed to parse print settings:', e.message);
                 }
             }
+
+            // Mesh health is only recorded for uploads that were measured
+            let meshHealth = null;
+            if (request.MESH_HEALTH) {
+                try {
+                    meshHealth = typeof request.MESH_HEALTH === 'string'
+                        ? JSON.parse(request.MESH_HEALTH)
+                        : request.MESH_HEALTH;
+                } catch (e) {
+                    console.warn('Failed to parse mesh health:', e.message);
+                }
+            }
+
+            // Every uploaded revision, oldest first, so staff can compare them
+            const revisions = await this.#requests.getRevisions(requestId);
             
             return {
                 status: 'success',
@@ -624,16 +2343,20 @@ class PrintRequestController {
                         name: request.FILE_NAME,
                         size: request.FILE_SIZE,
                         type: request.FILE_TYPE,
+                        hash: request.FILE_HASH,
                         url: request.FILE_URL,
                         modelUrl: request.MODEL_URL,
                         fallbackImage: request.FALLBACK_IMAGE_URL
                     },
-                    status: request.STATUS,
+                    meshHealth,
+                    status: this.#statusMachine.normalize(request.STATUS),
                     cost: request.ESTIMATED_COST,
                     printer: {
                         id: request.RECOMMENDED_PRINTER_ID,
                         settings: printSettings
                     },
+                    revision: request.REVISION || 1,
+                    revisions,
                     isPublic: request.IS_PUBLIC,
                     createdAt: request.CREATED_AT,
                     updatedAt: request.UPDATED_AT
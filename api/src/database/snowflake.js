@@ -5,6 +5,9 @@
 
 const snowflake = require('snowflake-sdk');
 const { v4: uuidv4 } = require('uuid');
+const RequestStatusMachine = require('../models/RequestStatusMachine');
+
+const statusMachine = new RequestStatusMachine();
 
 // Database configuration
 const dbConfig = {
@@ -155,7 +158,7 @@ const PrintRequestRepository = {
             requestData.fileUrl || requestData.file_url,
             requestData.modelUrl || requestData.model_url,
             requestData.fallbackImageUrl || requestData.fallback_image_url,
-            requestData.status || 'pending',
+            statusMachine.getInitialStatus(),
             requestData.isPublic || requestData.is_public || false,
             requestData.estimatedCost || requestData.estimated_cost,
             requestData.estimatedPrintTime || requestData.estimated_print_time
@@ -184,14 +187,26 @@ const PrintRequestRepository = {
         return await executeQuery(sql);
     },
 
-    // Update print request status
-    async updatePrintRequestStatus(requestId, status, staffNotes = null) {
+    // Update print request status, rejecting transitions the lifecycle does not allow
+    async updatePrintRequestStatus(requestId, status, staffNotes = null, actor = 'staff') {
+        const current = await executeQuery('SELECT status FROM print_requests WHERE request_id = ?', [requestId]);
+        if (current.length === 0) {
+            throw new Error(`Print request ${requestId} not found`);
+        }
+        const previousStatus = statusMachine.normalize(current[0].STATUS);
+        statusMachine.assertTransition(previousStatus, status);
+
         const sql = `
             UPDATE print_requests 
             SET status = ?, staff_notes = ?, updated_at = CURRENT_TIMESTAMP()
             WHERE request_id = ?
         `;
         await executeQuery(sql, [status, staffNotes, requestId]);
+
+        await executeQuery(`
+            INSERT INTO print_request_logs (request_id, event_type, event_data, note, created_by)
+            VALUES (?, 'status_changed', ?, ?, ?)
+        `, [requestId, JSON.stringify({ from_status: previousStatus, to_status: status }), staffNotes, actor]);
     },
 
     // Toggle public status
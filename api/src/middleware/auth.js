@@ -0,0 +1,250 @@
+const FirebaseTokenVerifier = require('../services/auth/FirebaseTokenVerifier');
+const ApiKeyService = require('../services/auth/ApiKeyService');
+const UserRepository = require('../repositories/UserRepository');
+const UserRoles = require('../models/UserRoles');
+
+let verifier = null;
+let apiKeys = null;
+let users = null;
+
+/**
+ * Gets the ID token verifier, created from the environment on first use
+ * @returns {FirebaseTokenVerifier|null} Verifier, or null if FIREBASE_PROJECT_ID is not set
+ */
+const getTokenVerifier = () => {
+    if (!verifier && process.env.FIREBASE_PROJECT_ID) {
+        verifier = new FirebaseTokenVerifier({
+            projectId: process.env.FIREBASE_PROJECT_ID,
+            jwksUrl: process.env.FIREBASE_JWKS_URL,
+            jwksFile: process.env.FIREBASE_JWKS_FILE,
+            cacheSeconds: process.env.FIREBASE_JWKS_CACHE_TTL ? parseFloat(process.env.FIREBASE_JWKS_CACHE_TTL) : undefined
+        }, process.env.DEBUG === 'true');
+    }
+    return verifier;
+};
+
+/**
+ * Gets the API key service, created from the environment on first use
+ * @returns {ApiKeyService} API key service
+ */
+const getApiKeyService = () => {
+    if (!apiKeys) {
+        apiKeys = new ApiKeyService({
+            rateLimit: process.env.API_KEY_RATE_LIMIT ? parseInt(process.env.API_KEY_RATE_LIMIT, 10) : undefined,
+            cacheSeconds: process.env.API_KEY_CACHE_TTL ? parseFloat(process.env.API_KEY_CACHE_TTL) : undefined
+        }, process.env.DEBUG === 'true');
+    }
+    return apiKeys;
+};
+
+/**
+ * Reads the bearer token of the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string|null} Token, or null if the header is missing or not a bearer token
+ */
+const getBearerToken = (req) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+};
+
+/**
+ * Sends an authentication error
+ * @param {Object} res - Express response object
+ * @param {number} code - HTTP status code
+ * @param {string} message - Error message
+ */
+const sendAuthError = (res, code, message) => {
+    if (code === 401) {
+        res.set('WWW-Authenticate', 'Bearer');
+    }
+    res.status(code).json({
+        status: 'error',
+        message,
+        code,
+        timestamp: new Date().toISOString()
+    });
+};
+
+/**
+ * Verifies the token and attaches the user, or answers with the failure
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ * @param {string} token - Bearer token
+ */
+const verifyToken = async (req, res, next, token) => {
+    const tokenVerifier = getTokenVerifier();
+    if (!tokenVerifier) {
+        return sendAuthError(res, 503, 'Authentication is not configured');
+    }
+
+    try {
+        req.user = await tokenVerifier.verify(token);
+    } catch (error) {
+        if (error.name === 'UnauthorizedError') {
+            return sendAuthError(res, 401, error.message);
+        }
+        return next(error);
+    }
+    next();
+};
+
+/**
+ * Requires a valid Firebase ID token in `Authorization: Bearer <token>` and attaches the
+ * verified user ({ uid, email, emailVerified, name, picture, claims }) as req.user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const authenticate = (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) {
+        return sendAuthError(res, 401, 'A Firebase ID token is required');
+    }
+    return verifyToken(req, res, next, token);
+};
+
+/**
+ * Loads the roles of the verified user, falling back to student when they cannot be read so
+ * staff routes stay closed while the database is unavailable
+ * @param {Object} user - Verified user
+ * @returns {Promise<UserRoles>} Roles
+ */
+const loadRoles = async (user) => {
+    if (!users) {
+        users = new UserRepository();
+    }
+    try {
+        return await users.getRoles(user.uid);
+    } catch (error) {
+        console.error('Failed to load user roles:', error.message);
+        return UserRoles.default();
+    }
+};
+
+/**
+ * Checks an API key for a scope and attaches the key and its owner as req.user, or answers with
+ * the failure. A key can do no more than its owner: it carries the owner's roles, and routes
+ * limited to roles refuse keys whose owner holds none of them.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ * @param {string} apiKey - Key from the X-API-Key header
+ * @param {string} scope - Scope the route needs
+ * @param {string[]} roles - Roles the route allows; the key's owner must hold one (optional)
+ */
+const verifyApiKey = async (req, res, next, apiKey, scope, roles = []) => {
+    let key;
+    try {
+        key = await getApiKeyService().authenticate(apiKey, scope);
+    } catch (error) {
+        if (error.name === 'RateLimitError') {
+            res.set('Retry-After', String(error.retryAfter));
+            return sendAuthError(res, 429, error.message);
+        }
+        if (error.name === 'UnauthorizedError' || error.name === 'ForbiddenError') {
+            return sendAuthError(res, error.code, error.message);
+        }
+        return next(error);
+    }
+
+    res.set({ 'X-RateLimit-Limit': String(key.rateLimit), 'X-RateLimit-Remaining': String(key.remaining) });
+    const ownerRoles = await loadRoles({ uid: key.owner.userId });
+    if (roles.length > 0 && !ownerRoles.hasAny(roles)) {
+        return sendAuthError(res, 403, `API key owner needs one of the roles: ${roles.join(', ')}`);
+    }
+
+    // Calls made with a key act for its owner
+    req.user = {
+        uid: key.owner.userId,
+        email: key.owner.email,
+        name: key.owner.name,
+        roles: ownerRoles.toArray(),
+        apiKey: { keyId: key.keyId, name: key.name, scopes: key.scopes }
+    };
+    next();
+};
+
+/**
+ * Requires a signed-in user holding one of the given roles (admins hold every role), and attaches
+ * their roles as req.user.roles. Without any role, every signed-in user is allowed. Integrations
+ * may send an API key (X-API-Key) instead of an ID token; the key must hold the route's scope,
+ * which is admin:* unless the last argument names another ({ scope: 'write:equipment' }), and its
+ * owner must hold one of the roles.
+ * @param {...(string|Object)} args - Roles allowed, e.g. 'staff', 'faculty_approver', then optionally { scope }
+ * @returns {Function} Express middleware
+ */
+const authorize = (...args) => {
+    const options = typeof args[args.length - 1] === 'object' ? args.pop() : {};
+    const roles = args;
+    const scope = options.scope || 'admin:*';
+
+    return (req, res, next) => {
+        const token = getBearerToken(req);
+        const apiKey = req.get('X-API-Key');
+
+        if (!token && apiKey) {
+            return verifyApiKey(req, res, next, apiKey, scope, roles);
+        }
+        if (!token) {
+            return sendAuthError(res, 401, 'A Firebase ID token is required');
+        }
+
+        return verifyToken(req, res, async (error) => {
+            if (error) {
+                return next(error);
+            }
+
+            const userRoles = await loadRoles(req.user);
+            req.user.roles = userRoles.toArray();
+            if (roles.length > 0 && !userRoles.hasAny(roles)) {
+                return sendAuthError(res, 403, `Requires one of the roles: ${roles.join(', ')}`);
+            }
+            next();
+        }, token);
+    };
+};
+
+/**
+ * Lets anyone through, but checks an API key when one is sent so integrations get their key's
+ * rate limit and a revoked or under-scoped key is refused rather than ignored
+ * @param {string} scope - Scope the route needs from a key
+ * @returns {Function} Express middleware
+ */
+const acceptApiKey = (scope) => (req, res, next) => {
+    const apiKey = req.get('X-API-Key');
+    if (!apiKey) {
+        return next();
+    }
+    return verifyApiKey(req, res, next, apiKey, scope);
+};
+
+/**
+ * Checks whether a key holds a scope, without answering the request. Used where the key only
+ * widens what a caller sees, e.g. staff events on the event stream.
+ * @param {string|undefined} apiKey - API key, if one was sent
+ * @param {string} scope - Scope to check
+ * @param {string[]} roles - Roles the key's owner must hold one of (optional)
+ * @returns {Promise<boolean>} True if the key is valid, holds the scope and its owner a role
+ */
+const hasApiKeyScope = async (apiKey, scope, roles = []) => {
+    if (!apiKey) {
+        return false;
+    }
+    let key;
+    try {
+        key = await getApiKeyService().authenticate(apiKey, scope);
+    } catch (error) {
+        return false;
+    }
+    return roles.length === 0 || (await loadRoles({ uid: key.owner.userId })).hasAny(roles);
+};
+
+module.exports = {
+    authenticate,
+    authorize,
+    acceptApiKey,
+    hasApiKeyScope,
+    getTokenVerifier,
+    getApiKeyService
+};
\ No newline at end of file
@@ -78,6 +78,13 @@ const errorHandler = (err, req, res, next) => {
         statusCode = 429;
         message = 'Too many requests';
         code = 429;
+    } else if (err.name === 'ServiceUnavailableError') {
+        statusCode = 503;
+        message = 'Service temporarily unavailable';
+        code = 503;
+        if (err.retryAfter) {
+            res.set('Retry-After', String(err.retryAfter));
+        }
     } else if (err.message.includes('timeout')) {
         statusCode = 408;
         message = 'Request timeout';
@@ -217,6 +224,15 @@ class RateLimitError extends Error {
     }
 }
 
+class ServiceUnavailableError extends Error {
+    constructor(message, retryAfter = null) {
+        super(message);
+        this.name = 'ServiceUnavailableError';
+        this.code = 503;
+        this.retryAfter = retryAfter;
+    }
+}
+
 /**
  * Rate limiting error handler
  * @param {Object} req - Express request object
@@ -332,5 +348,6 @@ module.exports = {
     ForbiddenError,
     ConflictError,
     RateLimitError,
+    ServiceUnavailableError,
     logger
 };
\ No newline at end of file
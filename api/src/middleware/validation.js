@@ -1,10 +1,74 @@
 const Joi = require('joi');
+const RequestStatusMachine = require('../models/RequestStatusMachine');
+const ReviewDecision = require('../models/ReviewDecision');
+const UserRoles = require('../models/UserRoles');
+const ApiKeyScopes = require('../models/ApiKeyScopes');
 
 /**
  * Validation middleware for 3D printing requests
  * Validates incoming request data against defined schemas
  */
 
+/**
+ * Builds middleware that validates one part of the request against a schema. Unknown keys are
+ * stripped and the validated value replaces the original; failures answer 422 with every error.
+ * @param {Joi.ObjectSchema} schema - Schema to validate against
+ * @param {string} source - Request property to validate ('body' or 'query')
+ * @param {string} message - Message of the 422 response
+ * @returns {Function} Express middleware
+ */
+const validateRequestPart = (schema, source, message) => (req, res, next) => {
+    try {
+        const { error, value } = schema.validate(req[source], {
+            abortEarly: false,
+            stripUnknown: true
+        });
+
+        if (error) {
+            const errorDetails = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message,
+                value: detail.context?.value
+            }));
+
+            return res.status(422).json({
+                status: 'error',
+                message,
+                code: 422,
+                errors: errorDetails,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Replace the input with validated and sanitized data
+        req[source] = value;
+        next();
+
+    } catch (validationError) {
+        console.error('Validation middleware error:', validationError);
+        return res.status(500).json({
+            status: 'error',
+            message: 'Internal validation error',
+            code: 500,
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+/**
+ * Builds middleware that validates the request body
+ * @param {Joi.ObjectSchema} schema - Schema to validate against
+ * @returns {Function} Express middleware
+ */
+const validateBody = (schema) => validateRequestPart(schema, 'body', 'Validation failed');
+
+/**
+ * Builds middleware that validates the query parameters
+ * @param {Joi.ObjectSchema} schema - Schema to validate against
+ * @returns {Function} Express middleware
+ */
+const validateQuery = (schema) => validateRequestPart(schema, 'query', 'Invalid query parameters');
+
 /**
  * Schema for print request validation
  */
@@ -67,6 +131,30 @@ const printRequestSchema = Joi.object({
             'any.only': 'Urgency must be one of: low, normal, high, urgent'
         }),
 
+    orientation: Joi.string()
+        .valid('as-modeled', 'minimal-height')
+        .default('as-modeled')
+        .messages({
+            'any.only': 'Orientation must be one of: as-modeled, minimal-height'
+        }),
+
+    unit: Joi.string()
+        .valid('auto', 'micron', 'millimeter', 'centimeter', 'inch', 'foot', 'meter')
+        .default('auto')
+        .messages({
+            'any.only': 'Unit must be one of: auto, micron, millimeter, centimeter, inch, foot, meter'
+        }),
+
+    scaleFactor: Joi.number()
+        .positive()
+        .max(10000)
+        .optional()
+        .messages({
+            'number.base': 'Scale factor must be a number',
+            'number.positive': 'Scale factor must be greater than 0',
+            'number.max': 'Scale factor must not exceed 10000'
+        }),
+
     specialInstructions: Joi.string()
         .max(500)
         .allow('')
@@ -109,101 +197,275 @@ const printRequestSchema = Joi.object({
 });
 
 /**
- * Validates print request data
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Next middleware function
+ * Schema for slicer profile export requests
  */
-const validatePrintRequest = (req, res, next) => {
-    try {
-        const { error, value } = printRequestSchema.validate(req.body, {
-            abortEarly: false,
-            stripUnknown: true
-        });
+const settingValue = Joi.alternatives().try(Joi.number().min(0), Joi.string().max(20));
 
-        if (error) {
-            const errorDetails = error.details.map(detail => ({
-                field: detail.path.join('.'),
-                message: detail.message,
-                value: detail.context?.value
-            }));
+const slicerProfileSchema = Joi.object({
+    printerId: Joi.string()
+        .required()
+        .messages({
+            'string.empty': 'Printer ID is required',
+            'any.required': 'Printer ID is required'
+        }),
 
-            return res.status(422).json({
-                status: 'error',
-                message: 'Validation failed',
-                code: 422,
-                errors: errorDetails,
-                timestamp: new Date().toISOString()
-            });
-        }
+    material: Joi.string()
+        .valid('PLA', 'PETG', 'ABS', 'TPU', 'ASA', 'PC', 'PA', 'Standard Resin', 'Tough Resin')
+        .required()
+        .messages({
+            'string.empty': 'Material is required',
+            'any.only': 'Material must be one of: PLA, PETG, ABS, TPU, ASA, PC, PA, Standard Resin, Tough Resin'
+        }),
 
-        // Replace req.body with validated and sanitized data
-        req.body = value;
-        next();
+    projectType: Joi.string()
+        .max(50)
+        .default('general'),
 
-    } catch (validationError) {
-        console.error('Validation middleware error:', validationError);
-        return res.status(500).json({
-            status: 'error',
-            message: 'Internal validation error',
-            code: 500,
-            timestamp: new Date().toISOString()
-        });
-    }
-};
+    format: Joi.string()
+        .valid('auto', 'prusaslicer', 'cura', 'bambu')
+        .default('auto')
+        .messages({
+            'any.only': 'Format must be one of: auto, prusaslicer, cura, bambu'
+        }),
+
+    settings: Joi.object({
+        layerHeight: settingValue.required(),
+        infill: settingValue.required(),
+        supports: Joi.boolean().default(true),
+        nozzleTemp: settingValue.required(),
+        bedTemp: settingValue.required(),
+        printSpeed: settingValue.required(),
+        retraction: Joi.object({
+            distance: settingValue,
+            speed: settingValue
+        }).optional(),
+        cooling: Joi.object({
+            fanSpeed: settingValue,
+            minLayerTime: settingValue
+        }).optional()
+    }).optional()
+});
 
 /**
- * Schema for query parameter validation
+ * Schema for analysis replay requests
  */
-const querySchema = Joi.object({
-    debug: Joi.boolean().optional(),
-    includeAlternatives: Joi.boolean().optional(),
-    maxCost: Joi.number().positive().optional(),
-    preferredPrinter: Joi.string().optional()
+const analysisReplaySchema = Joi.object({
+    requestIds: Joi.array()
+        .items(Joi.string().trim().max(100))
+        .min(1)
+        .max(20)
+        .unique()
+        .required()
+        .messages({
+            'array.min': 'At least one request ID is required',
+            'array.max': 'At most 20 requests can be replayed at once',
+            'any.required': 'Request IDs are required'
+        }),
+
+    promptVersion: Joi.string()
+        .pattern(/^v\d+$/)
+        .required()
+        .messages({
+            'string.pattern.base': 'Prompt version must look like v1, v2, ...',
+            'any.required': 'Prompt version is required'
+        })
 });
 
 /**
- * Validates query parameters
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Next middleware function
+ * Schema for equipment status updates
  */
-const validateQueryParams = (req, res, next) => {
-    try {
-        const { error, value } = querySchema.validate(req.query, {
-            abortEarly: false,
-            stripUnknown: true
-        });
+const equipmentStatusSchema = Joi.object({
+    status: Joi.string()
+        .valid('operational', 'maintenance', 'out_of_order')
+        .required()
+        .messages({
+            'any.only': 'Status must be operational, maintenance or out_of_order',
+            'any.required': 'Status is required'
+        }),
 
-        if (error) {
-            const errorDetails = error.details.map(detail => ({
-                field: detail.path.join('.'),
-                message: detail.message,
-                value: detail.context?.value
-            }));
+    notes: Joi.string()
+        .trim()
+        .max(1000)
+        .allow('', null)
+        .optional()
+});
 
-            return res.status(422).json({
-                status: 'error',
-                message: 'Invalid query parameters',
-                code: 422,
-                errors: errorDetails,
-                timestamp: new Date().toISOString()
-            });
-        }
+/**
+ * Schema for print request status changes
+ */
+const requestStatuses = new RequestStatusMachine().getStatuses();
 
-        req.query = value;
-        next();
+const statusChangeSchema = Joi.object({
+    status: Joi.string()
+        .valid(...requestStatuses)
+        .required()
+        .messages({
+            'any.only': `Status must be one of: ${requestStatuses.join(', ')}`,
+            'any.required': 'Status is required'
+        }),
 
-    } catch (validationError) {
-        console.error('Query validation middleware error:', validationError);
-        return res.status(500).json({
-            status: 'error',
-            message: 'Internal validation error',
-            code: 500,
-            timestamp: new Date().toISOString()
-        });
-    }
-};
+    reason: Joi.string()
+        .trim()
+        .max(500)
+        .allow('', null)
+        .optional()
+        .messages({
+            'string.max': 'Reason cannot exceed 500 characters'
+        })
+});
+
+/**
+ * Schema for staff review decisions
+ */
+const rejectionReasonCodes = ReviewDecision.getRejectionReasons().map(reason => reason.code);
+
+const reviewSchema = Joi.object({
+    decision: Joi.string()
+        .valid('approve', 'reject', 'request_changes')
+        .required()
+        .messages({
+            'any.only': 'Decision must be one of: approve, reject, request_changes',
+            'any.required': 'Decision is required'
+        }),
+
+    reasonCode: Joi.string()
+        .valid(...rejectionReasonCodes)
+        .when('decision', { is: 'reject', then: Joi.required(), otherwise: Joi.optional().allow(null, '') })
+        .messages({
+            'any.only': `Reason code must be one of: ${rejectionReasonCodes.join(', ')}`,
+            'any.required': 'Reason code is required to reject a request'
+        }),
+
+    notes: Joi.string()
+        .trim()
+        .max(1000)
+        .when('decision', { is: 'request_changes', then: Joi.required(), otherwise: Joi.optional().allow('', null) })
+        .messages({
+            'string.empty': 'Notes describing the requested changes are required',
+            'string.max': 'Notes cannot exceed 1000 characters',
+            'any.required': 'Notes describing the requested changes are required'
+        })
+});
+
+/**
+ * Schema for revised files uploaded by the submitter
+ */
+const revisionSchema = Joi.object({
+    orientation: printRequestSchema.extract('orientation'),
+    unit: printRequestSchema.extract('unit'),
+    scaleFactor: printRequestSchema.extract('scaleFactor'),
+
+    notes: Joi.string()
+        .trim()
+        .max(1000)
+        .allow('')
+        .optional()
+        .messages({
+            'string.max': 'Notes cannot exceed 1000 characters'
+        })
+});
+
+/**
+ * Schema for role changes made by admins
+ */
+const userRolesSchema = Joi.object({
+    roles: Joi.array()
+        .items(Joi.string().valid(...UserRoles.getRoles().map(({ role }) => role)))
+        .min(1)
+        .unique()
+        .required()
+        .messages({
+            'any.only': `Roles must be ${UserRoles.getRoles().map(({ role }) => role).join(', ')}`,
+            'array.min': 'At least one role is required',
+            'array.unique': 'Roles must not repeat',
+            'any.required': 'Roles are required'
+        })
+});
+
+/**
+ * Schema for API keys issued by admins
+ */
+const apiKeySchema = Joi.object({
+    name: Joi.string()
+        .trim()
+        .min(1)
+        .max(100)
+        .required()
+        .messages({
+            'string.empty': 'Name is required',
+            'string.max': 'Name cannot exceed 100 characters',
+            'any.required': 'Name is required'
+        }),
+
+    ownerId: Joi.string()
+        .trim()
+        .max(128)
+        .required()
+        .messages({
+            'string.empty': 'Owner is required',
+            'any.required': 'Owner is required'
+        }),
+
+    scopes: Joi.array()
+        .items(Joi.string().valid(...ApiKeyScopes.getScopes().map(({ scope }) => scope)))
+        .min(1)
+        .unique()
+        .required()
+        .messages({
+            'any.only': `Scopes must be ${ApiKeyScopes.getScopes().map(({ scope }) => scope).join(', ')}`,
+            'array.min': 'At least one scope is required',
+            'array.unique': 'Scopes must not repeat',
+            'any.required': 'Scopes are required'
+        }),
+
+    rateLimit: Joi.number()
+        .integer()
+        .min(1)
+        .max(10000)
+        .optional()
+        .messages({
+            'number.min': 'Rate limit must be at least 1 request per minute',
+            'number.max': 'Rate limit cannot exceed 10000 requests per minute'
+        }),
+
+    expiresAt: Joi.date()
+        .iso()
+        .greater('now')
+        // Stored and compared as an ISO string
+        .custom(value => value.toISOString())
+        .optional()
+        .messages({
+            'date.format': 'Expiry must be an ISO date',
+            'date.greater': 'Expiry must be in the future'
+        })
+});
+
+/**
+ * Schema for live event subscriptions
+ */
+const eventSubscriptionSchema = Joi.object({
+    token: Joi.string()
+        .max(200)
+        .optional(),
+
+    lastEventId: Joi.number()
+        .integer()
+        .min(0)
+        .optional()
+        .messages({
+            'number.base': 'Last event ID must be a number'
+        })
+});
+
+/**
+ * Schema for query parameter validation
+ */
+const querySchema = Joi.object({
+    debug: Joi.boolean().optional(),
+    includeAlternatives: Joi.boolean().optional(),
+    maxCost: Joi.number().positive().optional(),
+    preferredPrinter: Joi.string().optional()
+});
 
 /**
  * Validates file upload (if needed for future features)
@@ -347,44 +609,20 @@ const sanitizeInput = (req, res, next) => {
     }
 };
 
-/**
- * Validates API key for protected endpoints
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Next middleware function
- */
-const validateApiKey = (req, res, next) => {
-    const apiKey = req.headers['x-api-key'] || req.query.apiKey;
-    
-    if (!apiKey) {
-        return res.status(401).json({
-            status: 'error',
-            message: 'API key is required',
-            code: 401,
-            timestamp: new Date().toISOString()
-        });
-    }
-    
-    // In production, validate against database or environment variable
-    const validApiKeys = process.env.VALID_API_KEYS?.split(',') || [];
-    
-    if (!validApiKeys.includes(apiKey)) {
-        return res.status(403).json({
-            status: 'error',
-            message: 'Invalid API key',
-            code: 403,
-            timestamp: new Date().toISOString()
-        });
-    }
-    
-    next();
-};
-
 module.exports = {
-    validatePrintRequest,
-    validateQueryParams,
+    validateBody,
+    validateQuery,
     validateFileUpload,
     sanitizeInput,
-    validateApiKey,
-    printRequestSchema
+    printRequestSchema,
+    querySchema,
+    slicerProfileSchema,
+    analysisReplaySchema,
+    equipmentStatusSchema,
+    statusChangeSchema,
+    reviewSchema,
+    revisionSchema,
+    userRolesSchema,
+    apiKeySchema,
+    eventSubscriptionSchema
 };
\ No newline at end of file
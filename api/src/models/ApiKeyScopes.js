@@ -0,0 +1,77 @@
+const { ValidationError } = require('../middleware/errorHandler');
+
+// What an API key may do, by scope. admin:* grants every scope. A key never does more than its
+// owner's roles allow, whatever its scopes.
+const SCOPES = {
+    'read:printers': 'Read printers, materials and pricing',
+    'read:print-requests': 'Read requests, their files and status history, the review queue and staff events',
+    'write:print-requests': 'Submit requests and revisions',
+    'write:request-status': 'Change request status (staff)',
+    'review:print-requests': 'Approve, reject or request changes to requests',
+    'write:equipment': 'Set equipment status',
+    'admin:*': 'Everything, including users, API keys and analysis replays'
+};
+
+/**
+ * @class ApiKeyScopes
+ * @description The scopes of one API key. Routes name the scope they need; a key calling a
+ * route must hold that scope or admin:*.
+ */
+class ApiKeyScopes {
+    #scopes;
+
+    /**
+     * Creates a new ApiKeyScopes instance
+     * @param {string[]} scopes - Scope names
+     * @throws {ValidationError} If no scope is given or a scope is unknown
+     */
+    constructor(scopes) {
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            throw new ValidationError('At least one scope is required.', 'scopes');
+        }
+
+        const unknown = scopes.filter(scope => !Object.prototype.hasOwnProperty.call(SCOPES, scope));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown scope '${unknown[0]}'. Use ${Object.keys(SCOPES).join(', ')}.`, 'scopes');
+        }
+
+        // Keep the order of SCOPES so stored values compare equal
+        this.#scopes = Object.keys(SCOPES).filter(scope => scopes.includes(scope));
+    }
+
+    /**
+     * Gets every scope with its description
+     * @returns {Object[]} Scopes ({ scope, description })
+     */
+    static getScopes() {
+        return Object.entries(SCOPES).map(([scope, description]) => ({ scope, description }));
+    }
+
+    /**
+     * Reads stored scopes, ignoring any that no longer exist
+     * @param {string[]|null} scopes - Stored scopes
+     * @returns {string[]} Known scopes
+     */
+    static fromStored(scopes) {
+        return Array.isArray(scopes) ? scopes.filter(scope => Object.prototype.hasOwnProperty.call(SCOPES, scope)) : [];
+    }
+
+    /**
+     * Checks whether the key holds a scope
+     * @param {string} scope - Scope name
+     * @returns {boolean} True if the key holds the scope or admin:*
+     */
+    grants(scope) {
+        return this.#scopes.includes(scope) || this.#scopes.includes('admin:*');
+    }
+
+    /**
+     * Converts the scopes to an array
+     * @returns {string[]} Scope names
+     */
+    toArray() {
+        return [...this.#scopes];
+    }
+}
+
+module.exports = ApiKeyScopes;
@@ -11,6 +11,9 @@ class PrintRequest {
     #quantity;
     #urgency;
     #specialInstructions;
+    #orientation;
+    #unit;
+    #scaleFactor;
     #file;
     #userEmail;
     #userName;
@@ -37,10 +40,14 @@ class PrintRequest {
      * @param {number} requestData.quantity - Quantity to print
      * @param {string} requestData.urgency - Urgency level
      * @param {string} requestData.specialInstructions - Special instructions
+     * @param {string} requestData.orientation - Build orientation preference ('as-modeled' or 'minimal-height')
+     * @param {string} requestData.unit - Unit the model was exported in, or 'auto' to detect it
+     * @param {number} requestData.scaleFactor - Explicit scale factor to millimetres
      * @param {Object} requestData.file - File object
      * @param {string} requestData.userEmail - User's email address
      * @param {string} requestData.userName - User's name
      * @param {string[]} requestData.renderImages - Array of render image URLs
+     * @param {string} requestData.requestId - ID of the stored request a revision belongs to (a new ID is generated otherwise)
      */
     constructor(requestData) {
         this.#validateInput(requestData);
@@ -51,12 +58,15 @@ class PrintRequest {
         this.#quantity = parseInt(requestData.quantity) || 1;
         this.#urgency = requestData.urgency;
         this.#specialInstructions = requestData.specialInstructions || '';
+        this.#orientation = requestData.orientation === 'minimal-height' ? 'minimal-height' : 'as-modeled';
+        this.#unit = requestData.unit || 'auto';
+        this.#scaleFactor = requestData.scaleFactor !== undefined ? parseFloat(requestData.scaleFactor) : null;
         this.#file = requestData.file;
         this.#userEmail = requestData.userEmail;
         this.#userName = requestData.userName;
         this.#renderImages = Array.isArray(requestData.renderImages) ? [...requestData.renderImages] : [];
         this.#timestamp = new Date().toISOString();
-        this.#requestId = this.#generateRequestId();
+        this.#requestId = requestData.requestId || this.#generateRequestId();
     }
 
     /**
@@ -116,6 +126,9 @@ class PrintRequest {
     get quantity() { return this.#quantity; }
     get urgency() { return this.#urgency; }
     get specialInstructions() { return this.#specialInstructions; }
+    get orientation() { return this.#orientation; }
+    get unit() { return this.#unit; }
+    get scaleFactor() { return this.#scaleFactor; }
     get file() { return this.#file; }
     get userEmail() { return this.#userEmail; }
     get userName() { return this.#userName; }
@@ -196,9 +196,7 @@ class PrintSettingsOptimizer {
      * @returns {boolean} Whether supports are needed
      */
     #optimizeSupports(modelCharacteristics) {
-        // This would typically involve analyzing the 3D model geometry
-        // For now, we'll use heuristics based on model characteristics
-        
+        // Measured uploads carry hasOverhangs from the overhang analysis; otherwise it is the AI's guess
         if (modelCharacteristics.hasOverhangs === true) {
             return true;
         } else if (modelCharacteristics.hasOverhangs === false) {
@@ -344,8 +342,13 @@ class PrintSettingsOptimizer {
         }
         
         // Support reasoning
-        if (settings.supports) {
+        if (settings.supports && modelCharacteristics.overhangs) {
+            const { supportArea, overhangAngle } = modelCharacteristics.overhangs;
+            reasons.push(`Supports enabled for ${supportArea} cm² of overhangs steeper than ${overhangAngle}°`);
+        } else if (settings.supports) {
             reasons.push('Supports enabled for overhangs and complex geometry');
+        } else if (modelCharacteristics.overhangs) {
+            reasons.push(`No overhangs steeper than ${modelCharacteristics.overhangs.overhangAngle}° in the build orientation`);
         } else {
             reasons.push('No supports needed for simple geometry');
         }
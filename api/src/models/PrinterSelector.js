@@ -1,4 +1,5 @@
 const printersConfig = require('../config/printers.json');
+const { ValidationError } = require('../middleware/errorHandler');
 
 /**
  * @class PrinterSelector
@@ -8,6 +9,7 @@ const printersConfig = require('../config/printers.json');
 class PrinterSelector {
     #availablePrinters;
     #selectionCriteria;
+    #orientations;
     #debugMode;
 
     /**
@@ -22,6 +24,15 @@ class PrinterSelector {
             costEfficiency: 0.2,
             quality: 0.1
         };
+        // 90° rotations that map the bounding box onto each axis permutation
+        this.#orientations = [
+            { label: 'As modeled', rotation: { x: 0, y: 0, z: 0 }, axes: ['x', 'y', 'z'] },
+            { label: 'Rotated 90° about Z', rotation: { x: 0, y: 0, z: 90 }, axes: ['y', 'x', 'z'] },
+            { label: 'Rotated 90° about X', rotation: { x: 90, y: 0, z: 0 }, axes: ['x', 'z', 'y'] },
+            { label: 'Rotated 90° about Y', rotation: { x: 0, y: 90, z: 0 }, axes: ['z', 'y', 'x'] },
+            { label: 'Rotated 90° about Y, then Z', rotation: { x: 0, y: 90, z: 90 }, axes: ['y', 'z', 'x'] },
+            { label: 'Rotated 90° about X, then Z', rotation: { x: 90, y: 0, z: 90 }, axes: ['z', 'x', 'y'] }
+        ];
         this.#debugMode = debugMode;
     }
 
@@ -31,18 +42,27 @@ class PrinterSelector {
      * @param {Object} dimensions - Model dimensions {x, y, z}
      * @param {string} projectType - Type of project (prototype, functional, decorative, etc.)
      * @param {Object} preferences - User preferences and constraints
+     * @param {string} preferences.orientation - 'as-modeled' (default) or 'minimal-height'
      * @returns {Object} Selected printer with reasoning
      */
     selectPrinter(material, dimensions = null, projectType = 'general', preferences = {}) {
         this.#validateInput(material, dimensions, projectType);
 
-        const compatiblePrinters = this.#filterCompatiblePrinters(material, dimensions);
+        const compatiblePrinters = this.#filterCompatiblePrinters(material, dimensions, preferences.orientation);
         
         if (compatiblePrinters.length === 0) {
+            const materialPrinters = this.#availablePrinters.filter(p => p.supportedMaterials.includes(material));
+            if (materialPrinters.length > 0 && this.#hasDimensions(dimensions)) {
+                throw new ValidationError(
+                    `No ${material} printer can fit a part measuring ${this.#formatDimensions(dimensions)} in any orientation. ` +
+                    'Choose a different material, scale the model down, or split it into smaller parts.',
+                    'file'
+                );
+            }
             throw new Error(`No compatible printers found for material: ${material}`);
         }
 
-        const scoredPrinters = this.#scorePrinters(compatiblePrinters, material, dimensions, projectType, preferences);
+        const scoredPrinters = this.#scorePrinters(compatiblePrinters, material, projectType, preferences);
         const selectedPrinter = this.#selectBestPrinter(scoredPrinters);
 
         if (this.#debugMode) {
@@ -55,16 +75,81 @@ class PrinterSelector {
 
         return {
             printer: selectedPrinter.printer,
+            orientation: selectedPrinter.orientation,
             reasoning: selectedPrinter.reasoning,
             score: selectedPrinter.score,
             alternatives: scoredPrinters.slice(1, 3).map(p => ({
                 name: p.printer.name,
+                orientation: p.orientation,
                 score: p.score,
                 reasoning: p.reasoning
             }))
         };
     }
 
+    /**
+     * Finds an orientation in which a part fits a printer's build volume
+     * @param {Object} printer - Printer configuration
+     * @param {Object} dimensions - Part bounding box size {x, y, z} in millimetres
+     * @param {string} orientationPreference - 'as-modeled' keeps the modeled orientation when it fits;
+     * 'minimal-height' picks the fitting orientation with the lowest Z
+     * @returns {Object|null} Orientation with rotation and oriented dimensions, or null if nothing fits
+     */
+    findFittingOrientation(printer, dimensions, orientationPreference = 'as-modeled') {
+        if (!this.#hasDimensions(dimensions)) {
+            return null;
+        }
+
+        const candidates = this.#orientations
+            .map(orientation => ({
+                label: orientation.label,
+                rotation: { ...orientation.rotation },
+                dimensions: {
+                    x: dimensions[orientation.axes[0]],
+                    y: dimensions[orientation.axes[1]],
+                    z: dimensions[orientation.axes[2]]
+                }
+            }))
+            .filter(candidate => (
+                candidate.dimensions.x <= printer.maxBuildVolume.x &&
+                candidate.dimensions.y <= printer.maxBuildVolume.y &&
+                candidate.dimensions.z <= printer.maxBuildVolume.z
+            ));
+
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        if (orientationPreference === 'minimal-height') {
+            // Stable sort keeps the modeled orientation first among equal heights
+            candidates.sort((a, b) => a.dimensions.z - b.dimensions.z);
+        }
+
+        return candidates[0];
+    }
+
+    /**
+     * Checks a part's bounding box against every printer's build volume
+     * @param {Object} dimensions - Part bounding box size {x, y, z} in millimetres
+     * @param {string} orientationPreference - 'as-modeled' or 'minimal-height'
+     * @returns {Array} Fit result for each printer
+     */
+    checkBuildVolumeFit(dimensions, orientationPreference = 'as-modeled') {
+        if (!this.#hasDimensions(dimensions)) {
+            throw new Error('Dimensions must include non-negative x, y and z values.');
+        }
+
+        return this.#availablePrinters.map(printer => {
+            const orientation = this.findFittingOrientation(printer, dimensions, orientationPreference);
+            return {
+                printerId: printer.id,
+                printerName: printer.name,
+                maxBuildVolume: { ...printer.maxBuildVolume },
+                fits: orientation !== null,
+                orientation
+            };
+        });
+    }
     /**
      * Validates input parameters
      * @private
@@ -91,39 +176,53 @@ class PrinterSelector {
      * @private
      * @param {string} material - Required material
      * @param {Object} dimensions - Model dimensions
-     * @returns {Array} Compatible printers
+     * @param {string} orientationPreference - 'as-modeled' or 'minimal-height'
+     * @returns {Array} Compatible printers paired with the orientation that fits them
      */
-    #filterCompatiblePrinters(material, dimensions) {
-        return this.#availablePrinters.filter(printer => {
-            // Check material compatibility
-            const materialSupported = printer.supportedMaterials.includes(material);
-            
-            // Check build volume if dimensions provided
-            let volumeCompatible = true;
-            if (dimensions && dimensions.x && dimensions.y && dimensions.z) {
-                volumeCompatible = (
-                    dimensions.x <= printer.maxBuildVolume.x &&
-                    dimensions.y <= printer.maxBuildVolume.y &&
-                    dimensions.z <= printer.maxBuildVolume.z
-                );
-            }
+    #filterCompatiblePrinters(material, dimensions, orientationPreference) {
+        return this.#availablePrinters
+            .filter(printer => printer.supportedMaterials.includes(material))
+            .map(printer => ({
+                printer,
+                // Without dimensions there is nothing to orient, so every printer is a candidate
+                orientation: this.#hasDimensions(dimensions)
+                    ? this.findFittingOrientation(printer, dimensions, orientationPreference)
+                    : null
+            }))
+            .filter(candidate => !this.#hasDimensions(dimensions) || candidate.orientation !== null);
+    }
 
-            return materialSupported && volumeCompatible;
-        });
+    /**
+     * Checks whether dimensions are present and usable
+     * @private
+     * @param {Object} dimensions - Model dimensions
+     * @returns {boolean} True if x, y and z are all non-negative numbers
+     */
+    #hasDimensions(dimensions) {
+        return !!dimensions && ['x', 'y', 'z'].every(axis => Number.isFinite(dimensions[axis]) && dimensions[axis] >= 0);
+    }
+
+    /**
+     * Formats dimensions for messages
+     * @private
+     * @param {Object} dimensions - Model dimensions
+     * @returns {string} Dimensions such as "120 × 80 × 40 mm"
+     */
+    #formatDimensions(dimensions) {
+        return `${['x', 'y', 'z'].map(axis => Math.round(dimensions[axis] * 10) / 10).join(' × ')} mm`;
     }
 
     /**
      * Scores printers based on multiple criteria
      * @private
-     * @param {Array} printers - Compatible printers
+     * @param {Array} printers - Compatible printers with their fitting orientation
      * @param {string} material - Required material
-     * @param {Object} dimensions - Model dimensions
      * @param {string} projectType - Project type
      * @param {Object} preferences - User preferences
      * @returns {Array} Scored printers
      */
-    #scorePrinters(printers, material, dimensions, projectType, preferences) {
-        return printers.map(printer => {
+    #scorePrinters(printers, material, projectType, preferences) {
+        return printers.map(({ printer, orientation }) => {
             let score = 0;
             const reasoning = [];
 
@@ -132,8 +231,8 @@ class PrinterSelector {
             score += materialScore * this.#selectionCriteria.materialCompatibility;
             reasoning.push(`Material compatibility: ${(materialScore * 100).toFixed(1)}%`);
 
-            // Build volume efficiency score
-            const volumeScore = this.#calculateVolumeScore(printer, dimensions);
+            // Build volume efficiency score, measured in the orientation the part will print in
+            const volumeScore = this.#calculateVolumeScore(printer, orientation?.dimensions);
             score += volumeScore * this.#selectionCriteria.buildVolume;
             reasoning.push(`Volume efficiency: ${(volumeScore * 100).toFixed(1)}%`);
 
@@ -147,8 +246,13 @@ class PrinterSelector {
             score += qualityScore * this.#selectionCriteria.quality;
             reasoning.push(`Quality rating: ${(qualityScore * 100).toFixed(1)}%`);
 
+            if (orientation && orientation.label !== 'As modeled') {
+                reasoning.push(`Fits when ${orientation.label.toLowerCase()}`);
+            }
+
             return {
                 printer,
+                orientation,
                 score: Math.round(score * 100) / 100,
                 reasoning: reasoning.join('; ')
             };
@@ -273,6 +377,26 @@ class PrinterSelector {
         return printer;
     }
 
+    /**
+     * Finds the printer a slicer targeted, from the printer model named in a G-code header
+     * @param {string} printerModel - Printer model as written by the slicer (e.g. 'MK4IS', 'Bambu Lab X1 Carbon')
+     * @returns {Object|null} Printer configuration, or null if the makerspace has no such printer
+     */
+    findPrinterByModel(printerModel) {
+        if (!printerModel || typeof printerModel !== 'string') {
+            return null;
+        }
+
+        // Slicers vary spacing, case and punctuation between versions
+        const normalize = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const model = normalize(printerModel);
+
+        return this.#availablePrinters.find(printer => (
+            normalize(printer.name) === model ||
+            (printer.gcodePrinterModels || []).some(alias => normalize(alias) === model)
+        )) || null;
+    }
+
     /**
      * Updates selection criteria weights
      * @param {Object} criteria - New criteria weights
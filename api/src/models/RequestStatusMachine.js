@@ -0,0 +1,155 @@
+const { ValidationError, ConflictError } = require('../middleware/errorHandler');
+
+/**
+ * @class RequestStatusMachine
+ * @description The lifecycle of a print request. A request is submitted, reviewed by staff,
+ * approved, queued, printed, post-processed and handed over:
+ *
+ *   submitted → needs_review → approved → queued → printing → post_processing → ready_for_pickup → picked_up
+ *
+ * Review can also reject it or send it back for changes, which the submitter answers by uploading
+ * a revision that is submitted again. It can fail while it is processed or printed (and be queued
+ * again), or be cancelled until printing starts. Every status change must go through this class.
+ */
+class RequestStatusMachine {
+    #transitions;
+    #labels;
+    #legacyStatuses;
+
+    /**
+     * Creates a new RequestStatusMachine instance
+     */
+    constructor() {
+        this.#transitions = {
+            submitted: ['needs_review', 'failed', 'cancelled'],
+            needs_review: ['approved', 'rejected', 'changes_requested', 'cancelled'],
+            changes_requested: ['submitted', 'cancelled'],
+            approved: ['queued', 'cancelled'],
+            queued: ['printing', 'cancelled'],
+            printing: ['post_processing', 'failed'],
+            post_processing: ['ready_for_pickup', 'failed'],
+            ready_for_pickup: ['picked_up'],
+            picked_up: [],
+            rejected: [],
+            failed: ['queued', 'cancelled'],
+            cancelled: []
+        };
+        this.#labels = {
+            submitted: 'Submitted',
+            needs_review: 'Needs Review',
+            changes_requested: 'Changes Requested',
+            approved: 'Approved',
+            queued: 'Queued',
+            printing: 'Printing',
+            post_processing: 'Post-Processing',
+            ready_for_pickup: 'Ready for Pickup',
+            picked_up: 'Picked Up',
+            rejected: 'Rejected',
+            failed: 'Failed',
+            cancelled: 'Cancelled'
+        };
+        // Free-text statuses written before the lifecycle existed
+        this.#legacyStatuses = {
+            pending: 'submitted',
+            in_progress: 'printing',
+            completed: 'picked_up'
+        };
+    }
+
+    /**
+     * Gets every status, in lifecycle order
+     * @returns {string[]} Status names
+     */
+    getStatuses() {
+        return Object.keys(this.#transitions);
+    }
+
+    /**
+     * Gets the status a new request starts in
+     * @returns {string} Initial status
+     */
+    getInitialStatus() {
+        return 'submitted';
+    }
+
+    /**
+     * Gets the display label of a status
+     * @param {string} status - Status name
+     * @returns {string} Label, e.g. 'Ready for Pickup'
+     */
+    getLabel(status) {
+        return this.#labels[this.normalize(status)] || status;
+    }
+
+    /**
+     * Maps a stored status, including legacy free-text values, to a lifecycle status
+     * @param {string} status - Stored status
+     * @returns {string} Lifecycle status, or the input lower-cased if it is unknown
+     */
+    normalize(status) {
+        const key = String(status || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+        return this.#legacyStatuses[key] || key;
+    }
+
+    /**
+     * Checks whether a status exists
+     * @param {string} status - Status name
+     * @returns {boolean} True if the status is part of the lifecycle
+     */
+    isStatus(status) {
+        return Object.prototype.hasOwnProperty.call(this.#transitions, status);
+    }
+
+    /**
+     * Checks whether a status ends the lifecycle
+     * @param {string} status - Status name
+     * @returns {boolean} True if no transition leaves the status
+     */
+    isTerminal(status) {
+        return this.isStatus(status) && this.#transitions[status].length === 0;
+    }
+
+    /**
+     * Gets the statuses a request can move to next
+     * @param {string} status - Current status (legacy values are normalized)
+     * @returns {string[]} Allowed next statuses
+     */
+    getAllowedTransitions(status) {
+        return [...(this.#transitions[this.normalize(status)] || [])];
+    }
+
+    /**
+     * Checks whether a request may move between two statuses
+     * @param {string} from - Current status (legacy values are normalized)
+     * @param {string} to - Requested status
+     * @returns {boolean} True if the transition is allowed
+     */
+    canTransition(from, to) {
+        return this.getAllowedTransitions(from).includes(to);
+    }
+
+    /**
+     * Ensures a transition is allowed
+     * @param {string} from - Current status (legacy values are normalized)
+     * @param {string} to - Requested status
+     * @throws {ValidationError} If the requested status does not exist
+     * @throws {ConflictError} If the request cannot move from its current status to the requested one
+     */
+    assertTransition(from, to) {
+        if (!this.isStatus(to)) {
+            throw new ValidationError(`Unknown status '${to}'. Use ${this.getStatuses().join(', ')}.`, 'status');
+        }
+
+        if (!this.canTransition(from, to)) {
+            const allowed = this.getAllowedTransitions(from);
+            const error = new ConflictError(
+                `Cannot change status from ${this.normalize(from)} to ${to}. ` +
+                (allowed.length > 0 ? `Allowed: ${allowed.join(', ')}.` : `${this.normalize(from)} is final.`)
+            );
+            error.allowedTransitions = allowed;
+            throw error;
+        }
+    }
+}
+
+module.exports = RequestStatusMachine;
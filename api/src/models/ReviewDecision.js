@@ -0,0 +1,107 @@
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Reasons staff can give for rejecting a request, by code
+const REJECTION_REASONS = {
+    not_printable: 'The model cannot be printed as submitted',
+    too_large: 'The model is too large for the makerspace printers',
+    unsupported_material: 'The requested material is not available',
+    policy_violation: 'The request violates makerspace policy',
+    duplicate: 'The request duplicates another request',
+    other: 'Other'
+};
+
+// Status each decision moves a reviewed request to
+const DECISION_STATUSES = {
+    approve: 'approved',
+    reject: 'rejected',
+    request_changes: 'changes_requested'
+};
+
+/**
+ * @class ReviewDecision
+ * @description A staff decision on a request waiting for review: approve it (locking its quote),
+ * reject it with a reason code, or send it back to the submitter with the changes to make.
+ */
+class ReviewDecision {
+    #decision;
+    #reasonCode;
+    #notes;
+    #reviewer;
+
+    /**
+     * Creates a new ReviewDecision instance
+     * @param {Object} review - Review data
+     * @param {string} review.decision - 'approve', 'reject' or 'request_changes'
+     * @param {string} review.reasonCode - Rejection reason code (required to reject)
+     * @param {string} review.notes - Notes for the submitter (required to request changes)
+     * @param {string} review.reviewer - Staff member making the decision
+     * @throws {ValidationError} If the decision is unknown or lacks its reason code or notes
+     */
+    constructor({ decision, reasonCode = null, notes = null, reviewer = 'staff' } = {}) {
+        if (!Object.prototype.hasOwnProperty.call(DECISION_STATUSES, decision)) {
+            throw new ValidationError(`Unknown decision '${decision}'. Use ${Object.keys(DECISION_STATUSES).join(', ')}.`, 'decision');
+        }
+        if (decision === 'reject' && !Object.prototype.hasOwnProperty.call(REJECTION_REASONS, reasonCode)) {
+            throw new ValidationError(`Rejecting needs a reason code: ${Object.keys(REJECTION_REASONS).join(', ')}.`, 'reasonCode');
+        }
+        if (decision === 'request_changes' && !(notes && notes.trim())) {
+            throw new ValidationError('Requesting changes needs notes describing them.', 'notes');
+        }
+
+        this.#decision = decision;
+        this.#reasonCode = decision === 'reject' ? reasonCode : null;
+        this.#notes = notes && notes.trim() ? notes.trim() : null;
+        this.#reviewer = reviewer;
+    }
+
+    /**
+     * Gets the rejection reasons staff can choose from
+     * @returns {Object[]} Reasons ({ code, label })
+     */
+    static getRejectionReasons() {
+        return Object.entries(REJECTION_REASONS).map(([code, label]) => ({ code, label }));
+    }
+
+    /**
+     * Gets the statuses review decisions move a request to; only a review may set them
+     * @returns {string[]} Status names
+     */
+    static getStatuses() {
+        return Object.values(DECISION_STATUSES);
+    }
+
+    // Getters
+    get decision() { return this.#decision; }
+    get reasonCode() { return this.#reasonCode; }
+    get notes() { return this.#notes; }
+    get reviewer() { return this.#reviewer; }
+    get status() { return DECISION_STATUSES[this.#decision]; }
+
+    /**
+     * Gets the reason recorded with the status change
+     * @returns {string|null} Rejection reason with any notes, or the notes alone
+     */
+    get reason() {
+        if (this.#decision !== 'reject') {
+            return this.#notes;
+        }
+        const label = REJECTION_REASONS[this.#reasonCode];
+        return this.#notes ? `${label}: ${this.#notes}` : label;
+    }
+
+    /**
+     * Converts the decision to a plain object
+     * @returns {Object} Plain object representation
+     */
+    toObject() {
+        return {
+            decision: this.#decision,
+            status: this.status,
+            reasonCode: this.#reasonCode,
+            notes: this.#notes,
+            reviewer: this.#reviewer
+        };
+    }
+}
+
+module.exports = ReviewDecision;
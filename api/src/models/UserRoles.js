@@ -0,0 +1,102 @@
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Roles a user can hold, by name. Every account starts as a student.
+const ROLES = {
+    student: 'Student',
+    staff: 'Staff',
+    faculty_approver: 'Faculty Approver',
+    admin: 'Admin'
+};
+
+/**
+ * @class UserRoles
+ * @description The roles of one user. Students submit and revise their own requests; staff run
+ * the makerspace (review queue, request lifecycle, equipment); faculty approvers review requests;
+ * admins can do everything, including granting roles.
+ */
+class UserRoles {
+    #roles;
+
+    /**
+     * Creates a new UserRoles instance
+     * @param {string[]} roles - Role names
+     * @throws {ValidationError} If no role is given or a role is unknown
+     */
+    constructor(roles) {
+        if (!Array.isArray(roles) || roles.length === 0) {
+            throw new ValidationError('At least one role is required.', 'roles');
+        }
+
+        const unknown = roles.filter(role => !Object.prototype.hasOwnProperty.call(ROLES, role));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown role '${unknown[0]}'. Use ${Object.keys(ROLES).join(', ')}.`, 'roles');
+        }
+
+        // Keep the order of ROLES so stored values compare equal
+        this.#roles = Object.keys(ROLES).filter(role => roles.includes(role));
+    }
+
+    /**
+     * Gets the roles of a new account
+     * @returns {UserRoles} Student role
+     */
+    static default() {
+        return new UserRoles(['student']);
+    }
+
+    /**
+     * Gets every role with its label
+     * @returns {Object[]} Roles ({ role, label })
+     */
+    static getRoles() {
+        return Object.entries(ROLES).map(([role, label]) => ({ role, label }));
+    }
+
+    /**
+     * Reads the roles stored for a user, falling back to the admin and staff flags of accounts
+     * created before roles existed
+     * @param {string[]|null} roles - Stored roles
+     * @param {Object} legacy - Legacy flags
+     * @param {boolean} legacy.isAdmin - users.is_admin
+     * @param {boolean} legacy.isStaff - users.is_staff
+     * @returns {UserRoles} Roles
+     */
+    static fromStored(roles, { isAdmin = false, isStaff = false } = {}) {
+        const known = Array.isArray(roles) ? roles.filter(role => Object.prototype.hasOwnProperty.call(ROLES, role)) : [];
+        if (known.length > 0) {
+            return new UserRoles(known);
+        }
+        if (isAdmin) {
+            return new UserRoles(['admin']);
+        }
+        return new UserRoles([isStaff ? 'staff' : 'student']);
+    }
+
+    /**
+     * Checks whether the user holds a role; admins hold every role
+     * @param {string} role - Role name
+     * @returns {boolean} True if the user has the role
+     */
+    has(role) {
+        return this.#roles.includes(role) || this.#roles.includes('admin');
+    }
+
+    /**
+     * Checks whether the user holds any of several roles
+     * @param {string[]} roles - Role names
+     * @returns {boolean} True if the user has at least one of them
+     */
+    hasAny(roles) {
+        return roles.some(role => this.has(role));
+    }
+
+    /**
+     * Converts the roles to an array
+     * @returns {string[]} Role names
+     */
+    toArray() {
+        return [...this.#roles];
+    }
+}
+
+module.exports = UserRoles;
@@ -0,0 +1,105 @@
+const snowflakeClient = require('../database/snowflakeClient');
+const { randomUUID } = require('crypto');
+const { NotFoundError, ConflictError } = require('../middleware/errorHandler');
+
+class ApiKeyRepository {
+  constructor() {
+    this.client = snowflakeClient;
+  }
+
+  async createKey({ keyId, prefix, hash, name, ownerId, scopes, rateLimit, expiresAt }, actor) {
+    const owners = await this.client.execute('SELECT user_id FROM users WHERE user_id = ?', [ownerId]);
+    if (owners.length === 0) {
+      throw new NotFoundError(`User ${ownerId} not found.`);
+    }
+
+    // PARSE_JSON is not allowed in a VALUES list, so insert from a SELECT
+    await this.client.execute(`
+      INSERT INTO api_keys (
+        key_id, key_prefix, key_hash, name, owner_user_id, scopes,
+        rate_limit_per_minute, expires_at, created_by, created_at
+      )
+      SELECT ?, ?, ?, ?, ?, PARSE_JSON(?), ?, ?, ?, CURRENT_TIMESTAMP
+    `, [keyId, prefix, hash, name, ownerId, JSON.stringify(scopes), rateLimit, expiresAt || null, actor]);
+
+    await this.logAction('api_key_created', keyId, null, { name, ownerId, scopes, rateLimit, expiresAt: expiresAt || null }, actor);
+    return this.getKey(keyId);
+  }
+
+  async getKey(keyId) {
+    const rows = await this.client.execute(`${this.selectKeys()} WHERE k.key_id = ?`, [keyId]);
+    if (rows.length === 0) {
+      throw new NotFoundError(`API key ${keyId} not found.`);
+    }
+    return this.mapRowToKey(rows[0]);
+  }
+
+  async findByHash(hash) {
+    const rows = await this.client.execute(`${this.selectKeys()} WHERE k.key_hash = ?`, [hash]);
+    return rows.length > 0 ? this.mapRowToKey(rows[0]) : null;
+  }
+
+  async listKeys() {
+    const rows = await this.client.execute(`${this.selectKeys()} ORDER BY k.created_at DESC`);
+    return rows.map(row => this.mapRowToKey(row));
+  }
+
+  async revokeKey(keyId, actor) {
+    const key = await this.getKey(keyId);
+    if (key.revokedAt) {
+      throw new ConflictError(`API key ${keyId} is already revoked.`);
+    }
+
+    await this.client.execute(
+      'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP, revoked_by = ? WHERE key_id = ?',
+      [actor, keyId]
+    );
+    await this.logAction('api_key_revoked', keyId, { revokedAt: null }, { revokedBy: actor }, actor);
+    return this.getKey(keyId);
+  }
+
+  async touchLastUsed(keyId) {
+    await this.client.execute('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE key_id = ?', [keyId]);
+  }
+
+  async logAction(action, keyId, oldValues, newValues, actor) {
+    await this.client.execute(`
+      INSERT INTO audit_logs (log_id, user_id, action, table_name, record_id, old_values, new_values)
+      SELECT ?, ?, ?, 'api_keys', ?, PARSE_JSON(?), PARSE_JSON(?)
+    `, [randomUUID(), actor, action, keyId, JSON.stringify(oldValues), JSON.stringify(newValues)]);
+  }
+
+  // The hash never leaves the database layer
+  selectKeys() {
+    return `
+      SELECT k.key_id, k.key_prefix, k.name, k.owner_user_id, k.scopes, k.rate_limit_per_minute,
+             k.created_by, k.created_at, k.last_used_at, k.expires_at, k.revoked_at, k.revoked_by,
+             u.email AS owner_email, u.display_name AS owner_name
+      FROM api_keys k
+      LEFT JOIN users u ON k.owner_user_id = u.user_id
+    `;
+  }
+
+  mapRowToKey(row) {
+    return {
+      keyId: row.KEY_ID,
+      prefix: row.KEY_PREFIX,
+      name: row.NAME,
+      owner: {
+        userId: row.OWNER_USER_ID,
+        email: row.OWNER_EMAIL || null,
+        name: row.OWNER_NAME || null
+      },
+      scopes: typeof row.SCOPES === 'string' ? JSON.parse(row.SCOPES) : (row.SCOPES || []),
+      rateLimit: row.RATE_LIMIT_PER_MINUTE,
+      createdBy: row.CREATED_BY,
+      createdAt: row.CREATED_AT,
+      lastUsedAt: row.LAST_USED_AT || null,
+      expiresAt: row.EXPIRES_AT || null,
+      revokedAt: row.REVOKED_AT || null,
+      revokedBy: row.REVOKED_BY || null
+    };
+  }
+}
+
+module.exports = ApiKeyRepository;
@@ -1,13 +1,16 @@
 const snowflakeClient = require('../database/snowflakeClient');
-const { v4: uuidv4 } = require('uuid');
+const { randomUUID } = require('crypto');
+const RequestStatusMachine = require('../models/RequestStatusMachine');
+const { NotFoundError, ConflictError } = require('../middleware/errorHandler');
 
 class PrintRequestRepository {
   constructor() {
     this.client = snowflakeClient;
+    this.statusMachine = new RequestStatusMachine();
   }
 
   async createRequest(requestData) {
-    const requestId = uuidv4();
+    const requestId = randomUUID();
     const now = new Date().toISOString();
     
     const sql = `
@@ -29,7 +32,7 @@ class PrintRequestRepository {
       requestData.file_type,
       requestData.po_or_professor || null,
       requestData.details || null,
-      'pending',
+      this.statusMachine.getInitialStatus(),
       'api-service',
       'api-service'
     ];
@@ -68,40 +71,222 @@ class PrintRequestRepository {
     return rows.map(row => this.mapRowToRequest(row));
   }
 
-  async updateRequestStatus(requestId, status, resultData = null, errorMessage = null) {
+  async logSubmission(requestId, actor) {
+    const status = this.statusMachine.getInitialStatus();
+    await this.logEvent(requestId, 'status_changed', {
+      from_status: null,
+      to_status: status
+    }, 'Request submitted', actor);
+  }
+
+  // Moves a request along its lifecycle; illegal transitions throw before anything is written
+  async updateRequestStatus(requestId, status, { actor = 'api-service', reason = null, resultData, errorMessage } = {}) {
+    const rows = await this.client.execute(`
+      SELECT status, quote_locked_at, user_id
+      FROM print_requests
+      WHERE request_id = ?
+    `, [requestId]);
+    if (rows.length === 0) {
+      throw new NotFoundError(`Print request ${requestId} not found.`);
+    }
+
+    const storedStatus = rows[0].STATUS;
+    const previousStatus = this.statusMachine.normalize(storedStatus);
+    this.statusMachine.assertTransition(previousStatus, status);
+    // Only printed once approved, which locks the quote
+    if (status === 'queued' && !rows[0].QUOTE_LOCKED_AT) {
+      throw new ConflictError(`Print request ${requestId} cannot be queued until its quote is locked by approving it.`);
+    }
+
+    // Keep result data and errors unless new ones are given
     const sql = `
       UPDATE print_requests 
       SET status = ?, 
-          result_data = ?, 
-          error_message = ?, 
+          result_data = COALESCE(?, result_data), 
+          error_message = COALESCE(?, error_message), 
           updated_at = CURRENT_TIMESTAMP(),
           updated_by = ?
-      WHERE request_id = ?
+      WHERE request_id = ? AND status = ?
     `;
 
     const binds = [
       status,
       resultData ? JSON.stringify(resultData) : null,
-      errorMessage,
-      'api-service',
-      requestId
+      errorMessage || null,
+      actor,
+      requestId,
+      storedStatus
     ];
 
-    await this.client.execute(sql, binds);
+    const result = await this.client.execute(sql, binds);
+    if (result?.[0]?.['number of rows updated'] === 0) {
+      throw new ConflictError(`Print request ${requestId} changed status while it was being updated.`);
+    }
 
     // Log the status change
     await this.logEvent(requestId, 'status_changed', {
-      new_status: status,
+      from_status: previousStatus,
+      to_status: status,
       has_result_data: !!resultData,
       has_error: !!errorMessage
-    });
+    }, reason, actor);
+
+    return {
+      requestId,
+      previousStatus,
+      status,
+      actor,
+      reason,
+      userId: rows[0].USER_ID || null,
+      allowedTransitions: this.statusMachine.getAllowedTransitions(status)
+    };
+  }
+
+  async getRequestStatus(requestId) {
+    const rows = await this.client.execute(
+      'SELECT status FROM print_requests WHERE request_id = ?',
+      [requestId]
+    );
+    return rows.length > 0 ? this.statusMachine.normalize(rows[0].STATUS) : null;
+  }
+
+  async getStatusHistory(requestId) {
+    const logs = await this.getRequestLogs(requestId);
+    return logs
+      .filter(log => log.eventType === 'status_changed')
+      .map(log => ({
+        from: log.eventData?.from_status ?? null,
+        to: log.eventData?.to_status ?? log.eventData?.new_status,
+        actor: log.actor,
+        reason: log.note,
+        changedAt: log.loggedAt
+      }));
+  }
+
+  async getReviewQueue(limit = 100) {
+    const rows = await this.client.execute(`
+      SELECT pr.request_id, pr.project_name, pr.description, pr.material, pr.color,
+             pr.quantity, pr.urgency, pr.file_name, pr.file_hash, pr.mesh_health,
+             pr.estimated_cost, pr.estimated_print_time, pr.revision,
+             pr.created_at, pr.updated_at,
+             u.display_name AS user_name, u.email AS user_email
+      FROM print_requests pr
+      LEFT JOIN users u ON pr.user_id = u.user_id
+      WHERE pr.status = 'needs_review'
+      ORDER BY pr.updated_at ASC
+      LIMIT ?
+    `, [limit]);
+
+    // Oldest first, so requests are reviewed in the order they became ready
+    return rows.map(row => ({
+      requestId: row.REQUEST_ID,
+      projectName: row.PROJECT_NAME,
+      description: row.DESCRIPTION,
+      user: { name: row.USER_NAME, email: row.USER_EMAIL },
+      material: row.MATERIAL,
+      color: row.COLOR,
+      quantity: row.QUANTITY,
+      urgency: row.URGENCY,
+      fileName: row.FILE_NAME,
+      fileHash: row.FILE_HASH,
+      meshHealth: this.parseVariant(row.MESH_HEALTH),
+      estimatedCost: row.ESTIMATED_COST,
+      estimatedPrintTime: row.ESTIMATED_PRINT_TIME,
+      revision: row.REVISION || 1,
+      submittedAt: row.CREATED_AT,
+      waitingSince: row.UPDATED_AT
+    }));
+  }
+
+  async getSubmission(requestId) {
+    const rows = await this.client.execute(`
+      SELECT pr.request_id, pr.project_name, pr.description, pr.material, pr.color,
+             pr.quantity, pr.urgency, pr.special_instructions, pr.status, pr.revision,
+             pr.review_notes, pr.user_id, u.display_name AS user_name, u.email AS user_email
+      FROM print_requests pr
+      LEFT JOIN users u ON pr.user_id = u.user_id
+      WHERE pr.request_id = ?
+    `, [requestId]);
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const row = rows[0];
+    return {
+      requestId: row.REQUEST_ID,
+      projectName: row.PROJECT_NAME,
+      description: row.DESCRIPTION,
+      material: row.MATERIAL,
+      color: row.COLOR,
+      quantity: row.QUANTITY,
+      urgency: row.URGENCY,
+      specialInstructions: row.SPECIAL_INSTRUCTIONS,
+      status: this.statusMachine.normalize(row.STATUS),
+      revision: row.REVISION || 1,
+      reviewNotes: row.REVIEW_NOTES,
+      userId: row.USER_ID,
+      userName: row.USER_NAME,
+      userEmail: row.USER_EMAIL
+    };
+  }
+
+  async recordReview(requestId, review) {
+    await this.client.execute(`
+      UPDATE print_requests
+      SET review_decision = ?,
+          review_reason_code = ?,
+          review_notes = ?,
+          reviewed_by = ?,
+          reviewed_at = CURRENT_TIMESTAMP()
+      WHERE request_id = ?
+    `, [review.decision, review.reasonCode, review.notes, review.reviewer, requestId]);
+
+    await this.logEvent(requestId, 'reviewed', {
+      decision: review.decision,
+      reason_code: review.reasonCode
+    }, review.notes, review.reviewer);
+  }
+
+  // Users whose requests hold a stored file as their upload, a revision or their thumbnail
+  async getFileOwnerIds(hash, url) {
+    const rows = await this.client.execute(`
+      SELECT pr.user_id
+      FROM print_requests pr
+      WHERE pr.file_hash = ? OR pr.fallback_image_url = ?
+      UNION
+      SELECT pr.user_id
+      FROM print_request_revisions r
+      JOIN print_requests pr ON r.request_id = pr.request_id
+      WHERE r.file_hash = ?
+    `, [hash, url, hash]);
+    return rows.map(row => row.USER_ID);
+  }
+
+  // Freezes the quoted cost; later requotes cannot change what the submitter was approved for
+  async lockQuote(requestId, actor) {
+    await this.client.execute(`
+      UPDATE print_requests
+      SET approved_cost = estimated_cost,
+          quote_locked_at = CURRENT_TIMESTAMP(),
+          quote_locked_by = ?
+      WHERE request_id = ? AND quote_locked_at IS NULL
+    `, [actor, requestId]);
+
+    const rows = await this.client.execute(
+      'SELECT approved_cost, quote_locked_at, quote_locked_by FROM print_requests WHERE request_id = ?',
+      [requestId]
+    );
+    return {
+      cost: rows[0]?.APPROVED_COST ?? null,
+      lockedAt: rows[0]?.QUOTE_LOCKED_AT ?? null,
+      lockedBy: rows[0]?.QUOTE_LOCKED_BY ?? null
+    };
   }
 
   async updateRequestWithAIResult(requestId, aiResult) {
     const sql = `
       UPDATE print_requests 
-      SET status = ?,
-          result_data = ?,
+      SET result_data = ?,
           ai_confidence = ?,
           estimated_cost = ?,
           estimated_time = ?,
@@ -113,7 +298,6 @@ class PrintRequestRepository {
     `;
 
     const binds = [
-      'completed',
       JSON.stringify(aiResult),
       aiResult.confidence || null,
       aiResult.estimatedCost || null,
@@ -132,19 +316,30 @@ class PrintRequestRepository {
       recommended_material: aiResult.recommendedMaterial,
       estimated_cost: aiResult.estimatedCost
     });
+
+    // An analyzed request waits for staff review
+    return this.updateRequestStatus(requestId, 'needs_review', {
+      actor: 'ai-service',
+      reason: 'Automated analysis completed'
+    });
   }
 
+  // breakdown is a VARIANT, and PARSE_JSON is not allowed in a VALUES list, so insert from a SELECT
   async createPricingSnapshot(requestId, pricingData) {
+    const snapshotId = randomUUID();
     const sql = `
       INSERT INTO pricing_snapshots (
-        request_id, price_amount, price_currency, breakdown,
+        snapshot_id, request_id, revision, price_amount, price_currency, breakdown,
         material_cost, labor_cost, overhead_cost,
         complexity_factor, size_factor, created_by
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      )
+      SELECT ?, ?, ?, ?, ?, PARSE_JSON(?), ?, ?, ?, ?, ?, ?
     `;
 
     const binds = [
+      snapshotId,
       requestId,
+      pricingData.revision || null,
       pricingData.priceAmount,
       pricingData.currency || 'USD',
       JSON.stringify(pricingData.breakdown),
@@ -157,9 +352,94 @@ class PrintRequestRepository {
     ];
 
     await this.client.execute(sql, binds);
+    return snapshotId;
   }
 
-  async logEvent(requestId, eventType, eventData = null, note = null) {
+  // Keeps the file, analysis, settings and price of one revision; later revisions never overwrite it.
+  // PARSE_JSON is not allowed in a VALUES list, so insert from a SELECT
+  async createRevision(requestId, revisionData) {
+    const sql = `
+      INSERT INTO print_request_revisions (
+        request_id, revision, file_name, file_size, file_type, file_hash, file_url,
+        model_url, fallback_image_url, measurements, mesh_health, analysis,
+        material, printer_id, print_settings, job_plan, estimated_cost,
+        estimated_print_time, snapshot_id, notes, created_by
+      )
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, PARSE_JSON(?), PARSE_JSON(?), PARSE_JSON(?),
+             ?, ?, PARSE_JSON(?), PARSE_JSON(?), ?, ?, ?, ?, ?
+    `;
+
+    const binds = [
+      requestId,
+      revisionData.revision,
+      revisionData.fileName,
+      revisionData.fileSize,
+      revisionData.fileType,
+      revisionData.fileHash,
+      revisionData.fileUrl,
+      revisionData.modelUrl,
+      revisionData.fallbackImageUrl,
+      revisionData.measurements ? JSON.stringify(revisionData.measurements) : null,
+      revisionData.meshHealth ? JSON.stringify(revisionData.meshHealth) : null,
+      revisionData.analysis ? JSON.stringify(revisionData.analysis) : null,
+      revisionData.material,
+      revisionData.printerId,
+      revisionData.printSettings ? JSON.stringify(revisionData.printSettings) : null,
+      revisionData.jobPlan ? JSON.stringify(revisionData.jobPlan) : null,
+      revisionData.estimatedCost,
+      revisionData.estimatedPrintTime,
+      revisionData.snapshotId || null,
+      revisionData.notes || null,
+      revisionData.createdBy
+    ];
+
+    await this.client.execute(sql, binds);
+  }
+
+  async getRevisions(requestId) {
+    const rows = await this.client.execute(`
+      SELECT r.*, ps.price_amount, ps.price_currency, ps.breakdown
+      FROM print_request_revisions r
+      LEFT JOIN pricing_snapshots ps ON r.snapshot_id = ps.snapshot_id
+      WHERE r.request_id = ?
+      ORDER BY r.revision ASC
+    `, [requestId]);
+
+    return rows.map(row => ({
+      revision: row.REVISION,
+      createdAt: row.CREATED_AT,
+      createdBy: row.CREATED_BY,
+      notes: row.NOTES,
+      file: {
+        name: row.FILE_NAME,
+        size: row.FILE_SIZE,
+        type: row.FILE_TYPE,
+        hash: row.FILE_HASH,
+        url: row.FILE_URL,
+        modelUrl: row.MODEL_URL,
+        fallbackImage: row.FALLBACK_IMAGE_URL
+      },
+      measurements: this.parseVariant(row.MEASUREMENTS),
+      meshHealth: this.parseVariant(row.MESH_HEALTH),
+      analysis: this.parseVariant(row.ANALYSIS),
+      material: row.MATERIAL,
+      printer: {
+        id: row.PRINTER_ID,
+        settings: this.parseVariant(row.PRINT_SETTINGS)
+      },
+      jobPlan: this.parseVariant(row.JOB_PLAN),
+      cost: row.ESTIMATED_COST,
+      printTime: row.ESTIMATED_PRINT_TIME,
+      pricing: row.SNAPSHOT_ID ? {
+        snapshotId: row.SNAPSHOT_ID,
+        amount: row.PRICE_AMOUNT,
+        currency: row.PRICE_CURRENCY,
+        breakdown: this.parseVariant(row.BREAKDOWN)
+      } : null
+    }));
+  }
+
+  async logEvent(requestId, eventType, eventData = null, note = null, actor = 'api-service') {
     const sql = `
       INSERT INTO print_request_logs (
         request_id, event_type, event_data, note, created_by
@@ -171,7 +451,7 @@ class PrintRequestRepository {
       eventType,
       eventData ? JSON.stringify(eventData) : null,
       note,
-      'api-service'
+      actor
     ];
 
     await this.client.execute(sql, binds);
@@ -190,11 +470,20 @@ class PrintRequestRepository {
       requestId: row.REQUEST_ID,
       loggedAt: row.LOGGED_AT,
       eventType: row.EVENT_TYPE,
-      eventData: row.EVENT_DATA ? JSON.parse(row.EVENT_DATA) : null,
-      note: row.NOTE
+      eventData: this.parseVariant(row.EVENT_DATA),
+      note: row.NOTE,
+      actor: row.CREATED_BY
     }));
   }
 
+  // VARIANT columns come back as objects, or as JSON strings when they were bound as text
+  parseVariant(value) {
+    if (!value) {
+      return null;
+    }
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
   mapRowToRequest(row) {
     return {
       requestId: row.REQUEST_ID,
@@ -207,7 +496,7 @@ class PrintRequestRepository {
       fileType: row.FILE_TYPE,
       poOrProfessor: row.PO_OR_PROFESSOR,
       details: row.DETAILS,
-      status: row.STATUS,
+      status: this.statusMachine.normalize(row.STATUS),
       resultData: row.RESULT_DATA ? JSON.parse(row.RESULT_DATA) : null,
       errorMessage: row.ERROR_MESSAGE,
       aiConfidence: row.AI_CONFIDENCE,
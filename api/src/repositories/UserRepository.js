@@ -0,0 +1,108 @@
+const snowflakeClient = require('../database/snowflakeClient');
+const { randomUUID } = require('crypto');
+const UserRoles = require('../models/UserRoles');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+class UserRepository {
+  constructor() {
+    this.client = snowflakeClient;
+  }
+
+  // Makes sure a verified Firebase user has a users row keyed by their UID. A row created for the
+  // same email before sign-in was verified is re-keyed, together with its requests and roles, but
+  // only when Firebase has verified the email: anyone can sign up with an address they do not own.
+  async linkUser({ uid, email, emailVerified, name }) {
+    const adoptByEmail = emailVerified === true && Boolean(email);
+    const rows = adoptByEmail
+      ? await this.client.execute('SELECT user_id FROM users WHERE user_id = ? OR email = ?', [uid, email])
+      : await this.client.execute('SELECT user_id FROM users WHERE user_id = ?', [uid]);
+
+    if (rows.some(row => row.USER_ID === uid)) {
+      await this.client.execute('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE user_id = ?', [uid]);
+      return uid;
+    }
+
+    if (rows.length > 0) {
+      const legacyId = rows[0].USER_ID;
+      await this.client.execute('UPDATE print_requests SET user_id = ? WHERE user_id = ?', [uid, legacyId]);
+      await this.client.execute(
+        'UPDATE users SET user_id = ?, last_login = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?',
+        [uid, legacyId]
+      );
+      return uid;
+    }
+
+    // PARSE_JSON is not allowed in a VALUES list, so insert from a SELECT
+    await this.client.execute(`
+      INSERT INTO users (user_id, email, display_name, roles, status, created_at, last_login)
+      SELECT ?, ?, ?, PARSE_JSON(?), 'active', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+    `, [uid, email, name || email, JSON.stringify(UserRoles.default().toArray())]);
+    return uid;
+  }
+
+  // Users without a row yet are students
+  async getRoles(userId) {
+    const rows = await this.client.execute(
+      'SELECT roles, is_admin, is_staff FROM users WHERE user_id = ?',
+      [userId]
+    );
+    return rows.length > 0 ? this.mapRoles(rows[0]) : UserRoles.default();
+  }
+
+  async setRoles(userId, roles, actor) {
+    const rows = await this.client.execute(
+      'SELECT roles, is_admin, is_staff FROM users WHERE user_id = ?',
+      [userId]
+    );
+    if (rows.length === 0) {
+      throw new NotFoundError(`User ${userId} not found.`);
+    }
+    const previous = this.mapRoles(rows[0]);
+
+    // Keep the legacy flags in step for views and reports that still read them
+    await this.client.execute(`
+      UPDATE users
+      SET roles = PARSE_JSON(?), is_admin = ?, is_staff = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ?
+    `, [JSON.stringify(roles.toArray()), roles.toArray().includes('admin'), roles.toArray().includes('staff'), userId]);
+
+    await this.client.execute(`
+      INSERT INTO audit_logs (log_id, user_id, action, table_name, record_id, old_values, new_values)
+      SELECT ?, ?, 'roles_changed', 'users', ?, PARSE_JSON(?), PARSE_JSON(?)
+    `, [
+      randomUUID(),
+      actor,
+      userId,
+      JSON.stringify({ roles: previous.toArray() }),
+      JSON.stringify({ roles: roles.toArray() })
+    ]);
+
+    return { userId, previousRoles: previous.toArray(), roles: roles.toArray() };
+  }
+
+  async listUsers(limit = 200) {
+    const rows = await this.client.execute(`
+      SELECT user_id, email, display_name, roles, is_admin, is_staff, status, created_at, last_login
+      FROM users
+      ORDER BY created_at DESC
+      LIMIT ?
+    `, [limit]);
+
+    return rows.map(row => ({
+      userId: row.USER_ID,
+      email: row.EMAIL,
+      name: row.DISPLAY_NAME,
+      roles: this.mapRoles(row).toArray(),
+      status: row.STATUS,
+      createdAt: row.CREATED_AT,
+      lastLogin: row.LAST_LOGIN
+    }));
+  }
+
+  mapRoles(row) {
+    const roles = typeof row.ROLES === 'string' ? JSON.parse(row.ROLES) : row.ROLES;
+    return UserRoles.fromStored(roles, { isAdmin: Boolean(row.IS_ADMIN), isStaff: Boolean(row.IS_STAFF) });
+  }
+}
+
+module.exports = UserRepository;
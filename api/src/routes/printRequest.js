@@ -1,11 +1,30 @@
 const express = require('express');
 const multer = require('multer');
 const PrintRequestController = require('../controllers/PrintRequestController');
-const { validatePrintRequest, validateQueryParams, sanitizeInput } = require('../middleware/validation');
-const { asyncHandler } = require('../middleware/errorHandler');
+const {
+    validateBody,
+    validateQuery,
+    sanitizeInput,
+    printRequestSchema,
+    querySchema,
+    slicerProfileSchema,
+    analysisReplaySchema,
+    equipmentStatusSchema,
+    statusChangeSchema,
+    reviewSchema,
+    revisionSchema,
+    userRolesSchema,
+    apiKeySchema,
+    eventSubscriptionSchema
+} = require('../middleware/validation');
+const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const FileStorageService = require('../services/FileStorageService');
+const RequestStatusMachine = require('../models/RequestStatusMachine');
 const { requestLogger } = require('../middleware/errorHandler');
+const { authenticate, authorize, acceptApiKey, hasApiKeyScope, getApiKeyService } = require('../middleware/auth');
 
 const router = express.Router();
+const statusMachine = new RequestStatusMachine();
 
 // Configure multer for file uploads
 const upload = multer({
@@ -14,60 +33,228 @@ const upload = multer({
         fileSize: 50 * 1024 * 1024 // 50MB limit
     },
     fileFilter: (req, file, cb) => {
-        const allowedTypes = ['.stl', '.obj', '.3mf'];
+        const allowedTypes = ['.stl', '.obj', '.3mf', '.gcode'];
         const fileExtension = file.originalname.toLowerCase().substring(file.originalname.lastIndexOf('.'));
         if (allowedTypes.includes(fileExtension)) {
             cb(null, true);
         } else {
-            cb(new Error('Invalid file type. Only .stl, .obj, and .3mf files are allowed.'));
+            cb(new Error('Invalid file type. Only .stl, .obj, .3mf and .gcode files are allowed.'));
         }
     }
 });
 
 // Initialize controller with configuration
 const controller = new PrintRequestController({
+    analysisProvider: process.env.ANALYSIS_PROVIDER,
     geminiApiKey: process.env.GEMINI_API_KEY,
     geminiApiUrl: process.env.GEMINI_API_URL,
+    openai: {
+        baseUrl: process.env.OPENAI_BASE_URL,
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL
+    },
+    analysisCache: {
+        maxEntries: process.env.ANALYSIS_CACHE_SIZE ? parseInt(process.env.ANALYSIS_CACHE_SIZE, 10) : undefined,
+        ttlSeconds: process.env.ANALYSIS_CACHE_TTL ? parseFloat(process.env.ANALYSIS_CACHE_TTL) : undefined,
+        maxDiskEntries: process.env.ANALYSIS_CACHE_DISK_SIZE ? parseInt(process.env.ANALYSIS_CACHE_DISK_SIZE, 10) : undefined,
+        directory: process.env.ANALYSIS_CACHE_DIR
+    },
+    promptVersion: process.env.PROMPT_VERSION,
+    events: {
+        historySize: process.env.EVENT_HISTORY_SIZE ? parseInt(process.env.EVENT_HISTORY_SIZE, 10) : undefined,
+        tokenTtlSeconds: process.env.EVENT_TOKEN_TTL ? parseFloat(process.env.EVENT_TOKEN_TTL) : undefined
+    },
+    jobs: {
+        backend: process.env.JOB_QUEUE_BACKEND,
+        concurrency: process.env.JOB_CONCURRENCY ? parseInt(process.env.JOB_CONCURRENCY, 10) : undefined,
+        maxPending: process.env.JOB_MAX_PENDING ? parseInt(process.env.JOB_MAX_PENDING, 10) : undefined,
+        retentionSeconds: process.env.JOB_RETENTION ? parseFloat(process.env.JOB_RETENTION) : undefined
+    },
+    overhangAngle: process.env.OVERHANG_ANGLE ? parseFloat(process.env.OVERHANG_ANGLE) : undefined,
+    thumbnailSize: process.env.THUMBNAIL_SIZE ? parseInt(process.env.THUMBNAIL_SIZE, 10) : undefined,
+    storage: {
+        backend: process.env.FILE_STORAGE_BACKEND || 'local',
+        directory: process.env.FILE_STORAGE_DIR,
+        s3: {
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION,
+            endpoint: process.env.S3_ENDPOINT,
+            prefix: process.env.S3_PREFIX,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+    },
     debugMode: process.env.DEBUG === 'true'
 });
 
+/**
+ * Takes the submitter's email and name from the verified ID token, when one was sent, instead of
+ * the form fields
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const useVerifiedIdentity = (req, res, next) => {
+    if (req.user && req.user.email) {
+        req.body.userEmail = req.user.email;
+        req.body.userName = req.user.name || req.body.userName || req.user.email;
+    }
+    next();
+};
+
+/**
+ * Gets the user a request acts for: the ID token's user, or the owner of the API key
+ * @param {Object} req - Express request object
+ * @returns {Object|null} User ({ uid, email, name })
+ */
+const getVerifiedUser = (req) => (req.user && req.user.uid ? req.user : null);
+
+/**
+ * Gets who is making a staff change, for the audit trail: the signed-in user's email, or the API
+ * key's owner and name, e.g. 'staff@rutgers.edu (API key "Queue dashboard")'
+ * @param {Object} req - Express request object
+ * @returns {string} Actor
+ */
+const getActor = (req) => {
+    const { email, apiKey } = req.user;
+    if (!apiKey) {
+        return email;
+    }
+    const key = `API key "${apiKey.name}"`;
+    return email ? `${email} (${key})` : key;
+};
+
 /**
  * @route POST /api/print-request
- * @description Process a 3D printing request with AI analysis
- * @access Public (with validation)
+ * @description Queue a 3D printing request for AI analysis and quoting.
+ * Responds 202 with the request ID; poll the status URL for progress and the finished quote.
+ * Responds 503 with Retry-After when JOB_MAX_PENDING requests are already waiting.
+ * The request belongs to the user of the Firebase ID token (Authorization: Bearer).
+ * @access Student, staff or faculty approver, or an API key with write:print-requests
  */
 router.post('/print-request', 
     requestLogger,
+    // Check the caller before reading the upload into memory
+    authorize('student', 'staff', 'faculty_approver', { scope: 'write:print-requests' }),
     upload.single('file'),
+    // After multer, which replaces req.body with the form fields
+    useVerifiedIdentity,
     sanitizeInput,
-    validatePrintRequest,
-    validateQueryParams,
+    validateBody(printRequestSchema),
+    validateQuery(querySchema),
+    asyncHandler(async (req, res) => {
+        // Combine form data and file data
+        const requestData = {
+            ...req.body,
+            file: req.file,
+            user: getVerifiedUser(req)
+        };
+        const job = await controller.submitPrintRequest(requestData);
+        res.status(202)
+            .location(job.statusUrl)
+            .json({
+                status: 'success',
+                data: job,
+                timestamp: new Date().toISOString()
+            });
+    })
+);
+
+/**
+ * Answers a refused status change with 409, the reason and the statuses allowed next.
+ * Other errors are rethrown for the error handler.
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown while changing a request's status
+ */
+const sendStatusConflict = (res, error) => {
+    if (error.name !== 'ConflictError') {
+        throw error;
+    }
+    res.status(409).json({
+        status: 'error',
+        message: error.message,
+        code: 409,
+        allowedTransitions: error.allowedTransitions || [],
+        timestamp: new Date().toISOString()
+    });
+};
+
+/**
+ * @route POST /api/print-request/:id/revision
+ * @description Upload a revised file for a request staff sent back for changes. The revision
+ * keeps the request's ID and project details and is quoted again in the background, then
+ * returns to the review queue. Responds 202 like POST /api/print-request. The request stays
+ * waiting for changes until the revision is saved, so a revision whose job fails can be uploaded
+ * again; while one is processed, another upload gets 409.
+ * @body {File} file - Revised model or print file
+ * @body {string} notes - What changed (optional)
+ * @access Student, staff or faculty approver (submitter only), or the submitter's API key with write:print-requests
+ */
+router.post('/print-request/:id/revision',
+    requestLogger,
+    // Check the caller before reading the upload into memory
+    authorize('student', 'staff', 'faculty_approver', { scope: 'write:print-requests' }),
+    upload.single('file'),
+    // After multer, which replaces req.body with the form fields
+    useVerifiedIdentity,
+    sanitizeInput,
+    validateBody(revisionSchema),
     asyncHandler(async (req, res) => {
         try {
-            // Combine form data and file data
-            const requestData = {
+            const job = await controller.submitRevision(req.params.id, {
                 ...req.body,
-                file: req.file
-            };
-            const result = await controller.processPrintRequest(requestData);
-            res.status(200).json(result);
+                file: req.file,
+                user: getVerifiedUser(req)
+            });
+            res.status(202)
+                .location(job.statusUrl)
+                .json({
+                    status: 'success',
+                    data: job,
+                    timestamp: new Date().toISOString()
+                });
         } catch (error) {
-            // Error will be handled by errorHandler middleware
-            throw error;
+            sendStatusConflict(res, error);
         }
     })
 );
 
+/**
+ * @route GET /api/print-request/:id/status
+ * @description Get the processing progress of a submitted request: the overall status
+ * (queued, running, completed or failed), each step (analysis, material, printer, settings,
+ * pricing, persistence), and the quote once completed or the error once failed.
+ * Responds 404 once the job has been finished for JOB_RETENTION seconds; the stored request
+ * stays available from GET /api/print-request/:id.
+ * @access The submitter, staff or faculty approver, or an API key with read:print-requests
+ */
+router.get('/print-request/:id/status',
+    requestLogger,
+    authorize({ scope: 'read:print-requests' }),
+    asyncHandler(async (req, res) => {
+        await controller.assertCanReadRequest(req.params.id, req.user);
+        const job = await controller.getPrintRequestStatus(req.params.id);
+        res.status(200).json({
+            status: 'success',
+            data: job,
+            timestamp: new Date().toISOString()
+        });
+    })
+);
+
 /**
  * @route GET /api/print-request/:id
- * @description Get detailed print request information
- * @access Public
+ * @description Get detailed print request information, with the history of its revisions
+ * @access The submitter, staff or faculty approver, or an API key with read:print-requests
  */
 router.get('/print-request/:id',
     requestLogger,
+    authorize({ scope: 'read:print-requests' }),
     asyncHandler(async (req, res) => {
         try {
             const requestId = req.params.id;
+            await controller.assertCanReadRequest(requestId, req.user);
             const result = await controller.getPrintRequestDetails(requestId);
             res.status(200).json(result);
         } catch (error) {
@@ -76,6 +263,412 @@ router.get('/print-request/:id',
     })
 );
 
+/**
+ * Sends an exported slicer profile as a file download
+ * @param {Object} res - Express response object
+ * @param {Object} profile - Result of SlicerProfileExporter.exportProfile
+ */
+const sendSlicerProfile = (res, profile) => {
+    res.set({
+        'Content-Type': profile.contentType,
+        'Content-Length': profile.content.length,
+        'Content-Disposition': `attachment; filename="${profile.fileName}"`,
+        'X-Slicer-Format': profile.format
+    });
+    res.status(200).send(profile.content);
+};
+
+/**
+ * @route GET /api/print-request/:id/slicer-profile
+ * @description Download the saved print settings of a request as a slicer profile
+ * @query {string} format - prusaslicer, cura, bambu, or auto to follow the printer's manufacturer (default)
+ * @access The submitter, staff or faculty approver, or an API key with read:print-requests
+ */
+router.get('/print-request/:id/slicer-profile',
+    requestLogger,
+    authorize({ scope: 'read:print-requests' }),
+    asyncHandler(async (req, res) => {
+        await controller.assertCanReadRequest(req.params.id, req.user);
+        const profile = await controller.exportRequestSlicerProfile(req.params.id, req.query.format || 'auto');
+        sendSlicerProfile(res, profile);
+    })
+);
+
+/**
+ * @route POST /api/slicer-profile
+ * @description Export print settings for a printer and material as a slicer profile.
+ * Pass `settings` (e.g. recommendations.printSettings from a quote) to export them as-is;
+ * otherwise settings are optimized for the printer, material and project type.
+ * @access Public
+ */
+router.post('/slicer-profile',
+    requestLogger,
+    sanitizeInput,
+    validateBody(slicerProfileSchema),
+    asyncHandler(async (req, res) => {
+        sendSlicerProfile(res, controller.createSlicerProfile(req.body));
+    })
+);
+
+/**
+ * @route POST /api/admin/analysis-replay
+ * @description Replay stored requests through the analysis provider with another prompt template version
+ * and diff the recommendations against the stored ones
+ * @body {string[]} requestIds - Up to 20 request IDs
+ * @body {string} promptVersion - Prompt template version, e.g. v2
+ * @access Admin, or an API key with admin:*
+ */
+router.post('/admin/analysis-replay',
+    requestLogger,
+    authorize('admin'),
+    sanitizeInput,
+    validateBody(analysisReplaySchema),
+    asyncHandler(async (req, res) => {
+        const replay = await controller.replayAnalyses(req.body.requestIds, req.body.promptVersion);
+        res.status(200).json({
+            status: 'success',
+            data: replay,
+            timestamp: new Date().toISOString()
+        });
+    })
+);
+
+/**
+ * @route GET /api/admin/review-queue
+ * @description Get the requests waiting for staff review, oldest first, with their quotes,
+ * and the rejection reason codes staff can choose from
+ * @access Staff or faculty approver, or an API key with read:print-requests
+ */
+router.get('/admin/review-queue',
+    requestLogger,
+    authorize('staff', 'faculty_approver', { scope: 'read:print-requests' }),
+    asyncHandler(async (req, res) => {
+        const queue = await controller.getReviewQueue();
+        res.status(200).json({
+            status: 'success',
+            data: queue,
+            timestamp: new Date().toISOString()
+        });
+    })
+);
+
+/**
+ * @route POST /api/admin/print-request/:id/review
+ * @description Decide on a request waiting for review: approve it (locking its quoted cost),
+ * reject it with a reason code, or send it back to the submitter with the changes to make.
+ * The reviewer is recorded as the signed-in user, or the API key's owner and name.
+ * @body {string} decision - approve, reject or request_changes
+ * @body {string} reasonCode - Rejection reason code (required to reject, see GET /api/admin/review-queue)
+ * @body {string} notes - Notes for the submitter (required to request changes)
+ * @access Staff or faculty approver, or an API key with review:print-requests
+ */
+router.post('/admin/print-request/:id/review',
+    requestLogger,
+    authorize('staff', 'faculty_approver', { scope: 'review:print-requests' }),
+    sanitizeInput,
+    validateBody(reviewSchema),
+    asyncHandler(async (req, res) => {
+        try {
+            const review = await controller.reviewPrintRequest(req.params.id, {
+                ...req.body,
+                reviewer: getActor(req)
+            });
+            res.status(200).json({
+                status: 'success',
+                data: review,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            sendStatusConflict(res, error);
+        }
+    })
+);
+
+/**
+ * @route PATCH /api/admin/print-request/:id/status
+ * @description Move a request to its next lifecycle status (submitted, needs_review, approved,
+ * queued, printing, post_processing, ready_for_pickup, picked_up, rejected, failed, cancelled).
+ * Transitions the lifecycle does not allow are refused with 409 and the statuses allowed next.
+ * approved, rejected and changes_requested are only set by POST /api/admin/print-request/:id/review,
+ * and a request is only queued once approving it has locked its quote; both are refused with 409.
+ * The change is recorded in the request's status history, with the signed-in user or the API key's
+ * owner and name as the actor, and announced on the event stream.
+ * @body {string} status - Requested status
+ * @body {string} reason - Reason for the change (optional)
+ * @access Staff, or an API key with write:request-status
+ */
+router.patch('/admin/print-request/:id/status',
+    requestLogger,
+    authorize('staff', { scope: 'write:request-status' }),
+    sanitizeInput,
+    validateBody(statusChangeSchema),
+    asyncHandler(async (req, res) => {
+        try {
+            const change = await controller.updateRequestStatus(req.params.id, req.body.status, {
+                actor: getActor(req),
+                reason: req.body.reason || null
+            });
+            res.status(200).json({
+                status: 'success',
+                data: change,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            sendStatusConflict(res, error);
+        }
+    })
+);
+
+/**
+ * @route GET /api/admin/print-request/:id/status-history
+ * @description Get a request's current status, the statuses allowed next, and every status
+ * change with who made it, why and when
+ * @access Staff or faculty approver, or an API key with read:print-requests
+ */
+router.get('/admin/print-request/:id/status-history',
+    requestLogger,
+    authorize('staff', 'faculty_approver', { scope: 'read:print-requests' }),
+    asyncHandler(async (req, res) => {
+        const history = await controller.getStatusHistory(req.params.id);
+        res.status(200).json({
+            status: 'success',
+            data: history,
+            timestamp: new Date().toISOString()
+        });
+    })
+);
+
+/**
+ * @route PUT /api/admin/equipment/:id/status
+ * @description Set the status of a piece of equipment and announce it on the event stream
+ * @body {string} status - operational, maintenance or out_of_order
+ * @body {string} notes - Reason for the change (optional)
+ * @access Staff, or an API key with write:equipment
+ */
+router.put('/admin/equipment/:id/status',
+    requestLogger,
+    authorize('staff', { scope: 'write:equipment' }),
+    sanitizeInput,
+    validateBody(equipmentStatusSchema),
+    asyncHandler(async (req, res) => {
+        const change = await controller.updateEquipmentStatus(req.params.id, req.body.status, req.body.notes);
+        res.status(200).json({
+            status: 'success',
+            data: change,
+            timestamp: new Date().toISOString()
+        });
+    })
+);
+
+/**
+ * @route GET /api/admin/users
+ * @description Get the users and their roles, newest first, and the roles that can be granted
+ * @access Admin, or an API key with admin:*
+ */
+router.get('/admin/users',
+    requestLogger,
+    authorize('admin'),
+    asyncHandler(async (req, res) => {
+        const users = await controller.getUsers();
+        res.status(200).json({
+            status: 'success',
+            data: users,
+            timestamp: new Date().toISOString()
+        });
+    })
+);
+
+/**
+ * @route PUT /api/admin/users/:id/roles
+ * @description Replace the roles of a user (student, staff, faculty_approver, admin). The change
+ * is recorded in the audit log with the admin who made it.
+ * @body {string[]} roles - New roles
+ * @access Admin, or an API key with admin:*
+ */
+router.put('/admin/users/:id/roles',
+    requestLogger,
+    authorize('admin'),
+    sanitizeInput,
+    validateBody(userRolesSchema),
+    asyncHandler(async (req, res) => {
+        const change = await controller.updateUserRoles(req.params.id, req.body.roles, getActor(req));
+        res.status(200).json({
+            status: 'success',
+            data: change,
+            timestamp: new Date().toISOString()
+        });
+    })
+);
+
+/**
+ * @route GET /api/admin/api-keys
+ * @description Get every API key with its owner, scopes, rate limit and when it was last used.
+ * Keys themselves are never returned; only their first characters identify them.
+ * @access Admin, or an API key with admin:*
+ */
+router.get('/admin/api-keys',
+    requestLogger,
+    authorize('admin'),
+    asyncHandler(async (req, res) => {
+        const keys = await getApiKeyService().list();
+        res.status(200).json({
+            status: 'success',
+            data: { keys, count: keys.length },
+            timestamp: new Date().toISOString()
+        });
+    })
+);
+
+/**
+ * @route POST /api/admin/api-keys
+ * @description Issue an API key for an integration. The response holds the key; it is stored
+ * hashed and cannot be shown again.
+ * @body {string} name - What the key is for
+ * @body {string} ownerId - User ID of the person responsible for the key
+ * @body {string[]} scopes - Scopes (read:printers, read:print-requests, write:print-requests, review:print-requests, write:equipment, admin:*)
+ * @body {number} rateLimit - Requests per minute (optional, default API_KEY_RATE_LIMIT)
+ * @body {string} expiresAt - ISO date after which the key stops working (optional)
+ * @access Admin, or an API key with admin:*
+ */
+router.post('/admin/api-keys',
+    requestLogger,
+    authorize('admin'),
+    sanitizeInput,
+    validateBody(apiKeySchema),
+    asyncHandler(async (req, res) => {
+        const key = await getApiKeyService().create(req.body, getActor(req));
+        res.status(201).json({
+            status: 'success',
+            data: key,
+            timestamp: new Date().toISOString()
+        });
+    })
+);
+
+/**
+ * @route DELETE /api/admin/api-keys/:id
+ * @description Revoke an API key
+ * @access Admin, or an API key with admin:*
+ */
+router.delete('/admin/api-keys/:id',
+    requestLogger,
+    authorize('admin'),
+    asyncHandler(async (req, res) => {
+        const key = await getApiKeyService().revoke(req.params.id, getActor(req));
+        res.status(200).json({
+            status: 'success',
+            data: key,
+            timestamp: new Date().toISOString()
+        });
+    })
+);
+
+/**
+ * @route POST /api/events/token
+ * @description Issue a short-lived token for the event stream. Browsers' EventSource cannot send
+ * an Authorization header, so clients exchange their ID token here and pass the stream token as
+ * `token` to GET /api/events. Staff and faculty approvers get every event; other users get the
+ * events about their own requests, matched on the email of their ID token.
+ * @access Signed-in users, or an API key with read:print-requests
+ */
+router.post('/events/token',
+    requestLogger,
+    authorize({ scope: 'read:print-requests' }),
+    asyncHandler(async (req, res) => {
+        res.status(201).json({
+            status: 'success',
+            data: controller.createEventStreamToken(req.user),
+            timestamp: new Date().toISOString()
+        });
+    })
+);
+
+/**
+ * @route GET /api/events
+ * @description Server-Sent Events stream of print request submissions, processing progress,
+ * lifecycle status changes and equipment status changes. With a `token` from POST /api/events/token,
+ * staff receive every event and other users also receive events about their own requests;
+ * server-side clients of staff may instead send an API key with read:print-requests in X-API-Key.
+ * Anyone else receives equipment events only. Send Last-Event-ID (or `lastEventId` when opening
+ * a new stream) to replay missed events.
+ * @query {string} token - Event stream token (optional)
+ * @query {number} lastEventId - Last event received, for clients that cannot set Last-Event-ID (optional)
+ * @access Public
+ */
+router.get('/events',
+    requestLogger,
+    validateQuery(eventSubscriptionSchema),
+    asyncHandler(async (req, res) => {
+        const subscriber = req.query.token
+            ? controller.getEventSubscriber(req.query.token)
+            : { staff: await hasApiKeyScope(req.get('X-API-Key'), 'read:print-requests', ['staff', 'faculty_approver']), userId: null };
+        const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            // Stop reverse proxies from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        const unsubscribe = controller.subscribeToEvents(subscriber, (event) => {
+            res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`);
+        }, Number.isNaN(lastEventId) ? null : lastEventId);
+
+        // Comments keep idle connections open through proxies that drop silent ones
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+        heartbeat.unref();
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    })
+);
+
+/**
+ * @route GET /api/files/:hash
+ * @description Download a stored model file by its SHA-256 hash
+ * @access The submitter of a request holding the file, staff or faculty approver, or an API key with read:print-requests
+ */
+router.get('/files/:hash',
+    requestLogger,
+    authorize({ scope: 'read:print-requests' }),
+    asyncHandler(async (req, res) => {
+        const hash = req.params.hash.toLowerCase();
+        if (!FileStorageService.isValidHash(hash)) {
+            throw new ValidationError('File hash must be a 64-character SHA-256 hex digest.', 'hash');
+        }
+        await controller.assertCanReadFile(hash, req.user);
+
+        const etag = `"${hash}"`;
+        if (req.get('If-None-Match') === etag) {
+            return res.status(304).end();
+        }
+
+        const file = await controller.getStoredFile(hash);
+        if (!file) {
+            throw new NotFoundError(`File ${hash} not found.`);
+        }
+
+        res.set({
+            'Content-Type': file.contentType,
+            'Content-Length': file.size,
+            // Content-addressed files never change, but only their owners and staff may read them
+            'Cache-Control': 'private, max-age=31536000, immutable',
+            ETag: etag
+        });
+        if (file.originalName) {
+            // Header values must be printable ASCII
+            res.set('Content-Disposition', `inline; filename="${file.originalName.replace(/[^\x20-\x7e]|["\\]/g, '_')}"`);
+        }
+        res.status(200).send(file.buffer);
+    })
+);
+
 /**
  * @route GET /api/health
  * @description Health check endpoint
@@ -118,6 +711,10 @@ router.get('/health',
             healthStatus.overallHealth = false;
         }
 
+        healthStatus.analysisCache = controller.getAnalysisCacheStats();
+        healthStatus.jobQueue = controller.getJobQueueStats();
+        healthStatus.events = controller.getEventStats();
+
         const statusCode = healthStatus.overallHealth ? 200 : 503;
         res.status(statusCode).json(healthStatus);
     })
@@ -126,11 +723,12 @@ router.get('/health',
 /**
  * @route GET /api/materials
  * @description Get available materials and their properties
- * @access Public
+ * @access Public (an API key, if sent, needs read:printers)
  */
 router.get('/materials',
     requestLogger,
-    validateQueryParams,
+    acceptApiKey('read:printers'),
+    validateQuery(querySchema),
     asyncHandler(async (req, res) => {
         try {
             const MaterialAdvisor = require('../models/MaterialAdvisor');
@@ -158,11 +756,12 @@ router.get('/materials',
 /**
  * @route GET /api/printers
  * @description Get available printers and their capabilities
- * @access Public
+ * @access Public (an API key, if sent, needs read:printers)
  */
 router.get('/printers',
     requestLogger,
-    validateQueryParams,
+    acceptApiKey('read:printers'),
+    validateQuery(querySchema),
     asyncHandler(async (req, res) => {
         try {
             const PrinterSelector = require('../models/PrinterSelector');
@@ -187,11 +786,12 @@ router.get('/printers',
 /**
  * @route GET /api/pricing
  * @description Get pricing information for materials
- * @access Public
+ * @access Public (an API key, if sent, needs read:printers)
  */
 router.get('/pricing',
     requestLogger,
-    validateQueryParams,
+    acceptApiKey('read:printers'),
+    validateQuery(querySchema),
     asyncHandler(async (req, res) => {
         try {
             const PricingEngine = require('../services/PricingEngine');
@@ -252,13 +852,47 @@ router.post('/estimate-cost',
     })
 );
 
+/**
+ * @route GET /api/user/me
+ * @description Get the signed-in user and their roles. Signing in for the first time creates
+ * the user as a student.
+ * @access Protected (requires a Firebase ID token)
+ */
+router.get('/user/me',
+    requestLogger,
+    authorize(),
+    asyncHandler(async (req, res) => {
+        const user = getVerifiedUser(req);
+        if (user) {
+            try {
+                await controller.linkUser(user);
+            } catch (error) {
+                // Roles were already read, so the user can carry on as they are
+                console.error('Error recording user:', error);
+            }
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                uid: req.user.uid,
+                email: req.user.email,
+                name: req.user.name,
+                roles: req.user.roles
+            },
+            timestamp: new Date().toISOString()
+        });
+    })
+);
+
 /**
  * @route GET /api/user/print-requests
- * @description Get user's print request history from Snowflake
- * @access Protected (requires authentication)
+ * @description Get the signed-in user's print request history from Snowflake
+ * @access Protected (requires a Firebase ID token)
  */
 router.get('/user/print-requests',
     requestLogger,
+    authenticate,
     asyncHandler(async (req, res) => {
         try {
             const snowflakeClient = require('../database/snowflakeClient');
@@ -267,7 +901,8 @@ router.get('/user/print-requests',
             await snowflakeClient.execute('USE DATABASE RUTGERS_MAKERSPACE');
             await snowflakeClient.execute('USE SCHEMA MAKERSPACE');
 
-            // Get all print requests (in a real app, you'd filter by user)
+            // Only the verified user's requests, including any sent with their email before sign-in was verified
+            const userId = await controller.linkUser(req.user);
             const requests = await snowflakeClient.execute(`
                 SELECT 
                     request_id as id,
@@ -281,17 +916,20 @@ router.get('/user/print-requests',
                     user_id,
                     is_public,
                     fallback_image_url as fallbackImage,
-                    model_url as modelUrl
+                    model_url as modelUrl,
+                    revision,
+                    review_notes
                 FROM print_requests 
+                WHERE user_id = ?
                 ORDER BY created_at DESC
-            `);
+            `, [userId]);
 
             // Transform data for frontend
             const printRequests = requests.map(req => ({
                 id: req.ID,
                 title: req.TITLE,
                 description: req.DESCRIPTION,
-                status: req.STATUS,
+                status: statusMachine.normalize(req.STATUS),
                 date: req.DATE?.toISOString().split('T')[0] || '2024-01-01',
                 material: req.MATERIAL,
                 color: req.COLOR,
@@ -299,7 +937,10 @@ router.get('/user/print-requests',
                 userId: req.USER_ID,
                 isPublic: req.IS_PUBLIC || false,
                 fallbackImage: req.FALLBACKIMAGE,
-                modelUrl: req.MODELURL
+                modelUrl: req.MODELURL,
+                revision: req.REVISION || 1,
+                // Staff notes are only shown while the submitter is asked for changes
+                reviewNotes: statusMachine.normalize(req.STATUS) === 'changes_requested' ? req.REVIEW_NOTES : null
             }));
 
             res.status(200).json({
@@ -318,7 +959,7 @@ router.get('/user/print-requests',
                     id: 1,
                     title: "Custom Phone Case",
                     description: "3D printed phone case for iPhone 15",
-                    status: "Completed",
+                    status: "picked_up",
                     date: "2024-01-15",
                     material: "PLA",
                     color: "Red",
@@ -447,12 +1088,19 @@ router.get('/config',
                     version: '1.0.0',
                     description: 'Smart 3D printing API with Gemini AI integration',
                     endpoints: [
-                        'POST /api/print-request - Process 3D printing request',
+                        'POST /api/print-request - Queue 3D printing request',
+                        'GET /api/print-request/:id - Get request details and revision history',
+                        'GET /api/print-request/:id/status - Get request processing progress',
+                        'POST /api/events/token - Get a short-lived token for the event stream',
+                        'GET /api/events - Live request and equipment updates (Server-Sent Events)',
                         'GET /api/materials - Get available materials',
                         'GET /api/printers - Get available printers',
                         'GET /api/pricing - Get pricing information',
                         'POST /api/estimate-cost - Get cost estimate',
-                        'GET /api/user/print-requests - Get user print history',
+                        'POST /api/slicer-profile - Export print settings as a slicer profile',
+                        'GET /api/print-request/:id/slicer-profile - Export a request\'s print settings as a slicer profile',
+                        'GET /api/user/me - Get the signed-in user and their roles (Firebase ID token)',
+                        'GET /api/user/print-requests - Get the signed-in user\'s print history (Firebase ID token)',
                         'GET /api/community/print-requests - Get community requests',
                         'GET /api/health - Health check',
                         'GET /api/config - This configuration'
@@ -471,7 +1119,7 @@ router.get('/config',
                     'PLA', 'PETG', 'ABS', 'TPU', 'ASA', 'PC', 'PA', 
                     'Standard Resin', 'Tough Resin'
                 ],
-                supportedFileTypes: ['STL', 'OBJ'],
+                supportedFileTypes: ['STL', 'OBJ', '3MF', 'GCODE', 'GCODE.3MF'],
                 maxFileSize: '50MB',
                 maxRenderImages: 5
             };
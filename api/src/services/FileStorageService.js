@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const path = require('path');
+const LocalFileStore = require('./storage/LocalFileStore');
+const S3FileStore = require('./storage/S3FileStore');
+
+/**
+ * @class FileStorageService
+ * @description Keeps uploaded model files so staff and the model viewer can fetch exactly what was quoted.
+ * Files are content-addressed by SHA-256: the same upload is stored once, and a hash always
+ * refers to the same bytes.
+ */
+class FileStorageService {
+    #store;
+    #publicPath;
+    #contentTypes;
+    #debugMode;
+
+    /**
+     * Creates a new FileStorageService instance
+     * @param {Object} config - Storage configuration
+     * @param {string} config.backend - 'local' (default) or 's3'
+     * @param {string} config.directory - Directory for the local backend
+     * @param {Object} config.s3 - Options for the S3 backend (see S3FileStore)
+     * @param {string} config.publicPath - URL path files are served from
+     * @param {boolean} debugMode - Enable debug logging
+     */
+    constructor(config = {}, debugMode = false) {
+        this.#store = this.#createStore(config);
+        this.#publicPath = (config.publicPath || '/api/files').replace(/\/+$/, '');
+        this.#contentTypes = {
+            stl: 'model/stl',
+            obj: 'model/obj',
+            '3mf': 'model/3mf',
+            gcode: 'text/x.gcode',
+            png: 'image/png',
+            jpg: 'image/jpeg',
+            jpeg: 'image/jpeg'
+        };
+        this.#debugMode = debugMode;
+    }
+
+    /**
+     * Stores an uploaded file, skipping the write if identical content is already stored
+     * @param {Object} file - Multer file object ({ originalname, buffer })
+     * @returns {Promise<Object>} Hash, size, content type, URL and whether the file was already stored
+     */
+    async store(file) {
+        if (!file || !Buffer.isBuffer(file.buffer)) {
+            throw new Error('File contents must be provided.');
+        }
+
+        return this.storeBuffer(file.buffer, {
+            originalName: file.originalname,
+            contentType: this.getContentType(file.originalname)
+        });
+    }
+
+    /**
+     * Stores raw bytes, skipping the write if identical content is already stored
+     * @param {Buffer} buffer - File contents
+     * @param {Object} metadata - Metadata
+     * @param {string} metadata.originalName - Name to offer when the file is downloaded
+     * @param {string} metadata.contentType - MIME type to serve the file with
+     * @returns {Promise<Object>} Hash, size, content type, URL and whether the file was already stored
+     */
+    async storeBuffer(buffer, metadata = {}) {
+        const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+        const deduplicated = await this.#store.has(hash);
+
+        if (!deduplicated) {
+            await this.#store.put(hash, buffer, {
+                contentType: metadata.contentType || 'application/octet-stream',
+                originalName: metadata.originalName,
+                size: buffer.length,
+                storedAt: new Date().toISOString()
+            });
+        }
+
+        if (this.#debugMode) {
+            console.log(`${deduplicated ? 'Reused' : 'Stored'} file ${hash} (${buffer.length} bytes)`);
+        }
+
+        return {
+            hash,
+            size: buffer.length,
+            contentType: metadata.contentType || 'application/octet-stream',
+            url: this.getUrl(hash),
+            deduplicated
+        };
+    }
+
+    /**
+     * Fetches a stored file
+     * @param {string} hash - SHA-256 hash of the file
+     * @returns {Promise<Object|null>} File contents and metadata, or null if not stored
+     */
+    async retrieve(hash) {
+        if (!FileStorageService.isValidHash(hash)) {
+            return null;
+        }
+
+        const stored = await this.#store.get(hash.toLowerCase());
+        if (!stored) {
+            return null;
+        }
+
+        return {
+            buffer: stored.buffer,
+            contentType: stored.metadata.contentType || 'application/octet-stream',
+            originalName: stored.metadata.originalName || null,
+            size: stored.buffer.length
+        };
+    }
+
+    /**
+     * Gets the URL a stored file is served from
+     * @param {string} hash - SHA-256 hash of the file
+     * @returns {string} Public URL path
+     */
+    getUrl(hash) {
+        return `${this.#publicPath}/${hash}`;
+    }
+
+    /**
+     * Gets the MIME type for a file name
+     * @param {string} fileName - File name
+     * @returns {string} MIME type
+     */
+    getContentType(fileName) {
+        const extension = path.extname(fileName || '').substring(1).toLowerCase();
+        return this.#contentTypes[extension] || 'application/octet-stream';
+    }
+
+    /**
+     * Gets the active storage backend name
+     * @returns {string} 'local' or 's3'
+     */
+    getBackendName() {
+        return this.#store.getBackendName();
+    }
+
+    /**
+     * Checks whether a string is a SHA-256 hex digest
+     * @param {string} hash - Candidate hash
+     * @returns {boolean} True if valid
+     */
+    static isValidHash(hash) {
+        return typeof hash === 'string' && /^[a-f0-9]{64}$/i.test(hash);
+    }
+
+    /**
+     * Creates the configured storage backend
+     * @private
+     * @param {Object} config - Storage configuration
+     * @returns {Object} Storage backend
+     */
+    #createStore(config) {
+        const backend = config.backend || 'local';
+
+        if (backend === 'local') {
+            return new LocalFileStore({
+                directory: config.directory || path.join(process.cwd(), 'storage', 'files')
+            });
+        }
+
+        if (backend === 's3') {
+            return new S3FileStore(config.s3 || {});
+        }
+
+        throw new Error(`Unknown file storage backend '${backend}'.`);
+    }
+}
+
+module.exports = FileStorageService;
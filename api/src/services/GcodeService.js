@@ -0,0 +1,304 @@
+const GcodeHeaderParser = require('./gcode/GcodeHeaderParser');
+const ToolpathAnalyzer = require('./gcode/ToolpathAnalyzer');
+const ZipArchive = require('./geometry/ZipArchive');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * @class GcodeService
+ * @description Reads print files that submitters sliced themselves: plain `.gcode` and Bambu Studio `.gcode.3mf` packages.
+ * The slicer's own filament and time figures are used for the quote, and the toolpath is measured
+ * so a file sliced for a larger printer is caught before it reaches the queue.
+ */
+class GcodeService {
+    #headerParser;
+    #toolpathAnalyzer;
+    #platePattern;
+    #debugMode;
+
+    /**
+     * Creates a new GcodeService instance
+     * @param {boolean} debugMode - Enable debug logging
+     */
+    constructor(debugMode = false) {
+        this.#headerParser = new GcodeHeaderParser();
+        this.#toolpathAnalyzer = new ToolpathAnalyzer();
+        this.#platePattern = /^Metadata\/plate_(\d+)\.gcode$/;
+        this.#debugMode = debugMode;
+    }
+
+    /**
+     * Checks whether an uploaded file is a sliced print file rather than a model
+     * @param {Object} file - Multer file object ({ originalname, buffer })
+     * @returns {boolean} True for G-code and 3MF packages that contain plate G-code
+     */
+    isPrintFile(file) {
+        if (!file || typeof file.originalname !== 'string') {
+            return false;
+        }
+
+        const name = file.originalname.toLowerCase();
+        if (name.endsWith('.gcode')) {
+            return true;
+        }
+
+        if (!name.endsWith('.3mf') || !Buffer.isBuffer(file.buffer)) {
+            return false;
+        }
+
+        try {
+            return this.#plateEntries(new ZipArchive(file.buffer)).length > 0;
+        } catch (error) {
+            // Unreadable packages are reported by the model parser
+            return false;
+        }
+    }
+
+    /**
+     * Reads the slicer metadata and toolpath of a print file
+     * @param {Object} file - Multer file object ({ originalname, buffer })
+     * @returns {Promise<Object>} Slicer, target printer, filament use, estimated time, settings, toolpath bounds and any embedded thumbnail
+     * @throws {ValidationError} If the file cannot be read or contains no extrusion
+     */
+    async analyzeFile(file) {
+        if (!file || !Buffer.isBuffer(file.buffer) || file.buffer.length === 0) {
+            throw new ValidationError(`${file && file.originalname ? file.originalname : 'Print file'} is empty.`, 'file');
+        }
+
+        const isPackage = file.originalname.toLowerCase().endsWith('.3mf');
+        const analysis = isPackage
+            ? await this.#analyzePackage(file)
+            : { format: 'gcode', ...this.#analyzeGcode(file.buffer, file.originalname), plates: 1 };
+
+        if (this.#debugMode) {
+            console.log(`G-code analysis for ${file.originalname}:`, {
+                slicer: analysis.slicer,
+                printerModel: analysis.printerModel,
+                filamentGrams: analysis.filament.grams,
+                estimatedSeconds: analysis.estimatedSeconds,
+                size: analysis.toolpath.bounds.size
+            });
+        }
+
+        return analysis;
+    }
+
+    /**
+     * Checks the measured toolpath against a printer's build volume. G-code positions are absolute,
+     * so the toolpath must lie between the bed origin and the far corner of the build volume, not
+     * just be small enough.
+     * @param {Object} analysis - Result of analyzeFile
+     * @param {Object} printer - Printer configuration
+     * @returns {Object} Whether the toolpath fits, its size and bounds, and how far it reaches past the bed on each axis
+     */
+    checkBuildVolume(analysis, printer) {
+        const { min, max, size } = analysis.toolpath.bounds;
+        const overflow = {};
+        for (const axis of ['x', 'y', 'z']) {
+            // Beds in printers.json start at the origin
+            const below = Math.max(0, -min[axis]);
+            const above = Math.max(0, max[axis] - printer.maxBuildVolume[axis]);
+            overflow[axis] = Math.round((below + above) * 1000) / 1000;
+        }
+
+        return {
+            printerId: printer.id,
+            printerName: printer.name,
+            fits: overflow.x === 0 && overflow.y === 0 && overflow.z === 0,
+            size: { ...size },
+            min: { ...min },
+            max: { ...max },
+            maxBuildVolume: { ...printer.maxBuildVolume },
+            overflow
+        };
+    }
+
+    /**
+     * Gets the print file formats that can be read
+     * @returns {string[]} Supported formats
+     */
+    getSupportedFormats() {
+        return ['gcode', 'gcode.3mf'];
+    }
+
+    /**
+     * Reads every plate of a Bambu Studio package and combines them into one job
+     * @private
+     * @param {Object} file - Multer file object
+     * @returns {Promise<Object>} Combined analysis
+     */
+    async #analyzePackage(file) {
+        let archive;
+        try {
+            archive = new ZipArchive(file.buffer);
+        } catch (error) {
+            throw new ValidationError(`Could not read ${file.originalname}: ${error.message}`, 'file');
+        }
+
+        const plates = this.#plateEntries(archive);
+        if (plates.length === 0) {
+            throw new ValidationError(`${file.originalname} does not contain sliced plates. Slice and export it as a .gcode.3mf print file.`, 'file');
+        }
+
+        const thumbnailName = plates[0].name.replace(/\.gcode$/, '.png');
+        const hasThumbnail = archive.hasEntry(thumbnailName);
+        try {
+            await archive.load([...plates.map(({ name }) => name), ...(hasThumbnail ? [thumbnailName] : [])]);
+        } catch (error) {
+            throw new ValidationError(`Could not read ${file.originalname}: ${error.message}`, 'file');
+        }
+
+        const analyses = plates.map(({ name }) => this.#analyzeGcode(archive.readEntry(name), `${file.originalname} (${name})`));
+        const thumbnail = hasThumbnail ? archive.readEntry(thumbnailName) : analyses[0].thumbnail;
+
+        return {
+            format: 'gcode.3mf',
+            ...this.#combinePlates(analyses),
+            thumbnail,
+            plates: analyses.length
+        };
+    }
+
+    /**
+     * Lists the plate G-code entries of a package in plate order
+     * @private
+     * @param {ZipArchive} archive - Opened package
+     * @returns {Array} Entry names with plate numbers
+     */
+    #plateEntries(archive) {
+        return archive.getEntryNames()
+            .map(name => ({ name, match: name.match(this.#platePattern) }))
+            .filter(entry => entry.match)
+            .map(entry => ({ name: entry.name, plate: parseInt(entry.match[1], 10) }))
+            .sort((a, b) => a.plate - b.plate);
+    }
+
+    /**
+     * Reads one G-code file
+     * @private
+     * @param {Buffer} buffer - G-code contents
+     * @param {string} label - File name for error messages
+     * @returns {Object} Header metadata, toolpath and thumbnail
+     */
+    #analyzeGcode(buffer, label) {
+        // Binary G-code starts with a 'GCDE' magic number
+        if (buffer.length >= 4 && buffer.toString('latin1', 0, 4) === 'GCDE') {
+            throw new ValidationError(`${label} is binary G-code. Export plain-text G-code from your slicer instead.`, 'file');
+        }
+
+        const lines = buffer.toString('utf8').split(/\r?\n/);
+        const header = this.#headerParser.parse(lines);
+        const toolpath = this.#toolpathAnalyzer.analyze(lines);
+
+        if (!toolpath.bounds) {
+            throw new ValidationError(`${label} does not contain any extruding moves.`, 'file');
+        }
+
+        // Fall back to what the moves show when the slicer left a value out
+        const filament = { ...header.filament };
+        if (filament.length === null && toolpath.extrudedLength > 0) {
+            filament.length = toolpath.extrudedLength;
+            const radius = (filament.diameter || 1.75) / 2;
+            filament.volume = filament.volume ?? Math.PI * radius * radius * toolpath.extrudedLength / 1000;
+        }
+
+        return {
+            ...header,
+            filament,
+            nozzleTemp: header.nozzleTemp ?? toolpath.nozzleTemp,
+            bedTemp: header.bedTemp ?? toolpath.bedTemp,
+            toolpath: {
+                bounds: toolpath.bounds,
+                layers: toolpath.layers,
+                moves: toolpath.moves,
+                extrudedLength: toolpath.extrudedLength
+            },
+            thumbnail: this.#extractThumbnail(lines)
+        };
+    }
+
+    /**
+     * Combines plates printed one after another on the same printer
+     * @private
+     * @param {Array} analyses - Per-plate analyses
+     * @returns {Object} Settings from the first plate with summed filament, time and moves, and the union of the bounds
+     */
+    #combinePlates(analyses) {
+        const [first] = analyses;
+        if (analyses.length === 1) {
+            return first;
+        }
+
+        const total = (pick) => {
+            const values = analyses.map(pick).filter(value => typeof value === 'number');
+            return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+        };
+        const min = {};
+        const max = {};
+        for (const axis of ['x', 'y', 'z']) {
+            min[axis] = Math.min(...analyses.map(a => a.toolpath.bounds.min[axis]));
+            max[axis] = Math.max(...analyses.map(a => a.toolpath.bounds.max[axis]));
+        }
+
+        return {
+            ...first,
+            filament: {
+                ...first.filament,
+                grams: total(a => a.filament.grams),
+                length: total(a => a.filament.length),
+                volume: total(a => a.filament.volume)
+            },
+            estimatedSeconds: total(a => a.estimatedSeconds),
+            toolpath: {
+                bounds: {
+                    min,
+                    max,
+                    size: {
+                        x: Math.round((max.x - min.x) * 1000) / 1000,
+                        y: Math.round((max.y - min.y) * 1000) / 1000,
+                        z: Math.max(...analyses.map(a => a.toolpath.bounds.size.z))
+                    }
+                },
+                layers: total(a => a.toolpath.layers),
+                moves: total(a => a.toolpath.moves),
+                extrudedLength: Math.round(total(a => a.toolpath.extrudedLength) * 10) / 10
+            }
+        };
+    }
+
+    /**
+     * Extracts the largest PNG thumbnail slicers embed as base64 comment blocks
+     * @private
+     * @param {string[]} lines - G-code lines
+     * @returns {Buffer|null} PNG contents, or null if the file has none
+     */
+    #extractThumbnail(lines) {
+        let best = null;
+        let current = null;
+
+        for (const line of lines) {
+            if (current) {
+                if (/^;\s*thumbnail end/.test(line)) {
+                    const png = Buffer.from(current.data.join(''), 'base64');
+                    const isPng = png.length > 8 && png.readUInt32BE(0) === 0x89504e47;
+                    if (isPng && (!best || current.pixels > best.pixels)) {
+                        best = { pixels: current.pixels, png };
+                    }
+                    current = null;
+                } else {
+                    current.data.push(line.replace(/^;\s*/, ''));
+                }
+                continue;
+            }
+
+            // Only the PNG variant; QOI and JPG thumbnails use 'thumbnail_QOI begin' and similar
+            const match = line.match(/^;\s*thumbnail begin (\d+)x(\d+)/);
+            if (match) {
+                current = { pixels: parseInt(match[1], 10) * parseInt(match[2], 10), data: [] };
+            }
+        }
+
+        return best ? best.png : null;
+    }
+}
+
+module.exports = GcodeService;
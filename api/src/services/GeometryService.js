@@ -0,0 +1,261 @@
+const StlParser = require('./geometry/StlParser');
+const ObjParser = require('./geometry/ObjParser');
+const ThreeMfParser = require('./geometry/ThreeMfParser');
+const MeshAnalyzer = require('./geometry/MeshAnalyzer');
+const MeshValidator = require('./geometry/MeshValidator');
+const MeshRotator = require('./geometry/MeshRotator');
+const OverhangAnalyzer = require('./geometry/OverhangAnalyzer');
+const ThumbnailRenderer = require('./geometry/ThumbnailRenderer');
+const UnitDetector = require('./geometry/UnitDetector');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * @class GeometryService
+ * @description Turns uploaded model files into a normalized triangle mesh and physical metrics.
+ * Used by the print request pipeline so quotes are based on the actual part rather than AI size guesses.
+ */
+class GeometryService {
+    #parsers;
+    #meshAnalyzer;
+    #meshValidator;
+    #meshRotator;
+    #overhangAnalyzer;
+    #thumbnailRenderer;
+    #unitDetector;
+    #debugMode;
+
+    /**
+     * Creates a new GeometryService instance
+     * @param {boolean} debugMode - Enable debug logging
+     * @param {Object} options - Geometry options
+     * @param {number} options.overhangAngle - Steepest overhang in degrees printable without support
+     * @param {number} options.thumbnailSize - Width and height of rendered thumbnails in pixels
+     */
+    constructor(debugMode = false, options = {}) {
+        this.#parsers = {
+            stl: new StlParser(),
+            obj: new ObjParser(),
+            '3mf': new ThreeMfParser()
+        };
+        this.#meshAnalyzer = new MeshAnalyzer();
+        this.#meshValidator = new MeshValidator();
+        this.#meshRotator = new MeshRotator();
+        this.#overhangAnalyzer = new OverhangAnalyzer({ overhangAngle: options.overhangAngle });
+        this.#thumbnailRenderer = new ThumbnailRenderer({ size: options.thumbnailSize });
+        this.#unitDetector = new UnitDetector();
+        this.#debugMode = debugMode;
+    }
+
+    /**
+     * Parses, checks and measures an uploaded model file
+     * @param {Object} file - Multer file object ({ originalname, buffer })
+     * @param {Object} options - Scaling options
+     * @param {string} options.unit - Unit the submitter says the file uses, or 'auto' to detect it
+     * @param {number} options.scaleFactor - Explicit scale factor to millimetres, overriding the unit
+     * @returns {Promise<Object>} Parsed mesh (in millimetres), its metrics, health report and unit resolution
+     * @throws {ValidationError} If the file cannot be read or the mesh is too broken to slice
+     */
+    async analyzeFile(file, options = {}) {
+        this.#validateFile(file);
+
+        const format = this.getFormat(file.originalname);
+        const parser = this.#parsers[format];
+        if (!parser) {
+            throw new ValidationError(`Geometry parsing is not supported for .${format} files.`, 'file');
+        }
+
+        let mesh;
+        try {
+            mesh = await parser.parse(file.buffer);
+        } catch (error) {
+            throw new ValidationError(`Could not read ${file.originalname}: ${error.message}`, 'file');
+        }
+
+        if (mesh.triangleCount === 0) {
+            throw new ValidationError(`${file.originalname} does not contain any triangles.`, 'file');
+        }
+
+        const units = this.#applyUnits(mesh, options);
+
+        const health = this.#meshValidator.validate(mesh);
+        if (health.status === 'error') {
+            const problems = health.issues
+                .filter(issue => issue.severity === 'error')
+                .map(issue => issue.message)
+                .join(' ');
+            throw new ValidationError(`${file.originalname} cannot be printed as uploaded. ${problems}`, 'file');
+        }
+
+        const metrics = {
+            format,
+            ...this.#meshAnalyzer.computeMetrics(mesh),
+            objects: mesh.objects || [{ name: file.originalname, triangleCount: mesh.triangleCount }],
+            units
+        };
+
+        if (this.#debugMode) {
+            console.log(`Geometry analysis for ${file.originalname}:`, {
+                triangles: metrics.triangleCount,
+                volume: metrics.volume,
+                dimensions: metrics.dimensions,
+                unit: units.unit,
+                health: health.status
+            });
+        }
+
+        return { mesh, metrics, health };
+    }
+
+    /**
+     * Finds overhangs that need support when the part is printed in a given orientation
+     * @param {Object} geometry - Result of analyzeFile
+     * @param {Object|null} rotation - Build orientation as rotations in degrees {x, y, z}
+     * @returns {Object} Overhang report
+     */
+    analyzeOverhangs(geometry, rotation = null) {
+        return this.#overhangAnalyzer.analyze(geometry.mesh, rotation, {
+            insideOut: geometry.health ? geometry.health.insideOut : false
+        });
+    }
+
+    /**
+     * Splits a model into the separate objects it contains, so each can be laid out on the plate by itself
+     * @param {Object} geometry - Result of analyzeFile
+     * @param {Object|null} rotation - Build orientation as rotations in degrees {x, y, z}
+     * @returns {Array} Parts with their name, own mesh (unrotated) and size in the build orientation
+     */
+    getParts(geometry, rotation = null) {
+        const { positions } = geometry.mesh;
+        const parts = [];
+        let start = 0;
+
+        for (const object of geometry.metrics.objects) {
+            // Parsers emit each object's triangles as one contiguous run, in object order
+            const end = start + object.triangleCount * 9;
+            const mesh = { positions: positions.subarray(start, end), triangleCount: object.triangleCount };
+            start = end;
+            if (object.triangleCount === 0) {
+                continue;
+            }
+
+            const rotated = { positions: this.#meshRotator.rotate(mesh.positions, rotation) };
+            parts.push({
+                name: object.name,
+                mesh,
+                size: this.#meshAnalyzer.computeBoundingBox(rotated).size
+            });
+        }
+
+        return parts;
+    }
+
+    /**
+     * Renders a PNG preview of the model from a fixed isometric camera
+     * @param {Object} geometry - Result of analyzeFile
+     * @returns {Buffer} PNG file contents
+     */
+    renderThumbnail(geometry) {
+        return this.#thumbnailRenderer.render(geometry.mesh, {
+            insideOut: geometry.health ? geometry.health.insideOut : false
+        });
+    }
+
+    /**
+     * Renders PNG images of the model from standard cameras, for analysis providers that read images
+     * @param {Object} geometry - Result of analyzeFile
+     * @param {string[]} views - Views to render (default front, side, top and isometric)
+     * @returns {Object[]} View name, content type and PNG contents of each render
+     */
+    renderViews(geometry, views = ['front', 'side', 'top', 'isometric']) {
+        const insideOut = geometry.health ? geometry.health.insideOut : false;
+        return views.map(view => ({
+            view,
+            contentType: 'image/png',
+            buffer: this.#thumbnailRenderer.render(geometry.mesh, { insideOut, view })
+        }));
+    }
+
+    /**
+     * Gets the geometry format for a file name
+     * @param {string} fileName - Original file name
+     * @returns {string} Lower-case file extension without the dot
+     */
+    getFormat(fileName) {
+        const index = fileName.lastIndexOf('.');
+        return index === -1 ? '' : fileName.substring(index + 1).toLowerCase();
+    }
+
+    /**
+     * Checks whether a file can be parsed
+     * @param {string} fileName - Original file name
+     * @returns {boolean} True if a parser exists for the file's format
+     */
+    isSupported(fileName) {
+        return typeof fileName === 'string' && !!this.#parsers[this.getFormat(fileName)];
+    }
+
+    /**
+     * Gets the list of parseable formats
+     * @returns {string[]} Supported file extensions
+     */
+    getSupportedFormats() {
+        return Object.keys(this.#parsers);
+    }
+
+    /**
+     * Works out the model's unit and rescales the mesh to millimetres in place
+     * @private
+     * @param {Object} mesh - Parsed mesh
+     * @param {Object} options - Scaling options from the submitter
+     * @returns {Object} Unit resolution with the scale applied and the size before rescaling
+     */
+    #applyUnits(mesh, options) {
+        const originalSize = this.#meshAnalyzer.computeBoundingBox(mesh).size;
+
+        let resolution;
+        try {
+            resolution = this.#unitDetector.resolve(originalSize, {
+                declaredUnit: mesh.unit,
+                unit: options.unit,
+                scaleFactor: options.scaleFactor
+            });
+        } catch (error) {
+            throw new ValidationError(error.message, 'unit');
+        }
+
+        if (resolution.scale !== 1) {
+            const { positions } = mesh;
+            for (let i = 0; i < positions.length; i++) {
+                positions[i] *= resolution.scale;
+            }
+        }
+
+        return {
+            ...resolution,
+            declaredUnit: mesh.unit || null,
+            // File units for STL and OBJ; millimetres for 3MF, whose unit is applied while parsing
+            uploadedSize: originalSize
+        };
+    }
+
+    /**
+     * Validates an uploaded file object
+     * @private
+     * @param {Object} file - Multer file object
+     */
+    #validateFile(file) {
+        if (!file || typeof file !== 'object') {
+            throw new ValidationError('A model file must be provided.', 'file');
+        }
+
+        if (!file.originalname || typeof file.originalname !== 'string') {
+            throw new ValidationError('Model file must have a name.', 'file');
+        }
+
+        if (!Buffer.isBuffer(file.buffer) || file.buffer.length === 0) {
+            throw new ValidationError(`${file.originalname} is empty.`, 'file');
+        }
+    }
+}
+
+module.exports = GeometryService;
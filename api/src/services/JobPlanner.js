@@ -0,0 +1,238 @@
+/**
+ * @class JobPlanner
+ * @description Lays every part and copy of a job out on a printer's build plate, opening new plates as each fills.
+ * Footprints are packed into rows across the bed, deepest first, and may turn 90° to fit.
+ * Plate time counts the printer's startup and per-layer overhead once, however many parts share the plate.
+ */
+class JobPlanner {
+    #spacing;
+    #margin;
+    #debugMode;
+
+    /**
+     * Creates a new JobPlanner instance
+     * @param {Object} options - Layout options
+     * @param {number} options.spacing - Gap between parts in mm (default 5)
+     * @param {number} options.margin - Clear border around the plate edge in mm (default 5)
+     * @param {boolean} debugMode - Enable debug logging
+     */
+    constructor(options = {}, debugMode = false) {
+        this.#spacing = options.spacing ?? 5;
+        this.#margin = options.margin ?? 5;
+        this.#debugMode = debugMode;
+    }
+
+    /**
+     * Plans the build plates for a job
+     * @param {Array} parts - Parts to print
+     * @param {string} parts[].name - Part name
+     * @param {Object} parts[].size - Bounding box size {x, y, z} in mm, in the build orientation
+     * @param {number} parts[].copies - Number of copies (default 1)
+     * @param {Object|null} parts[].time - Seconds per copy, split into `printSeconds` and shared `layerSeconds`
+     * @param {Object} printer - Printer configuration with `maxBuildVolume` and optional `motion.startupTime`
+     * @returns {Object} Plate count, per-plate layout and total time (null when any part has no time)
+     * @throws {Error} If a part is taller or wider than the printer
+     */
+    plan(parts, printer) {
+        this.#validateInput(parts, printer);
+
+        const bed = printer.maxBuildVolume;
+        const items = this.#expandCopies(parts, bed);
+        const plates = [];
+
+        for (const item of items) {
+            const placed = plates.some(plate => this.#place(plate, item));
+            if (!placed) {
+                const plate = this.#createPlate(bed);
+                if (!this.#place(plate, item)) {
+                    // Too big to keep the edge margin, so it gets a plate of its own, centred
+                    this.#placeAlone(plate, item);
+                }
+                plates.push(plate);
+            }
+        }
+
+        const startupSeconds = printer.motion && printer.motion.startupTime ? printer.motion.startupTime : 0;
+        const plateSummaries = plates.map((plate, index) => this.#summarizePlate(plate, index, bed, startupSeconds));
+        const totalSeconds = plateSummaries.every(plate => plate.seconds !== null)
+            ? plateSummaries.reduce((sum, plate) => sum + plate.seconds, 0)
+            : null;
+
+        if (this.#debugMode) {
+            console.log(`Job plan for ${printer.name}:`, {
+                parts: items.length,
+                plates: plates.length,
+                totalSeconds
+            });
+        }
+
+        return {
+            printerId: printer.id,
+            copies: items.length,
+            plateCount: plates.length,
+            spacing: this.#spacing,
+            margin: this.#margin,
+            plates: plateSummaries,
+            totalSeconds,
+            totalHours: totalSeconds === null ? null : Math.round(totalSeconds / 36) / 100
+        };
+    }
+
+    /**
+     * Validates plan input
+     * @private
+     * @param {Array} parts - Parts to print
+     * @param {Object} printer - Printer configuration
+     */
+    #validateInput(parts, printer) {
+        if (!Array.isArray(parts) || parts.length === 0) {
+            throw new Error('At least one part is required to plan a job.');
+        }
+
+        if (!printer || !printer.maxBuildVolume) {
+            throw new Error('Printer build volume is required to plan a job.');
+        }
+
+        for (const part of parts) {
+            if (!part.size || !['x', 'y', 'z'].every(axis => typeof part.size[axis] === 'number' && part.size[axis] >= 0)) {
+                throw new Error(`Part '${part.name}' must have a size with x, y and z in millimetres.`);
+            }
+        }
+    }
+
+    /**
+     * Turns parts into one item per copy, oriented and sorted for shelf packing
+     * @private
+     * @param {Array} parts - Parts to print
+     * @param {Object} bed - Build volume
+     * @returns {Array} Items sorted by depth then width, largest first
+     */
+    #expandCopies(parts, bed) {
+        const items = [];
+
+        for (const part of parts) {
+            const { x, y, z } = part.size;
+            const fitsAsIs = x <= bed.x && y <= bed.y;
+            const fitsTurned = y <= bed.x && x <= bed.y;
+            if (z > bed.z || (!fitsAsIs && !fitsTurned)) {
+                throw new Error(`Part '${part.name}' does not fit the build volume.`);
+            }
+
+            // Lay the long side along X so shelves stay shallow, unless only the other way fits
+            const turn = fitsTurned && (!fitsAsIs || y > x);
+            const copies = Math.max(1, part.copies || 1);
+            for (let copy = 1; copy <= copies; copy++) {
+                items.push({
+                    name: part.name,
+                    copy,
+                    width: turn ? y : x,
+                    depth: turn ? x : y,
+                    height: z,
+                    rotated: turn,
+                    time: part.time || null
+                });
+            }
+        }
+
+        return items.sort((a, b) => b.depth - a.depth || b.width - a.width);
+    }
+
+    /**
+     * Creates an empty plate
+     * @private
+     * @param {Object} bed - Build volume
+     * @returns {Object} Plate with its usable area and no shelves
+     */
+    #createPlate(bed) {
+        return {
+            width: Math.max(0, bed.x - 2 * this.#margin),
+            depth: Math.max(0, bed.y - 2 * this.#margin),
+            shelves: [],
+            usedDepth: 0,
+            items: []
+        };
+    }
+
+    /**
+     * Places an item on the first shelf with room, or on a new shelf
+     * @private
+     * @param {Object} plate - Plate being filled
+     * @param {Object} item - Item to place
+     * @returns {boolean} True if the item was placed
+     */
+    #place(plate, item) {
+        for (const shelf of plate.shelves) {
+            const x = shelf.usedWidth + this.#spacing;
+            if (item.depth <= shelf.depth && x + item.width <= plate.width) {
+                shelf.usedWidth = x + item.width;
+                plate.items.push({ ...item, x: this.#margin + x, y: this.#margin + shelf.y });
+                return true;
+            }
+        }
+
+        const y = plate.shelves.length === 0 ? 0 : plate.usedDepth + this.#spacing;
+        if (item.width > plate.width || y + item.depth > plate.depth) {
+            return false;
+        }
+
+        // Items arrive deepest first, so the first item sets the shelf depth
+        plate.shelves.push({ y, depth: item.depth, usedWidth: item.width });
+        plate.usedDepth = y + item.depth;
+        plate.items.push({ ...item, x: this.#margin, y: this.#margin + y });
+        return true;
+    }
+
+    /**
+     * Centres an item that only fits the bed without the edge margin
+     * @private
+     * @param {Object} plate - Empty plate
+     * @param {Object} item - Item to place
+     */
+    #placeAlone(plate, item) {
+        const bedWidth = plate.width + 2 * this.#margin;
+        const bedDepth = plate.depth + 2 * this.#margin;
+        plate.shelves.push({ y: 0, depth: bedDepth, usedWidth: bedWidth });
+        plate.usedDepth = bedDepth;
+        plate.items.push({ ...item, x: (bedWidth - item.width) / 2, y: (bedDepth - item.depth) / 2 });
+    }
+
+    /**
+     * Summarizes a plate's layout and time
+     * @private
+     * @param {Object} plate - Filled plate
+     * @param {number} index - Zero-based plate index
+     * @param {Object} bed - Build volume
+     * @param {number} startupSeconds - Printer startup time per plate
+     * @returns {Object} Plate number, placed parts, bed coverage, height and time
+     */
+    #summarizePlate(plate, index, bed, startupSeconds) {
+        const round = value => Math.round(value * 100) / 100;
+        const footprint = plate.items.reduce((sum, item) => sum + item.width * item.depth, 0);
+
+        // Parts print side by side, so layer changes and cooling pauses are paid once per layer
+        let seconds = null;
+        if (plate.items.every(item => item.time)) {
+            const printing = plate.items.reduce((sum, item) => sum + item.time.printSeconds, 0);
+            const perLayer = Math.max(...plate.items.map(item => item.time.layerSeconds));
+            seconds = Math.round(startupSeconds + printing + perLayer);
+        }
+
+        return {
+            plate: index + 1,
+            parts: plate.items.map(item => ({
+                name: item.name,
+                copy: item.copy,
+                x: round(item.x),
+                y: round(item.y),
+                width: round(item.width),
+                depth: round(item.depth),
+                rotated: item.rotated
+            })),
+            coverage: round(footprint / (bed.x * bed.y)),
+            height: round(Math.max(...plate.items.map(item => item.height))),
+            seconds
+        };
+    }
+}
+
+module.exports = JobPlanner;
@@ -28,29 +28,40 @@ class PricingEngine {
      * @param {string} material - Printing material
      * @param {Object} printerInfo - Selected printer information
      * @param {Object} printSettings - Print settings (layer height, infill, etc.)
-     * @param {Object} modelCharacteristics - Model characteristics (volume, complexity, etc.)
+     * @param {Object} modelCharacteristics - Model characteristics (volume, complexity, etc.); `copies` and
+     * `plates` size the job, and `printTimeHours` is the time for all of its plates
      * @param {Object} additionalServices - Additional services (post-processing, rush, etc.)
      * @returns {Object} Detailed cost breakdown
      */
     calculateCost(material, printerInfo, printSettings, modelCharacteristics = {}, additionalServices = {}) {
         this.#validateInput(material, printerInfo, printSettings, modelCharacteristics, additionalServices);
 
-        const materialCost = this.#calculateMaterialCost(material, modelCharacteristics, printSettings);
+        const { copies, plates } = this.#getJobSize(modelCharacteristics);
+        const materialWeight = this.#estimateMaterialWeight(material, modelCharacteristics, printSettings) * copies;
+        const materialCost = materialWeight * this.#materialDatabase[material].costPerGram;
         const printerCost = this.#calculatePrinterCost(printerInfo, modelCharacteristics, printSettings);
         const complexityMultiplier = this.#getComplexityMultiplier(modelCharacteristics.complexity);
-        const additionalCosts = this.#calculateAdditionalCosts(additionalServices);
+        const additionalCosts = this.#calculateAdditionalCosts(material, modelCharacteristics, additionalServices);
+        // Setup (bed prep, first-layer check, part removal) is paid once per plate, however many copies share it
+        const setupFee = this.#pricingRules.baseSetupFee * plates;
         
         const subtotal = (materialCost + printerCost) * complexityMultiplier;
-        const total = subtotal + additionalCosts + this.#pricingRules.baseSetupFee;
+        const total = subtotal + additionalCosts + setupFee;
         
         const finalCost = Math.max(total, this.#pricingRules.minimumCharge);
 
         const costBreakdown = {
             materialCost: this.#formatCurrency(materialCost),
+            materialWeight: Math.round(materialWeight * 10) / 10,
+            supportWeight: additionalServices.supports && this.#hasMeasuredSupports(modelCharacteristics) && !this.#hasSlicedFilament(modelCharacteristics)
+                ? Math.round(modelCharacteristics.supportMass * copies * 10) / 10
+                : null,
             printerCost: this.#formatCurrency(printerCost),
             complexityMultiplier: complexityMultiplier,
             additionalCosts: this.#formatCurrency(additionalCosts),
-            setupFee: this.#formatCurrency(this.#pricingRules.baseSetupFee),
+            setupFee: this.#formatCurrency(setupFee),
+            copies,
+            plates,
             subtotal: this.#formatCurrency(subtotal),
             total: this.#formatCurrency(finalCost),
             breakdown: this.#generateDetailedBreakdown(material, printerInfo, modelCharacteristics, additionalServices)
@@ -96,35 +107,68 @@ class PricingEngine {
         if (!printerInfo.hourlyRate || typeof printerInfo.hourlyRate !== 'number') {
             throw new Error('Printer hourly rate must be a valid number.');
         }
+
+        for (const field of ['copies', 'plates']) {
+            const value = modelCharacteristics[field];
+            if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+                throw new Error(`${field} must be a positive integer.`);
+            }
+        }
+    }
+
+    /**
+     * Gets how many copies are printed and on how many plates
+     * @private
+     * @param {Object} modelCharacteristics - Model characteristics
+     * @returns {Object} Copies and plates, one of each when not given
+     */
+    #getJobSize(modelCharacteristics) {
+        return {
+            copies: modelCharacteristics.copies || 1,
+            plates: modelCharacteristics.plates || 1
+        };
     }
 
     /**
-     * Calculates material cost based on volume and material properties
+     * Estimates the weight of material used for one copy, including waste
      * @private
      * @param {string} material - Material name
      * @param {Object} modelCharacteristics - Model characteristics
      * @param {Object} printSettings - Print settings
-     * @returns {number} Material cost in dollars
+     * @returns {number} Material weight in grams
      */
-    #calculateMaterialCost(material, modelCharacteristics, printSettings) {
-        const materialData = this.#materialDatabase[material];
-        const costPerGram = materialData.costPerGram;
-        const density = materialData.density;
+    #estimateMaterialWeight(material, modelCharacteristics, printSettings) {
+        const density = this.#materialDatabase[material].density;
+
+        // Uploaded print files report the filament their slicer planned, supports and purge included
+        if (this.#hasSlicedFilament(modelCharacteristics)) {
+            return typeof modelCharacteristics.filamentGrams === 'number'
+                ? modelCharacteristics.filamentGrams
+                : modelCharacteristics.filamentVolume * density;
+        }
 
         // Estimate material volume based on model characteristics
         let estimatedVolume = modelCharacteristics.estimatedVolume || 0.1; // Default 0.1 cubic cm
         
         // Adjust volume based on infill percentage
-        const infillPercentage = this.#parseInfillPercentage(printSettings.infill);
-        const adjustedVolume = estimatedVolume * (infillPercentage / 100);
+        const infillFraction = this.#parseInfillPercentage(printSettings.infill) / 100;
+        let adjustedVolume = estimatedVolume * infillFraction;
+
+        // With a measured surface area, walls and top/bottom skins are printed solid
+        // and only the interior is filled at the infill percentage
+        if (modelCharacteristics.surfaceArea) {
+            const shellVolume = Math.min(
+                modelCharacteristics.surfaceArea * this.#pricingRules.shellThickness,
+                estimatedVolume
+            );
+            adjustedVolume = shellVolume + (estimatedVolume - shellVolume) * infillFraction;
+        }
 
         // Convert volume to weight (grams)
         const weightInGrams = adjustedVolume * density;
 
         // Add 10% waste factor
-        const totalWeight = weightInGrams * 1.1;
-
-        return totalWeight * costPerGram;
+        return weightInGrams * 1.1;
     }
 
     /**
@@ -152,9 +196,14 @@ class PricingEngine {
      * @private
      * @param {Object} modelCharacteristics - Model characteristics
      * @param {Object} printSettings - Print settings
-     * @returns {number} Estimated print time in hours
+     * @returns {number} Estimated print time in hours for all copies
      */
     #estimatePrintTime(modelCharacteristics, printSettings) {
+        // Measured uploads are sliced and planned onto plates, which already accounts for layers, infill, supports and copies
+        if (typeof modelCharacteristics.printTimeHours === 'number') {
+            return Math.max(modelCharacteristics.printTimeHours, 0.25);
+        }
+
         // Base time estimation (simplified)
         let baseTime = 0.5; // Base 30 minutes
         
@@ -188,7 +237,7 @@ class PricingEngine {
         };
         baseTime *= complexityMultipliers[complexity] || 1.0;
         
-        return Math.max(baseTime, 0.25); // Minimum 15 minutes
+        return Math.max(baseTime, 0.25) * this.#getJobSize(modelCharacteristics).copies; // Minimum 15 minutes each
     }
 
     /**
@@ -205,14 +254,16 @@ class PricingEngine {
     /**
      * Calculates additional service costs
      * @private
+     * @param {string} material - Material name
+     * @param {Object} modelCharacteristics - Model characteristics
      * @param {Object} additionalServices - Additional services
      * @returns {number} Additional costs in dollars
      */
-    #calculateAdditionalCosts(additionalServices) {
+    #calculateAdditionalCosts(material, modelCharacteristics, additionalServices) {
         let additionalCost = 0;
         
         if (additionalServices.supports) {
-            additionalCost += 2.00; // Support material cost
+            additionalCost += this.#calculateSupportCost(material, modelCharacteristics);
         }
         
         if (additionalServices.postProcessing) {
@@ -226,6 +277,49 @@ class PricingEngine {
         return additionalCost;
     }
 
+    /**
+     * Calculates support cost from the measured support mass, or a flat fee when the model was not measured
+     * @private
+     * @param {string} material - Material name
+     * @param {Object} modelCharacteristics - Model characteristics
+     * @returns {number} Support cost in dollars
+     */
+    #calculateSupportCost(material, modelCharacteristics) {
+        if (this.#hasSlicedFilament(modelCharacteristics)) {
+            return 0; // Already in the slicer-reported filament
+        }
+
+        if (!this.#hasMeasuredSupports(modelCharacteristics)) {
+            return 2.00 * this.#getJobSize(modelCharacteristics).copies; // Support material cost
+        }
+
+        // Support material is priced above model material to cover removal and failed-support risk
+        return modelCharacteristics.supportMass *
+            this.#getJobSize(modelCharacteristics).copies *
+            this.#materialDatabase[material].costPerGram *
+            this.#pricingRules.supportMultiplier;
+    }
+
+    /**
+     * Checks whether support mass was measured from the model geometry
+     * @private
+     * @param {Object} modelCharacteristics - Model characteristics
+     * @returns {boolean} True if a support mass is available
+     */
+    #hasMeasuredSupports(modelCharacteristics) {
+        return typeof modelCharacteristics.supportMass === 'number' && modelCharacteristics.supportMass >= 0;
+    }
+
+    /**
+     * Checks whether a slicer reported the filament used, as it does for uploaded print files
+     * @private
+     * @param {Object} modelCharacteristics - Model characteristics
+     * @returns {boolean} True if filament grams or volume are available
+     */
+    #hasSlicedFilament(modelCharacteristics) {
+        return typeof modelCharacteristics.filamentGrams === 'number' || typeof modelCharacteristics.filamentVolume === 'number';
+    }
+
     /**
      * Parses infill percentage from string format
      * @private
@@ -266,9 +360,18 @@ class PricingEngine {
         // Material breakdown
         const materialData = this.#materialDatabase[material];
         breakdown.push(`Material: ${material} at $${materialData.costPerGram}/gram`);
+        if (this.#hasSlicedFilament(modelCharacteristics)) {
+            breakdown.push('Material weight: as reported by the slicer');
+        }
         
         // Printer breakdown
         breakdown.push(`Printer: ${printerInfo.name} at $${printerInfo.hourlyRate}/hour`);
+
+        // Job size breakdown
+        const { copies, plates } = this.#getJobSize(modelCharacteristics);
+        if (copies > 1 || plates > 1) {
+            breakdown.push(`Job: ${copies} ${copies === 1 ? 'copy' : 'copies'} on ${plates} ${plates === 1 ? 'plate' : 'plates'}, $${this.#pricingRules.baseSetupFee.toFixed(2)} setup per plate`);
+        }
         
         // Complexity breakdown
         const complexity = modelCharacteristics.complexity || 'medium';
@@ -279,7 +382,13 @@ class PricingEngine {
         
         // Additional services
         if (additionalServices.supports) {
-            breakdown.push('Supports: $2.00 additional');
+            if (this.#hasSlicedFilament(modelCharacteristics)) {
+                breakdown.push('Supports: included in sliced filament');
+            } else if (this.#hasMeasuredSupports(modelCharacteristics)) {
+                breakdown.push(`Supports: ~${modelCharacteristics.supportMass}g per copy at ${this.#pricingRules.supportMultiplier}x material rate`);
+            } else {
+                breakdown.push('Supports: $2.00 additional per copy');
+            }
         }
         
         if (additionalServices.postProcessing) {
@@ -383,6 +492,7 @@ class PricingEngine {
         return {
             baseSetupFee: this.#pricingRules.baseSetupFee,
             minimumCharge: this.#pricingRules.minimumCharge,
+            shellThickness: this.#pricingRules.shellThickness,
             complexityMultipliers: { ...this.#pricingRules.complexityMultipliers },
             supportMultiplier: this.#pricingRules.supportMultiplier,
             postProcessingMultiplier: this.#pricingRules.postProcessingMultiplier,
@@ -0,0 +1,275 @@
+const MeshSlicer = require('./geometry/MeshSlicer');
+
+/**
+ * @class PrintTimeEstimator
+ * @description Estimates how long a measured part takes to print by slicing it into layers
+ * and timing the toolpaths each layer needs on the chosen printer.
+ * FDM layers get walls, infill and travel timed with the printer's speed and acceleration limits;
+ * resin layers are timed from the area the printer has to cure plus its peel and recoat time.
+ */
+class PrintTimeEstimator {
+    #slicer;
+    #wallCount;
+    #lineWidth;
+    #solidThickness;
+    #firstLayerSpeedFactor;
+    #outerWallSpeedFactor;
+    #supportLineLength;
+    #debugMode;
+
+    /**
+     * Creates a new PrintTimeEstimator instance
+     * @param {Object} options - Toolpath assumptions
+     * @param {number} options.wallCount - Perimeters per layer (default 2)
+     * @param {number} options.lineWidth - Extrusion width in mm (default 0.45)
+     * @param {number} options.solidThickness - Thickness of solid top and bottom skins in mm (default 0.8)
+     * @param {number} options.firstLayerSpeedFactor - First layer speed as a fraction of print speed (default 0.5)
+     * @param {number} options.outerWallSpeedFactor - Outer wall speed as a fraction of print speed (default 0.5)
+     * @param {boolean} debugMode - Enable debug logging
+     */
+    constructor(options = {}, debugMode = false) {
+        this.#slicer = new MeshSlicer();
+        this.#wallCount = options.wallCount ?? 2;
+        this.#lineWidth = options.lineWidth ?? 0.45;
+        this.#solidThickness = options.solidThickness ?? 0.8;
+        this.#firstLayerSpeedFactor = options.firstLayerSpeedFactor ?? 0.5;
+        this.#outerWallSpeedFactor = options.outerWallSpeedFactor ?? 0.5;
+        // Support structures are mostly short zig-zags between overhang edges
+        this.#supportLineLength = 20;
+        this.#debugMode = debugMode;
+    }
+
+    /**
+     * Estimates print time for a mesh
+     * @param {Object} mesh - Mesh with flat `positions` (mm) and `triangleCount`
+     * @param {Object} printer - Printer configuration with `motion` settings
+     * @param {Object} settings - Settings from PrintSettingsOptimizer
+     * @param {Object} options - Per-call options
+     * @param {Object} options.rotation - Build orientation as rotations in degrees {x, y, z}
+     * @param {boolean} options.insideOut - Whether the mesh winding faces inward
+     * @param {number} options.supportVolume - Support material volume in cm³ from the overhang analysis
+     * @returns {Object} Total time, per-activity breakdown in seconds and toolpath lengths in metres
+     */
+    estimate(mesh, printer, settings, options = {}) {
+        if (!printer || !printer.motion) {
+            throw new Error(`Printer ${printer ? printer.id : ''} has no motion settings to estimate print time.`);
+        }
+
+        const layerHeight = this.#parseNumber(settings.layerHeight, 'layerHeight');
+        const slices = this.#slicer.slice(mesh, layerHeight, {
+            rotation: options.rotation,
+            insideOut: options.insideOut
+        });
+
+        const { breakdown, toolpath } = printer.type === 'SLA'
+            ? this.#estimateResin(slices, printer.motion)
+            : this.#estimateFdm(slices, printer.motion, settings, options.supportVolume || 0);
+
+        const seconds = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+        const hours = seconds / 3600;
+
+        if (this.#debugMode) {
+            console.log(`Sliced print time for ${printer.name}:`, {
+                layers: slices.layers.length,
+                hours: Math.round(hours * 100) / 100
+            });
+        }
+
+        return {
+            printerId: printer.id,
+            layers: slices.layers.length,
+            layerHeight,
+            seconds: Math.round(seconds),
+            hours: Math.round(hours * 100) / 100,
+            formatted: this.formatDuration(hours),
+            breakdown: this.#roundValues(breakdown, 0),
+            toolpath: toolpath ? this.#roundValues(toolpath, 2) : null
+        };
+    }
+
+    /**
+     * Formats a duration the way print time estimates are shown to users
+     * @param {number} hours - Duration in hours
+     * @returns {string} Human-readable duration
+     */
+    formatDuration(hours) {
+        if (hours < 1) {
+            return `${Math.max(1, Math.round(hours * 60))} minutes`;
+        }
+        return `${Math.round(hours * 10) / 10} hours`;
+    }
+
+    /**
+     * Times the walls, infill, supports and travel of an FDM print
+     * @private
+     * @param {Object} slices - Result of MeshSlicer.slice
+     * @param {Object} motion - Printer motion settings
+     * @param {Object} settings - Print settings
+     * @param {number} supportVolume - Support material volume in cm³
+     * @returns {Object} Seconds per activity and toolpath lengths in metres
+     */
+    #estimateFdm(slices, motion, settings, supportVolume) {
+        const { layers, layerHeight } = slices;
+        const acceleration = motion.acceleration;
+        const lineWidth = this.#lineWidth;
+
+        // Print speed is capped by the axes and by how fast the hotend can melt plastic
+        const flowLimit = motion.maxVolumetricFlow ? motion.maxVolumetricFlow / (lineWidth * layerHeight) : Infinity;
+        const printSpeed = Math.min(this.#parseNumber(settings.printSpeed, 'printSpeed'), motion.maxSpeed, flowLimit);
+        const travelSpeed = motion.travelSpeed || motion.maxSpeed;
+        const infillDensity = this.#parseNumber(settings.infill, 'infill') / 100;
+        const minLayerTime = settings.cooling ? parseFloat(settings.cooling.minLayerTime) || 0 : 0;
+        const retraction = settings.retraction || {};
+        const retractionTime = retraction.distance && retraction.speed
+            ? 2 * parseFloat(retraction.distance) / parseFloat(retraction.speed)
+            : 0;
+
+        const solidAreas = this.#solidAreas(layers, Math.max(1, Math.ceil(this.#solidThickness / layerHeight - 1e-9)));
+        const breakdown = { startup: motion.startupTime || 0, walls: 0, infill: 0, supports: 0, travel: 0, layerChanges: 0, cooling: 0 };
+        const toolpath = { walls: 0, infill: 0, supports: 0, travel: 0 };
+
+        layers.forEach((layer, index) => {
+            if (layer.segments === 0) {
+                return;
+            }
+
+            const speed = index === 0 ? printSpeed * this.#firstLayerSpeedFactor : printSpeed;
+
+            // Each wall follows the outline; short facets on curved surfaces never reach full speed
+            const segmentLength = layer.perimeter / layer.segments;
+            const outerWall = layer.segments * this.#moveTime(segmentLength, speed * this.#outerWallSpeedFactor, acceleration);
+            const innerWalls = (this.#wallCount - 1) * layer.segments * this.#moveTime(segmentLength, speed, acceleration);
+
+            // Infill fills what the walls leave: solid near top and bottom skins, sparse elsewhere
+            const interior = Math.max(0, layer.area - layer.perimeter * this.#wallCount * lineWidth);
+            const solidInterior = layer.area > 0 ? interior * (solidAreas[index] / layer.area) : 0;
+            const infillLength = (solidInterior + (interior - solidInterior) * infillDensity) / lineWidth;
+            const infillLineLength = Math.max(lineWidth, Math.sqrt(interior));
+            const infill = infillLength > 0
+                ? (infillLength / infillLineLength) * this.#moveTime(infillLineLength, speed, acceleration)
+                : 0;
+
+            // One retracted travel move per loop, plus one into the infill
+            const moves = layer.loops + (infillLength > 0 ? 1 : 0);
+            const travelLength = Math.hypot(layer.width, layer.depth) / 2;
+            const travel = moves * (this.#moveTime(travelLength, travelSpeed, acceleration) + retractionTime);
+
+            const layerTime = outerWall + innerWalls + infill + travel;
+            breakdown.walls += outerWall + innerWalls;
+            breakdown.infill += infill;
+            breakdown.travel += travel;
+            breakdown.layerChanges += motion.layerChangeTime || 0;
+            // Slicers slow small layers down so each has time to cool
+            breakdown.cooling += Math.max(0, minLayerTime - layerTime);
+
+            toolpath.walls += layer.perimeter * this.#wallCount;
+            toolpath.infill += infillLength;
+            toolpath.travel += moves * travelLength;
+        });
+
+        if (settings.supports !== false && supportVolume > 0) {
+            const supportLength = supportVolume * 1000 / (lineWidth * layerHeight);
+            const lines = supportLength / this.#supportLineLength;
+            breakdown.supports = lines * this.#moveTime(this.#supportLineLength, printSpeed, acceleration);
+            toolpath.supports = supportLength;
+        }
+
+        for (const key of Object.keys(toolpath)) {
+            toolpath[key] /= 1000;
+        }
+
+        return { breakdown, toolpath };
+    }
+
+    /**
+     * Times a resin print from the area cured on each layer
+     * @private
+     * @param {Object} slices - Result of MeshSlicer.slice
+     * @param {Object} motion - Printer motion settings
+     * @returns {Object} Seconds per activity
+     */
+    #estimateResin(slices, motion) {
+        const totalArea = slices.layers.reduce((sum, layer) => sum + layer.area, 0);
+        return {
+            breakdown: {
+                startup: motion.startupTime || 0,
+                exposure: motion.exposureRate ? totalArea / motion.exposureRate : 0,
+                layerChanges: slices.layers.length * (motion.layerChangeTime || 0)
+            },
+            toolpath: null
+        };
+    }
+
+    /**
+     * Works out how much of each layer must be printed solid because it is close to a top or bottom surface
+     * @private
+     * @param {Array} layers - Layer measurements
+     * @param {number} solidLayers - Number of solid skin layers
+     * @returns {number[]} Solid area in mm² per layer
+     */
+    #solidAreas(layers, solidLayers) {
+        const areaAt = index => (index >= 0 && index < layers.length ? layers[index].area : 0);
+
+        return layers.map((layer, index) => {
+            let exposed = 0;
+            for (let offset = 1; offset <= solidLayers; offset++) {
+                // Area not covered by a layer within skin distance above or below is part of a skin
+                exposed = Math.max(exposed, layer.area - areaAt(index + offset), layer.area - areaAt(index - offset));
+            }
+            return Math.min(layer.area, exposed);
+        });
+    }
+
+    /**
+     * Times a straight move that starts and ends at rest
+     * @private
+     * @param {number} length - Move length in mm
+     * @param {number} speed - Target speed in mm/s
+     * @param {number} acceleration - Acceleration in mm/s²
+     * @returns {number} Move time in seconds
+     */
+    #moveTime(length, speed, acceleration) {
+        if (length <= 0) {
+            return 0;
+        }
+
+        if (!acceleration) {
+            return length / speed;
+        }
+
+        // Short moves accelerate for half their length and never reach the target speed
+        if (length < speed * speed / acceleration) {
+            return 2 * Math.sqrt(length / acceleration);
+        }
+        return length / speed + speed / acceleration;
+    }
+
+    /**
+     * Reads the number from a setting such as '0.2mm' or '40%'
+     * @private
+     * @param {string|number} value - Setting value
+     * @param {string} field - Setting name for error messages
+     * @returns {number} Positive numeric value
+     */
+    #parseNumber(value, field) {
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        if (!Number.isFinite(number) || number < 0 || (field !== 'infill' && number === 0)) {
+            throw new Error(`Print setting '${field}' must be a positive number, got '${value}'.`);
+        }
+        return number;
+    }
+
+    /**
+     * Rounds every value in an object
+     * @private
+     * @param {Object} values - Numeric values
+     * @param {number} decimals - Decimal places to keep
+     * @returns {Object} Rounded values
+     */
+    #roundValues(values, decimals) {
+        const factor = 10 ** decimals;
+        return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, Math.round(value * factor) / factor]));
+    }
+}
+
+module.exports = PrintTimeEstimator;
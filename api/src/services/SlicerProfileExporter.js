@@ -0,0 +1,193 @@
+const PrusaSlicerFormatter = require('./slicer/PrusaSlicerFormatter');
+const CuraFormatter = require('./slicer/CuraFormatter');
+const BambuStudioFormatter = require('./slicer/BambuStudioFormatter');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * @class SlicerProfileExporter
+ * @description Turns the settings from PrintSettingsOptimizer into files staff can load straight into a slicer.
+ * The format follows the printer's manufacturer unless one is requested explicitly.
+ */
+class SlicerProfileExporter {
+    #formatters;
+    #manufacturerFormats;
+    #debugMode;
+
+    /**
+     * Creates a new SlicerProfileExporter instance
+     * @param {boolean} debugMode - Enable debug logging
+     */
+    constructor(debugMode = false) {
+        this.#formatters = {
+            prusaslicer: new PrusaSlicerFormatter(),
+            cura: new CuraFormatter(),
+            bambu: new BambuStudioFormatter()
+        };
+        this.#manufacturerFormats = {
+            'prusa research': 'prusaslicer',
+            'ultimaker': 'cura',
+            'bambu lab': 'bambu'
+        };
+        this.#debugMode = debugMode;
+    }
+
+    /**
+     * Exports print settings as a slicer profile
+     * @param {Object} settings - Settings from PrintSettingsOptimizer.optimizeSettings
+     * @param {Object} printer - Printer configuration
+     * @param {string} material - Material name
+     * @param {Object} options - Export options
+     * @param {string} options.format - 'prusaslicer', 'cura', 'bambu', or 'auto' to follow the printer (default)
+     * @returns {Object} Format, file name, content type and file contents
+     * @throws {ValidationError} If the format is unknown or the printer has no slicer format
+     */
+    exportProfile(settings, printer, material, options = {}) {
+        if (!printer || typeof printer !== 'object') {
+            throw new Error('Printer configuration is required.');
+        }
+
+        const format = this.#resolveFormat(printer, options.format);
+        const formatter = this.#formatters[format];
+        const profile = this.#buildProfile(settings, printer, material);
+        const content = formatter.format(profile);
+
+        if (this.#debugMode) {
+            console.log(`Exported ${formatter.getLabel()} profile for ${printer.name}:`, {
+                material,
+                layerHeight: profile.layerHeight,
+                bytes: content.length
+            });
+        }
+
+        return {
+            format,
+            slicer: formatter.getLabel(),
+            fileName: `${this.#slugify(profile.name)}.${formatter.getExtension()}`,
+            contentType: formatter.getContentType(),
+            content
+        };
+    }
+
+    /**
+     * Gets the slicer format used for a printer
+     * @param {Object} printer - Printer configuration
+     * @returns {string|null} Format name, or null if no supported slicer drives the printer
+     */
+    getFormatForPrinter(printer) {
+        const manufacturer = (printer && printer.manufacturer || '').toLowerCase();
+        return this.#manufacturerFormats[manufacturer] || null;
+    }
+
+    /**
+     * Gets the exportable formats
+     * @returns {Array} Format name, slicer and file extension for each format
+     */
+    getSupportedFormats() {
+        return Object.entries(this.#formatters).map(([format, formatter]) => ({
+            format,
+            slicer: formatter.getLabel(),
+            extension: formatter.getExtension()
+        }));
+    }
+
+    /**
+     * Picks the format to export
+     * @private
+     * @param {Object} printer - Printer configuration
+     * @param {string} requested - Requested format or 'auto'
+     * @returns {string} Format name
+     */
+    #resolveFormat(printer, requested = 'auto') {
+        if (requested && requested !== 'auto') {
+            if (!this.#formatters[requested]) {
+                throw new ValidationError(
+                    `Unknown slicer profile format '${requested}'. Use one of: ${Object.keys(this.#formatters).join(', ')}.`,
+                    'format'
+                );
+            }
+            return requested;
+        }
+
+        const format = this.getFormatForPrinter(printer);
+        if (!format) {
+            throw new ValidationError(
+                `No slicer profile format is available for ${printer.manufacturer} printers. ` +
+                'Choose a format explicitly or set the print up in the printer\'s own software.',
+                'format'
+            );
+        }
+        return format;
+    }
+
+    /**
+     * Converts optimizer settings (strings with units) into the numbers every format needs
+     * @private
+     * @param {Object} settings - Optimizer settings
+     * @param {Object} printer - Printer configuration
+     * @param {string} material - Material name
+     * @returns {Object} Normalized profile
+     */
+    #buildProfile(settings, printer, material) {
+        if (!settings || typeof settings !== 'object') {
+            throw new ValidationError('Print settings are required to export a slicer profile.', 'settings');
+        }
+
+        if (!material || typeof material !== 'string') {
+            throw new ValidationError('Material is required to export a slicer profile.', 'material');
+        }
+
+        const retraction = settings.retraction || {};
+        const cooling = settings.cooling || {};
+        const layerHeight = this.#parseNumber(settings.layerHeight, 'layerHeight');
+
+        return {
+            name: `Makerspace ${material} ${layerHeight}mm - ${printer.name}`,
+            generatedAt: new Date().toISOString(),
+            printer: {
+                id: printer.id,
+                name: printer.name,
+                manufacturer: printer.manufacturer
+            },
+            material,
+            layerHeight,
+            // Thin first layers adhere poorly, so never go below 0.2 mm
+            firstLayerHeight: Math.max(layerHeight, 0.2),
+            infillDensity: this.#parseNumber(settings.infill, 'infill'),
+            supports: settings.supports !== false,
+            nozzleTemp: this.#parseNumber(settings.nozzleTemp, 'nozzleTemp'),
+            bedTemp: this.#parseNumber(settings.bedTemp, 'bedTemp'),
+            printSpeed: this.#parseNumber(settings.printSpeed, 'printSpeed'),
+            retractionDistance: this.#parseNumber(retraction.distance ?? '0mm', 'retraction.distance'),
+            retractionSpeed: this.#parseNumber(retraction.speed ?? '40mm/s', 'retraction.speed'),
+            fanSpeed: this.#parseNumber(cooling.fanSpeed ?? '100%', 'cooling.fanSpeed'),
+            minLayerTime: this.#parseNumber(cooling.minLayerTime ?? '5s', 'cooling.minLayerTime')
+        };
+    }
+
+    /**
+     * Reads the number from a setting such as '0.2mm', '40%' or '210C'
+     * @private
+     * @param {string|number} value - Setting value
+     * @param {string} field - Setting name for error messages
+     * @returns {number} Numeric value
+     */
+    #parseNumber(value, field) {
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        if (!Number.isFinite(number) || number < 0) {
+            throw new ValidationError(`Print setting '${field}' must be a non-negative number, got '${value}'.`, `settings.${field}`);
+        }
+        return number;
+    }
+
+    /**
+     * Turns a profile name into a safe file name
+     * @private
+     * @param {string} name - Profile name
+     * @returns {string} File name without extension
+     */
+    #slugify(name) {
+        return name.replace(/[^A-Za-z0-9.]+/g, '_').replace(/^_+|_+$/g, '');
+    }
+}
+
+module.exports = SlicerProfileExporter;
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const LocalFileStore = require('../storage/LocalFileStore');
+
+// The disk store is pruned at most this often, since pruning reads every entry's metadata
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * @class AnalysisCache
+ * @description Remembers project analyses so an identical request is not analyzed twice.
+ * Entries live in an in-memory LRU and, when a directory is configured, in a disk store that
+ * survives restarts. Every entry expires after the configured TTL; expired entries are deleted
+ * from disk and the disk store is held to a maximum number of entries.
+ */
+class AnalysisCache {
+    #entries;
+    #maxEntries;
+    #ttlMs;
+    #diskStore;
+    #maxDiskEntries;
+    #lastPruneAt;
+    #stats;
+    #debugMode;
+
+    /**
+     * Creates a new AnalysisCache instance
+     * @param {Object} options - Cache options
+     * @param {number} options.maxEntries - Analyses kept in memory (default 500; 0 disables the cache)
+     * @param {number} options.ttlSeconds - Seconds an analysis stays valid (default 86400)
+     * @param {string} options.directory - Directory for the on-disk backing store (optional)
+     * @param {number} options.maxDiskEntries - Analyses kept on disk (default 5000)
+     * @param {boolean} debugMode - Enable debug logging
+     */
+    constructor(options = {}, debugMode = false) {
+        this.#maxEntries = options.maxEntries ?? 500;
+        if (!Number.isInteger(this.#maxEntries) || this.#maxEntries < 0) {
+            throw new Error('Analysis cache size must be a non-negative integer.');
+        }
+
+        const ttlSeconds = options.ttlSeconds ?? 86400;
+        if (typeof ttlSeconds !== 'number' || !(ttlSeconds > 0)) {
+            throw new Error('Analysis cache TTL must be a positive number of seconds.');
+        }
+        this.#ttlMs = ttlSeconds * 1000;
+
+        // Map iteration follows insertion order, so the first key is always the least recently used
+        this.#entries = new Map();
+        this.#diskStore = options.directory && this.#maxEntries > 0
+            ? new LocalFileStore({ directory: options.directory })
+            : null;
+        this.#maxDiskEntries = options.maxDiskEntries ?? 5000;
+        if (!Number.isInteger(this.#maxDiskEntries) || this.#maxDiskEntries < 1) {
+            throw new Error('Analysis cache disk size must be a positive integer.');
+        }
+        this.#lastPruneAt = 0;
+        this.#stats = { hits: 0, misses: 0, diskHits: 0, evictions: 0 };
+        this.#debugMode = debugMode;
+    }
+
+    /**
+     * Builds the cache key for a set of analysis inputs
+     * @param {Object} inputs - Everything that can change the analysis (provider, prompt inputs, file hash)
+     * @returns {string} SHA-256 hex digest
+     */
+    createKey(inputs) {
+        return crypto.createHash('sha256').update(this.#serialize(inputs)).digest('hex');
+    }
+
+    /**
+     * Looks up a cached analysis, counting the hit or miss
+     * @param {string} key - Cache key from createKey()
+     * @returns {Promise<Object|null>} Copy of the cached analysis, or null
+     */
+    async get(key) {
+        if (this.#maxEntries === 0) {
+            return null;
+        }
+
+        const entry = this.#entries.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            this.#entries.delete(key);
+            this.#entries.set(key, entry);
+            this.#stats.hits++;
+            return JSON.parse(entry.json);
+        }
+        if (entry) {
+            this.#entries.delete(key);
+        }
+
+        const stored = await this.#readDisk(key);
+        if (stored) {
+            this.#remember(key, stored);
+            this.#stats.hits++;
+            this.#stats.diskHits++;
+            return JSON.parse(stored.json);
+        }
+
+        this.#stats.misses++;
+        return null;
+    }
+
+    /**
+     * Caches an analysis
+     * @param {string} key - Cache key from createKey()
+     * @param {Object} analysis - Analysis to cache
+     * @returns {Promise<void>}
+     */
+    async set(key, analysis) {
+        if (this.#maxEntries === 0) {
+            return;
+        }
+
+        const entry = { json: JSON.stringify(analysis), expiresAt: Date.now() + this.#ttlMs };
+        this.#remember(key, entry);
+
+        if (this.#diskStore) {
+            try {
+                await this.#diskStore.put(key, Buffer.from(entry.json), {
+                    contentType: 'application/json',
+                    expiresAt: entry.expiresAt
+                });
+            } catch (error) {
+                // The memory copy still serves this process
+                console.error('Failed to write analysis cache entry:', error.message);
+            }
+            await this.#pruneDisk();
+        }
+    }
+
+    /**
+     * Gets hit and miss counts and the cache configuration
+     * @returns {Object} Cache statistics
+     */
+    getStats() {
+        const lookups = this.#stats.hits + this.#stats.misses;
+        return {
+            enabled: this.#maxEntries > 0,
+            backing: this.#diskStore ? 'disk' : 'memory',
+            entries: this.#entries.size,
+            maxEntries: this.#maxEntries,
+            ttlSeconds: this.#ttlMs / 1000,
+            maxDiskEntries: this.#diskStore ? this.#maxDiskEntries : null,
+            ...this.#stats,
+            hitRate: lookups > 0 ? Math.round(this.#stats.hits / lookups * 1000) / 1000 : 0
+        };
+    }
+
+    /**
+     * Stores an entry in memory as the most recently used, evicting the least recently used beyond the limit
+     * @private
+     * @param {string} key - Cache key
+     * @param {Object} entry - Serialized analysis and expiry time
+     */
+    #remember(key, entry) {
+        this.#entries.delete(key);
+        this.#entries.set(key, entry);
+
+        while (this.#entries.size > this.#maxEntries) {
+            this.#entries.delete(this.#entries.keys().next().value);
+            this.#stats.evictions++;
+        }
+    }
+
+    /**
+     * Reads an unexpired entry from the disk store
+     * @private
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Serialized analysis and expiry time, or null
+     */
+    async #readDisk(key) {
+        if (!this.#diskStore) {
+            return null;
+        }
+
+        try {
+            const stored = await this.#diskStore.get(key);
+            if (!stored) {
+                return null;
+            }
+            if (!(stored.metadata.expiresAt > Date.now())) {
+                await this.#diskStore.delete(key);
+                return null;
+            }
+            return { json: stored.buffer.toString('utf8'), expiresAt: stored.metadata.expiresAt };
+        } catch (error) {
+            if (this.#debugMode) {
+                console.log(`Ignoring unreadable analysis cache entry ${key}:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Deletes expired entries from the disk store, then the oldest beyond the size limit
+     * @private
+     * @returns {Promise<void>}
+     */
+    async #pruneDisk() {
+        const now = Date.now();
+        if (now - this.#lastPruneAt < PRUNE_INTERVAL_MS) {
+            return;
+        }
+        this.#lastPruneAt = now;
+
+        try {
+            const stored = await this.#diskStore.list();
+            const expired = stored.filter(entry => !(entry.metadata.expiresAt > now));
+            const live = stored
+                .filter(entry => entry.metadata.expiresAt > now)
+                .sort((a, b) => b.modifiedAt - a.modifiedAt);
+            const removed = [...expired, ...live.slice(this.#maxDiskEntries)];
+
+            for (const entry of removed) {
+                await this.#diskStore.delete(entry.key);
+            }
+            if (this.#debugMode && removed.length > 0) {
+                console.log(`Pruned ${removed.length} analysis cache entries from disk`);
+            }
+        } catch (error) {
+            console.error('Failed to prune analysis cache:', error.message);
+        }
+    }
+
+    /**
+     * Serializes inputs with sorted object keys so equal inputs always hash the same
+     * @private
+     * @param {*} value - Value to serialize
+     * @returns {string} Canonical JSON
+     */
+    #serialize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.#serialize(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${this.#serialize(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value ?? null);
+    }
+}
+
+module.exports = AnalysisCache;
@@ -0,0 +1,244 @@
+const pricingConfig = require('../../config/pricing.json');
+const AnalysisSchema = require('./AnalysisSchema');
+const PromptLibrary = require('./PromptLibrary');
+
+/**
+ * @class AnalysisProvider
+ * @description Interface for the services that read a project description and suggest material, complexity,
+ * supports, size and quality. Providers extend this class and implement `name`, `analyzeProject`,
+ * `testConnection` and `getConfiguration`; the prompt and response handling shared by the LLM-backed
+ * providers live here. Prompts are rendered from the versioned templates in PromptLibrary.
+ */
+class AnalysisProvider {
+    #analysisSchema;
+    #prompts;
+
+    /**
+     * Creates a new AnalysisProvider instance
+     * @throws {Error} If instantiated directly instead of through a provider
+     */
+    constructor() {
+        if (new.target === AnalysisProvider) {
+            throw new Error('AnalysisProvider is an interface. Use GeminiAdapter, OpenAiProvider or RuleBasedProvider.');
+        }
+        this.#analysisSchema = new AnalysisSchema(this.getValidMaterials());
+        this.#prompts = new PromptLibrary();
+    }
+
+    /**
+     * Gets the provider name used in configuration and responses
+     * @returns {string} Provider name
+     */
+    get name() {
+        throw new Error(`${this.constructor.name} must implement name.`);
+    }
+
+    /**
+     * Analyzes a 3D printing project
+     * @param {string} projectDescription - Description of the project
+     * @param {string[]} imageUrls - Array of image URLs to analyze
+     * @param {string} preferredMaterial - User's preferred material
+     * @param {string} preferredColor - User's preferred color
+     * @param {Object} context - What is known about the part beyond its description
+     * @param {Object|null} context.measurements - Measured volume (cm³), surface area (cm²), dimensions (mm),
+     * triangle and object counts, or null when no model was uploaded
+     * @param {Object[]} context.views - Renders of the uploaded model, each with a view name ('front', 'side',
+     * 'top' or 'isometric'), a MIME type and base64 data; providers that read images send them with the prompt
+     * @param {string} context.promptVersion - Prompt template version to use (default the latest)
+     * @returns {Promise<Object>} Analysis with recommendedMaterial, complexity, supportsNeeded, volumeCategory,
+     * qualityRecommendation, reasoning, confidence, fieldSources naming where each field came from, and the
+     * promptVersion that produced it (null for providers without a prompt)
+     */
+    async analyzeProject(projectDescription, imageUrls = [], preferredMaterial = null, preferredColor = null, context = {}) {
+        throw new Error(`${this.constructor.name} must implement analyzeProject().`);
+    }
+
+    /**
+     * Tests that the provider can be reached
+     * @returns {Promise<boolean>} True if the provider is available
+     */
+    async testConnection() {
+        throw new Error(`${this.constructor.name} must implement testConnection().`);
+    }
+
+    /**
+     * Gets the provider configuration, without secrets
+     * @returns {Object} Provider configuration
+     */
+    getConfiguration() {
+        throw new Error(`${this.constructor.name} must implement getConfiguration().`);
+    }
+
+    /**
+     * Validates analysis input parameters
+     * @protected
+     * @param {string} projectDescription - Project description
+     * @param {string[]} imageUrls - Image URLs
+     * @param {string} preferredMaterial - Preferred material
+     * @param {string} preferredColor - Preferred color
+     */
+    validateAnalysisInput(projectDescription, imageUrls, preferredMaterial, preferredColor) {
+        if (!projectDescription || typeof projectDescription !== 'string') {
+            throw new Error('Project description must be a non-empty string.');
+        }
+
+        if (!Array.isArray(imageUrls)) {
+            throw new Error('Image URLs must be an array.');
+        }
+
+        if (preferredMaterial && typeof preferredMaterial !== 'string') {
+            throw new Error('Preferred material must be a string.');
+        }
+
+        if (preferredColor && typeof preferredColor !== 'string') {
+            throw new Error('Preferred color must be a string.');
+        }
+    }
+
+    /**
+     * Gets the prompt template version an analysis uses
+     * @protected
+     * @param {Object} context - Analysis context (see analyzeProject)
+     * @returns {string} Version name
+     * @throws {Error} If the requested version does not exist
+     */
+    getPromptVersion(context = {}) {
+        const version = context.promptVersion || this.#prompts.getDefaultVersion();
+        if (!this.#prompts.hasVersion(version)) {
+            throw new Error(`Unknown prompt version '${version}'. Use ${this.#prompts.getVersions().join(', ')}.`);
+        }
+        return version;
+    }
+
+    /**
+     * Builds the analysis prompt sent to language models from the analysis template
+     * @protected
+     * @param {string} projectDescription - Project description
+     * @param {string} preferredMaterial - Preferred material
+     * @param {string} preferredColor - Preferred color
+     * @param {Object} context - Analysis context (see analyzeProject)
+     * @returns {string} Formatted prompt
+     */
+    buildPrompt(projectDescription, preferredMaterial, preferredColor, context = {}) {
+        const measurements = context.measurements;
+        const views = context.views || [];
+
+        return this.#prompts.render('analysis', {
+            projectDescription,
+            materials: this.getValidMaterials().join(', '),
+            preferredMaterial: preferredMaterial || null,
+            preferredColor: preferredColor || null,
+            dimensions: measurements
+                ? ['x', 'y', 'z'].map(axis => measurements.dimensions[axis]).join(' x ')
+                : null,
+            volume: measurements ? measurements.volume : null,
+            partCount: measurements && measurements.objectCount > 1 ? measurements.objectCount : null,
+            views: views.length > 0 ? views.map(view => view.view).join(', ') : null
+        }, this.getPromptVersion(context));
+    }
+
+    /**
+     * Gets the JSON schema language models are asked to answer with
+     * @protected
+     * @returns {Object} JSON schema of an analysis
+     */
+    getResponseSchema() {
+        return this.#analysisSchema.toJsonSchema();
+    }
+
+    /**
+     * Reads a language model reply against the analysis schema. A reply with invalid or missing fields gets
+     * one repair prompt; fields still invalid after that are defaulted.
+     * @protected
+     * @param {string} prompt - Prompt the reply answers
+     * @param {string} reply - Reply text
+     * @param {Function} repair - Sends a repair prompt and resolves to the new reply text
+     * @param {string} promptVersion - Prompt template version the prompt was rendered from
+     * @returns {Promise<Object>} Analysis with fieldSources ('model' or 'default' per field), repaired and promptVersion
+     * @throws {Error} If neither reply supplies a single valid field
+     */
+    async readAnalysis(prompt, reply, repair, promptVersion) {
+        let attempt = this.#checkReply(reply);
+        let repaired = false;
+
+        if (attempt.errors.length > 0) {
+            try {
+                const retry = this.#checkReply(await repair(this.buildRepairPrompt(prompt, reply, attempt.errors, promptVersion)));
+                if (retry.errors.length < attempt.errors.length) {
+                    attempt = retry;
+                    repaired = true;
+                }
+            } catch (error) {
+                console.error(`${this.name} repair prompt failed:`, error.message);
+            }
+        }
+
+        if (Object.keys(attempt.values).length === 0) {
+            throw new Error(`No usable analysis in ${this.name} response: ${attempt.errors.map(entry => entry.message).join('; ')}`);
+        }
+
+        const { analysis, fieldSources } = this.#analysisSchema.complete(attempt.values);
+        return { ...analysis, fieldSources, repaired, promptVersion };
+    }
+
+    /**
+     * Builds the prompt asking a model to correct a reply that failed the analysis schema
+     * @protected
+     * @param {string} prompt - Original prompt
+     * @param {string} reply - Reply that failed
+     * @param {Object[]} errors - Schema problems with the reply
+     * @param {string} promptVersion - Prompt template version to use
+     * @returns {string} Repair prompt
+     */
+    buildRepairPrompt(prompt, reply, errors, promptVersion) {
+        return this.#prompts.render('repair', {
+            prompt,
+            reply: typeof reply === 'string' ? reply.substring(0, 2000) : '',
+            problems: errors.map(entry => `- ${entry.message}`).join('\n'),
+            fields: this.#analysisSchema.fields.join(', ')
+        }, this.getPromptVersion({ promptVersion }));
+    }
+
+    /**
+     * Validates an analysis result
+     * @protected
+     * @param {Object} analysis - Analysis result
+     * @throws {Error} If a field is missing or out of range
+     */
+    validateAnalysisResult(analysis) {
+        const { errors } = this.#analysisSchema.check(analysis);
+        if (errors.length > 0) {
+            throw new Error(`Invalid analysis: ${errors.map(entry => entry.message).join('; ')}`);
+        }
+    }
+
+    /**
+     * Gets the materials an analysis may recommend
+     * @protected
+     * @returns {string[]} Material names from the pricing database
+     */
+    getValidMaterials() {
+        return Object.keys(pricingConfig.materials);
+    }
+
+    /**
+     * Extracts the JSON object from a reply and checks it against the analysis schema
+     * @private
+     * @param {string} content - Reply text
+     * @returns {Object} Valid field values and schema problems
+     */
+    #checkReply(content) {
+        const jsonMatch = typeof content === 'string' ? content.match(/\{[\s\S]*\}/) : null;
+        if (!jsonMatch) {
+            return { values: {}, errors: [{ field: null, message: 'reply holds no JSON object' }] };
+        }
+
+        try {
+            return this.#analysisSchema.check(JSON.parse(jsonMatch[0]));
+        } catch (error) {
+            return { values: {}, errors: [{ field: null, message: `reply is not valid JSON (${error.message})` }] };
+        }
+    }
+}
+
+module.exports = AnalysisProvider;
@@ -0,0 +1,123 @@
+const Joi = require('joi');
+
+/**
+ * @class AnalysisSchema
+ * @description Declares the fields every project analysis carries. The same declaration is sent to
+ * language models as a JSON schema for structured output and checked with Joi when their reply comes back,
+ * so a reply that is partly wrong keeps its valid fields and only the rest fall back to defaults.
+ */
+class AnalysisSchema {
+    #materials;
+    #schema;
+    #defaults;
+
+    /**
+     * Creates a new AnalysisSchema instance
+     * @param {string[]} materials - Materials an analysis may recommend
+     */
+    constructor(materials) {
+        if (!Array.isArray(materials) || materials.length === 0) {
+            throw new Error('Analysis schema needs at least one material.');
+        }
+
+        this.#materials = [...materials];
+        this.#schema = Joi.object({
+            recommendedMaterial: Joi.string().valid(...this.#materials).required(),
+            complexity: Joi.string().valid('simple', 'medium', 'complex', 'very_complex').required(),
+            supportsNeeded: Joi.boolean().required(),
+            volumeCategory: Joi.string().valid('small', 'medium', 'large').required(),
+            qualityRecommendation: Joi.string().valid('draft', 'standard', 'high').required(),
+            reasoning: Joi.string().trim().min(1).max(2000).required(),
+            confidence: Joi.number().min(0).max(1).required()
+        });
+        this.#defaults = {
+            recommendedMaterial: this.#materials.includes('PLA') ? 'PLA' : this.#materials[0],
+            complexity: 'medium',
+            // Assume supports so a missing answer never lowers the quote
+            supportsNeeded: true,
+            volumeCategory: 'medium',
+            qualityRecommendation: 'standard',
+            reasoning: 'No usable reasoning was returned.',
+            confidence: 0.5
+        };
+    }
+
+    /**
+     * Gets the names of the analysis fields
+     * @returns {string[]} Field names
+     */
+    get fields() {
+        return Object.keys(this.#defaults);
+    }
+
+    /**
+     * Describes the analysis as a JSON schema for structured model output
+     * @returns {Object} JSON schema
+     */
+    toJsonSchema() {
+        return {
+            type: 'object',
+            properties: {
+                recommendedMaterial: { type: 'string', enum: this.#materials },
+                complexity: { type: 'string', enum: ['simple', 'medium', 'complex', 'very_complex'] },
+                supportsNeeded: { type: 'boolean' },
+                volumeCategory: { type: 'string', enum: ['small', 'medium', 'large'] },
+                qualityRecommendation: { type: 'string', enum: ['draft', 'standard', 'high'] },
+                reasoning: { type: 'string', description: 'Brief explanation of the recommendations' },
+                confidence: { type: 'number', minimum: 0, maximum: 1 }
+            },
+            required: this.fields,
+            additionalProperties: false
+        };
+    }
+
+    /**
+     * Checks a candidate analysis field by field
+     * @param {Object} candidate - Parsed model reply
+     * @returns {Object} Valid field values and the problems with the other fields
+     */
+    check(candidate) {
+        if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+            return { values: {}, errors: [{ field: null, message: 'reply is not a JSON object' }] };
+        }
+
+        const { value, error } = this.#schema.validate(candidate, { abortEarly: false, stripUnknown: true });
+        const errors = error
+            ? error.details.map(detail => ({ field: detail.path[0], message: detail.message }))
+            : [];
+        const invalid = new Set(errors.map(entry => entry.field));
+
+        const values = {};
+        for (const field of this.fields) {
+            if (!invalid.has(field)) {
+                values[field] = value[field];
+            }
+        }
+
+        return { values, errors };
+    }
+
+    /**
+     * Fills the fields a reply did not supply with defaults and records where each field came from.
+     * Confidence is scaled by the share of fields the model supplied, so a half-defaulted analysis
+     * never claims the confidence of a complete one.
+     * @param {Object} values - Valid field values from check()
+     * @returns {Object} Complete analysis and its field sources ('model' or 'default')
+     */
+    complete(values) {
+        const analysis = {};
+        const fieldSources = {};
+        for (const field of this.fields) {
+            const supplied = field in values;
+            analysis[field] = supplied ? values[field] : this.#defaults[field];
+            fieldSources[field] = supplied ? 'model' : 'default';
+        }
+
+        const suppliedCount = Object.values(fieldSources).filter(source => source === 'model').length;
+        analysis.confidence = Math.round(analysis.confidence * suppliedCount / this.fields.length * 100) / 100;
+
+        return { analysis, fieldSources };
+    }
+}
+
+module.exports = AnalysisSchema;
@@ -0,0 +1,168 @@
+const axios = require('axios');
+const AnalysisProvider = require('./AnalysisProvider');
+
+/**
+ * @class OpenAiProvider
+ * @extends AnalysisProvider
+ * @description Analyzes projects through any OpenAI-compatible chat completions API
+ * (OpenAI, Azure OpenAI, OpenRouter, or a local Ollama or vLLM server).
+ */
+class OpenAiProvider extends AnalysisProvider {
+    #client;
+    #baseUrl;
+    #model;
+    #hasApiKey;
+    #requestTimeout;
+    #debugMode;
+
+    /**
+     * Creates a new OpenAiProvider instance
+     * @param {Object} options - Provider options
+     * @param {string} options.baseUrl - API base URL, up to and including the version (default https://api.openai.com/v1)
+     * @param {string} options.apiKey - API key; optional for local servers
+     * @param {string} options.model - Chat model name (default gpt-4o-mini)
+     * @param {number} options.timeout - Request timeout in milliseconds (default 30000)
+     * @param {boolean} debugMode - Enable debug logging
+     */
+    constructor(options = {}, debugMode = false) {
+        super();
+        this.#baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        if (!/^https?:\/\/.+/.test(this.#baseUrl)) {
+            throw new Error('OpenAI base URL must be a valid HTTP/HTTPS URL.');
+        }
+
+        this.#model = options.model || 'gpt-4o-mini';
+        this.#hasApiKey = !!options.apiKey;
+        this.#requestTimeout = options.timeout || 30000;
+        this.#client = axios.create({
+            baseURL: this.#baseUrl,
+            headers: options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {}
+        });
+        this.#debugMode = debugMode;
+    }
+
+    /**
+     * Gets the provider name used in configuration and responses
+     * @returns {string} Provider name
+     */
+    get name() {
+        return 'openai';
+    }
+
+    /**
+     * Analyzes a 3D printing project with a chat model
+     * @param {string} projectDescription - Description of the project
+     * @param {string[]} imageUrls - Image URLs; only http(s) URLs are sent to the model, after the rendered views
+     * @param {string} preferredMaterial - User's preferred material
+     * @param {string} preferredColor - User's preferred color
+     * @param {Object} context - Measurements of the uploaded model (see AnalysisProvider)
+     * @returns {Promise<Object>} Model analysis
+     * @throws {Error} If the API cannot be reached or its reply is not a valid analysis
+     */
+    async analyzeProject(projectDescription, imageUrls = [], preferredMaterial = null, preferredColor = null, context = {}) {
+        this.validateAnalysisInput(projectDescription, imageUrls, preferredMaterial, preferredColor);
+
+        const promptVersion = this.getPromptVersion(context);
+        const prompt = this.buildPrompt(projectDescription, preferredMaterial, preferredColor, context);
+        const images = [
+            ...(context.views || []).map(view => `data:${view.mimeType};base64,${view.data}`),
+            ...imageUrls.filter(url => /^https?:\/\//.test(url))
+        ];
+
+        if (this.#debugMode) {
+            console.log(`Sending request to ${this.#model}:`, {
+                prompt: prompt.substring(0, 100) + '...',
+                imageCount: images.length
+            });
+        }
+
+        const withImages = text => (images.length > 0
+            ? [{ type: 'text', text }, ...images.map(url => ({ type: 'image_url', image_url: { url } }))]
+            : text);
+        const system = { role: 'system', content: 'You are a 3D printing technician at a university makerspace. Reply with JSON only.' };
+        const parameters = {
+            temperature: 0.2,
+            max_tokens: 1024,
+            response_format: {
+                type: 'json_schema',
+                json_schema: { name: 'print_analysis', strict: true, schema: this.getResponseSchema() }
+            }
+        };
+        const text = await this.#complete([system, { role: 'user', content: withImages(prompt) }], parameters);
+
+        const analysis = await this.readAnalysis(prompt, text,
+            repairPrompt => this.#complete([system, { role: 'user', content: withImages(repairPrompt) }], parameters),
+            promptVersion);
+
+        if (this.#debugMode) {
+            console.log(`${this.#model} analysis completed:`, {
+                material: analysis.recommendedMaterial,
+                complexity: analysis.complexity,
+                confidence: analysis.confidence,
+                repaired: analysis.repaired
+            });
+        }
+
+        return analysis;
+    }
+
+    /**
+     * Tests the connection to the API
+     * @returns {Promise<boolean>} True if connection is successful
+     */
+    async testConnection() {
+        try {
+            await this.#complete([{ role: 'user', content: "Respond with 'OK' to test the connection." }], { max_tokens: 5 });
+            return true;
+        } catch (error) {
+            console.error('OpenAI-compatible API connection test failed:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Gets the current API configuration
+     * @returns {Object} API configuration, without the key
+     */
+    getConfiguration() {
+        return {
+            provider: this.name,
+            baseUrl: this.#baseUrl,
+            model: this.#model,
+            debugMode: this.#debugMode,
+            requestTimeout: this.#requestTimeout,
+            hasApiKey: this.#hasApiKey
+        };
+    }
+
+    /**
+     * Sends a chat completion request
+     * @private
+     * @param {Array} messages - Chat messages
+     * @param {Object} parameters - Extra request parameters
+     * @returns {Promise<string>} Text of the first choice
+     */
+    async #complete(messages, parameters = {}) {
+        try {
+            const response = await this.#client.post('/chat/completions', {
+                model: this.#model,
+                messages,
+                ...parameters
+            }, { timeout: this.#requestTimeout });
+
+            const choice = response.data && Array.isArray(response.data.choices) ? response.data.choices[0] : null;
+            const text = choice && choice.message ? choice.message.content : null;
+            if (typeof text !== 'string' || text.length === 0) {
+                throw new Error('Invalid response from chat completions API');
+            }
+            return text;
+        } catch (error) {
+            const detail = error.response && error.response.data && error.response.data.error
+                ? error.response.data.error.message || error.message
+                : error.message;
+            throw new Error(`OpenAI-compatible API request failed: ${detail}`);
+        }
+    }
+}
+
+module.exports = OpenAiProvider;
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @class PromptLibrary
+ * @description Loads the prompt templates sent to analysis providers from versioned directories
+ * (`src/config/prompts/v1/analysis.txt`, `v2/analysis.txt`, ...), so a prompt can be changed, compared
+ * and audited without touching code. Templates use `{{name}}` for variables and `{{#name}}...{{/name}}`
+ * for sections that are only rendered when the variable has a value.
+ */
+class PromptLibrary {
+    #directory;
+    #versions;
+    #defaultVersion;
+    #templates;
+
+    /**
+     * Creates a new PromptLibrary instance
+     * @param {Object} options - Library options
+     * @param {string} options.directory - Directory holding one subdirectory per version (default src/config/prompts)
+     * @param {string} options.version - Version used when none is requested (default the latest)
+     * @throws {Error} If no versions exist or the default version is unknown
+     */
+    constructor(options = {}) {
+        this.#directory = path.resolve(options.directory || path.join(__dirname, '..', '..', 'config', 'prompts'));
+        this.#versions = this.#findVersions();
+        if (this.#versions.length === 0) {
+            throw new Error(`No prompt versions found in ${this.#directory}.`);
+        }
+
+        this.#defaultVersion = options.version || this.#versions[this.#versions.length - 1];
+        if (!this.hasVersion(this.#defaultVersion)) {
+            throw new Error(`Unknown prompt version '${this.#defaultVersion}'. Use ${this.#versions.join(', ')}.`);
+        }
+
+        this.#templates = new Map();
+    }
+
+    /**
+     * Gets the available versions, oldest first
+     * @returns {string[]} Version names
+     */
+    getVersions() {
+        return [...this.#versions];
+    }
+
+    /**
+     * Gets the version used when none is requested
+     * @returns {string} Version name
+     */
+    getDefaultVersion() {
+        return this.#defaultVersion;
+    }
+
+    /**
+     * Checks whether a version exists
+     * @param {string} version - Version name
+     * @returns {boolean} True if the version exists
+     */
+    hasVersion(version) {
+        return this.#versions.includes(version);
+    }
+
+    /**
+     * Renders a template with the given variables
+     * @param {string} name - Template name, e.g. 'analysis' or 'repair'
+     * @param {Object} variables - Values for every variable the template uses; null or empty hides a section
+     * @param {string} version - Version to render (default the default version)
+     * @returns {string} Rendered prompt
+     * @throws {Error} If the version or template does not exist, or a variable is missing
+     */
+    render(name, variables, version = this.#defaultVersion) {
+        const template = this.#loadTemplate(name, version);
+        return this.#renderText(template, variables, `${version}/${name}`);
+    }
+
+    /**
+     * Lists the version directories, ordered by their number
+     * @private
+     * @returns {string[]} Version names
+     */
+    #findVersions() {
+        let entries;
+        try {
+            entries = fs.readdirSync(this.#directory, { withFileTypes: true });
+        } catch (error) {
+            return [];
+        }
+
+        return entries
+            .filter(entry => entry.isDirectory() && /^v\d+$/.test(entry.name))
+            .map(entry => entry.name)
+            .sort((a, b) => parseInt(a.substring(1), 10) - parseInt(b.substring(1), 10));
+    }
+
+    /**
+     * Reads a template file once and keeps it
+     * @private
+     * @param {string} name - Template name
+     * @param {string} version - Version name
+     * @returns {string} Template text
+     */
+    #loadTemplate(name, version) {
+        if (!this.hasVersion(version)) {
+            throw new Error(`Unknown prompt version '${version}'. Use ${this.#versions.join(', ')}.`);
+        }
+        if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+            throw new Error(`Invalid prompt template name '${name}'.`);
+        }
+
+        const key = `${version}/${name}`;
+        if (!this.#templates.has(key)) {
+            let text;
+            try {
+                text = fs.readFileSync(path.join(this.#directory, version, `${name}.txt`), 'utf8');
+            } catch (error) {
+                throw new Error(`Prompt template '${name}' does not exist in version ${version}.`);
+            }
+            // Editors add a final newline; the prompt should not end with one
+            this.#templates.set(key, text.replace(/\r\n/g, '\n').replace(/\n$/, ''));
+        }
+
+        return this.#templates.get(key);
+    }
+
+    /**
+     * Expands sections and substitutes variables in one pass, so values are never read as template markup
+     * @private
+     * @param {string} text - Template text
+     * @param {Object} variables - Variable values
+     * @param {string} source - Template being rendered, for error messages
+     * @returns {string} Rendered text
+     */
+    #renderText(text, variables, source) {
+        const lookup = (name) => {
+            if (!(name in variables) || variables[name] === undefined) {
+                throw new Error(`Prompt template ${source} needs variable '${name}'.`);
+            }
+            return variables[name];
+        };
+
+        return text.replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}|\{\{(\w+)\}\}/g, (match, section, body, name) => {
+            if (name) {
+                return String(lookup(name));
+            }
+
+            const value = lookup(section);
+            const empty = value === null || value === false || value === '' || (Array.isArray(value) && value.length === 0);
+            return empty ? '' : this.#renderText(body, variables, source);
+        });
+    }
+}
+
+module.exports = PromptLibrary;
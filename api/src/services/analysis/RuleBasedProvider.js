@@ -0,0 +1,190 @@
+const AnalysisProvider = require('./AnalysisProvider');
+const MaterialAdvisor = require('../../models/MaterialAdvisor');
+
+/**
+ * @class RuleBasedProvider
+ * @extends AnalysisProvider
+ * @description Analyzes projects without any network calls, from the MaterialAdvisor keyword heuristics
+ * and the measured model. The same input always gives the same analysis, so it is used offline, in tests,
+ * and whenever a remote provider fails.
+ */
+class RuleBasedProvider extends AnalysisProvider {
+    #materialAdvisor;
+    #volumeLimits;
+    #shapeLimits;
+    #keywords;
+    #debugMode;
+
+    /**
+     * Creates a new RuleBasedProvider instance
+     * @param {Object} options - Heuristic options
+     * @param {Object} options.volumeLimits - Largest small and medium volumes in cm³ (default 10 and 100)
+     * @param {boolean} debugMode - Enable debug logging
+     */
+    constructor(options = {}, debugMode = false) {
+        super();
+        this.#materialAdvisor = new MaterialAdvisor(debugMode);
+        this.#volumeLimits = { small: 10, medium: 100, ...options.volumeLimits };
+        // Surface area over volume^(2/3): about 4.8 for a sphere and 6 for a cube, rising with ribs, holes and fine detail
+        this.#shapeLimits = { simple: 8, medium: 12, complex: 20 };
+        this.#keywords = {
+            simple: ['simple', 'basic', 'plain', 'block', 'spacer', 'washer'],
+            complex: ['complex', 'detailed', 'intricate', 'articulated', 'lattice', 'assembly'],
+            small: ['small', 'miniature', 'tiny', 'keychain'],
+            large: ['large', 'big', 'full-size', 'full size'],
+            supports: ['overhang', 'bridge', 'figurine', 'statue', 'miniature', 'organic', 'sculpture'],
+            high: ['detailed', 'smooth', 'display', 'figurine', 'miniature', 'presentation'],
+            draft: ['draft', 'quick', 'rough', 'test fit', 'test print', 'prototype']
+        };
+        this.#debugMode = debugMode;
+    }
+
+    /**
+     * Gets the provider name used in configuration and responses
+     * @returns {string} Provider name
+     */
+    get name() {
+        return 'rules';
+    }
+
+    /**
+     * Analyzes a 3D printing project from its description and measurements
+     * @param {string} projectDescription - Description of the project
+     * @param {string[]} imageUrls - Image URLs (not used)
+     * @param {string} preferredMaterial - User's preferred material
+     * @param {string} preferredColor - User's preferred color
+     * @param {Object} context - Measurements of the uploaded model (see AnalysisProvider)
+     * @returns {Promise<Object>} Rule-based analysis
+     */
+    async analyzeProject(projectDescription, imageUrls = [], preferredMaterial = null, preferredColor = null, context = {}) {
+        this.validateAnalysisInput(projectDescription, imageUrls, preferredMaterial, preferredColor);
+
+        const description = projectDescription.toLowerCase();
+        const measurements = context.measurements || null;
+        const material = this.#materialAdvisor.recommendMaterial(
+            projectDescription,
+            this.#materialAdvisor.isMaterialSupported(preferredMaterial) ? preferredMaterial : null
+        );
+        const complexity = this.#assessComplexity(description, measurements);
+        const volumeCategory = this.#assessVolume(description, measurements);
+
+        const analysis = {
+            recommendedMaterial: material.material,
+            complexity: complexity.level,
+            // Uploaded models get their overhangs measured later; without one, assume supports
+            supportsNeeded: this.#mentions(description, 'supports') || !measurements,
+            volumeCategory: volumeCategory.category,
+            qualityRecommendation: this.#mentions(description, 'high')
+                ? 'high'
+                : this.#mentions(description, 'draft') ? 'draft' : 'standard',
+            reasoning: `Rule-based analysis: ${material.material} from description keywords; ${complexity.reason}; ${volumeCategory.reason}`,
+            // Kept at or below 0.7 so MaterialAdvisor's project-type scoring is not overridden
+            confidence: measurements ? 0.7 : 0.5
+        };
+        analysis.fieldSources = Object.fromEntries(Object.keys(analysis).map(field => [field, 'rules']));
+        analysis.repaired = false;
+        // Rules read no prompt, so replaying them under another template version changes nothing
+        analysis.promptVersion = null;
+
+        if (this.#debugMode) {
+            console.log('Rule-based analysis completed:', {
+                material: analysis.recommendedMaterial,
+                complexity: analysis.complexity,
+                volumeCategory: analysis.volumeCategory
+            });
+        }
+
+        return analysis;
+    }
+
+    /**
+     * Tests that the provider can be reached
+     * @returns {Promise<boolean>} Always true; nothing is called over the network
+     */
+    async testConnection() {
+        return true;
+    }
+
+    /**
+     * Gets the provider configuration
+     * @returns {Object} Provider configuration
+     */
+    getConfiguration() {
+        return {
+            provider: this.name,
+            debugMode: this.#debugMode,
+            volumeLimits: { ...this.#volumeLimits }
+        };
+    }
+
+    /**
+     * Rates complexity from the model's shape, or from the description when nothing was measured
+     * @private
+     * @param {string} description - Lower-case project description
+     * @param {Object|null} measurements - Model measurements
+     * @returns {Object} Complexity level and the reason for it
+     */
+    #assessComplexity(description, measurements) {
+        if (measurements && measurements.volume > 0 && measurements.surfaceArea > 0) {
+            const ratio = measurements.surfaceArea / Math.pow(measurements.volume, 2 / 3);
+            const levels = ['simple', 'medium', 'complex', 'very_complex'];
+            let index = levels.findIndex(level => ratio <= this.#shapeLimits[level]);
+            if (index === -1) {
+                index = levels.length - 1;
+            }
+            // Several parts to print and fit together is at least a medium job
+            if (measurements.objectCount > 1 && index === 0) {
+                index = 1;
+            }
+            return {
+                level: levels[index],
+                reason: `${levels[index]} shape (surface-to-volume ratio ${ratio.toFixed(1)}${measurements.objectCount > 1 ? `, ${measurements.objectCount} parts` : ''})`
+            };
+        }
+
+        if (this.#mentions(description, 'simple')) {
+            return { level: 'simple', reason: 'simple from description keywords' };
+        }
+        if (this.#mentions(description, 'complex')) {
+            return { level: 'complex', reason: 'complex from description keywords' };
+        }
+        return { level: 'medium', reason: 'medium complexity assumed' };
+    }
+
+    /**
+     * Sorts the part into a size category from its measured volume, or from the description
+     * @private
+     * @param {string} description - Lower-case project description
+     * @param {Object|null} measurements - Model measurements
+     * @returns {Object} Volume category and the reason for it
+     */
+    #assessVolume(description, measurements) {
+        if (measurements && typeof measurements.volume === 'number') {
+            const category = measurements.volume <= this.#volumeLimits.small
+                ? 'small'
+                : measurements.volume <= this.#volumeLimits.medium ? 'medium' : 'large';
+            return { category, reason: `${category} at ${measurements.volume} cm³ measured` };
+        }
+
+        if (this.#mentions(description, 'small')) {
+            return { category: 'small', reason: 'small from description keywords' };
+        }
+        if (this.#mentions(description, 'large')) {
+            return { category: 'large', reason: 'large from description keywords' };
+        }
+        return { category: 'medium', reason: 'medium size assumed' };
+    }
+
+    /**
+     * Checks whether a description uses any keyword of a group
+     * @private
+     * @param {string} description - Lower-case project description
+     * @param {string} group - Keyword group
+     * @returns {boolean} True if a keyword appears
+     */
+    #mentions(description, group) {
+        return this.#keywords[group].some(keyword => description.includes(keyword));
+    }
+}
+
+module.exports = RuleBasedProvider;
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const ApiKeyRepository = require('../../repositories/ApiKeyRepository');
+const ApiKeyScopes = require('../../models/ApiKeyScopes');
+const { UnauthorizedError, ForbiddenError, RateLimitError } = require('../../middleware/errorHandler');
+
+// Rate limits are counted per key over a sliding minute
+const RATE_WINDOW_MS = 60 * 1000;
+
+/**
+ * @class ApiKeyService
+ * @description Issues and checks API keys for external integrations such as course staff tools
+ * and lab scripts. Keys are random secrets shown once when created; only their SHA-256 hash is
+ * stored. Each key has an owner, scopes, its own per-minute rate limit and a last-used time.
+ */
+class ApiKeyService {
+    #keys;
+    #rateLimit;
+    #cacheMs;
+    #cache;
+    #usage;
+    #lastUsedWrites;
+    #debugMode;
+
+    /**
+     * Creates a new ApiKeyService instance
+     * @param {Object} options - Service options
+     * @param {number} options.rateLimit - Requests per minute for keys created without their own limit (default 60)
+     * @param {number} options.cacheSeconds - Seconds a looked-up key is reused before it is read again (default 60)
+     * @param {ApiKeyRepository} options.repository - Key storage (default the Snowflake repository)
+     * @param {boolean} debugMode - Enable debug logging
+     */
+    constructor(options = {}, debugMode = false) {
+        this.#keys = options.repository || new ApiKeyRepository();
+        this.#rateLimit = options.rateLimit || 60;
+        this.#cacheMs = (options.cacheSeconds ?? 60) * 1000;
+        this.#cache = new Map();
+        this.#usage = new Map();
+        this.#lastUsedWrites = new Map();
+        this.#debugMode = debugMode;
+    }
+
+    /**
+     * Hashes a key for storage and lookup
+     * @param {string} key - API key
+     * @returns {string} Hex SHA-256 digest
+     */
+    static hash(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    /**
+     * Issues a new key
+     * @param {Object} data - Key details
+     * @param {string} data.name - What the key is for, e.g. "ENG 101 grading script"
+     * @param {string} data.ownerId - User ID of the person responsible for the key
+     * @param {string[]} data.scopes - Scopes (see ApiKeyScopes)
+     * @param {number} data.rateLimit - Requests per minute (optional)
+     * @param {string} data.expiresAt - ISO date after which the key stops working (optional)
+     * @param {string} actor - Admin issuing the key
+     * @returns {Promise<Object>} The stored key, with the secret `key` itself, which is not shown again
+     * @throws {ValidationError} If a scope is unknown or none is given
+     * @throws {NotFoundError} If the owner does not exist
+     */
+    async create(data, actor) {
+        const scopes = new ApiKeyScopes(data.scopes);
+        const key = `msk_${crypto.randomBytes(24).toString('base64url')}`;
+
+        const stored = await this.#keys.createKey({
+            keyId: crypto.randomUUID(),
+            prefix: key.slice(0, 12),
+            hash: ApiKeyService.hash(key),
+            name: data.name,
+            ownerId: data.ownerId,
+            scopes: scopes.toArray(),
+            rateLimit: data.rateLimit || this.#rateLimit,
+            expiresAt: data.expiresAt || null
+        }, actor);
+
+        if (this.#debugMode) {
+            console.log(`Issued API key ${stored.keyId} (${stored.prefix}…) to ${data.ownerId}`);
+        }
+        return { ...stored, key };
+    }
+
+    /**
+     * Lists every key, newest first, without secrets or hashes
+     * @returns {Promise<Object[]>} Keys
+     */
+    async list() {
+        return this.#keys.listKeys();
+    }
+
+    /**
+     * Revokes a key; it stops working at once in this process
+     * @param {string} keyId - Key ID
+     * @param {string} actor - Admin revoking the key
+     * @returns {Promise<Object>} The revoked key
+     * @throws {NotFoundError} If the key does not exist
+     * @throws {ConflictError} If the key is already revoked
+     */
+    async revoke(keyId, actor) {
+        const revoked = await this.#keys.revokeKey(keyId, actor);
+        for (const [hash, entry] of this.#cache) {
+            if (entry.key && entry.key.keyId === keyId) {
+                this.#cache.delete(hash);
+            }
+        }
+        this.#usage.delete(keyId);
+        return revoked;
+    }
+
+    /**
+     * Checks a key for a call needing a scope and counts the call against the key's rate limit
+     * @param {string} key - API key sent by the client
+     * @param {string} scope - Scope the call needs
+     * @returns {Promise<Object>} The key, with its `rateLimit` and the calls `remaining` in the current minute
+     * @throws {UnauthorizedError} If the key is unknown, revoked or expired
+     * @throws {ForbiddenError} If the key lacks the scope
+     * @throws {RateLimitError} If the key used up its rate limit; `retryAfter` holds the seconds to wait
+     */
+    async authenticate(key, scope) {
+        const stored = await this.#lookup(key);
+        if (!stored) {
+            throw new UnauthorizedError('API key is not valid.');
+        }
+        if (stored.revokedAt) {
+            throw new UnauthorizedError('API key has been revoked.');
+        }
+        if (stored.expiresAt && new Date(stored.expiresAt).getTime() <= Date.now()) {
+            throw new UnauthorizedError('API key has expired.');
+        }
+
+        const scopes = ApiKeyScopes.fromStored(stored.scopes);
+        if (scopes.length === 0 || !new ApiKeyScopes(scopes).grants(scope)) {
+            throw new ForbiddenError(`API key lacks the ${scope} scope.`);
+        }
+
+        const remaining = this.#countCall(stored);
+        this.#recordUse(stored.keyId);
+        return { ...stored, rateLimit: stored.rateLimit || this.#rateLimit, remaining };
+    }
+
+    /**
+     * Finds a key by its hash, reusing recent lookups
+     * @private
+     * @param {string} key - API key
+     * @returns {Promise<Object|null>} Stored key, or null if no key has the hash
+     */
+    async #lookup(key) {
+        const hash = ApiKeyService.hash(key);
+        const cached = this.#cache.get(hash);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.key;
+        }
+
+        const stored = await this.#keys.findByHash(hash);
+        // Only keys that exist are cached, so random guesses cannot fill the cache
+        if (stored) {
+            this.#cache.set(hash, { key: stored, expiresAt: Date.now() + this.#cacheMs });
+        } else {
+            this.#cache.delete(hash);
+        }
+        return stored;
+    }
+
+    /**
+     * Counts a call against the key's limit for the last minute
+     * @private
+     * @param {Object} stored - Stored key
+     * @returns {number} Calls left in the current minute
+     * @throws {RateLimitError} If the limit is used up
+     */
+    #countCall(stored) {
+        const now = Date.now();
+        const limit = stored.rateLimit || this.#rateLimit;
+        const calls = (this.#usage.get(stored.keyId) || []).filter(time => time > now - RATE_WINDOW_MS);
+
+        if (calls.length >= limit) {
+            this.#usage.set(stored.keyId, calls);
+            const error = new RateLimitError(`API key exceeded its limit of ${limit} requests per minute.`);
+            error.retryAfter = Math.ceil((calls[0] + RATE_WINDOW_MS - now) / 1000);
+            throw error;
+        }
+
+        calls.push(now);
+        this.#usage.set(stored.keyId, calls);
+        return limit - calls.length;
+    }
+
+    /**
+     * Records when a key was last used, writing at most once a minute per key so busy scripts do
+     * not turn every call into a database write
+     * @private
+     * @param {string} keyId - Key ID
+     */
+    #recordUse(keyId) {
+        const now = Date.now();
+        if (now - (this.#lastUsedWrites.get(keyId) || 0) < RATE_WINDOW_MS) {
+            return;
+        }
+        this.#lastUsedWrites.set(keyId, now);
+
+        this.#keys.touchLastUsed(keyId).catch((error) => {
+            console.error('Failed to record API key use:', error.message);
+        });
+    }
+}
+
+module.exports = ApiKeyService;
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const { UnauthorizedError } = require('../../middleware/errorHandler');
+
+// Public keys Firebase Authentication signs ID tokens with
+const FIREBASE_JWKS_URL = 'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com';
+// Least time between refetches for a key ID the cached set does not have, so forged key IDs cannot make every request fetch
+const UNKNOWN_KEY_REFETCH_MS = 60 * 1000;
+
+/**
+ * @class FirebaseTokenVerifier
+ * @description Verifies Firebase ID tokens: RS256 JWTs signed by one of the keys in a JSON Web Key
+ * Set, issued for this Firebase project and not expired. Keys come from Google's JWKS endpoint (or
+ * another URL) and are cached for as long as the response allows, or from a local key set file,
+ * which lets tests and offline setups sign their own tokens.
+ */
+class FirebaseTokenVerifier {
+    #projectId;
+    #jwksUrl;
+    #localKeys;
+    #cacheMs;
+    #keys;
+    #keysExpireAt;
+    #keysFetchedAt;
+    #loading;
+    #debugMode;
+
+    /**
+     * Creates a new FirebaseTokenVerifier instance
+     * @param {Object} options - Verifier options
+     * @param {string} options.projectId - Firebase project ID, expected as audience and in the issuer
+     * @param {string} options.jwksUrl - JWKS URL (defaults to Google's Firebase key set)
+     * @param {string} options.jwksFile - Path to a local JWKS file, used instead of the URL
+     * @param {Object} options.jwks - Key set ({ keys: [...] }), used instead of the URL
+     * @param {number} options.cacheSeconds - Seconds to keep fetched keys when the response sets no max-age (default 3600)
+     * @param {boolean} debugMode - Enable debug logging
+     * @throws {Error} If the project ID is missing or the local key set cannot be read
+     */
+    constructor(options = {}, debugMode = false) {
+        if (!options.projectId) {
+            throw new Error('A Firebase project ID is required to verify ID tokens.');
+        }
+
+        this.#projectId = options.projectId;
+        this.#jwksUrl = options.jwksUrl || FIREBASE_JWKS_URL;
+        this.#cacheMs = (options.cacheSeconds ?? 3600) * 1000;
+        this.#keys = null;
+        this.#keysExpireAt = 0;
+        this.#keysFetchedAt = 0;
+        this.#loading = null;
+        this.#debugMode = debugMode;
+
+        const jwks = options.jwks || (options.jwksFile ? JSON.parse(fs.readFileSync(options.jwksFile, 'utf8')) : null);
+        this.#localKeys = jwks ? this.#importKeys(jwks) : null;
+    }
+
+    /**
+     * Verifies an ID token
+     * @param {string} idToken - Encoded JWT
+     * @returns {Promise<Object>} Verified user ({ uid, email, emailVerified, name, picture, claims })
+     * @throws {UnauthorizedError} If the token is malformed, wrongly signed, expired or for another project
+     */
+    async verify(idToken) {
+        const { header, payload, signedPart, signature } = this.#decode(idToken);
+
+        if (header.alg !== 'RS256') {
+            throw new UnauthorizedError(`ID token must be signed with RS256, not ${header.alg}.`);
+        }
+        if (!header.kid) {
+            throw new UnauthorizedError('ID token has no key ID.');
+        }
+
+        const key = await this.#getKey(header.kid);
+        if (!crypto.verify('RSA-SHA256', Buffer.from(signedPart), key, signature)) {
+            throw new UnauthorizedError('ID token signature is invalid.');
+        }
+
+        this.#checkClaims(payload);
+
+        return {
+            uid: payload.sub,
+            email: payload.email || null,
+            emailVerified: payload.email_verified === true,
+            name: payload.name || null,
+            picture: payload.picture || null,
+            claims: payload
+        };
+    }
+
+    /**
+     * Splits a JWT into its decoded header and payload, signed part and signature
+     * @private
+     * @param {string} idToken - Encoded JWT
+     * @returns {Object} { header, payload, signedPart, signature }
+     * @throws {UnauthorizedError} If the token is not a well-formed JWT
+     */
+    #decode(idToken) {
+        const parts = typeof idToken === 'string' ? idToken.split('.') : [];
+        if (parts.length !== 3) {
+            throw new UnauthorizedError('ID token is not a JWT.');
+        }
+
+        try {
+            return {
+                header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')),
+                payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')),
+                signedPart: `${parts[0]}.${parts[1]}`,
+                signature: Buffer.from(parts[2], 'base64url')
+            };
+        } catch (error) {
+            throw new UnauthorizedError('ID token could not be decoded.');
+        }
+    }
+
+    /**
+     * Checks that the token was issued by Firebase for this project and is currently valid
+     * @private
+     * @param {Object} payload - Decoded claims
+     * @throws {UnauthorizedError} If a claim does not match
+     */
+    #checkClaims(payload) {
+        const now = Math.floor(Date.now() / 1000);
+
+        if (payload.aud !== this.#projectId) {
+            throw new UnauthorizedError('ID token was issued for another project.');
+        }
+        if (payload.iss !== `https://securetoken.google.com/${this.#projectId}`) {
+            throw new UnauthorizedError('ID token has an unexpected issuer.');
+        }
+        if (typeof payload.sub !== 'string' || payload.sub.length === 0 || payload.sub.length > 128) {
+            throw new UnauthorizedError('ID token has no valid subject.');
+        }
+        if (typeof payload.exp !== 'number' || payload.exp <= now) {
+            throw new UnauthorizedError('ID token has expired.');
+        }
+        if (typeof payload.iat !== 'number' || payload.iat > now) {
+            throw new UnauthorizedError('ID token was issued in the future.');
+        }
+        if (payload.auth_time !== undefined && payload.auth_time > now) {
+            throw new UnauthorizedError('ID token has an authentication time in the future.');
+        }
+    }
+
+    /**
+     * Gets the public key with a key ID, refreshing fetched keys when they expire or the ID is new.
+     * A new ID refetches at most once a minute; in between it is rejected from the cached set.
+     * @private
+     * @param {string} kid - Key ID from the token header
+     * @returns {Promise<crypto.KeyObject>} Public key
+     * @throws {UnauthorizedError} If no key has the ID
+     */
+    async #getKey(kid) {
+        if (this.#localKeys) {
+            return this.#requireKey(this.#localKeys, kid);
+        }
+
+        const now = Date.now();
+        const expired = !this.#keys || now >= this.#keysExpireAt;
+        if (expired || (!this.#keys.has(kid) && now - this.#keysFetchedAt >= UNKNOWN_KEY_REFETCH_MS)) {
+            await this.#refreshKeys();
+        }
+        return this.#requireKey(this.#keys, kid);
+    }
+
+    /**
+     * Looks up a key by ID
+     * @private
+     * @param {Map<string, crypto.KeyObject>} keys - Keys by ID
+     * @param {string} kid - Key ID
+     * @returns {crypto.KeyObject} Public key
+     * @throws {UnauthorizedError} If no key has the ID
+     */
+    #requireKey(keys, kid) {
+        const key = keys.get(kid);
+        if (!key) {
+            throw new UnauthorizedError(`ID token was signed with an unknown key (${kid}).`);
+        }
+        return key;
+    }
+
+    /**
+     * Fetches the key set, sharing one fetch between concurrent callers
+     * @private
+     * @returns {Promise<void>}
+     * @throws {Error} If the key set cannot be fetched
+     */
+    async #refreshKeys() {
+        if (!this.#loading) {
+            this.#loading = axios.get(this.#jwksUrl, { timeout: 10000 })
+                .then((response) => {
+                    this.#keys = this.#importKeys(response.data);
+                    this.#keysFetchedAt = Date.now();
+                    this.#keysExpireAt = this.#keysFetchedAt + this.#getMaxAge(response.headers['cache-control']);
+                    if (this.#debugMode) {
+                        console.log(`Loaded ${this.#keys.size} ID token keys from ${this.#jwksUrl}`);
+                    }
+                })
+                .finally(() => {
+                    this.#loading = null;
+                });
+        }
+        await this.#loading;
+    }
+
+    /**
+     * Reads how long fetched keys may be cached
+     * @private
+     * @param {string|undefined} cacheControl - Cache-Control header of the JWKS response
+     * @returns {number} Milliseconds
+     */
+    #getMaxAge(cacheControl) {
+        const match = /max-age=(\d+)/.exec(cacheControl || '');
+        return match ? parseInt(match[1], 10) * 1000 : this.#cacheMs;
+    }
+
+    /**
+     * Imports the RSA signing keys of a key set
+     * @private
+     * @param {Object} jwks - Key set ({ keys: [...] })
+     * @returns {Map<string, crypto.KeyObject>} Public keys by key ID
+     * @throws {Error} If the key set has no keys array
+     */
+    #importKeys(jwks) {
+        if (!jwks || !Array.isArray(jwks.keys)) {
+            throw new Error('JWKS must have a keys array.');
+        }
+
+        const keys = new Map();
+        for (const jwk of jwks.keys) {
+            if (jwk.kty === 'RSA' && jwk.kid && (!jwk.use || jwk.use === 'sig')) {
+                keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+            }
+        }
+        return keys;
+    }
+}
+
+module.exports = FirebaseTokenVerifier;
@@ -0,0 +1,143 @@
+/**
+ * @class EventBus
+ * @description Fans out live updates (print request submissions and status changes, equipment
+ * status changes) to connected subscribers such as the Server-Sent Events stream. Every event
+ * names its audience, and each subscriber only receives what it may see: staff see everything,
+ * signed-in users see public events and events about their own requests, anyone else sees
+ * public events only. Recent events are kept so a reconnecting subscriber can catch up.
+ */
+class EventBus {
+    #subscribers;
+    #history;
+    #historySize;
+    #nextId;
+    #debugMode;
+
+    /**
+     * Creates a new EventBus instance
+     * @param {Object} options - Bus options
+     * @param {number} options.historySize - Recent events kept for reconnecting subscribers (default 200)
+     * @param {boolean} debugMode - Enable debug logging
+     */
+    constructor(options = {}, debugMode = false) {
+        this.#historySize = options.historySize ?? 200;
+        if (!Number.isInteger(this.#historySize) || this.#historySize < 0) {
+            throw new Error('Event history size must be a non-negative integer.');
+        }
+
+        this.#subscribers = new Set();
+        this.#history = [];
+        this.#nextId = 1;
+        this.#debugMode = debugMode;
+    }
+
+    /**
+     * Publishes an event to every subscriber allowed to see it
+     * @param {string} type - Event type, e.g. 'print-request.status'
+     * @param {Object} data - Event payload
+     * @param {Object} audience - Who may see the event
+     * @param {boolean} audience.public - Everyone may see it
+     * @param {string} audience.userId - The user with this ID may see it (staff always may)
+     * @returns {Object} Published event ({ id, type, data, timestamp })
+     */
+    publish(type, data, audience = {}) {
+        const event = {
+            id: this.#nextId++,
+            type,
+            data,
+            timestamp: new Date().toISOString()
+        };
+        const entry = { event, audience };
+
+        if (this.#historySize > 0) {
+            this.#history.push(entry);
+            if (this.#history.length > this.#historySize) {
+                this.#history.shift();
+            }
+        }
+
+        for (const subscription of this.#subscribers) {
+            this.#deliver(subscription, entry);
+        }
+
+        if (this.#debugMode) {
+            console.log(`Published event ${event.id} ${type} to ${this.#subscribers.size} subscribers`);
+        }
+
+        return event;
+    }
+
+    /**
+     * Subscribes to the events a subscriber may see
+     * @param {Object} subscriber - Who is subscribing
+     * @param {boolean} subscriber.staff - Staff see every event
+     * @param {string} subscriber.userId - Signed-in user's verified ID, if any
+     * @param {Function} listener - Called with each event
+     * @param {number} lastEventId - Last event the subscriber received; later kept events are replayed first
+     * @returns {Function} Unsubscribes the listener
+     */
+    subscribe(subscriber, listener, lastEventId = null) {
+        const subscription = {
+            staff: subscriber.staff === true,
+            userId: subscriber.userId || null,
+            listener
+        };
+
+        if (Number.isInteger(lastEventId)) {
+            for (const entry of this.#history.filter(candidate => candidate.event.id > lastEventId)) {
+                this.#deliver(subscription, entry);
+            }
+        }
+
+        this.#subscribers.add(subscription);
+        return () => {
+            this.#subscribers.delete(subscription);
+        };
+    }
+
+    /**
+     * Gets subscriber and event counts
+     * @returns {Object} Bus statistics
+     */
+    getStats() {
+        return {
+            subscribers: this.#subscribers.size,
+            published: this.#nextId - 1,
+            historySize: this.#historySize
+        };
+    }
+
+    /**
+     * Sends an event to one subscriber if it may see it, isolating listener failures
+     * @private
+     * @param {Object} subscription - Subscriber and listener
+     * @param {Object} entry - Event and audience
+     */
+    #deliver(subscription, entry) {
+        if (!this.#canSee(subscription, entry.audience)) {
+            return;
+        }
+
+        try {
+            subscription.listener(entry.event);
+        } catch (error) {
+            console.error(`Event listener failed on event ${entry.event.id}:`, error.message);
+        }
+    }
+
+    /**
+     * Checks whether a subscriber may see an event
+     * @private
+     * @param {Object} subscription - Subscriber
+     * @param {Object} audience - Event audience
+     * @returns {boolean} True if the event may be delivered
+     */
+    #canSee(subscription, audience) {
+        if (subscription.staff || audience.public) {
+            return true;
+        }
+        return Boolean(subscription.userId && audience.userId === subscription.userId);
+    }
+}
+
+module.exports = EventBus;
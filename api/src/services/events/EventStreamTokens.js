@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+/**
+ * @class EventStreamTokens
+ * @description Issues short-lived tokens for the event stream. Browsers' EventSource cannot send
+ * an Authorization header, so a signed-in client first exchanges its Firebase ID token for a
+ * stream token and passes that in the stream URL. A token records who the subscriber was when it
+ * was issued (the user ID from their verified token and whether they are staff) and is checked
+ * when the stream opens; an open stream outlives its token. Tokens are kept in this process, like
+ * the events.
+ */
+class EventStreamTokens {
+    #tokens;
+    #ttlMs;
+
+    /**
+     * Creates a new EventStreamTokens instance
+     * @param {Object} options - Token options
+     * @param {number} options.ttlSeconds - Seconds a token can open a stream (default 60)
+     * @throws {Error} If the lifetime is invalid
+     */
+    constructor(options = {}) {
+        const ttlSeconds = options.ttlSeconds ?? 60;
+        if (typeof ttlSeconds !== 'number' || !(ttlSeconds > 0)) {
+            throw new Error('Event stream token lifetime must be a positive number of seconds.');
+        }
+
+        this.#ttlMs = ttlSeconds * 1000;
+        this.#tokens = new Map();
+    }
+
+    /**
+     * Issues a token for a subscriber
+     * @param {Object} subscriber - Who may use the token
+     * @param {boolean} subscriber.staff - Staff see every event
+     * @param {string} subscriber.userId - ID of the signed-in user, if any
+     * @returns {Object} Token and when it expires ({ token, expiresAt })
+     */
+    issue(subscriber) {
+        this.#prune();
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        const expiresAt = Date.now() + this.#ttlMs;
+        this.#tokens.set(token, {
+            subscriber: { staff: subscriber.staff === true, userId: subscriber.userId || null },
+            expiresAt
+        });
+
+        return { token, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    /**
+     * Looks up the subscriber a token was issued for. A token stays usable until it expires, so
+     * EventSource can reconnect with the same URL after a dropped connection.
+     * @param {string} token - Token from issue
+     * @returns {Object|null} Subscriber, or null if the token is unknown or has expired
+     */
+    redeem(token) {
+        const entry = this.#tokens.get(token);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.#tokens.delete(token);
+            return null;
+        }
+        return { ...entry.subscriber };
+    }
+
+    /**
+     * Deletes expired tokens
+     * @private
+     */
+    #prune() {
+        const now = Date.now();
+        for (const [token, entry] of this.#tokens) {
+            if (entry.expiresAt <= now) {
+                this.#tokens.delete(token);
+            }
+        }
+    }
+}
+
+module.exports = EventStreamTokens;
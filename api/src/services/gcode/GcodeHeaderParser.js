@@ -0,0 +1,305 @@
+/**
+ * @class GcodeHeaderParser
+ * @description Reads the metadata slicers write as comments into G-code.
+ * PrusaSlicer, Bambu Studio and OrcaSlicer write `; key = value` settings and `; key: value` summaries;
+ * Cura writes `;KEY:value` headers. Each field is looked up under every name the supported slicers use.
+ */
+class GcodeHeaderParser {
+    #slicers;
+    #fieldKeys;
+    #bambuBedKeys;
+
+    /**
+     * Creates a new GcodeHeaderParser instance
+     */
+    constructor() {
+        this.#slicers = [
+            { pattern: /PrusaSlicer[\s_-]*([\d.]+[\w.+-]*)?/i, name: 'PrusaSlicer' },
+            { pattern: /SuperSlicer[\s_-]*([\d.]+[\w.+-]*)?/i, name: 'SuperSlicer' },
+            { pattern: /OrcaSlicer[\s_-]*([\d.]+[\w.+-]*)?/i, name: 'OrcaSlicer' },
+            { pattern: /BambuStudio[\s_-]*([\d.]+[\w.+-]*)?/i, name: 'Bambu Studio' },
+            { pattern: /Cura_SteamEngine[\s_-]*([\d.]+[\w.+-]*)?/i, name: 'Cura' }
+        ];
+        // Earlier names win when a file has several
+        this.#fieldKeys = {
+            filamentGrams: ['total filament weight [g]', 'total filament used [g]', 'filament used [g]'],
+            filamentLength: ['total filament length [mm]', 'filament used [mm]', 'filament used'],
+            filamentVolume: ['total filament volume [cm^3]', 'filament used [cm3]'],
+            estimatedTime: [
+                'total estimated time',
+                'estimated printing time (normal mode)',
+                'model printing time',
+                'print.time',
+                'time'
+            ],
+            nozzleTemp: ['nozzle_temperature', 'temperature', 'nozzle_temperature_initial_layer', 'first_layer_temperature', 'extruder_train.0.initial_temperature'],
+            bedTemp: ['bed_temperature', 'first_layer_bed_temperature', 'build_plate.initial_temperature'],
+            printerModel: ['printer_model', 'target_machine.name', 'machine_name'],
+            layerHeight: ['layer_height', 'layer height'],
+            filamentType: ['filament_type', 'extruder_train.0.material.type'],
+            filamentDiameter: ['filament_diameter', 'extruder_train.0.material.diameter'],
+            nozzleDiameter: ['nozzle_diameter', 'extruder_train.0.nozzle.diameter'],
+            infill: ['sparse_infill_density', 'fill_density'],
+            supports: ['enable_support', 'support_material']
+        };
+        // Bambu Studio keeps a bed temperature per plate type and records which plate was used
+        this.#bambuBedKeys = {
+            'cool plate': 'cool_plate_temp',
+            'engineering plate': 'eng_plate_temp',
+            'high temp plate': 'hot_plate_temp',
+            'textured pei plate': 'textured_plate_temp'
+        };
+    }
+
+    /**
+     * Parses the slicer metadata in a G-code file
+     * @param {string[]} lines - G-code lines
+     * @returns {Object} Slicer, target printer, filament use, estimated time and key settings; missing values are null
+     */
+    parse(lines) {
+        const values = this.#collect(lines);
+        const slicer = this.#detectSlicer(lines);
+
+        const filamentGrams = this.#sum(this.#find(values, 'filamentGrams'));
+        const filamentVolume = this.#filamentVolume(values);
+        const filamentLength = this.#filamentLength(this.#find(values, 'filamentLength'));
+        const filamentDiameter = this.#number(this.#find(values, 'filamentDiameter'));
+
+        return {
+            slicer: slicer ? slicer.name : null,
+            slicerVersion: slicer ? slicer.version : null,
+            printerModel: this.#text(this.#find(values, 'printerModel')),
+            filament: {
+                type: this.#text(this.#find(values, 'filamentType')),
+                diameter: filamentDiameter,
+                grams: filamentGrams,
+                length: filamentLength,
+                volume: filamentVolume ?? this.#volumeFromLength(filamentLength, filamentDiameter)
+            },
+            estimatedSeconds: this.#duration(this.#find(values, 'estimatedTime')),
+            nozzleTemp: this.#number(this.#find(values, 'nozzleTemp')),
+            bedTemp: this.#bedTemp(values),
+            layerHeight: this.#number(this.#find(values, 'layerHeight')),
+            nozzleDiameter: this.#number(this.#find(values, 'nozzleDiameter')),
+            infill: this.#number(this.#find(values, 'infill')),
+            supports: this.#flag(this.#find(values, 'supports'))
+        };
+    }
+
+    /**
+     * Collects every `key = value` and `key: value` comment, keeping the first value seen for each key
+     * @private
+     * @param {string[]} lines - G-code lines
+     * @returns {Map<string, string>} Lower-case keys to raw values
+     */
+    #collect(lines) {
+        const values = new Map();
+
+        for (const line of lines) {
+            if (line.charCodeAt(0) !== 59) { // ';'
+                continue;
+            }
+
+            const body = line.slice(1).trim();
+            // Settings lines can hold ';' in G-code snippets; summary lines chain several pairs with it
+            const pairs = body.includes('=') ? [body] : body.split(';');
+            for (const pair of pairs) {
+                const match = pair.match(/^\s*([A-Za-z][^=:]*?)\s*[=:]\s*(.*?)\s*$/);
+                if (match) {
+                    const key = match[1].toLowerCase();
+                    if (!values.has(key)) {
+                        values.set(key, match[2]);
+                    }
+                }
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Finds the slicer that generated the file from the comments near the top or bottom
+     * @private
+     * @param {string[]} lines - G-code lines
+     * @returns {Object|null} Slicer name and version
+     */
+    #detectSlicer(lines) {
+        const comments = [...lines.slice(0, 50), ...lines.slice(-20)]
+            .filter(line => line.startsWith(';'))
+            .join('\n');
+
+        for (const slicer of this.#slicers) {
+            const match = comments.match(slicer.pattern);
+            if (match) {
+                return { name: slicer.name, version: match[1] || null };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Looks a field up under each of its slicer-specific names
+     * @private
+     * @param {Map<string, string>} values - Collected comment values
+     * @param {string} field - Field name
+     * @returns {string|null} Raw value
+     */
+    #find(values, field) {
+        for (const key of this.#fieldKeys[field]) {
+            const value = values.get(key);
+            if (value !== undefined && value !== '') {
+                return value;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Reads filament volume, which Cura reports in mm³ per extruder and PrusaSlicer in cm³
+     * @private
+     * @param {Map<string, string>} values - Collected comment values
+     * @returns {number|null} Volume in cm³
+     */
+    #filamentVolume(values) {
+        const cubicCentimetres = this.#sum(this.#find(values, 'filamentVolume'));
+        if (cubicCentimetres !== null) {
+            return cubicCentimetres;
+        }
+
+        let cubicMillimetres = null;
+        for (const [key, value] of values) {
+            if (/^extruder_train\.\d+\.material\.volume_used$/.test(key)) {
+                cubicMillimetres = (cubicMillimetres || 0) + (this.#sum(value) || 0);
+            }
+        }
+        return cubicMillimetres === null ? null : cubicMillimetres / 1000;
+    }
+
+    /**
+     * Reads filament length, which Cura reports in metres (e.g. '1.234m')
+     * @private
+     * @param {string|null} value - Raw value
+     * @returns {number|null} Length in millimetres
+     */
+    #filamentLength(value) {
+        const length = this.#sum(value);
+        if (length === null) {
+            return null;
+        }
+        return /\d\s*m\b/.test(value) && !/mm/.test(value) ? length * 1000 : length;
+    }
+
+    /**
+     * Works out filament volume from its length and diameter
+     * @private
+     * @param {number|null} length - Length in millimetres
+     * @param {number|null} diameter - Filament diameter in millimetres (1.75 when unknown)
+     * @returns {number|null} Volume in cm³
+     */
+    #volumeFromLength(length, diameter) {
+        if (length === null) {
+            return null;
+        }
+        const radius = (diameter || 1.75) / 2;
+        return Math.PI * radius * radius * length / 1000;
+    }
+
+    /**
+     * Reads the bed temperature, following Bambu Studio's plate type when present
+     * @private
+     * @param {Map<string, string>} values - Collected comment values
+     * @returns {number|null} Bed temperature in °C
+     */
+    #bedTemp(values) {
+        const plateType = values.get('curr_bed_type');
+        const plateKey = plateType ? this.#bambuBedKeys[plateType.toLowerCase()] : null;
+        if (plateKey && values.has(plateKey)) {
+            return this.#number(values.get(plateKey));
+        }
+        return this.#number(this.#find(values, 'bedTemp'));
+    }
+
+    /**
+     * Parses durations such as '1d 2h 3m 4s', '1h 10m' or a plain number of seconds
+     * @private
+     * @param {string|null} value - Raw value
+     * @returns {number|null} Duration in seconds
+     */
+    #duration(value) {
+        if (value === null) {
+            return null;
+        }
+
+        const trimmed = value.trim();
+        if (/^\d+(\.\d+)?$/.test(trimmed)) {
+            return Math.round(parseFloat(trimmed));
+        }
+
+        const units = { d: 86400, h: 3600, m: 60, s: 1 };
+        let seconds = 0;
+        let matched = false;
+        for (const [, amount, unit] of trimmed.matchAll(/(\d+(?:\.\d+)?)\s*([dhms])\b/gi)) {
+            seconds += parseFloat(amount) * units[unit.toLowerCase()];
+            matched = true;
+        }
+        return matched ? Math.round(seconds) : null;
+    }
+
+    /**
+     * Sums comma-separated per-extruder values such as '12.5, 0.00'
+     * @private
+     * @param {string|null} value - Raw value
+     * @returns {number|null} Total, or null if no number was found
+     */
+    #sum(value) {
+        if (value === null) {
+            return null;
+        }
+
+        const numbers = value.split(/[,;]/).map(part => parseFloat(part)).filter(Number.isFinite);
+        return numbers.length > 0 ? numbers.reduce((sum, number) => sum + number, 0) : null;
+    }
+
+    /**
+     * Reads the first number from a value such as '215,215' or '15%'
+     * @private
+     * @param {string|null} value - Raw value
+     * @returns {number|null} Number, or null if none was found
+     */
+    #number(value) {
+        if (value === null) {
+            return null;
+        }
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * Reads the first entry of a possibly per-extruder text value
+     * @private
+     * @param {string|null} value - Raw value
+     * @returns {string|null} Text, or null if empty
+     */
+    #text(value) {
+        if (value === null) {
+            return null;
+        }
+        const text = value.split(';')[0].replace(/^"|"$/g, '').trim();
+        return text || null;
+    }
+
+    /**
+     * Reads a 0/1 or true/false setting
+     * @private
+     * @param {string|null} value - Raw value
+     * @returns {boolean|null} Setting, or null if absent
+     */
+    #flag(value) {
+        if (value === null) {
+            return null;
+        }
+        return /^(1|true)$/i.test(value.trim());
+    }
+}
+
+module.exports = GcodeHeaderParser;
@@ -0,0 +1,244 @@
+/**
+ * @class ToolpathAnalyzer
+ * @description Walks the moves in a G-code file to find where plastic is actually laid down.
+ * Tracks absolute and relative positioning, G92 resets, inch units and arcs, and records the bounds
+ * of extruding moves only, so travel to park positions does not count against the build volume.
+ * When the slicer marks layer changes, purge lines in the start G-code are left out too.
+ */
+class ToolpathAnalyzer {
+    #layerTolerance;
+
+    /**
+     * Creates a new ToolpathAnalyzer instance
+     * @param {Object} options - Analysis options
+     * @param {number} options.layerTolerance - Z difference in mm below which extrusions share a layer (default 0.001)
+     */
+    constructor(options = {}) {
+        this.#layerTolerance = options.layerTolerance ?? 0.001;
+    }
+
+    /**
+     * Analyzes the toolpath of a G-code file
+     * @param {string[]} lines - G-code lines
+     * @returns {Object} Extrusion bounds in mm, layer count, net extruded filament length and the first temperatures set
+     */
+    analyze(lines) {
+        const state = {
+            position: { x: 0, y: 0, z: 0, e: 0 },
+            absolute: true,
+            absoluteExtrusion: true,
+            scale: 1
+        };
+        const min = { x: Infinity, y: Infinity, z: Infinity };
+        const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+        const layers = new Set();
+        let extruded = 0;
+        let moves = 0;
+        let nozzleTemp = null;
+        let bedTemp = null;
+
+        // Purge lines are printed outside the part area before the first layer marker
+        const firstLayer = lines.findIndex(line => /^;\s*(LAYER_CHANGE|LAYER:|CHANGE_LAYER)/.test(line));
+        const partStart = firstLayer === -1 ? 0 : firstLayer;
+
+        const include = (x, y, z) => {
+            if (x < min.x) min.x = x;
+            if (y < min.y) min.y = y;
+            if (z < min.z) min.z = z;
+            if (x > max.x) max.x = x;
+            if (y > max.y) max.y = y;
+            if (z > max.z) max.z = z;
+        };
+
+        for (let index = 0; index < lines.length; index++) {
+            const command = this.#parseLine(lines[index]);
+            if (!command) {
+                continue;
+            }
+
+            const { code, params } = command;
+            switch (code) {
+                case 'G0':
+                case 'G1':
+                case 'G2':
+                case 'G3': {
+                    moves++;
+                    const start = { ...state.position };
+                    const end = this.#target(state, params);
+                    const extrusion = end.e - start.e;
+                    extruded += extrusion;
+
+                    const movesXY = end.x !== start.x || end.y !== start.y;
+                    if (extrusion > 0 && movesXY && index >= partStart) {
+                        include(start.x, start.y, end.z);
+                        include(end.x, end.y, end.z);
+                        if (code !== 'G1' && code !== 'G0') {
+                            for (const [x, y] of this.#arcExtremes(start, end, params, code === 'G2', state.scale)) {
+                                include(x, y, end.z);
+                            }
+                        }
+                        layers.add(Math.round(end.z / this.#layerTolerance));
+                    }
+
+                    state.position = end;
+                    break;
+                }
+                case 'G20':
+                    state.scale = 25.4;
+                    break;
+                case 'G21':
+                    state.scale = 1;
+                    break;
+                case 'G28':
+                    // Homing moves the named axes, or all of them, to the origin
+                    for (const axis of ['x', 'y', 'z']) {
+                        if (!('X' in params || 'Y' in params || 'Z' in params) || axis.toUpperCase() in params) {
+                            state.position[axis] = 0;
+                        }
+                    }
+                    break;
+                case 'G90':
+                    state.absolute = true;
+                    state.absoluteExtrusion = true;
+                    break;
+                case 'G91':
+                    state.absolute = false;
+                    state.absoluteExtrusion = false;
+                    break;
+                case 'G92':
+                    for (const axis of ['x', 'y', 'z', 'e']) {
+                        const value = params[axis.toUpperCase()];
+                        if (value !== undefined) {
+                            state.position[axis] = value * state.scale;
+                        }
+                    }
+                    break;
+                case 'M82':
+                    state.absoluteExtrusion = true;
+                    break;
+                case 'M83':
+                    state.absoluteExtrusion = false;
+                    break;
+                case 'M104':
+                case 'M109':
+                    if (nozzleTemp === null && params.S > 0) nozzleTemp = params.S;
+                    break;
+                case 'M140':
+                case 'M190':
+                    if (bedTemp === null && params.S > 0) bedTemp = params.S;
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        const hasExtrusion = layers.size > 0;
+        const round = value => Math.round(value * 1000) / 1000;
+        const bounds = hasExtrusion
+            ? {
+                min: { x: round(min.x), y: round(min.y), z: round(min.z) },
+                max: { x: round(max.x), y: round(max.y), z: round(max.z) },
+                size: {
+                    x: round(max.x - min.x),
+                    y: round(max.y - min.y),
+                    // Parts start on the bed, so the toolpath height is measured from zero
+                    z: round(Math.max(0, max.z))
+                }
+            }
+            : null;
+
+        return {
+            bounds,
+            layers: layers.size,
+            moves,
+            extrudedLength: Math.round(extruded * 10) / 10,
+            nozzleTemp,
+            bedTemp
+        };
+    }
+
+    /**
+     * Splits a G-code line into its command and numeric parameters
+     * @private
+     * @param {string} line - G-code line
+     * @returns {Object|null} Command code (e.g. 'G1') and parameters by letter, or null for comments and blank lines
+     */
+    #parseLine(line) {
+        const commentStart = line.indexOf(';');
+        const text = (commentStart === -1 ? line : line.slice(0, commentStart)).trim().toUpperCase();
+        if (!text) {
+            return null;
+        }
+
+        const words = text.match(/[A-Z][-+]?(\d+\.?\d*|\.\d+)/g);
+        if (!words || (words[0][0] !== 'G' && words[0][0] !== 'M')) {
+            return null;
+        }
+
+        const code = words[0][0] + parseInt(words[0].slice(1), 10);
+        const params = {};
+        for (const word of words.slice(1)) {
+            params[word[0]] = parseFloat(word.slice(1));
+        }
+        return { code, params };
+    }
+
+    /**
+     * Works out where a move ends
+     * @private
+     * @param {Object} state - Positioning state
+     * @param {Object} params - Move parameters
+     * @returns {Object} End position {x, y, z, e} in mm
+     */
+    #target(state, params) {
+        const end = { ...state.position };
+        for (const axis of ['x', 'y', 'z', 'e']) {
+            const value = params[axis.toUpperCase()];
+            if (value === undefined) {
+                continue;
+            }
+            const relative = axis === 'e' ? !state.absoluteExtrusion : !state.absolute;
+            end[axis] = (relative ? end[axis] : 0) + value * state.scale;
+        }
+        return end;
+    }
+
+    /**
+     * Finds the points where an arc reaches furthest along X or Y, which can lie beyond its endpoints
+     * @private
+     * @param {Object} start - Arc start position
+     * @param {Object} end - Arc end position
+     * @param {Object} params - Move parameters with I/J centre offsets
+     * @param {boolean} clockwise - True for G2, false for G3
+     * @param {number} scale - Unit scale to millimetres
+     * @returns {Array} [x, y] points on the arc
+     */
+    #arcExtremes(start, end, params, clockwise, scale) {
+        if (params.I === undefined && params.J === undefined) {
+            return [];
+        }
+
+        const cx = start.x + (params.I || 0) * scale;
+        const cy = start.y + (params.J || 0) * scale;
+        const radius = Math.hypot(start.x - cx, start.y - cy);
+        const startAngle = Math.atan2(start.y - cy, start.x - cx);
+        const endAngle = Math.atan2(end.y - cy, end.x - cx);
+
+        // Counter-clockwise sweep from start to end; a full circle when they coincide
+        const ccwStart = clockwise ? endAngle : startAngle;
+        let sweep = (clockwise ? startAngle - endAngle : endAngle - startAngle);
+        sweep = ((sweep % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI) || 2 * Math.PI;
+
+        const points = [];
+        for (let quarter = 0; quarter < 4; quarter++) {
+            const angle = quarter * Math.PI / 2;
+            const offset = ((angle - ccwStart) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+            if (offset <= sweep) {
+                points.push([cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)]);
+            }
+        }
+        return points;
+    }
+}
+
+module.exports = ToolpathAnalyzer;
@@ -0,0 +1,126 @@
+/**
+ * @class MeshAnalyzer
+ * @description Computes physical metrics (volume, surface area, bounding box) from a triangle mesh.
+ * Mesh coordinates are in millimetres; volumes are reported in cm³ and areas in cm² to match pricing data.
+ */
+class MeshAnalyzer {
+    /**
+     * Computes the metrics for a mesh
+     * @param {Object} mesh - Mesh with flat `positions` and `triangleCount`
+     * @returns {Object} Volume, surface area, triangle count and bounding box
+     */
+    computeMetrics(mesh) {
+        this.#validateMesh(mesh);
+
+        const { positions, triangleCount } = mesh;
+        let signedVolume = 0;
+        let surfaceArea = 0;
+
+        for (let i = 0; i < triangleCount; i++) {
+            const o = i * 9;
+            const ax = positions[o], ay = positions[o + 1], az = positions[o + 2];
+            const bx = positions[o + 3], by = positions[o + 4], bz = positions[o + 5];
+            const cx = positions[o + 6], cy = positions[o + 7], cz = positions[o + 8];
+
+            // Signed volume of the tetrahedron formed with the origin
+            signedVolume += (
+                ax * (by * cz - bz * cy) -
+                ay * (bx * cz - bz * cx) +
+                az * (bx * cy - by * cx)
+            ) / 6;
+
+            const ux = bx - ax, uy = by - ay, uz = bz - az;
+            const vx = cx - ax, vy = cy - ay, vz = cz - az;
+            const nx = uy * vz - uz * vy;
+            const ny = uz * vx - ux * vz;
+            const nz = ux * vy - uy * vx;
+            surfaceArea += Math.sqrt(nx * nx + ny * ny + nz * nz) / 2;
+        }
+
+        const boundingBox = this.computeBoundingBox(mesh);
+
+        return {
+            triangleCount,
+            signedVolume: this.#round(signedVolume / 1000),
+            volume: this.#round(Math.abs(signedVolume) / 1000),
+            surfaceArea: this.#round(surfaceArea / 100),
+            boundingBox,
+            dimensions: { ...boundingBox.size }
+        };
+    }
+
+    /**
+     * Computes the axis-aligned bounding box of a mesh
+     * @param {Object} mesh - Mesh with flat `positions`
+     * @returns {Object} Bounding box with min, max and size in millimetres
+     */
+    computeBoundingBox(mesh) {
+        const { positions } = mesh;
+        const min = { x: Infinity, y: Infinity, z: Infinity };
+        const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+
+        for (let i = 0; i < positions.length; i += 3) {
+            if (positions[i] < min.x) min.x = positions[i];
+            if (positions[i] > max.x) max.x = positions[i];
+            if (positions[i + 1] < min.y) min.y = positions[i + 1];
+            if (positions[i + 1] > max.y) max.y = positions[i + 1];
+            if (positions[i + 2] < min.z) min.z = positions[i + 2];
+            if (positions[i + 2] > max.z) max.z = positions[i + 2];
+        }
+
+        return {
+            min: this.#roundPoint(min),
+            max: this.#roundPoint(max),
+            size: this.#roundPoint({
+                x: max.x - min.x,
+                y: max.y - min.y,
+                z: max.z - min.z
+            })
+        };
+    }
+
+    /**
+     * Validates a mesh object
+     * @private
+     * @param {Object} mesh - Mesh to validate
+     */
+    #validateMesh(mesh) {
+        if (!mesh || !mesh.positions || typeof mesh.triangleCount !== 'number') {
+            throw new Error('Mesh must include positions and a triangle count.');
+        }
+
+        if (mesh.triangleCount === 0) {
+            throw new Error('Mesh contains no triangles.');
+        }
+
+        if (mesh.positions.length !== mesh.triangleCount * 9) {
+            throw new Error('Mesh positions do not match the triangle count.');
+        }
+    }
+
+    /**
+     * Rounds a value to four decimal places
+     * @private
+     * @param {number} value - Value to round
+     * @returns {number} Rounded value
+     */
+    #round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+
+    /**
+     * Rounds each coordinate of a point
+     * @private
+     * @param {Object} point - Point {x, y, z}
+     * @returns {Object} Rounded point
+     */
+    #roundPoint(point) {
+        return {
+            x: this.#round(point.x),
+            y: this.#round(point.y),
+            z: this.#round(point.z)
+        };
+    }
+}
+
+module.exports = MeshAnalyzer;
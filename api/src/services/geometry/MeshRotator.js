@@ -0,0 +1,49 @@
+/**
+ * @class MeshRotator
+ * @description Rotates flat mesh positions into a build orientation.
+ * Rotations are in degrees about the X, then Y, then Z axis, matching PrinterSelector orientations.
+ */
+class MeshRotator {
+    /**
+     * Rotates mesh positions
+     * @param {Float64Array} positions - Flat mesh positions
+     * @param {Object|null} rotation - Rotations in degrees {x, y, z}
+     * @returns {Float64Array} Rotated positions (the input when no rotation is needed)
+     */
+    rotate(positions, rotation) {
+        if (!rotation || (!rotation.x && !rotation.y && !rotation.z)) {
+            return positions;
+        }
+
+        const rotated = Float64Array.from(positions);
+        for (const axis of ['x', 'y', 'z']) {
+            const degrees = rotation[axis] || 0;
+            if (degrees === 0) {
+                continue;
+            }
+
+            const radians = degrees * Math.PI / 180;
+            // Round so quarter turns map axes exactly instead of leaving 1e-16 residue
+            const cos = Math.round(Math.cos(radians) * 1e12) / 1e12;
+            const sin = Math.round(Math.sin(radians) * 1e12) / 1e12;
+
+            for (let i = 0; i < rotated.length; i += 3) {
+                const x = rotated[i], y = rotated[i + 1], z = rotated[i + 2];
+                if (axis === 'x') {
+                    rotated[i + 1] = y * cos - z * sin;
+                    rotated[i + 2] = y * sin + z * cos;
+                } else if (axis === 'y') {
+                    rotated[i] = x * cos + z * sin;
+                    rotated[i + 2] = -x * sin + z * cos;
+                } else {
+                    rotated[i] = x * cos - y * sin;
+                    rotated[i + 1] = x * sin + y * cos;
+                }
+            }
+        }
+
+        return rotated;
+    }
+}
+
+module.exports = MeshRotator;
@@ -0,0 +1,218 @@
+const MeshRotator = require('./MeshRotator');
+
+/**
+ * @class MeshSlicer
+ * @description Cuts a mesh into horizontal layers and measures each cross-section.
+ * Only what a time estimate needs is kept per layer: outline length, enclosed area, loop count and extent.
+ * Each layer is sampled at its mid-height, as slicers do.
+ */
+class MeshSlicer {
+    #pointTolerance;
+    #rotator;
+
+    /**
+     * Creates a new MeshSlicer instance
+     * @param {Object} options - Slicing options
+     * @param {number} options.pointTolerance - Distance in mm within which contour endpoints are joined
+     */
+    constructor(options = {}) {
+        this.#pointTolerance = options.pointTolerance ?? 1e-4;
+        this.#rotator = new MeshRotator();
+    }
+
+    /**
+     * Slices a mesh into layers
+     * @param {Object} mesh - Mesh with flat `positions` (mm) and `triangleCount`
+     * @param {number} layerHeight - Layer height in mm
+     * @param {Object} options - Per-call options
+     * @param {Object} options.rotation - Build orientation as rotations in degrees {x, y, z}
+     * @param {boolean} options.insideOut - Whether the mesh winding faces inward
+     * @returns {Object} Layer height, part height and per-layer measurements
+     */
+    slice(mesh, layerHeight, options = {}) {
+        if (!mesh || !mesh.positions || typeof mesh.triangleCount !== 'number') {
+            throw new Error('Mesh must include positions and a triangle count.');
+        }
+
+        if (!(layerHeight > 0)) {
+            throw new Error('Layer height must be a positive number.');
+        }
+
+        const positions = this.#rotator.rotate(mesh.positions, options.rotation);
+        const windingSign = options.insideOut ? -1 : 1;
+        const { order, minZ, maxZ, triangleMinZ, triangleMaxZ } = this.#sortByHeight(positions, mesh.triangleCount);
+
+        const height = maxZ - minZ;
+        const layerCount = Math.max(1, Math.ceil(height / layerHeight - 1e-9));
+        const layers = [];
+        let active = [];
+        let next = 0;
+
+        for (let i = 0; i < layerCount; i++) {
+            const z = Math.min(minZ + (i + 0.5) * layerHeight, maxZ - 1e-9);
+
+            while (next < order.length && triangleMinZ[order[next]] <= z) {
+                active.push(order[next++]);
+            }
+            active = active.filter(t => triangleMaxZ[t] >= z);
+
+            layers.push({
+                z: Math.round((z - minZ) * 1000) / 1000,
+                ...this.#sliceLayer(positions, active, z, windingSign)
+            });
+        }
+
+        return { layerHeight, height, layers };
+    }
+
+    /**
+     * Orders triangles by their lowest point so layers can sweep upward through them
+     * @private
+     * @param {Float64Array} positions - Flat mesh positions
+     * @param {number} triangleCount - Number of triangles
+     * @returns {Object} Sorted triangle indices, per-triangle Z extents and the mesh Z extent
+     */
+    #sortByHeight(positions, triangleCount) {
+        const triangleMinZ = new Float64Array(triangleCount);
+        const triangleMaxZ = new Float64Array(triangleCount);
+        let minZ = Infinity;
+        let maxZ = -Infinity;
+
+        for (let t = 0; t < triangleCount; t++) {
+            const o = t * 9;
+            const low = Math.min(positions[o + 2], positions[o + 5], positions[o + 8]);
+            const high = Math.max(positions[o + 2], positions[o + 5], positions[o + 8]);
+            triangleMinZ[t] = low;
+            triangleMaxZ[t] = high;
+            if (low < minZ) minZ = low;
+            if (high > maxZ) maxZ = high;
+        }
+
+        const order = Array.from({ length: triangleCount }, (_, t) => t)
+            .sort((a, b) => triangleMinZ[a] - triangleMinZ[b]);
+
+        return { order, minZ, maxZ, triangleMinZ, triangleMaxZ };
+    }
+
+    /**
+     * Intersects the active triangles with a horizontal plane
+     * @private
+     * @param {Float64Array} positions - Flat mesh positions
+     * @param {number[]} triangles - Triangles spanning the plane
+     * @param {number} z - Plane height
+     * @param {number} windingSign - 1 for outward winding, -1 for inside-out meshes
+     * @returns {Object} Outline length, enclosed area, segment and loop counts, and XY extent
+     */
+    #sliceLayer(positions, triangles, z, windingSign) {
+        const endpoints = new Map();
+        const parent = [];
+        let perimeter = 0;
+        let area = 0;
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+        const join = (segment, x, y) => {
+            const key = `${Math.round(x / this.#pointTolerance)},${Math.round(y / this.#pointTolerance)}`;
+            const other = endpoints.get(key);
+            if (other === undefined) {
+                endpoints.set(key, segment);
+            } else {
+                parent[find(segment)] = find(other);
+            }
+        };
+
+        for (const t of triangles) {
+            const segment = this.#intersect(positions, t * 9, z, windingSign);
+            if (!segment) {
+                continue;
+            }
+
+            const [x1, y1, x2, y2] = segment;
+            perimeter += Math.hypot(x2 - x1, y2 - y1);
+            // Shoelace term; segments run counter-clockwise around solid, so holes subtract
+            area += (x1 * y2 - x2 * y1) / 2;
+
+            minX = Math.min(minX, x1, x2);
+            maxX = Math.max(maxX, x1, x2);
+            minY = Math.min(minY, y1, y2);
+            maxY = Math.max(maxY, y1, y2);
+
+            const index = parent.length;
+            parent.push(index);
+            join(index, x1, y1);
+            join(index, x2, y2);
+        }
+
+        let loops = 0;
+        for (let i = 0; i < parent.length; i++) {
+            if (find(i) === i) loops++;
+        }
+
+        return {
+            perimeter,
+            area: Math.max(0, area),
+            segments: parent.length,
+            loops,
+            width: parent.length > 0 ? maxX - minX : 0,
+            depth: parent.length > 0 ? maxY - minY : 0
+        };
+    }
+
+    /**
+     * Intersects one triangle with a horizontal plane
+     * @private
+     * @param {Float64Array} positions - Flat mesh positions
+     * @param {number} offset - Index of the triangle's first coordinate
+     * @param {number} z - Plane height
+     * @param {number} windingSign - 1 for outward winding, -1 for inside-out meshes
+     * @returns {number[]|null} Segment [x1, y1, x2, y2] with solid on its left, or null if the plane misses
+     */
+    #intersect(positions, offset, z, windingSign) {
+        const points = [];
+        for (let edge = 0; edge < 3; edge++) {
+            const a = offset + edge * 3;
+            const b = offset + ((edge + 1) % 3) * 3;
+            const za = positions[a + 2];
+            const zb = positions[b + 2];
+
+            // Vertices on the plane count as above it, so each crossing is found exactly once
+            if ((za >= z) === (zb >= z)) {
+                continue;
+            }
+
+            const t = (z - za) / (zb - za);
+            points.push(
+                positions[a] + (positions[b] - positions[a]) * t,
+                positions[a + 1] + (positions[b + 1] - positions[a + 1]) * t
+            );
+        }
+
+        if (points.length !== 4) {
+            return null;
+        }
+
+        const ux = positions[offset + 3] - positions[offset];
+        const uy = positions[offset + 4] - positions[offset + 1];
+        const uz = positions[offset + 5] - positions[offset + 2];
+        const vx = positions[offset + 6] - positions[offset];
+        const vy = positions[offset + 7] - positions[offset + 1];
+        const vz = positions[offset + 8] - positions[offset + 2];
+        const nx = (uy * vz - uz * vy) * windingSign;
+        const ny = (uz * vx - ux * vz) * windingSign;
+
+        // The outward normal must point to the segment's right
+        const [x1, y1, x2, y2] = points;
+        if ((y2 - y1) * nx - (x2 - x1) * ny < 0) {
+            return [x2, y2, x1, y1];
+        }
+        return points;
+    }
+}
+
+module.exports = MeshSlicer;
@@ -0,0 +1,347 @@
+/**
+ * @class MeshValidator
+ * @description Checks a triangle mesh for the defects that make slicers fail or guess:
+ * open boundary edges (holes), non-manifold edges, inconsistent or inverted normals,
+ * zero-area triangles and disconnected shells.
+ * Vertices are welded by position first, since STL stores every triangle's corners separately.
+ */
+class MeshValidator {
+    #weldTolerance;
+    #areaTolerance;
+    #thresholds;
+
+    /**
+     * Creates a new MeshValidator instance
+     * @param {Object} options - Validation options
+     * @param {number} options.weldTolerance - Distance in mm under which vertices are merged
+     * @param {number} options.areaTolerance - Area in mm² under which a triangle counts as degenerate
+     * @param {number} options.maxOpenEdgeRatio - Share of open edges above which the mesh is rejected
+     * @param {number} options.maxNonManifoldEdgeRatio - Share of non-manifold edges above which the mesh is rejected
+     */
+    constructor(options = {}) {
+        this.#weldTolerance = options.weldTolerance || 1e-4;
+        this.#areaTolerance = options.areaTolerance || 1e-8;
+        this.#thresholds = {
+            maxOpenEdgeRatio: options.maxOpenEdgeRatio ?? 0.02,
+            maxNonManifoldEdgeRatio: options.maxNonManifoldEdgeRatio ?? 0.01
+        };
+    }
+
+    /**
+     * Builds a health report for a mesh
+     * @param {Object} mesh - Mesh with flat `positions` and `triangleCount`
+     * @returns {Object} Health report with status, counts and issues
+     */
+    validate(mesh) {
+        if (!mesh || !mesh.positions || typeof mesh.triangleCount !== 'number') {
+            throw new Error('Mesh must include positions and a triangle count.');
+        }
+
+        const { indices, vertexCount } = this.#weldVertices(mesh);
+        const { degenerate, degenerateCount, signedVolume } = this.#findDegenerateTriangles(mesh, indices);
+        const edges = this.#buildEdgeMap(indices, degenerate, vertexCount);
+
+        let boundaryEdges = 0;
+        let nonManifoldEdges = 0;
+        let inconsistentEdges = 0;
+        for (const edge of edges.values()) {
+            if (edge.triangles.length === 1) {
+                boundaryEdges++;
+            } else if (edge.triangles.length > 2) {
+                nonManifoldEdges++;
+            } else if (edge.directions[0] === edge.directions[1]) {
+                inconsistentEdges++;
+            }
+        }
+
+        const shells = this.#countShells(mesh.triangleCount, degenerate, edges);
+        const flippedTriangles = inconsistentEdges > 0
+            ? this.#countFlippedTriangles(mesh.triangleCount, degenerate, edges)
+            : 0;
+
+        const counts = {
+            triangles: mesh.triangleCount,
+            vertices: vertexCount,
+            edges: edges.size,
+            boundaryEdges,
+            nonManifoldEdges,
+            inconsistentEdges,
+            flippedTriangles,
+            degenerateTriangles: degenerateCount,
+            shells
+        };
+        const insideOut = signedVolume < 0 && flippedTriangles === 0;
+        const issues = this.#describeIssues(counts, insideOut);
+
+        return {
+            status: issues.some(issue => issue.severity === 'error')
+                ? 'error'
+                : issues.some(issue => issue.severity === 'warning') ? 'warning' : 'ok',
+            watertight: boundaryEdges === 0 && nonManifoldEdges === 0 && degenerateCount < mesh.triangleCount,
+            insideOut,
+            counts,
+            issues
+        };
+    }
+
+    /**
+     * Merges coincident vertices and returns per-triangle vertex indices
+     * @private
+     * @param {Object} mesh - Mesh with flat `positions`
+     * @returns {Object} Welded `indices` (three per triangle) and unique `vertexCount`
+     */
+    #weldVertices(mesh) {
+        const { positions, triangleCount } = mesh;
+        const indices = new Uint32Array(triangleCount * 3);
+        const lookup = new Map();
+        const scale = 1 / this.#weldTolerance;
+
+        for (let i = 0; i < triangleCount * 3; i++) {
+            const o = i * 3;
+            const key = `${Math.round(positions[o] * scale)},${Math.round(positions[o + 1] * scale)},${Math.round(positions[o + 2] * scale)}`;
+            let index = lookup.get(key);
+            if (index === undefined) {
+                index = lookup.size;
+                lookup.set(key, index);
+            }
+            indices[i] = index;
+        }
+
+        return { indices, vertexCount: lookup.size };
+    }
+
+    /**
+     * Flags zero-area triangles and sums the signed volume of the rest
+     * @private
+     * @param {Object} mesh - Mesh with flat `positions` and `triangleCount`
+     * @param {Uint32Array} indices - Welded vertex indices
+     * @returns {Object} Degenerate flags, their count and the signed volume in mm³
+     */
+    #findDegenerateTriangles(mesh, indices) {
+        const { positions, triangleCount } = mesh;
+        const degenerate = new Uint8Array(triangleCount);
+        let degenerateCount = 0;
+        let signedVolume = 0;
+
+        for (let t = 0; t < triangleCount; t++) {
+            const a = indices[t * 3], b = indices[t * 3 + 1], c = indices[t * 3 + 2];
+            const o = t * 9;
+            const ux = positions[o + 3] - positions[o], uy = positions[o + 4] - positions[o + 1], uz = positions[o + 5] - positions[o + 2];
+            const vx = positions[o + 6] - positions[o], vy = positions[o + 7] - positions[o + 1], vz = positions[o + 8] - positions[o + 2];
+            const nx = uy * vz - uz * vy;
+            const ny = uz * vx - ux * vz;
+            const nz = ux * vy - uy * vx;
+            const area = Math.sqrt(nx * nx + ny * ny + nz * nz) / 2;
+
+            if (a === b || b === c || a === c || area < this.#areaTolerance) {
+                degenerate[t] = 1;
+                degenerateCount++;
+                continue;
+            }
+
+            signedVolume += (positions[o] * nx + positions[o + 1] * ny + positions[o + 2] * nz) / 6;
+        }
+
+        return { degenerate, degenerateCount, signedVolume };
+    }
+
+    /**
+     * Maps each undirected edge to the triangles that use it and the direction they traverse it in
+     * @private
+     * @param {Uint32Array} indices - Welded vertex indices
+     * @param {Uint8Array} degenerate - Degenerate triangle flags
+     * @param {number} vertexCount - Number of unique vertices
+     * @returns {Map<number, Object>} Edges keyed by vertex pair
+     */
+    #buildEdgeMap(indices, degenerate, vertexCount) {
+        const edges = new Map();
+
+        for (let t = 0; t < degenerate.length; t++) {
+            if (degenerate[t]) {
+                continue;
+            }
+
+            for (let k = 0; k < 3; k++) {
+                const from = indices[t * 3 + k];
+                const to = indices[t * 3 + (k + 1) % 3];
+                const low = Math.min(from, to);
+                const key = low * vertexCount + Math.max(from, to);
+
+                let edge = edges.get(key);
+                if (!edge) {
+                    edge = { triangles: [], directions: [] };
+                    edges.set(key, edge);
+                }
+                edge.triangles.push(t);
+                edge.directions.push(from === low ? 1 : -1);
+            }
+        }
+
+        return edges;
+    }
+
+    /**
+     * Counts connected groups of triangles
+     * @private
+     * @param {number} triangleCount - Number of triangles
+     * @param {Uint8Array} degenerate - Degenerate triangle flags
+     * @param {Map<number, Object>} edges - Edge map
+     * @returns {number} Number of shells
+     */
+    #countShells(triangleCount, degenerate, edges) {
+        const parent = new Uint32Array(triangleCount);
+        for (let t = 0; t < triangleCount; t++) {
+            parent[t] = t;
+        }
+
+        const find = (t) => {
+            while (parent[t] !== t) {
+                parent[t] = parent[parent[t]];
+                t = parent[t];
+            }
+            return t;
+        };
+
+        for (const edge of edges.values()) {
+            const root = find(edge.triangles[0]);
+            for (let i = 1; i < edge.triangles.length; i++) {
+                parent[find(edge.triangles[i])] = root;
+            }
+        }
+
+        let shells = 0;
+        for (let t = 0; t < triangleCount; t++) {
+            if (!degenerate[t] && find(t) === t) {
+                shells++;
+            }
+        }
+        return shells;
+    }
+
+    /**
+     * Counts triangles whose winding disagrees with the majority of their surface
+     * @private
+     * @param {number} triangleCount - Number of triangles
+     * @param {Uint8Array} degenerate - Degenerate triangle flags
+     * @param {Map<number, Object>} edges - Edge map
+     * @returns {number} Number of flipped triangles
+     */
+    #countFlippedTriangles(triangleCount, degenerate, edges) {
+        // Neighbours across manifold edges only; non-manifold junctions have no single "other side"
+        const neighbours = Array.from({ length: triangleCount }, () => []);
+        for (const edge of edges.values()) {
+            if (edge.triangles.length === 2) {
+                const [a, b] = edge.triangles;
+                const flipped = edge.directions[0] === edge.directions[1] ? 1 : 0;
+                neighbours[a].push(b, flipped);
+                neighbours[b].push(a, flipped);
+            }
+        }
+
+        const orientation = new Int8Array(triangleCount).fill(-1);
+        let flippedTriangles = 0;
+
+        for (let seed = 0; seed < triangleCount; seed++) {
+            if (degenerate[seed] || orientation[seed] !== -1) {
+                continue;
+            }
+
+            const counts = [0, 0];
+            const stack = [seed];
+            orientation[seed] = 0;
+
+            while (stack.length > 0) {
+                const t = stack.pop();
+                counts[orientation[t]]++;
+                const list = neighbours[t];
+                for (let i = 0; i < list.length; i += 2) {
+                    const next = list[i];
+                    if (orientation[next] === -1) {
+                        orientation[next] = orientation[t] ^ list[i + 1];
+                        stack.push(next);
+                    }
+                }
+            }
+
+            flippedTriangles += Math.min(counts[0], counts[1]);
+        }
+
+        return flippedTriangles;
+    }
+
+    /**
+     * Turns defect counts into issues with severities and repair advice
+     * @private
+     * @param {Object} counts - Defect counts
+     * @param {boolean} insideOut - Whether the whole surface faces inward
+     * @returns {Array} Issues
+     */
+    #describeIssues(counts, insideOut) {
+        const issues = [];
+        const edgeTotal = Math.max(counts.edges, 1);
+
+        if (counts.degenerateTriangles === counts.triangles) {
+            issues.push({
+                code: 'no_surface',
+                severity: 'error',
+                message: 'Every triangle in the model has zero area, so there is no printable surface. Re-export the model from your CAD tool.'
+            });
+            return issues;
+        }
+
+        if (counts.boundaryEdges > 0) {
+            issues.push({
+                code: 'open_edges',
+                severity: counts.boundaryEdges / edgeTotal > this.#thresholds.maxOpenEdgeRatio ? 'error' : 'warning',
+                message: `Found ${counts.boundaryEdges} open edges, so the mesh has holes and is not watertight. ` +
+                    'Close the holes in your CAD tool or run a mesh repair (for example PrusaSlicer "Fix model" or Meshmixer "Make Solid") and upload again.'
+            });
+        }
+
+        if (counts.nonManifoldEdges > 0) {
+            issues.push({
+                code: 'non_manifold_edges',
+                severity: counts.nonManifoldEdges / edgeTotal > this.#thresholds.maxNonManifoldEdgeRatio ? 'error' : 'warning',
+                message: `Found ${counts.nonManifoldEdges} edges shared by more than two triangles. ` +
+                    'Combine overlapping bodies with a boolean union before exporting.'
+            });
+        }
+
+        if (counts.flippedTriangles > 0) {
+            issues.push({
+                code: 'inconsistent_normals',
+                severity: 'warning',
+                message: `${counts.flippedTriangles} triangles face the opposite way to their neighbours. ` +
+                    'Recalculate normals (for example Blender "Recalculate Outside") before exporting.'
+            });
+        }
+
+        if (insideOut) {
+            issues.push({
+                code: 'inverted_normals',
+                severity: 'warning',
+                message: 'All surface normals point inward, so the model is inside-out. Flip the normals before exporting.'
+            });
+        }
+
+        if (counts.degenerateTriangles > 0) {
+            issues.push({
+                code: 'degenerate_triangles',
+                severity: 'warning',
+                message: `${counts.degenerateTriangles} triangles have zero area. Remove degenerate faces or re-export with a finer tolerance.`
+            });
+        }
+
+        if (counts.shells > 1) {
+            issues.push({
+                code: 'disconnected_shells',
+                severity: 'info',
+                message: `The model is made of ${counts.shells} disconnected shells, which will print as separate pieces unless they are joined.`
+            });
+        }
+
+        return issues;
+    }
+}
+
+module.exports = MeshValidator;
@@ -0,0 +1,103 @@
+/**
+ * @class ObjParser
+ * @description Reads Wavefront OBJ files into a flat triangle mesh.
+ * Polygonal faces are fan-triangulated; `o` and `g` statements are tracked so multi-part files
+ * report how many triangles belong to each object or group.
+ */
+class ObjParser {
+    /**
+     * Parses an OBJ buffer
+     * @param {Buffer} buffer - Raw OBJ file contents
+     * @returns {Object} Mesh with flat `positions`, `triangleCount` and per-object `objects`
+     */
+    parse(buffer) {
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+            throw new Error('OBJ file is empty.');
+        }
+
+        const vertices = [];
+        const positions = [];
+        const objects = [];
+        let currentObject = null;
+
+        const startObject = (name) => {
+            currentObject = { name, triangleCount: 0 };
+            objects.push(currentObject);
+        };
+
+        const lines = buffer.toString('utf8').split(/\r?\n/);
+        for (let lineNumber = 0; lineNumber < lines.length; lineNumber++) {
+            const line = lines[lineNumber].trim();
+            if (!line || line.startsWith('#')) {
+                continue;
+            }
+
+            const parts = line.split(/\s+/);
+            const keyword = parts[0];
+
+            if (keyword === 'v') {
+                const vertex = parts.slice(1, 4).map(Number);
+                if (vertex.length < 3 || vertex.some(value => !Number.isFinite(value))) {
+                    throw new Error(`Invalid vertex on line ${lineNumber + 1}.`);
+                }
+                vertices.push(vertex);
+            } else if (keyword === 'o' || keyword === 'g') {
+                startObject(parts.slice(1).join(' ') || `${keyword === 'o' ? 'object' : 'group'}_${objects.length + 1}`);
+            } else if (keyword === 'f') {
+                if (!currentObject) {
+                    startObject('default');
+                }
+
+                const indices = parts.slice(1).map(token => this.#resolveIndex(token, vertices.length, lineNumber));
+                if (indices.length < 3) {
+                    throw new Error(`Face on line ${lineNumber + 1} has fewer than three vertices.`);
+                }
+
+                // Fan triangulation around the first vertex
+                for (let i = 1; i < indices.length - 1; i++) {
+                    positions.push(
+                        ...vertices[indices[0]],
+                        ...vertices[indices[i]],
+                        ...vertices[indices[i + 1]]
+                    );
+                    currentObject.triangleCount++;
+                }
+            }
+        }
+
+        if (positions.length === 0) {
+            throw new Error('OBJ file does not contain any faces.');
+        }
+
+        return {
+            positions: Float64Array.from(positions),
+            triangleCount: positions.length / 9,
+            objects: objects.filter(object => object.triangleCount > 0)
+        };
+    }
+
+    /**
+     * Resolves a face vertex token (v, v/vt, v//vn or v/vt/vn) to a zero-based vertex index
+     * @private
+     * @param {string} token - Face vertex token
+     * @param {number} vertexCount - Number of vertices declared so far
+     * @param {number} lineNumber - Zero-based line number for error messages
+     * @returns {number} Zero-based vertex index
+     */
+    #resolveIndex(token, vertexCount, lineNumber) {
+        const index = parseInt(token.split('/')[0], 10);
+        if (!Number.isInteger(index) || index === 0) {
+            throw new Error(`Invalid face index '${token}' on line ${lineNumber + 1}.`);
+        }
+
+        // Negative indices count back from the most recent vertex
+        const resolved = index > 0 ? index - 1 : vertexCount + index;
+        if (resolved < 0 || resolved >= vertexCount) {
+            throw new Error(`Face index '${token}' on line ${lineNumber + 1} references a missing vertex.`);
+        }
+
+        return resolved;
+    }
+}
+
+module.exports = ObjParser;
@@ -0,0 +1,117 @@
+const MeshRotator = require('./MeshRotator');
+
+/**
+ * @class OverhangAnalyzer
+ * @description Finds downward-facing surfaces that need support in a given build orientation
+ * and estimates how much support material they will take.
+ * Overhang angles are measured from vertical: a wall is 0°, a flat ceiling is 90°.
+ */
+class OverhangAnalyzer {
+    #overhangAngle;
+    #supportDensity;
+    #minimumSupportArea;
+    #bedTolerance;
+    #rotator;
+
+    /**
+     * Creates a new OverhangAnalyzer instance
+     * @param {Object} options - Analysis options
+     * @param {number} options.overhangAngle - Steepest printable overhang in degrees (default 45)
+     * @param {number} options.supportDensity - Fill fraction of generated support structures
+     * @param {number} options.minimumSupportArea - Supported area in cm² below which supports are skipped
+     * @param {number} options.bedTolerance - Height in mm within which faces count as resting on the bed
+     */
+    constructor(options = {}) {
+        this.#overhangAngle = options.overhangAngle ?? 45;
+        this.#supportDensity = options.supportDensity ?? 0.15;
+        this.#minimumSupportArea = options.minimumSupportArea ?? 0.25;
+        this.#bedTolerance = options.bedTolerance ?? 0.1;
+        this.#rotator = new MeshRotator();
+
+        if (!(this.#overhangAngle > 0 && this.#overhangAngle < 90)) {
+            throw new Error('Overhang angle must be between 0 and 90 degrees.');
+        }
+    }
+
+    /**
+     * Analyzes a mesh for overhangs
+     * @param {Object} mesh - Mesh with flat `positions` and `triangleCount`
+     * @param {Object} rotation - Build orientation as rotations in degrees {x, y, z}, applied in that order
+     * @param {Object} options - Per-call options
+     * @param {boolean} options.insideOut - Whether the mesh winding faces inward
+     * @returns {Object} Overhang report with areas in cm² and support volume in cm³
+     */
+    analyze(mesh, rotation = null, options = {}) {
+        if (!mesh || !mesh.positions || typeof mesh.triangleCount !== 'number') {
+            throw new Error('Mesh must include positions and a triangle count.');
+        }
+
+        const positions = this.#rotator.rotate(mesh.positions, rotation);
+        const windingSign = options.insideOut ? -1 : 1;
+        const threshold = -Math.sin(this.#overhangAngle * Math.PI / 180);
+
+        let bedZ = Infinity;
+        for (let i = 2; i < positions.length; i += 3) {
+            if (positions[i] < bedZ) bedZ = positions[i];
+        }
+
+        let overhangFaces = 0;
+        let overhangArea = 0;
+        let supportArea = 0;
+        let supportVolume = 0;
+
+        for (let t = 0; t < mesh.triangleCount; t++) {
+            const o = t * 9;
+            const az = positions[o + 2], bz = positions[o + 5], cz = positions[o + 8];
+
+            // Faces lying on the build plate are supported by the plate itself
+            if (Math.max(az, bz, cz) - bedZ <= this.#bedTolerance) {
+                continue;
+            }
+
+            const ux = positions[o + 3] - positions[o], uy = positions[o + 4] - positions[o + 1], uz = bz - az;
+            const vx = positions[o + 6] - positions[o], vy = positions[o + 7] - positions[o + 1], vz = cz - az;
+            const nx = uy * vz - uz * vy;
+            const ny = uz * vx - ux * vz;
+            const nz = (ux * vy - uy * vx) * windingSign;
+            const doubleArea = Math.sqrt(nx * nx + ny * ny + nz * nz);
+
+            if (doubleArea === 0 || nz / doubleArea >= threshold) {
+                continue;
+            }
+
+            const area = doubleArea / 2;
+            const projectedArea = Math.abs(nz) / 2;
+            const height = (az + bz + cz) / 3 - bedZ;
+
+            overhangFaces++;
+            overhangArea += area;
+            supportArea += projectedArea;
+            // Supports are assumed to reach the plate; parts below would shorten them, so this is an upper bound
+            supportVolume += projectedArea * height * this.#supportDensity;
+        }
+
+        const supportAreaCm2 = supportArea / 100;
+
+        return {
+            overhangAngle: this.#overhangAngle,
+            hasOverhangs: supportAreaCm2 >= this.#minimumSupportArea,
+            overhangFaces,
+            overhangArea: this.#round(overhangArea / 100),
+            supportArea: this.#round(supportAreaCm2),
+            supportVolume: this.#round(supportVolume / 1000)
+        };
+    }
+
+    /**
+     * Rounds a value to four decimal places
+     * @private
+     * @param {number} value - Value to round
+     * @returns {number} Rounded value
+     */
+    #round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+}
+
+module.exports = OverhangAnalyzer;
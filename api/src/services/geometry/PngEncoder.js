@@ -0,0 +1,69 @@
+const zlib = require('zlib');
+const { crc32 } = require('../../utils/crc32');
+
+/**
+ * @class PngEncoder
+ * @description Encodes 8-bit RGB pixel buffers as PNG images.
+ * Only what thumbnails need is implemented: a single IDAT chunk with no row filtering.
+ */
+class PngEncoder {
+    /**
+     * Encodes an image
+     * @param {Uint8Array} pixels - Row-major RGB pixels (3 bytes per pixel)
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @returns {Buffer} PNG file contents
+     */
+    encode(pixels, width, height) {
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+            throw new Error('Image dimensions must be positive integers.');
+        }
+
+        const rowLength = width * 3;
+        if (!pixels || pixels.length !== rowLength * height) {
+            throw new Error(`Expected ${rowLength * height} bytes of RGB pixel data.`);
+        }
+
+        // Each scanline is prefixed with its filter type (0 = none)
+        const raw = Buffer.alloc((rowLength + 1) * height);
+        for (let y = 0; y < height; y++) {
+            const offset = y * (rowLength + 1);
+            raw[offset] = 0;
+            raw.set(pixels.subarray(y * rowLength, (y + 1) * rowLength), offset + 1);
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        header[8] = 8;  // Bit depth
+        header[9] = 2;  // Colour type: truecolour
+        header[10] = 0; // Compression: deflate
+        header[11] = 0; // Filter method: adaptive
+        header[12] = 0; // Interlace: none
+
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+            this.#chunk('IHDR', header),
+            this.#chunk('IDAT', zlib.deflateSync(raw)),
+            this.#chunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+
+    /**
+     * Builds a length-prefixed, CRC-terminated PNG chunk
+     * @private
+     * @param {string} type - Four-letter chunk type
+     * @param {Buffer} data - Chunk data
+     * @returns {Buffer} Encoded chunk
+     */
+    #chunk(type, data) {
+        const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const chunk = Buffer.alloc(typeAndData.length + 8);
+        chunk.writeUInt32BE(data.length, 0);
+        typeAndData.copy(chunk, 4);
+        chunk.writeUInt32BE(crc32(typeAndData), typeAndData.length + 4);
+        return chunk;
+    }
+}
+
+module.exports = PngEncoder;
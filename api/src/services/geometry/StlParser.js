@@ -0,0 +1,97 @@
+/**
+ * @class StlParser
+ * @description Reads binary and ASCII STL files into a flat triangle mesh.
+ * STL carries no units, so coordinates are returned as-is and treated as millimetres downstream.
+ */
+class StlParser {
+    /**
+     * Parses an STL buffer
+     * @param {Buffer} buffer - Raw STL file contents
+     * @returns {Object} Mesh with flat `positions` (9 values per triangle) and `triangleCount`
+     */
+    parse(buffer) {
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+            throw new Error('STL file is empty.');
+        }
+
+        return this.#isBinary(buffer) ? this.#parseBinary(buffer) : this.#parseAscii(buffer);
+    }
+
+    /**
+     * Determines whether the buffer holds a binary STL
+     * @private
+     * @param {Buffer} buffer - Raw STL file contents
+     * @returns {boolean} True for binary STL
+     */
+    #isBinary(buffer) {
+        if (buffer.length < 84) {
+            return false;
+        }
+
+        // The declared triangle count must account for the exact file size
+        const triangleCount = buffer.readUInt32LE(80);
+        if (84 + triangleCount * 50 === buffer.length) {
+            return true;
+        }
+
+        // Some exporters write "solid" into the binary header, so only trust it
+        // when the text actually contains facets
+        const head = buffer.slice(0, Math.min(buffer.length, 512)).toString('ascii').trimStart();
+        return !(head.startsWith('solid') && head.includes('facet'));
+    }
+
+    /**
+     * Parses a binary STL
+     * @private
+     * @param {Buffer} buffer - Raw STL file contents
+     * @returns {Object} Parsed mesh
+     */
+    #parseBinary(buffer) {
+        const declaredCount = buffer.readUInt32LE(80);
+        const availableCount = Math.floor((buffer.length - 84) / 50);
+
+        if (declaredCount > availableCount) {
+            throw new Error(`Binary STL is truncated: header declares ${declaredCount} triangles but only ${availableCount} are present.`);
+        }
+
+        const positions = new Float64Array(declaredCount * 9);
+        for (let i = 0; i < declaredCount; i++) {
+            // Skip the 12-byte facet normal; it is recomputed from the vertices when needed
+            const offset = 84 + i * 50 + 12;
+            for (let j = 0; j < 9; j++) {
+                positions[i * 9 + j] = buffer.readFloatLE(offset + j * 4);
+            }
+        }
+
+        return { positions, triangleCount: declaredCount };
+    }
+
+    /**
+     * Parses an ASCII STL
+     * @private
+     * @param {Buffer} buffer - Raw STL file contents
+     * @returns {Object} Parsed mesh
+     */
+    #parseAscii(buffer) {
+        const text = buffer.toString('utf8');
+        const vertexPattern = /vertex\s+([-+\d.eE]+)\s+([-+\d.eE]+)\s+([-+\d.eE]+)/g;
+        const values = [];
+
+        let match;
+        while ((match = vertexPattern.exec(text)) !== null) {
+            values.push(parseFloat(match[1]), parseFloat(match[2]), parseFloat(match[3]));
+        }
+
+        if (values.length === 0 || values.length % 9 !== 0) {
+            throw new Error('ASCII STL does not contain a whole number of triangles.');
+        }
+
+        if (values.some(value => !Number.isFinite(value))) {
+            throw new Error('ASCII STL contains non-numeric vertex coordinates.');
+        }
+
+        return { positions: Float64Array.from(values), triangleCount: values.length / 9 };
+    }
+}
+
+module.exports = StlParser;
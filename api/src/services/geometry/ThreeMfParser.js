@@ -0,0 +1,377 @@
+const ZipArchive = require('./ZipArchive');
+
+/**
+ * @class ThreeMfParser
+ * @description Reads 3MF packages into a flat triangle mesh.
+ * Resolves the root model from the package relationships, expands build items and components
+ * (including production-extension references to other model parts) with their transforms,
+ * and converts the model's declared unit to millimetres.
+ */
+class ThreeMfParser {
+    #unitScales;
+    #maxTriangles;
+
+    /**
+     * Creates a new ThreeMfParser instance
+     * @param {Object} options - Parser options
+     * @param {number} options.maxTriangles - Most triangles a package may expand to (default 2,000,000)
+     */
+    constructor(options = {}) {
+        // Components can reference each other many times over, so a small package can expand
+        // to far more triangles than it stores
+        this.#maxTriangles = options.maxTriangles || 2000000;
+        this.#unitScales = {
+            micron: 0.001,
+            millimeter: 1,
+            centimeter: 10,
+            inch: 25.4,
+            foot: 304.8,
+            meter: 1000
+        };
+    }
+
+    /**
+     * Parses a 3MF buffer
+     * @param {Buffer} buffer - Raw 3MF package contents
+     * @returns {Promise<Object>} Mesh with flat `positions`, `triangleCount`, `objects` and source `unit`
+     */
+    async parse(buffer) {
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+            throw new Error('3MF file is empty.');
+        }
+
+        // Only relationships and model parts are needed; thumbnails and textures stay compressed
+        const archive = await ZipArchive.open(buffer, name => /\.(model|rels)$/i.test(name));
+        const rootPath = this.#findRootModelPath(archive);
+        const models = new Map();
+        const rootModel = this.#loadModel(archive, rootPath, models);
+
+        const scale = this.#unitScales[rootModel.unit];
+        if (!scale) {
+            throw new Error(`Unsupported 3MF unit '${rootModel.unit}'.`);
+        }
+
+        // Without a build section every mesh object is printed once
+        const items = rootModel.buildItems.length > 0
+            ? rootModel.buildItems
+            : [...rootModel.objects.values()]
+                .filter(object => object.vertices.length > 0)
+                .map(object => ({ objectId: object.id, transform: null, path: null }));
+
+        const positions = [];
+        const objects = [];
+        for (const item of items) {
+            const before = positions.length;
+            const itemPath = item.path || rootPath;
+            const object = this.#getObject(archive, models, itemPath, item.objectId);
+            this.#emitObject(archive, models, itemPath, object, item.transform, positions, 0);
+
+            objects.push({
+                name: object.name || `object_${item.objectId}`,
+                triangleCount: (positions.length - before) / 9
+            });
+        }
+
+        if (positions.length === 0) {
+            throw new Error('3MF package does not contain any printable triangles.');
+        }
+
+        const mesh = Float64Array.from(positions);
+        if (scale !== 1) {
+            for (let i = 0; i < mesh.length; i++) {
+                mesh[i] *= scale;
+            }
+        }
+
+        return {
+            positions: mesh,
+            triangleCount: mesh.length / 9,
+            objects,
+            unit: rootModel.unit
+        };
+    }
+
+    /**
+     * Finds the root model part from the package relationships
+     * @private
+     * @param {ZipArchive} archive - Opened package
+     * @returns {string} Root model entry name
+     */
+    #findRootModelPath(archive) {
+        if (archive.hasEntry('_rels/.rels')) {
+            const rels = archive.readText('_rels/.rels');
+            for (const [, attributes] of this.#matchElements(rels, 'Relationship')) {
+                if (/3dmodel$/i.test(attributes.Type || '') && attributes.Target) {
+                    return attributes.Target.replace(/^\/+/, '');
+                }
+            }
+        }
+
+        const fallback = archive.getEntryNames().find(name => /^3D\/[^/]+\.model$/i.test(name));
+        if (!fallback) {
+            throw new Error('3MF package does not contain a 3D model part.');
+        }
+        return fallback;
+    }
+
+    /**
+     * Loads and caches a model part
+     * @private
+     * @param {ZipArchive} archive - Opened package
+     * @param {string} path - Model entry name
+     * @param {Map} models - Cache of parsed model parts
+     * @returns {Object} Parsed model part
+     */
+    #loadModel(archive, path, models) {
+        const key = path.replace(/^\/+/, '');
+        if (!models.has(key)) {
+            models.set(key, this.#parseModelXml(archive.readText(key)));
+        }
+        return models.get(key);
+    }
+
+    /**
+     * Parses model XML into objects and build items
+     * @private
+     * @param {string} xml - Model part XML
+     * @returns {Object} Unit, objects keyed by ID and build items
+     */
+    #parseModelXml(xml) {
+        const model = { unit: 'millimeter', objects: new Map(), buildItems: [] };
+        const tagPattern = /<\/?([A-Za-z_][\w.-]*:)?([A-Za-z_][\w.-]*)\b([^>]*?)(\/?)>/g;
+        let currentObject = null;
+
+        let match;
+        while ((match = tagPattern.exec(xml)) !== null) {
+            const isClosing = match[0].startsWith('</');
+            const name = match[2];
+
+            if (isClosing) {
+                if (name === 'object') {
+                    currentObject = null;
+                }
+                continue;
+            }
+
+            const attributes = this.#parseAttributes(match[3]);
+
+            switch (name) {
+                case 'model':
+                    if (attributes.unit) {
+                        model.unit = attributes.unit;
+                    }
+                    break;
+                case 'object':
+                    currentObject = {
+                        id: attributes.id,
+                        name: attributes.name,
+                        vertices: [],
+                        triangles: [],
+                        components: []
+                    };
+                    model.objects.set(attributes.id, currentObject);
+                    if (match[4] === '/') {
+                        currentObject = null;
+                    }
+                    break;
+                case 'vertex':
+                    if (currentObject) {
+                        const vertex = [attributes.x, attributes.y, attributes.z].map(parseFloat);
+                        if (vertex.some(value => !Number.isFinite(value))) {
+                            throw new Error(`Object ${currentObject.id} has a vertex with invalid coordinates.`);
+                        }
+                        currentObject.vertices.push(...vertex);
+                    }
+                    break;
+                case 'triangle':
+                    if (currentObject) {
+                        currentObject.triangles.push(
+                            parseInt(attributes.v1, 10),
+                            parseInt(attributes.v2, 10),
+                            parseInt(attributes.v3, 10)
+                        );
+                    }
+                    break;
+                case 'component':
+                    if (currentObject) {
+                        currentObject.components.push({
+                            objectId: attributes.objectid,
+                            transform: this.#parseTransform(attributes.transform),
+                            path: attributes['p:path'] || attributes.path || null
+                        });
+                    }
+                    break;
+                case 'item':
+                    model.buildItems.push({
+                        objectId: attributes.objectid,
+                        transform: this.#parseTransform(attributes.transform),
+                        path: attributes['p:path'] || null
+                    });
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        return model;
+    }
+
+    /**
+     * Looks up an object in a model part
+     * @private
+     * @param {ZipArchive} archive - Opened package
+     * @param {Map} models - Cache of parsed model parts
+     * @param {string} path - Model entry name
+     * @param {string} objectId - Object ID
+     * @returns {Object} Object definition
+     */
+    #getObject(archive, models, path, objectId) {
+        const object = this.#loadModel(archive, path, models).objects.get(objectId);
+        if (!object) {
+            throw new Error(`3MF references missing object ${objectId} in ${path}.`);
+        }
+        return object;
+    }
+
+    /**
+     * Appends an object's transformed triangles, recursing into components
+     * @private
+     * @param {ZipArchive} archive - Opened package
+     * @param {Map} models - Cache of parsed model parts
+     * @param {string} path - Model entry name the object belongs to
+     * @param {Object} object - Object definition
+     * @param {number[]|null} transform - Accumulated 3MF transform
+     * @param {number[]} positions - Output positions
+     * @param {number} depth - Component nesting depth
+     * @throws {Error} If components nest too deeply or the package expands past the triangle limit
+     */
+    #emitObject(archive, models, path, object, transform, positions, depth) {
+        if (depth > 16) {
+            throw new Error('3MF components are nested too deeply or form a cycle.');
+        }
+
+        const { vertices, triangles } = object;
+        if ((positions.length + triangles.length * 3) / 9 > this.#maxTriangles) {
+            throw new Error(`3MF package expands to more than ${this.#maxTriangles} triangles.`);
+        }
+        const vertexCount = vertices.length / 3;
+        for (let i = 0; i < triangles.length; i++) {
+            const index = triangles[i];
+            if (!Number.isInteger(index) || index < 0 || index >= vertexCount) {
+                throw new Error(`Triangle in object ${object.id} references a missing vertex.`);
+            }
+            const point = this.#applyTransform(
+                transform,
+                vertices[index * 3],
+                vertices[index * 3 + 1],
+                vertices[index * 3 + 2]
+            );
+            positions.push(point[0], point[1], point[2]);
+        }
+
+        for (const component of object.components) {
+            const componentPath = component.path ? component.path.replace(/^\/+/, '') : path;
+            const child = this.#getObject(archive, models, componentPath, component.objectId);
+            const combined = this.#combineTransforms(component.transform, transform);
+            this.#emitObject(archive, models, componentPath, child, combined, positions, depth + 1);
+        }
+    }
+
+    /**
+     * Parses a 3MF transform attribute ("m00 m01 m02 m10 m11 m12 m20 m21 m22 m30 m31 m32")
+     * @private
+     * @param {string} value - Transform attribute
+     * @returns {number[]|null} Twelve matrix values, or null for identity
+     */
+    #parseTransform(value) {
+        if (!value) {
+            return null;
+        }
+
+        const values = value.trim().split(/\s+/).map(Number);
+        if (values.length !== 12 || values.some(number => !Number.isFinite(number))) {
+            throw new Error(`Invalid 3MF transform '${value}'.`);
+        }
+        return values;
+    }
+
+    /**
+     * Applies a transform to a point (3MF uses row vectors: p' = p · M)
+     * @private
+     * @param {number[]|null} m - Transform matrix
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} z - Z coordinate
+     * @returns {number[]} Transformed point
+     */
+    #applyTransform(m, x, y, z) {
+        if (!m) {
+            return [x, y, z];
+        }
+
+        return [
+            x * m[0] + y * m[3] + z * m[6] + m[9],
+            x * m[1] + y * m[4] + z * m[7] + m[10],
+            x * m[2] + y * m[5] + z * m[8] + m[11]
+        ];
+    }
+
+    /**
+     * Combines an inner transform with an outer one (inner applied first)
+     * @private
+     * @param {number[]|null} inner - Inner transform
+     * @param {number[]|null} outer - Outer transform
+     * @returns {number[]|null} Combined transform
+     */
+    #combineTransforms(inner, outer) {
+        if (!inner) return outer;
+        if (!outer) return inner;
+
+        const combined = new Array(12);
+        for (let row = 0; row < 4; row++) {
+            for (let col = 0; col < 3; col++) {
+                let value = row === 3 ? outer[9 + col] : 0;
+                for (let k = 0; k < 3; k++) {
+                    value += inner[row * 3 + k] * outer[k * 3 + col];
+                }
+                combined[row * 3 + col] = value;
+            }
+        }
+        return combined;
+    }
+
+    /**
+     * Parses XML attributes into an object
+     * @private
+     * @param {string} source - Attribute source text
+     * @returns {Object} Attribute values keyed by name
+     */
+    #parseAttributes(source) {
+        const attributes = {};
+        const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+        while ((match = pattern.exec(source)) !== null) {
+            attributes[match[1]] = match[2] !== undefined ? match[2] : match[3];
+        }
+        return attributes;
+    }
+
+    /**
+     * Finds all elements with a given local name
+     * @private
+     * @param {string} xml - XML text
+     * @param {string} elementName - Element local name
+     * @returns {Array} Pairs of [element source, attributes]
+     */
+    #matchElements(xml, elementName) {
+        const pattern = new RegExp(`<(?:[\\w.-]+:)?${elementName}\\b([^>]*?)\\/?>`, 'g');
+        const results = [];
+        let match;
+        while ((match = pattern.exec(xml)) !== null) {
+            results.push([match[0], this.#parseAttributes(match[1])]);
+        }
+        return results;
+    }
+}
+
+module.exports = ThreeMfParser;
@@ -0,0 +1,307 @@
+const PngEncoder = require('./PngEncoder');
+
+/**
+ * @class ThumbnailRenderer
+ * @description Renders a flat-shaded PNG preview of a mesh entirely on the CPU.
+ * Cameras are fixed standard views (isometric from the front-right-top by default, or front, side and top),
+ * so every render of a view is framed the same way.
+ * Triangles are rasterized with a depth buffer at a higher resolution and box-filtered down to smooth edges.
+ */
+class ThumbnailRenderer {
+    #size;
+    #supersampling;
+    #padding;
+    #background;
+    #color;
+    #ambient;
+    #views;
+    #encoder;
+
+    /**
+     * Creates a new ThumbnailRenderer instance
+     * @param {Object} options - Rendering options
+     * @param {number} options.size - Width and height of the thumbnail in pixels (default 256)
+     * @param {number} options.supersampling - Samples per pixel along each axis (default 2)
+     * @param {number} options.padding - Empty margin around the model as a fraction of the size
+     * @param {number[]} options.background - Background colour [r, g, b]
+     * @param {number[]} options.color - Model colour [r, g, b]
+     */
+    constructor(options = {}) {
+        this.#size = options.size ?? 256;
+        this.#supersampling = options.supersampling ?? 2;
+        this.#padding = options.padding ?? 0.08;
+        this.#background = options.background || [245, 245, 245];
+        this.#color = options.color || [204, 0, 51];
+        this.#ambient = 0.35;
+
+        if (!Number.isInteger(this.#size) || this.#size < 16 || this.#size > 2048) {
+            throw new Error('Thumbnail size must be an integer between 16 and 2048.');
+        }
+
+        if (!Number.isInteger(this.#supersampling) || this.#supersampling < 1 || this.#supersampling > 4) {
+            throw new Error('Thumbnail supersampling must be an integer between 1 and 4.');
+        }
+
+        // Screen axes of each camera looking at the origin with +Z up; forward points back at the camera
+        this.#views = {
+            isometric: this.#createCamera([1, 1, 0], [-1, 1, 2], [1, -1, 1]),
+            front: this.#createCamera([1, 0, 0], [0, 0, 1], [0, -1, 0]),
+            side: this.#createCamera([0, 1, 0], [0, 0, 1], [1, 0, 0]),
+            top: this.#createCamera([1, 0, 0], [0, 1, 0], [0, 0, 1])
+        };
+
+        this.#encoder = new PngEncoder();
+    }
+
+    /**
+     * Renders a mesh to a PNG image
+     * @param {Object} mesh - Mesh with flat `positions` and `triangleCount`
+     * @param {Object} options - Per-call options
+     * @param {boolean} options.insideOut - Whether the mesh winding faces inward
+     * @param {string} options.view - 'isometric' (default), 'front', 'side' or 'top'
+     * @returns {Buffer} PNG file contents
+     */
+    render(mesh, options = {}) {
+        if (!mesh || !mesh.positions || typeof mesh.triangleCount !== 'number') {
+            throw new Error('Mesh must include positions and a triangle count.');
+        }
+
+        const camera = this.#views[options.view || 'isometric'];
+        if (!camera) {
+            throw new Error(`Unknown view '${options.view}'. Use ${this.getViewNames().join(', ')}.`);
+        }
+
+        const size = this.#size * this.#supersampling;
+        const projected = this.#project(mesh.positions, size, camera);
+        const depthBuffer = new Float32Array(size * size).fill(-Infinity);
+        const colorBuffer = new Uint8Array(size * size * 3);
+        for (let i = 0; i < colorBuffer.length; i += 3) {
+            colorBuffer.set(this.#background, i);
+        }
+
+        const windingSign = options.insideOut ? -1 : 1;
+        for (let t = 0; t < mesh.triangleCount; t++) {
+            const shade = this.#shade(mesh.positions, t * 9, windingSign, camera);
+            if (shade) {
+                this.#rasterize(projected, t * 9, shade, size, depthBuffer, colorBuffer);
+            }
+        }
+
+        return this.#encoder.encode(this.#downsample(colorBuffer, size), this.#size, this.#size);
+    }
+
+    /**
+     * Gets the thumbnail size
+     * @returns {number} Width and height in pixels
+     */
+    getSize() {
+        return this.#size;
+    }
+
+    /**
+     * Gets the names of the views that can be rendered
+     * @returns {string[]} View names
+     */
+    getViewNames() {
+        return Object.keys(this.#views);
+    }
+
+    /**
+     * Builds a camera from its screen axes, with a key light from the viewer's upper left
+     * @private
+     * @param {number[]} right - Screen right direction
+     * @param {number[]} up - Screen up direction
+     * @param {number[]} forward - Direction from the model towards the camera
+     * @returns {Object} Unit right, up and forward axes and the light direction
+     */
+    #createCamera(right, up, forward) {
+        const camera = {
+            right: this.#normalize(right),
+            up: this.#normalize(up),
+            forward: this.#normalize(forward)
+        };
+        camera.light = this.#normalize([0, 1, 2].map(axis =>
+            -0.4 * camera.right[axis] + 0.6 * camera.up[axis] + 0.7 * camera.forward[axis]
+        ));
+        return camera;
+    }
+
+    /**
+     * Projects vertices to pixel coordinates, scaling the model to fill the frame
+     * @private
+     * @param {Float64Array} positions - Flat mesh positions
+     * @param {number} size - Render target size in pixels
+     * @param {Object} camera - Camera axes from #createCamera
+     * @returns {Float32Array} Per-vertex [pixelX, pixelY, depth]; larger depth is nearer the camera
+     */
+    #project(positions, size, camera) {
+        const { right, up, forward } = camera;
+        const projected = new Float32Array(positions.length);
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+
+        for (let i = 0; i < positions.length; i += 3) {
+            const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+            const screenX = x * right[0] + y * right[1] + z * right[2];
+            const screenY = x * up[0] + y * up[1] + z * up[2];
+
+            projected[i] = screenX;
+            projected[i + 1] = screenY;
+            projected[i + 2] = x * forward[0] + y * forward[1] + z * forward[2];
+
+            if (screenX < minX) minX = screenX;
+            if (screenX > maxX) maxX = screenX;
+            if (screenY < minY) minY = screenY;
+            if (screenY > maxY) maxY = screenY;
+        }
+
+        const span = Math.max(maxX - minX, maxY - minY) || 1;
+        const scale = size * (1 - 2 * this.#padding) / span;
+        const offsetX = (size - (maxX - minX) * scale) / 2;
+        const offsetY = (size - (maxY - minY) * scale) / 2;
+
+        for (let i = 0; i < projected.length; i += 3) {
+            projected[i] = (projected[i] - minX) * scale + offsetX;
+            // Image rows run top to bottom
+            projected[i + 1] = (maxY - projected[i + 1]) * scale + offsetY;
+        }
+
+        return projected;
+    }
+
+    /**
+     * Computes the flat-shaded colour of a triangle
+     * @private
+     * @param {Float64Array} positions - Flat mesh positions
+     * @param {number} offset - Index of the triangle's first coordinate
+     * @param {number} windingSign - 1 for outward winding, -1 for inside-out meshes
+     * @param {Object} camera - Camera axes and light from #createCamera
+     * @returns {number[]|null} Colour [r, g, b], or null for zero-area triangles
+     */
+    #shade(positions, offset, windingSign, camera) {
+        const ux = positions[offset + 3] - positions[offset];
+        const uy = positions[offset + 4] - positions[offset + 1];
+        const uz = positions[offset + 5] - positions[offset + 2];
+        const vx = positions[offset + 6] - positions[offset];
+        const vy = positions[offset + 7] - positions[offset + 1];
+        const vz = positions[offset + 8] - positions[offset + 2];
+
+        const normal = [
+            (uy * vz - uz * vy) * windingSign,
+            (uz * vx - ux * vz) * windingSign,
+            (ux * vy - uy * vx) * windingSign
+        ];
+        const length = Math.hypot(normal[0], normal[1], normal[2]);
+        if (length === 0) {
+            return null;
+        }
+
+        let facing = 0;
+        let lighting = 0;
+        for (let axis = 0; axis < 3; axis++) {
+            facing += normal[axis] * camera.forward[axis];
+            lighting += normal[axis] * camera.light[axis];
+        }
+
+        // Light both sides so open or badly wound faces still read as surfaces
+        const diffuse = Math.max(0, (facing < 0 ? -lighting : lighting) / length);
+        const intensity = this.#ambient + (1 - this.#ambient) * diffuse;
+
+        return this.#color.map(channel => Math.min(255, Math.round(channel * intensity)));
+    }
+
+    /**
+     * Fills a triangle into the colour buffer, keeping the nearest surface at each pixel
+     * @private
+     * @param {Float32Array} projected - Projected vertices from #project
+     * @param {number} offset - Index of the triangle's first coordinate
+     * @param {number[]} color - Triangle colour [r, g, b]
+     * @param {number} size - Render target size in pixels
+     * @param {Float32Array} depthBuffer - Nearest depth drawn at each pixel
+     * @param {Uint8Array} colorBuffer - RGB pixels
+     */
+    #rasterize(projected, offset, color, size, depthBuffer, colorBuffer) {
+        const x0 = projected[offset], y0 = projected[offset + 1], d0 = projected[offset + 2];
+        const x1 = projected[offset + 3], y1 = projected[offset + 4], d1 = projected[offset + 5];
+        const x2 = projected[offset + 6], y2 = projected[offset + 7], d2 = projected[offset + 8];
+
+        const area = (x1 - x0) * (y2 - y0) - (y1 - y0) * (x2 - x0);
+        if (area === 0) {
+            return;
+        }
+
+        const minX = Math.max(0, Math.floor(Math.min(x0, x1, x2)));
+        const maxX = Math.min(size - 1, Math.ceil(Math.max(x0, x1, x2)));
+        const minY = Math.max(0, Math.floor(Math.min(y0, y1, y2)));
+        const maxY = Math.min(size - 1, Math.ceil(Math.max(y0, y1, y2)));
+
+        for (let py = minY; py <= maxY; py++) {
+            const sampleY = py + 0.5;
+            for (let px = minX; px <= maxX; px++) {
+                const sampleX = px + 0.5;
+
+                // Barycentric weights; all share the sign of the area when the sample is inside
+                const w0 = ((x2 - x1) * (sampleY - y1) - (y2 - y1) * (sampleX - x1)) / area;
+                const w1 = ((x0 - x2) * (sampleY - y2) - (y0 - y2) * (sampleX - x2)) / area;
+                const w2 = 1 - w0 - w1;
+                if (w0 < 0 || w1 < 0 || w2 < 0) {
+                    continue;
+                }
+
+                const index = py * size + px;
+                const depth = w0 * d0 + w1 * d1 + w2 * d2;
+                if (depth > depthBuffer[index]) {
+                    depthBuffer[index] = depth;
+                    colorBuffer[index * 3] = color[0];
+                    colorBuffer[index * 3 + 1] = color[1];
+                    colorBuffer[index * 3 + 2] = color[2];
+                }
+            }
+        }
+    }
+
+    /**
+     * Averages supersampled pixels down to the thumbnail size
+     * @private
+     * @param {Uint8Array} colorBuffer - Supersampled RGB pixels
+     * @param {number} size - Supersampled size in pixels
+     * @returns {Uint8Array} RGB pixels at the thumbnail size
+     */
+    #downsample(colorBuffer, size) {
+        const factor = this.#supersampling;
+        if (factor === 1) {
+            return colorBuffer;
+        }
+
+        const pixels = new Uint8Array(this.#size * this.#size * 3);
+        const samples = factor * factor;
+
+        for (let y = 0; y < this.#size; y++) {
+            for (let x = 0; x < this.#size; x++) {
+                for (let channel = 0; channel < 3; channel++) {
+                    let total = 0;
+                    for (let sy = 0; sy < factor; sy++) {
+                        for (let sx = 0; sx < factor; sx++) {
+                            total += colorBuffer[((y * factor + sy) * size + x * factor + sx) * 3 + channel];
+                        }
+                    }
+                    pixels[(y * this.#size + x) * 3 + channel] = Math.round(total / samples);
+                }
+            }
+        }
+
+        return pixels;
+    }
+
+    /**
+     * Scales a vector to unit length
+     * @private
+     * @param {number[]} vector - Vector [x, y, z]
+     * @returns {number[]} Unit vector
+     */
+    #normalize(vector) {
+        const length = Math.hypot(vector[0], vector[1], vector[2]);
+        return vector.map(component => component / length);
+    }
+}
+
+module.exports = ThumbnailRenderer;
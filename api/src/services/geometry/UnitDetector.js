@@ -0,0 +1,136 @@
+/**
+ * @class UnitDetector
+ * @description Works out which unit a model was exported in and the factor that converts it to millimetres.
+ * STL and OBJ carry no units, so the unit is guessed from the bounding box: a part that is 2 units wide
+ * is far more likely to be 2 inches than 2 mm. 3MF files declare their unit and are trusted.
+ */
+class UnitDetector {
+    #unitScales;
+    #plausibleRange;
+    #guessOrder;
+
+    /**
+     * Creates a new UnitDetector instance
+     * @param {Object} options - Detection options
+     * @param {number} options.minPlausibleSize - Smallest expected largest-dimension in mm
+     * @param {number} options.maxPlausibleSize - Largest expected largest-dimension in mm
+     */
+    constructor(options = {}) {
+        // Same unit names as the 3MF specification
+        this.#unitScales = {
+            micron: 0.001,
+            millimeter: 1,
+            centimeter: 10,
+            inch: 25.4,
+            foot: 304.8,
+            meter: 1000
+        };
+        this.#plausibleRange = {
+            min: options.minPlausibleSize ?? 10,
+            max: options.maxPlausibleSize ?? 350
+        };
+        // Inches are tried before centimetres because CAD tools in the US export them far more often
+        this.#guessOrder = ['inch', 'meter', 'centimeter'];
+    }
+
+    /**
+     * Resolves the scale to apply to a mesh
+     * @param {Object} size - Bounding box size {x, y, z} in file units
+     * @param {Object} options - Resolution inputs
+     * @param {string} options.declaredUnit - Unit declared by the file (3MF), already applied to the mesh
+     * @param {string} options.unit - Unit chosen by the submitter, or 'auto'
+     * @param {number} options.scaleFactor - Explicit scale factor chosen by the submitter
+     * @returns {Object} Unit, source, confidence and the scale to apply to the mesh as parsed
+     */
+    resolve(size, options = {}) {
+        const { declaredUnit, unit = 'auto', scaleFactor } = options;
+        // 3MF meshes arrive already converted, so any override has to undo the declared unit first
+        const appliedScale = declaredUnit ? this.getScale(declaredUnit) : 1;
+
+        if (typeof scaleFactor === 'number') {
+            if (!(scaleFactor > 0)) {
+                throw new Error('Scale factor must be a positive number.');
+            }
+            return this.#result('custom', 'override', 'high', scaleFactor / appliedScale);
+        }
+
+        if (unit && unit !== 'auto') {
+            return this.#result(unit, 'override', 'high', this.getScale(unit) / appliedScale);
+        }
+
+        if (declaredUnit) {
+            return this.#result(declaredUnit, 'file', 'high', 1);
+        }
+
+        return this.#guess(size);
+    }
+
+    /**
+     * Gets the millimetre scale for a unit
+     * @param {string} unit - Unit name
+     * @returns {number} Millimetres per unit
+     */
+    getScale(unit) {
+        const scale = this.#unitScales[unit];
+        if (!scale) {
+            throw new Error(`Unknown unit '${unit}'.`);
+        }
+        return scale;
+    }
+
+    /**
+     * Gets the units that can be declared or chosen
+     * @returns {string[]} Unit names
+     */
+    getSupportedUnits() {
+        return Object.keys(this.#unitScales);
+    }
+
+    /**
+     * Guesses the unit of a unitless model from its largest dimension
+     * @private
+     * @param {Object} size - Bounding box size {x, y, z} in file units
+     * @returns {Object} Detection result
+     */
+    #guess(size) {
+        const largest = Math.max(size.x, size.y, size.z);
+
+        if (this.#isPlausible(largest)) {
+            return this.#result('millimeter', 'detected', 'high', 1);
+        }
+
+        for (const unit of this.#guessOrder) {
+            if (this.#isPlausible(largest * this.#unitScales[unit])) {
+                return this.#result(unit, 'detected', 'medium', this.#unitScales[unit]);
+            }
+        }
+
+        // Nothing lands in the usual size range; keep millimetres and let staff review it
+        return this.#result('millimeter', 'detected', 'low', 1);
+    }
+
+    /**
+     * Checks whether a largest dimension in mm looks like a typical makerspace part
+     * @private
+     * @param {number} size - Largest dimension in millimetres
+     * @returns {boolean} True if within the plausible range
+     */
+    #isPlausible(size) {
+        return size >= this.#plausibleRange.min && size <= this.#plausibleRange.max;
+    }
+
+    /**
+     * Builds a detection result
+     * @private
+     * @param {string} unit - Unit name
+     * @param {string} source - 'file', 'detected' or 'override'
+     * @param {string} confidence - 'high', 'medium' or 'low'
+     * @param {number} scale - Factor to apply to the parsed mesh
+     * @returns {Object} Detection result
+     */
+    #result(unit, source, confidence, scale) {
+        return { unit, source, confidence, scale };
+    }
+}
+
+module.exports = UnitDetector;
@@ -0,0 +1,241 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const inflateRaw = promisify(zlib.inflateRaw);
+
+// Largest entry that is decompressed; uploads are limited to 50 MB, so anything bigger is a zip bomb
+const MAX_ENTRY_SIZE = 256 * 1024 * 1024;
+// All entries of one archive together may inflate to this many times its size, within these bounds.
+// Mesh XML and G-code compress about 5-20x, so a genuine package stays well inside the limit.
+const MAX_EXPANSION_RATIO = 40;
+const MIN_TOTAL_SIZE = 16 * 1024 * 1024;
+const MAX_TOTAL_SIZE = 512 * 1024 * 1024;
+
+/**
+ * @class ZipArchive
+ * @description Minimal read-only ZIP reader for container formats such as 3MF.
+ * Supports stored and deflated entries; ZIP64 and encrypted archives are rejected.
+ * Entries are inflated on the zlib threadpool by load() and then read synchronously.
+ */
+class ZipArchive {
+    #buffer;
+    #entries;
+    #contents;
+    #maxTotalSize;
+    #inflatedSize;
+
+    /**
+     * Opens a ZIP archive held in memory and reads its central directory
+     * @param {Buffer} buffer - Raw archive contents
+     * @param {Object} options - Configuration options
+     * @param {number} options.maxTotalSize - Bytes all entries may inflate to (default scales with the archive size)
+     */
+    constructor(buffer, options = {}) {
+        if (!Buffer.isBuffer(buffer) || buffer.length < 22) {
+            throw new Error('Archive is empty or too small to be a ZIP file.');
+        }
+        this.#buffer = buffer;
+        this.#entries = this.#readCentralDirectory();
+        this.#contents = new Map();
+        this.#maxTotalSize = options.maxTotalSize
+            || Math.min(MAX_TOTAL_SIZE, Math.max(MIN_TOTAL_SIZE, buffer.length * MAX_EXPANSION_RATIO));
+        this.#inflatedSize = 0;
+    }
+
+    /**
+     * Opens an archive and loads the entries a reader needs
+     * @param {Buffer} buffer - Raw archive contents
+     * @param {Function} include - Predicate selecting the entry names to load (default all)
+     * @param {Object} options - Options passed to the constructor
+     * @returns {Promise<ZipArchive>} Archive whose selected entries can be read
+     * @throws {Error} If the archive or one of the selected entries cannot be read
+     */
+    static async open(buffer, include = () => true, options = {}) {
+        const archive = new ZipArchive(buffer, options);
+        await archive.load(archive.getEntryNames().filter(include));
+        return archive;
+    }
+
+    /**
+     * Lists the entry names in the archive
+     * @returns {string[]} Entry names
+     */
+    getEntryNames() {
+        return [...this.#entries.keys()];
+    }
+
+    /**
+     * Checks whether an entry exists
+     * @param {string} name - Entry name, with or without a leading slash
+     * @returns {boolean} True if the entry exists
+     */
+    hasEntry(name) {
+        return this.#entries.has(this.#normalizeName(name));
+    }
+
+    /**
+     * Decompresses entries so they can be read. Inflation runs off the event loop, one entry at a
+     * time so the total limit is checked before each one.
+     * @param {string[]} names - Entry names, with or without a leading slash
+     * @returns {Promise<void>}
+     * @throws {Error} If an entry is missing, corrupt, too large or inflates past its declared size,
+     * or the archive inflates past its total limit
+     */
+    async load(names) {
+        for (const name of names) {
+            const key = this.#normalizeName(name);
+            if (!this.#contents.has(key)) {
+                this.#contents.set(key, await this.#inflate(key, name));
+            }
+        }
+    }
+
+    /**
+     * Reads a loaded entry
+     * @param {string} name - Entry name, with or without a leading slash
+     * @returns {Buffer} Entry contents
+     * @throws {Error} If the entry is missing or was not loaded
+     */
+    readEntry(name) {
+        const contents = this.#contents.get(this.#normalizeName(name));
+        if (!contents) {
+            throw new Error(this.hasEntry(name)
+                ? `Archive entry '${name}' was not loaded.`
+                : `Archive entry '${name}' not found.`);
+        }
+        return contents;
+    }
+
+    /**
+     * Reads a text entry as UTF-8
+     * @param {string} name - Entry name
+     * @returns {string} Entry contents
+     */
+    readText(name) {
+        return this.readEntry(name).toString('utf8');
+    }
+
+    /**
+     * Decompresses one entry within the per-entry and total limits
+     * @private
+     * @param {string} key - Normalized entry name
+     * @param {string} name - Entry name for error messages
+     * @returns {Promise<Buffer>} Entry contents
+     */
+    async #inflate(key, name) {
+        const entry = this.#entries.get(key);
+        if (!entry) {
+            throw new Error(`Archive entry '${name}' not found.`);
+        }
+
+        const header = entry.localHeaderOffset;
+        if (this.#buffer.readUInt32LE(header) !== 0x04034b50) {
+            throw new Error(`Archive entry '${name}' has a corrupt local header.`);
+        }
+
+        if (entry.uncompressedSize > MAX_ENTRY_SIZE) {
+            throw new Error(`Archive entry '${name}' is larger than ${MAX_ENTRY_SIZE / (1024 * 1024)} MB.`);
+        }
+
+        // Entries never inflate past their declared size, so checking it up front bounds the total
+        if (this.#inflatedSize + entry.uncompressedSize > this.#maxTotalSize) {
+            throw new Error(`Archive inflates to more than ${Math.floor(this.#maxTotalSize / (1024 * 1024))} MB in total.`);
+        }
+
+        const nameLength = this.#buffer.readUInt16LE(header + 26);
+        const extraLength = this.#buffer.readUInt16LE(header + 28);
+        const dataStart = header + 30 + nameLength + extraLength;
+        const data = this.#buffer.slice(dataStart, dataStart + entry.compressedSize);
+
+        let contents;
+        if (entry.method === 0) {
+            contents = data;
+        } else if (entry.method === 8) {
+            // Stop inflating at the size the central directory declares rather than trusting the stream
+            try {
+                contents = await inflateRaw(data, { maxOutputLength: Math.max(entry.uncompressedSize, 1) });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+                    throw new Error(`Archive entry '${name}' inflates past its declared size.`);
+                }
+                throw error;
+            }
+        } else {
+            throw new Error(`Archive entry '${name}' uses unsupported compression method ${entry.method}.`);
+        }
+
+        this.#inflatedSize += contents.length;
+        return contents;
+    }
+
+    /**
+     * Reads the central directory into an entry map
+     * @private
+     * @returns {Map<string, Object>} Entries keyed by name
+     */
+    #readCentralDirectory() {
+        const end = this.#findEndOfCentralDirectory();
+        const entryCount = this.#buffer.readUInt16LE(end + 10);
+        let offset = this.#buffer.readUInt32LE(end + 16);
+
+        if (entryCount === 0xffff || offset === 0xffffffff) {
+            throw new Error('ZIP64 archives are not supported.');
+        }
+
+        const entries = new Map();
+        for (let i = 0; i < entryCount; i++) {
+            if (this.#buffer.readUInt32LE(offset) !== 0x02014b50) {
+                throw new Error('Archive central directory is corrupt.');
+            }
+
+            const flags = this.#buffer.readUInt16LE(offset + 8);
+            const nameLength = this.#buffer.readUInt16LE(offset + 28);
+            const extraLength = this.#buffer.readUInt16LE(offset + 30);
+            const commentLength = this.#buffer.readUInt16LE(offset + 32);
+            const name = this.#buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+            if (flags & 0x1) {
+                throw new Error('Encrypted archives are not supported.');
+            }
+
+            entries.set(name, {
+                method: this.#buffer.readUInt16LE(offset + 10),
+                compressedSize: this.#buffer.readUInt32LE(offset + 20),
+                uncompressedSize: this.#buffer.readUInt32LE(offset + 24),
+                localHeaderOffset: this.#buffer.readUInt32LE(offset + 42)
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Locates the end-of-central-directory record
+     * @private
+     * @returns {number} Offset of the record
+     */
+    #findEndOfCentralDirectory() {
+        // The record is 22 bytes plus an optional comment of up to 65535 bytes
+        const lowerBound = Math.max(0, this.#buffer.length - 22 - 0xffff);
+        for (let offset = this.#buffer.length - 22; offset >= lowerBound; offset--) {
+            if (this.#buffer.readUInt32LE(offset) === 0x06054b50) {
+                return offset;
+            }
+        }
+        throw new Error('File is not a valid ZIP archive.');
+    }
+
+    /**
+     * Normalizes an entry name for lookup
+     * @private
+     * @param {string} name - Entry name
+     * @returns {string} Name without a leading slash
+     */
+    #normalizeName(name) {
+        return name.replace(/^\/+/, '');
+    }
+}
+
+module.exports = ZipArchive;
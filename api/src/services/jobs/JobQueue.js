@@ -0,0 +1,314 @@
+const MemoryJobStore = require('./MemoryJobStore');
+const { ServiceUnavailableError } = require('../../middleware/errorHandler');
+
+// Seconds a client is asked to wait before submitting again when the queue is full
+const QUEUE_FULL_RETRY_SECONDS = 30;
+
+/**
+ * @class JobQueue
+ * @description Runs long tasks in the background of this process so an HTTP request can return
+ * as soon as the work is queued. Each job is a list of named steps; the task reports the step it
+ * is working on and clients poll the job record to follow its progress. Records are kept in a
+ * pluggable store and removed once they have been finished for the retention period.
+ */
+class JobQueue {
+    #store;
+    #backend;
+    #concurrency;
+    #maxPending;
+    #retentionMs;
+    #pending;
+    #running;
+    #onUpdate;
+    #debugMode;
+
+    /**
+     * Creates a new JobQueue instance
+     * @param {Object} options - Queue options
+     * @param {string} options.backend - 'memory' (default)
+     * @param {Object} options.store - Store to use instead of a built-in backend (save/get/delete/list)
+     * @param {number} options.concurrency - Jobs run at the same time (default 2)
+     * @param {number} options.maxPending - Jobs that may wait for a free slot before enqueue refuses more (default 10)
+     * @param {number} options.retentionSeconds - Seconds a finished job stays readable (default 3600)
+     * @param {Function} options.onUpdate - Called with the job record whenever it is queued or changes
+     * @param {boolean} debugMode - Enable debug logging
+     * @throws {Error} If the backend is unknown or a limit is invalid
+     */
+    constructor(options = {}, debugMode = false) {
+        this.#concurrency = options.concurrency ?? 2;
+        if (!Number.isInteger(this.#concurrency) || this.#concurrency < 1) {
+            throw new Error('Job concurrency must be a positive integer.');
+        }
+
+        // Each waiting print request holds its upload (up to 50 MB) in memory until it runs
+        this.#maxPending = options.maxPending ?? 10;
+        if (!Number.isInteger(this.#maxPending) || this.#maxPending < 1) {
+            throw new Error('Job queue size must be a positive integer.');
+        }
+
+        const retentionSeconds = options.retentionSeconds ?? 3600;
+        if (typeof retentionSeconds !== 'number' || !(retentionSeconds > 0)) {
+            throw new Error('Job retention must be a positive number of seconds.');
+        }
+        this.#retentionMs = retentionSeconds * 1000;
+
+        this.#backend = options.store ? 'custom' : (options.backend || 'memory');
+        this.#store = options.store || this.#createStore(this.#backend);
+        this.#pending = [];
+        this.#running = 0;
+        this.#onUpdate = options.onUpdate || null;
+        this.#debugMode = debugMode;
+    }
+
+    /**
+     * Queues a job
+     * @param {string} id - Job ID, unique among jobs still kept
+     * @param {string[]} steps - Names of the steps the task goes through, in order
+     * @param {Function} task - async (progress) => result; call `await progress.start(step)` as each step begins
+     * @param {Object} details - Caller data kept with the job, e.g. who submitted it
+     * @returns {Promise<Object>} The queued job record
+     * @throws {ServiceUnavailableError} If maxPending jobs are already waiting
+     * @throws {Error} If a job with the same ID is still kept
+     */
+    async enqueue(id, steps, task, details = {}) {
+        this.assertCapacity();
+        await this.#prune();
+        if (await this.#store.get(id)) {
+            throw new Error(`Job ${id} already exists.`);
+        }
+
+        const job = {
+            id,
+            status: 'queued',
+            currentStep: null,
+            steps: steps.map(name => ({ name, status: 'pending', startedAt: null, completedAt: null })),
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            completedAt: null,
+            details
+        };
+        await this.#store.save(job);
+        this.#notify(job);
+
+        this.#pending.push({ job, task });
+        // Start on a later turn of the event loop so the caller can answer its request first
+        setImmediate(() => this.#drain());
+
+        if (this.#debugMode) {
+            console.log(`Queued job ${id} (${this.#pending.length} waiting)`);
+        }
+
+        return this.#store.get(id);
+    }
+
+    /**
+     * Checks that another job can be queued, so callers can refuse work before changing any state
+     * @throws {ServiceUnavailableError} If maxPending jobs are already waiting; `retryAfter` holds the seconds to wait
+     */
+    assertCapacity() {
+        if (this.#pending.length >= this.#maxPending) {
+            throw new ServiceUnavailableError(
+                `The processing queue is full (${this.#maxPending} jobs waiting). Please try again shortly.`,
+                QUEUE_FULL_RETRY_SECONDS
+            );
+        }
+    }
+
+    /**
+     * Gets a job record
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} Job record, or null if it is unknown or has expired
+     */
+    async get(id) {
+        const job = await this.#store.get(id);
+        if (job && this.#isExpired(job)) {
+            await this.#store.delete(id);
+            return null;
+        }
+        return job;
+    }
+
+    /**
+     * Forgets a finished job before its retention period ends, so its ID can be queued again
+     * @param {string} id - Job ID
+     * @returns {Promise<boolean>} True if a job was removed
+     * @throws {Error} If the job is still queued or running
+     */
+    async remove(id) {
+        const job = await this.#store.get(id);
+        if (!job) {
+            return false;
+        }
+        if (job.status === 'queued' || job.status === 'running') {
+            throw new Error(`Job ${id} is still ${job.status}.`);
+        }
+
+        await this.#store.delete(id);
+        return true;
+    }
+
+    /**
+     * Gets queue configuration and load
+     * @returns {Object} Queue statistics
+     */
+    getStats() {
+        return {
+            backend: this.#backend,
+            concurrency: this.#concurrency,
+            maxPending: this.#maxPending,
+            retentionSeconds: this.#retentionMs / 1000,
+            queued: this.#pending.length,
+            running: this.#running
+        };
+    }
+
+    /**
+     * Starts queued jobs until the concurrency limit is reached
+     * @private
+     */
+    #drain() {
+        while (this.#running < this.#concurrency && this.#pending.length > 0) {
+            const { job, task } = this.#pending.shift();
+            this.#running++;
+            this.#run(job, task).finally(() => {
+                this.#running--;
+                this.#drain();
+            });
+        }
+    }
+
+    /**
+     * Runs one job, recording step progress, the result or the failure
+     * @private
+     * @param {Object} job - Job record
+     * @param {Function} task - Task to run
+     * @returns {Promise<void>}
+     */
+    async #run(job, task) {
+        const progress = {
+            start: async (name) => {
+                const step = job.steps.find(candidate => candidate.name === name);
+                if (!step) {
+                    throw new Error(`Job ${job.id} has no step '${name}'.`);
+                }
+                this.#finishRunningStep(job, 'completed');
+                step.status = 'running';
+                step.startedAt = new Date().toISOString();
+                job.currentStep = name;
+                await this.#save(job);
+            }
+        };
+
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        await this.#save(job);
+
+        try {
+            const result = await task(progress);
+            this.#finishRunningStep(job, 'completed');
+            job.status = 'completed';
+            job.result = result ?? null;
+        } catch (error) {
+            this.#finishRunningStep(job, 'failed');
+            job.status = 'failed';
+            job.error = {
+                message: error.message,
+                code: Number.isInteger(error.code) && error.code >= 400 && error.code < 600 ? error.code : 500
+            };
+        }
+
+        job.currentStep = null;
+        job.completedAt = new Date().toISOString();
+        await this.#save(job);
+
+        if (this.#debugMode) {
+            console.log(`Job ${job.id} ${job.status}`);
+        }
+    }
+
+    /**
+     * Marks the running step as completed or failed
+     * @private
+     * @param {Object} job - Job record
+     * @param {string} status - 'completed' or 'failed'
+     */
+    #finishRunningStep(job, status) {
+        const step = job.steps.find(candidate => candidate.status === 'running');
+        if (step) {
+            step.status = status;
+            step.completedAt = new Date().toISOString();
+        }
+    }
+
+    /**
+     * Writes a job record, logging instead of failing the job when the store is unavailable
+     * @private
+     * @param {Object} job - Job record
+     * @returns {Promise<void>}
+     */
+    async #save(job) {
+        try {
+            await this.#store.save(job);
+        } catch (error) {
+            console.error(`Failed to save job ${job.id}:`, error.message);
+        }
+        this.#notify(job);
+    }
+
+    /**
+     * Passes a copy of a changed job record to the update callback
+     * @private
+     * @param {Object} job - Job record
+     */
+    #notify(job) {
+        if (!this.#onUpdate) {
+            return;
+        }
+
+        try {
+            this.#onUpdate(JSON.parse(JSON.stringify(job)));
+        } catch (error) {
+            console.error(`Job update callback failed for ${job.id}:`, error.message);
+        }
+    }
+
+    /**
+     * Deletes finished jobs older than the retention period
+     * @private
+     * @returns {Promise<void>}
+     */
+    async #prune() {
+        const jobs = await this.#store.list();
+        for (const job of jobs.filter(candidate => this.#isExpired(candidate))) {
+            await this.#store.delete(job.id);
+        }
+    }
+
+    /**
+     * Checks whether a finished job has outlived the retention period
+     * @private
+     * @param {Object} job - Job record
+     * @returns {boolean} True if the job should no longer be served
+     */
+    #isExpired(job) {
+        return job.completedAt !== null && Date.parse(job.completedAt) + this.#retentionMs <= Date.now();
+    }
+
+    /**
+     * Creates the store for a built-in backend
+     * @private
+     * @param {string} backend - Backend name
+     * @returns {Object} Job store
+     */
+    #createStore(backend) {
+        if (backend === 'memory') {
+            return new MemoryJobStore();
+        }
+
+        throw new Error(`Unknown job queue backend '${backend}'.`);
+    }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,54 @@
+/**
+ * @class MemoryJobStore
+ * @description Keeps job records in process memory. Records are lost on restart, which is
+ * acceptable for jobs that only live as long as a client is polling for them.
+ * Other backends must implement the same async save/get/delete/list methods.
+ */
+class MemoryJobStore {
+    #jobs;
+
+    /**
+     * Creates a new MemoryJobStore instance
+     */
+    constructor() {
+        this.#jobs = new Map();
+    }
+
+    /**
+     * Creates or replaces a job record
+     * @param {Object} job - Job record with an id
+     * @returns {Promise<void>}
+     */
+    async save(job) {
+        this.#jobs.set(job.id, JSON.stringify(job));
+    }
+
+    /**
+     * Gets a job record
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} Copy of the record, or null
+     */
+    async get(id) {
+        const json = this.#jobs.get(id);
+        return json ? JSON.parse(json) : null;
+    }
+
+    /**
+     * Deletes a job record
+     * @param {string} id - Job ID
+     * @returns {Promise<void>}
+     */
+    async delete(id) {
+        this.#jobs.delete(id);
+    }
+
+    /**
+     * Lists every job record
+     * @returns {Promise<Object[]>} Copies of the records
+     */
+    async list() {
+        return [...this.#jobs.values()].map(json => JSON.parse(json));
+    }
+}
+
+module.exports = MemoryJobStore;
@@ -0,0 +1,63 @@
+/**
+ * @class BambuStudioFormatter
+ * @description Writes print settings as a Bambu Studio process preset (.json).
+ * Bambu Studio keeps temperatures, retraction and cooling in filament presets rather than process presets,
+ * so those settings are not part of this file.
+ */
+class BambuStudioFormatter {
+    /**
+     * Formats a profile
+     * @param {Object} profile - Normalized profile from SlicerProfileExporter
+     * @returns {Buffer} Preset file contents
+     */
+    format(profile) {
+        // Bambu Studio stores every preset value as a string
+        const speed = String(profile.printSpeed);
+        const preset = {
+            type: 'process',
+            name: profile.name,
+            from: 'User',
+            inherits: '',
+            print_settings_id: profile.name,
+            layer_height: String(profile.layerHeight),
+            initial_layer_print_height: String(profile.firstLayerHeight),
+            sparse_infill_density: `${profile.infillDensity}%`,
+            enable_support: profile.supports ? '1' : '0',
+            support_type: 'tree(auto)',
+            // Outer walls print at half speed for a cleaner surface
+            outer_wall_speed: String(Math.round(profile.printSpeed / 2)),
+            inner_wall_speed: speed,
+            sparse_infill_speed: speed,
+            internal_solid_infill_speed: speed,
+            top_surface_speed: speed
+        };
+
+        return Buffer.from(`${JSON.stringify(preset, null, 4)}\n`, 'utf8');
+    }
+
+    /**
+     * Gets the file extension for this format
+     * @returns {string} Extension without the dot
+     */
+    getExtension() {
+        return 'json';
+    }
+
+    /**
+     * Gets the MIME type for this format
+     * @returns {string} MIME type
+     */
+    getContentType() {
+        return 'application/json';
+    }
+
+    /**
+     * Gets the slicer name shown to users
+     * @returns {string} Slicer name
+     */
+    getLabel() {
+        return 'Bambu Studio';
+    }
+}
+
+module.exports = BambuStudioFormatter;
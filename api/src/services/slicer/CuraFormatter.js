@@ -0,0 +1,116 @@
+const ZipWriter = require('./ZipWriter');
+
+/**
+ * @class CuraFormatter
+ * @description Writes print settings as an Ultimaker Cura profile (.curaprofile).
+ * The file is a ZIP of two "quality changes" containers: one for the machine and one for the first extruder,
+ * which is where Cura keeps temperatures, speeds and retraction.
+ */
+class CuraFormatter {
+    #settingVersion;
+
+    /**
+     * Creates a new CuraFormatter instance
+     * @param {Object} options - Formatter options
+     * @param {number} options.settingVersion - Cura setting version the profile targets (default 22, Cura 5.7+)
+     */
+    constructor(options = {}) {
+        this.#settingVersion = options.settingVersion ?? 22;
+    }
+
+    /**
+     * Formats a profile
+     * @param {Object} profile - Normalized profile from SlicerProfileExporter
+     * @returns {Buffer} Profile archive contents
+     */
+    format(profile) {
+        // Cura machine definitions use underscores where our printer IDs use hyphens (ultimaker-s5 -> ultimaker_s5)
+        const definition = profile.printer.id.replace(/-/g, '_');
+        const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+        const globalValues = {
+            layer_height: profile.layerHeight,
+            layer_height_0: profile.firstLayerHeight,
+            material_bed_temperature: profile.bedTemp,
+            material_bed_temperature_layer_0: profile.bedTemp,
+            support_enable: profile.supports ? 'True' : 'False'
+        };
+
+        const extruderValues = {
+            cool_fan_speed: profile.fanSpeed,
+            cool_min_layer_time: profile.minLayerTime,
+            infill_sparse_density: profile.infillDensity,
+            material_print_temperature: profile.nozzleTemp,
+            material_print_temperature_layer_0: profile.nozzleTemp,
+            retraction_amount: profile.retractionDistance,
+            retraction_speed: profile.retractionSpeed,
+            speed_print: profile.printSpeed
+        };
+
+        return new ZipWriter(new Date(profile.generatedAt))
+            .addEntry(slug, this.#container(profile.name, definition, globalValues))
+            .addEntry(`${slug}_extruder_0`, this.#container(profile.name, definition, extruderValues, 0))
+            .toBuffer();
+    }
+
+    /**
+     * Gets the file extension for this format
+     * @returns {string} Extension without the dot
+     */
+    getExtension() {
+        return 'curaprofile';
+    }
+
+    /**
+     * Gets the MIME type for this format
+     * @returns {string} MIME type
+     */
+    getContentType() {
+        return 'application/zip';
+    }
+
+    /**
+     * Gets the slicer name shown to users
+     * @returns {string} Slicer name
+     */
+    getLabel() {
+        return 'Ultimaker Cura';
+    }
+
+    /**
+     * Serializes one Cura instance container
+     * @private
+     * @param {string} name - Profile name
+     * @param {string} definition - Cura machine definition ID
+     * @param {Object} values - Setting values
+     * @param {number} position - Extruder position, omitted for the machine container
+     * @returns {string} Container file contents
+     */
+    #container(name, definition, values, position = null) {
+        const metadata = [
+            'type = quality_changes',
+            // Our values override the layer height, so the base quality only affects settings left untouched
+            'quality_type = normal',
+            `setting_version = ${this.#settingVersion}`
+        ];
+        if (position !== null) {
+            metadata.push(`position = ${position}`);
+        }
+
+        return [
+            '[general]',
+            'version = 4',
+            `name = ${name}`,
+            `definition = ${definition}`,
+            '',
+            '[metadata]',
+            ...metadata,
+            '',
+            '[values]',
+            ...Object.keys(values).sort().map(key => `${key} = ${values[key]}`),
+            ''
+        ].join('\n');
+    }
+}
+
+module.exports = CuraFormatter;
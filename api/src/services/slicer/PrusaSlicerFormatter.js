@@ -0,0 +1,71 @@
+/**
+ * @class PrusaSlicerFormatter
+ * @description Writes print settings as a PrusaSlicer config (.ini), which SuperSlicer also reads.
+ * Load it with File > Import > Import Config; keys not listed keep the slicer's current values.
+ */
+class PrusaSlicerFormatter {
+    /**
+     * Formats a profile
+     * @param {Object} profile - Normalized profile from SlicerProfileExporter
+     * @returns {Buffer} Config file contents
+     */
+    format(profile) {
+        const values = {
+            bed_temperature: profile.bedTemp,
+            cooling: 1,
+            // External perimeters print at half speed for a cleaner surface
+            external_perimeter_speed: '50%',
+            fan_always_on: 1,
+            filament_type: profile.material.toUpperCase(),
+            fill_density: `${profile.infillDensity}%`,
+            first_layer_bed_temperature: profile.bedTemp,
+            first_layer_height: profile.firstLayerHeight,
+            first_layer_temperature: profile.nozzleTemp,
+            infill_speed: profile.printSpeed,
+            layer_height: profile.layerHeight,
+            max_fan_speed: profile.fanSpeed,
+            min_fan_speed: profile.fanSpeed,
+            perimeter_speed: profile.printSpeed,
+            retract_length: profile.retractionDistance,
+            retract_speed: profile.retractionSpeed,
+            slowdown_below_layer_time: profile.minLayerTime,
+            support_material: profile.supports ? 1 : 0,
+            support_material_auto: profile.supports ? 1 : 0,
+            temperature: profile.nozzleTemp
+        };
+
+        const lines = [
+            `# generated by Rutgers Makerspace 3D Printing API on ${profile.generatedAt}`,
+            `# ${profile.name}`,
+            ...Object.keys(values).sort().map(key => `${key} = ${values[key]}`)
+        ];
+
+        return Buffer.from(`${lines.join('\n')}\n`, 'utf8');
+    }
+
+    /**
+     * Gets the file extension for this format
+     * @returns {string} Extension without the dot
+     */
+    getExtension() {
+        return 'ini';
+    }
+
+    /**
+     * Gets the MIME type for this format
+     * @returns {string} MIME type
+     */
+    getContentType() {
+        return 'text/plain; charset=utf-8';
+    }
+
+    /**
+     * Gets the slicer name shown to users
+     * @returns {string} Slicer name
+     */
+    getLabel() {
+        return 'PrusaSlicer / SuperSlicer';
+    }
+}
+
+module.exports = PrusaSlicerFormatter;
@@ -0,0 +1,112 @@
+const zlib = require('zlib');
+const { crc32 } = require('../../utils/crc32');
+
+/**
+ * @class ZipWriter
+ * @description Minimal in-memory ZIP writer for container formats such as Cura profiles.
+ * Entries are deflated and names are flagged as UTF-8; ZIP64 is not supported.
+ */
+class ZipWriter {
+    #entries;
+    #date;
+
+    /**
+     * Creates a new ZipWriter instance
+     * @param {Date} date - Modification time recorded for every entry (default now)
+     */
+    constructor(date = new Date()) {
+        this.#entries = [];
+        this.#date = date;
+    }
+
+    /**
+     * Adds an entry to the archive
+     * @param {string} name - Entry name, using forward slashes for folders
+     * @param {Buffer|string} contents - Entry contents; strings are written as UTF-8
+     * @returns {ZipWriter} This writer, for chaining
+     */
+    addEntry(name, contents) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Archive entry name must be a non-empty string.');
+        }
+
+        const data = Buffer.isBuffer(contents) ? contents : Buffer.from(String(contents), 'utf8');
+        this.#entries.push({
+            name: Buffer.from(name.replace(/^\/+/, ''), 'utf8'),
+            crc: crc32(data),
+            size: data.length,
+            compressed: zlib.deflateRawSync(data)
+        });
+        return this;
+    }
+
+    /**
+     * Builds the archive
+     * @returns {Buffer} ZIP file contents
+     */
+    toBuffer() {
+        const { time, date } = this.#dosTimestamp();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const entry of this.#entries) {
+            const local = Buffer.alloc(30);
+            local.writeUInt32LE(0x04034b50, 0);
+            local.writeUInt16LE(20, 4);         // Version needed to extract
+            local.writeUInt16LE(0x0800, 6);     // UTF-8 names
+            local.writeUInt16LE(8, 8);          // Deflate
+            local.writeUInt16LE(time, 10);
+            local.writeUInt16LE(date, 12);
+            local.writeUInt32LE(entry.crc, 14);
+            local.writeUInt32LE(entry.compressed.length, 18);
+            local.writeUInt32LE(entry.size, 22);
+            local.writeUInt16LE(entry.name.length, 26);
+            local.writeUInt16LE(0, 28);
+            localParts.push(local, entry.name, entry.compressed);
+
+            const central = Buffer.alloc(46);
+            central.writeUInt32LE(0x02014b50, 0);
+            central.writeUInt16LE(20, 4);       // Version made by
+            central.writeUInt16LE(20, 6);       // Version needed to extract
+            central.writeUInt16LE(0x0800, 8);
+            central.writeUInt16LE(8, 10);
+            central.writeUInt16LE(time, 12);
+            central.writeUInt16LE(date, 14);
+            central.writeUInt32LE(entry.crc, 16);
+            central.writeUInt32LE(entry.compressed.length, 20);
+            central.writeUInt32LE(entry.size, 24);
+            central.writeUInt16LE(entry.name.length, 28);
+            central.writeUInt32LE(offset, 42);
+            centralParts.push(central, entry.name);
+
+            offset += local.length + entry.name.length + entry.compressed.length;
+        }
+
+        const centralDirectory = Buffer.concat(centralParts);
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(this.#entries.length, 8);
+        end.writeUInt16LE(this.#entries.length, 10);
+        end.writeUInt32LE(centralDirectory.length, 12);
+        end.writeUInt32LE(offset, 16);
+
+        return Buffer.concat([...localParts, centralDirectory, end]);
+    }
+
+    /**
+     * Converts the entry date to MS-DOS time and date fields
+     * @private
+     * @returns {Object} DOS time and date
+     */
+    #dosTimestamp() {
+        const d = this.#date;
+        return {
+            time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+            // DOS dates start in 1980
+            date: ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+        };
+    }
+}
+
+module.exports = ZipWriter;
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @class LocalFileStore
+ * @description Stores blobs in a local directory.
+ * Keys are sharded by their first two characters so no single directory grows too large,
+ * and each blob has a JSON sidecar holding its metadata.
+ */
+class LocalFileStore {
+    #rootDirectory;
+
+    /**
+     * Creates a new LocalFileStore instance
+     * @param {Object} options - Store options
+     * @param {string} options.directory - Directory to store files in (created if missing)
+     */
+    constructor(options = {}) {
+        if (!options.directory || typeof options.directory !== 'string') {
+            throw new Error('Local file storage requires a directory.');
+        }
+        this.#rootDirectory = path.resolve(options.directory);
+    }
+
+    /**
+     * Checks whether a key is stored
+     * @param {string} key - Blob key
+     * @returns {Promise<boolean>} True if the blob exists
+     */
+    async has(key) {
+        try {
+            await fs.promises.access(this.#blobPath(key));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Writes a blob and its metadata
+     * @param {string} key - Blob key
+     * @param {Buffer} buffer - Blob contents
+     * @param {Object} metadata - Metadata such as content type and original name
+     */
+    async put(key, buffer, metadata = {}) {
+        const blobPath = this.#blobPath(key);
+        await fs.promises.mkdir(path.dirname(blobPath), { recursive: true });
+
+        // Write to a temporary file first so readers never see a partial blob
+        const temporaryPath = `${blobPath}.${process.pid}.${Date.now()}.tmp`;
+        await fs.promises.writeFile(temporaryPath, buffer);
+        await fs.promises.writeFile(`${blobPath}.json`, JSON.stringify(metadata));
+        await fs.promises.rename(temporaryPath, blobPath);
+    }
+
+    /**
+     * Reads a blob and its metadata
+     * @param {string} key - Blob key
+     * @returns {Promise<Object|null>} Blob contents and metadata, or null if not stored
+     */
+    async get(key) {
+        const blobPath = this.#blobPath(key);
+
+        let buffer;
+        try {
+            buffer = await fs.promises.readFile(blobPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        let metadata = {};
+        try {
+            metadata = JSON.parse(await fs.promises.readFile(`${blobPath}.json`, 'utf8'));
+        } catch (error) {
+            // Metadata is advisory; the blob is still served without it
+        }
+
+        return { buffer, metadata };
+    }
+
+    /**
+     * Deletes a blob and its metadata; missing blobs are ignored
+     * @param {string} key - Blob key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        const blobPath = this.#blobPath(key);
+        for (const filePath of [blobPath, `${blobPath}.json`]) {
+            try {
+                await fs.promises.unlink(filePath);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Lists every stored blob with its metadata
+     * @returns {Promise<Object[]>} Blobs ({ key, metadata, modifiedAt }), skipping partial writes
+     */
+    async list() {
+        let shards;
+        try {
+            shards = await fs.promises.readdir(this.#rootDirectory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const blobs = [];
+        for (const shard of shards) {
+            let names;
+            try {
+                names = await fs.promises.readdir(path.join(this.#rootDirectory, shard));
+            } catch (error) {
+                continue;
+            }
+
+            for (const key of names.filter(name => /^[A-Za-z0-9_-]+$/.test(name))) {
+                const blobPath = path.join(this.#rootDirectory, shard, key);
+                let metadata = {};
+                try {
+                    metadata = JSON.parse(await fs.promises.readFile(`${blobPath}.json`, 'utf8'));
+                } catch (error) {
+                    // Listed without metadata, as get() serves it
+                }
+                try {
+                    const { mtimeMs } = await fs.promises.stat(blobPath);
+                    blobs.push({ key, metadata, modifiedAt: mtimeMs });
+                } catch (error) {
+                    // Deleted while listing
+                }
+            }
+        }
+        return blobs;
+    }
+
+    /**
+     * Gets the storage backend name
+     * @returns {string} Backend name
+     */
+    getBackendName() {
+        return 'local';
+    }
+
+    /**
+     * Resolves the path of a blob
+     * @private
+     * @param {string} key - Blob key
+     * @returns {string} Absolute file path
+     */
+    #blobPath(key) {
+        if (!/^[A-Za-z0-9_-]+$/.test(key)) {
+            throw new Error(`Invalid storage key '${key}'.`);
+        }
+        return path.join(this.#rootDirectory, key.substring(0, 2), key);
+    }
+}
+
+module.exports = LocalFileStore;
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+/**
+ * @class S3FileStore
+ * @description Stores blobs in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...).
+ * Requests are signed with AWS Signature Version 4 using Node's built-in crypto, so no SDK is needed.
+ */
+class S3FileStore {
+    #bucket;
+    #region;
+    #endpoint;
+    #forcePathStyle;
+    #prefix;
+    #accessKeyId;
+    #secretAccessKey;
+    #timeout;
+
+    /**
+     * Creates a new S3FileStore instance
+     * @param {Object} options - Store options
+     * @param {string} options.bucket - Bucket name
+     * @param {string} options.region - Bucket region (default us-east-1)
+     * @param {string} options.endpoint - Custom endpoint URL for S3-compatible services
+     * @param {boolean} options.forcePathStyle - Use path-style URLs (default true with a custom endpoint)
+     * @param {string} options.prefix - Key prefix inside the bucket
+     * @param {string} options.accessKeyId - Access key ID
+     * @param {string} options.secretAccessKey - Secret access key
+     * @param {number} options.timeout - Request timeout in milliseconds
+     */
+    constructor(options = {}) {
+        if (!options.bucket) {
+            throw new Error('S3 file storage requires a bucket.');
+        }
+
+        if (!options.accessKeyId || !options.secretAccessKey) {
+            throw new Error('S3 file storage requires an access key ID and secret access key.');
+        }
+
+        this.#bucket = options.bucket;
+        this.#region = options.region || 'us-east-1';
+        this.#endpoint = new URL(options.endpoint || `https://s3.${this.#region}.amazonaws.com`);
+        this.#forcePathStyle = options.forcePathStyle ?? !!options.endpoint;
+        this.#prefix = options.prefix || '';
+        this.#accessKeyId = options.accessKeyId;
+        this.#secretAccessKey = options.secretAccessKey;
+        this.#timeout = options.timeout || 30000;
+    }
+
+    /**
+     * Checks whether a key is stored
+     * @param {string} key - Blob key
+     * @returns {Promise<boolean>} True if the blob exists
+     */
+    async has(key) {
+        const response = await this.#request('HEAD', key);
+        if (response.statusCode === 404) {
+            return false;
+        }
+        this.#assertSuccess(response, 'check');
+        return true;
+    }
+
+    /**
+     * Writes a blob and its metadata
+     * @param {string} key - Blob key
+     * @param {Buffer} buffer - Blob contents
+     * @param {Object} metadata - Metadata such as content type and original name
+     */
+    async put(key, buffer, metadata = {}) {
+        const headers = {
+            'content-type': metadata.contentType || 'application/octet-stream'
+        };
+        if (metadata.originalName) {
+            // User metadata must be ASCII
+            headers['x-amz-meta-original-name'] = encodeURIComponent(metadata.originalName);
+        }
+
+        const response = await this.#request('PUT', key, buffer, headers);
+        this.#assertSuccess(response, 'store');
+    }
+
+    /**
+     * Reads a blob and its metadata
+     * @param {string} key - Blob key
+     * @returns {Promise<Object|null>} Blob contents and metadata, or null if not stored
+     */
+    async get(key) {
+        const response = await this.#request('GET', key);
+        if (response.statusCode === 404) {
+            return null;
+        }
+        this.#assertSuccess(response, 'read');
+
+        const originalName = response.headers['x-amz-meta-original-name'];
+        return {
+            buffer: response.body,
+            metadata: {
+                contentType: response.headers['content-type'],
+                originalName: originalName ? decodeURIComponent(originalName) : undefined,
+                size: response.body.length
+            }
+        };
+    }
+
+    /**
+     * Gets the storage backend name
+     * @returns {string} Backend name
+     */
+    getBackendName() {
+        return 's3';
+    }
+
+    /**
+     * Sends a signed request for an object
+     * @private
+     * @param {string} method - HTTP method
+     * @param {string} key - Blob key
+     * @param {Buffer} body - Request body
+     * @param {Object} extraHeaders - Additional headers to sign and send
+     * @returns {Promise<Object>} Status code, headers and body
+     */
+    #request(method, key, body = Buffer.alloc(0), extraHeaders = {}) {
+        const objectKey = `${this.#prefix}${key}`.split('/').map(segment => this.#encode(segment)).join('/');
+        const host = this.#forcePathStyle ? this.#endpoint.host : `${this.#bucket}.${this.#endpoint.host}`;
+        const basePath = this.#endpoint.pathname.replace(/\/+$/, '');
+        const requestPath = this.#forcePathStyle
+            ? `${basePath}/${this.#encode(this.#bucket)}/${objectKey}`
+            : `${basePath}/${objectKey}`;
+
+        const headers = {
+            ...extraHeaders,
+            host,
+            'x-amz-content-sha256': crypto.createHash('sha256').update(body).digest('hex'),
+            'x-amz-date': new Date().toISOString().replace(/[:-]|\.\d{3}/g, '')
+        };
+        if (body.length > 0) {
+            headers['content-length'] = String(body.length);
+        }
+        headers.authorization = this.#sign(method, requestPath, headers);
+
+        const transport = this.#endpoint.protocol === 'http:' ? http : https;
+
+        return new Promise((resolve, reject) => {
+            const request = transport.request({
+                protocol: this.#endpoint.protocol,
+                hostname: this.#forcePathStyle ? this.#endpoint.hostname : `${this.#bucket}.${this.#endpoint.hostname}`,
+                port: this.#endpoint.port || undefined,
+                method,
+                path: requestPath,
+                headers,
+                timeout: this.#timeout
+            }, (response) => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => resolve({
+                    statusCode: response.statusCode,
+                    headers: response.headers,
+                    body: Buffer.concat(chunks)
+                }));
+                response.on('error', reject);
+            });
+
+            request.on('timeout', () => request.destroy(new Error('S3 request timeout')));
+            request.on('error', reject);
+            request.end(body.length > 0 ? body : undefined);
+        });
+    }
+
+    /**
+     * Builds the Signature Version 4 authorization header
+     * @private
+     * @param {string} method - HTTP method
+     * @param {string} requestPath - Encoded request path
+     * @param {Object} headers - Headers to sign (lower-case names)
+     * @returns {string} Authorization header value
+     */
+    #sign(method, requestPath, headers) {
+        const amzDate = headers['x-amz-date'];
+        const date = amzDate.substring(0, 8);
+        const scope = `${date}/${this.#region}/s3/aws4_request`;
+
+        const names = Object.keys(headers).sort();
+        const canonicalHeaders = names.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+        const signedHeaders = names.join(';');
+        const canonicalRequest = [
+            method,
+            requestPath,
+            '',
+            canonicalHeaders,
+            signedHeaders,
+            headers['x-amz-content-sha256']
+        ].join('\n');
+
+        const stringToSign = [
+            'AWS4-HMAC-SHA256',
+            amzDate,
+            scope,
+            crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+        ].join('\n');
+
+        const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+        const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.#secretAccessKey}`, date), this.#region), 's3'), 'aws4_request');
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        return `AWS4-HMAC-SHA256 Credential=${this.#accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+    }
+
+    /**
+     * URI-encodes a path segment the way SigV4 expects
+     * @private
+     * @param {string} value - Path segment
+     * @returns {string} Encoded segment
+     */
+    #encode(value) {
+        return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    }
+
+    /**
+     * Throws if a response is not successful
+     * @private
+     * @param {Object} response - Response from #request
+     * @param {string} action - Action for the error message
+     */
+    #assertSuccess(response, action) {
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+            throw new Error(`S3 failed to ${action} file (HTTP ${response.statusCode}).`);
+        }
+    }
+}
+
+module.exports = S3FileStore;
@@ -0,0 +1,29 @@
+/**
+ * CRC-32 (IEEE 802.3) checksum as used by PNG chunks and ZIP entries
+ */
+
+const table = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+}
+
+/**
+ * Computes the CRC-32 of a buffer
+ * @param {Buffer|Uint8Array} buffer - Bytes to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = table[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+module.exports = {
+    crc32
+};
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AnalysisCache = require('../src/services/analysis/AnalysisCache');
+
+describe('AnalysisCache', () => {
+    const analysis = { recommendedMaterial: 'PLA', complexity: 'simple', confidence: 0.7 };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should key identical inputs the same regardless of property order', () => {
+        const cache = new AnalysisCache();
+        const key = cache.createKey({ provider: 'rules', args: ['Bracket', [], 'PLA'], fileHash: 'abc' });
+
+        expect(key).toMatch(/^[a-f0-9]{64}$/);
+        expect(cache.createKey({ fileHash: 'abc', args: ['Bracket', [], 'PLA'], provider: 'rules' })).toBe(key);
+        expect(cache.createKey({ provider: 'rules', args: ['Bracket', [], 'PETG'], fileHash: 'abc' })).not.toBe(key);
+    });
+
+    it('should evict the least recently used entry and expire old ones', async () => {
+        const cache = new AnalysisCache({ maxEntries: 2, ttlSeconds: 60 });
+        await cache.set('a', analysis);
+        await cache.set('b', analysis);
+        await cache.get('a');
+        await cache.set('c', analysis);
+
+        expect(await cache.get('b')).toBeNull();
+        expect(await cache.get('a')).toEqual(analysis);
+
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now + 61000);
+        expect(await cache.get('c')).toBeNull();
+
+        expect(cache.getStats()).toMatchObject({
+            enabled: true,
+            backing: 'memory',
+            entries: 1,
+            hits: 2,
+            misses: 2,
+            evictions: 1
+        });
+    });
+
+    it('should hand out copies so callers cannot change cached entries', async () => {
+        const cache = new AnalysisCache();
+        await cache.set('a', analysis);
+        (await cache.get('a')).complexity = 'complex';
+
+        expect(await cache.get('a')).toEqual(analysis);
+    });
+
+    it('should keep entries on disk across instances', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'makerspace-analysis-cache-'));
+        const key = new AnalysisCache().createKey({ description: 'Bracket' });
+        await new AnalysisCache({ directory }).set(key, analysis);
+
+        const restarted = new AnalysisCache({ directory });
+        expect(await restarted.get(key)).toEqual(analysis);
+        expect(restarted.getStats()).toMatchObject({ backing: 'disk', hits: 1, diskHits: 1 });
+    });
+
+    it('should delete expired entries from disk and keep it within its size', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'makerspace-analysis-cache-'));
+        const countFiles = () => fs.readdirSync(directory).flatMap(shard => fs.readdirSync(path.join(directory, shard)))
+            .filter(name => !name.endsWith('.json')).length;
+        const now = Date.now();
+        const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+        const cache = new AnalysisCache({ directory, ttlSeconds: 600, maxDiskEntries: 2 });
+        await cache.set('old', analysis);
+        clock.mockReturnValue(now + 601000);
+        // Reading an expired entry deletes it
+        expect(await new AnalysisCache({ directory }).get('old')).toBeNull();
+        expect(countFiles()).toBe(0);
+
+        await cache.set('a', analysis);
+        await cache.set('b', analysis);
+        await cache.set('c', analysis);
+        expect(countFiles()).toBe(3);
+
+        // The next write after a minute prunes down to the newest two
+        fs.utimesSync(path.join(directory, 'a', 'a'), new Date(now - 5000), new Date(now - 5000));
+        clock.mockReturnValue(now + 662000);
+        await cache.set('d', analysis);
+        expect(countFiles()).toBe(2);
+        expect(await new AnalysisCache({ directory }).get('a')).toBeNull();
+        expect(await new AnalysisCache({ directory }).get('d')).toEqual(analysis);
+    });
+
+    it('should do nothing when disabled', async () => {
+        const cache = new AnalysisCache({ maxEntries: 0 });
+        await cache.set('a', analysis);
+
+        expect(await cache.get('a')).toBeNull();
+        expect(cache.getStats()).toMatchObject({ enabled: false, hits: 0, misses: 0 });
+        expect(() => new AnalysisCache({ ttlSeconds: 0 })).toThrow('Analysis cache TTL');
+    });
+});
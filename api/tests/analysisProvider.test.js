@@ -0,0 +1,138 @@
+const http = require('http');
+const AnalysisProvider = require('../src/services/analysis/AnalysisProvider');
+const RuleBasedProvider = require('../src/services/analysis/RuleBasedProvider');
+const OpenAiProvider = require('../src/services/analysis/OpenAiProvider');
+const PrintRequestController = require('../src/controllers/PrintRequestController');
+
+describe('Analysis providers', () => {
+    const rules = new RuleBasedProvider();
+    const block = { volume: 8, surfaceArea: 28, dimensions: { x: 40, y: 20, z: 10 }, triangleCount: 12, objectCount: 1 };
+
+    it('should analyze measured models the same way every time', async () => {
+        const first = await rules.analyzeProject('Calibration block for a class demo', [], 'PLA', 'Black', { measurements: block });
+        const second = await rules.analyzeProject('Calibration block for a class demo', [], 'PLA', 'Black', { measurements: block });
+
+        expect(second).toEqual(first);
+        expect(first).toMatchObject({
+            recommendedMaterial: 'PLA',
+            complexity: 'simple',
+            supportsNeeded: false,
+            volumeCategory: 'small',
+            qualityRecommendation: 'standard',
+            confidence: 0.7
+        });
+        expect(() => rules.validateAnalysisResult(first)).not.toThrow();
+
+        const kit = await rules.analyzeProject('Calibration block for a class demo', [], 'PLA', 'Black', {
+            measurements: { ...block, volume: 150, surfaceArea: 450, objectCount: 3 }
+        });
+        expect(kit).toMatchObject({ complexity: 'complex', volumeCategory: 'large' });
+    });
+
+    it('should fall back to description keywords without a model', async () => {
+        const analysis = await rules.analyzeProject('Detailed figurine for a display shelf');
+
+        expect(analysis).toMatchObject({
+            complexity: 'complex',
+            supportsNeeded: true,
+            qualityRecommendation: 'high',
+            confidence: 0.5
+        });
+    });
+
+    it('should only be used through a provider', () => {
+        expect(() => new AnalysisProvider()).toThrow('AnalysisProvider is an interface');
+        expect(() => rules.validateAnalysisResult({ recommendedMaterial: 'Wood' })).toThrow('"recommendedMaterial" must be one of');
+    });
+
+    const analysisReply = {
+        recommendedMaterial: 'PETG',
+        complexity: 'medium',
+        supportsNeeded: false,
+        volumeCategory: 'small',
+        qualityRecommendation: 'standard',
+        reasoning: 'Outdoor bracket',
+        confidence: 0.9
+    };
+
+    // Serves canned chat completion replies in order, recording each request
+    const withChatServer = async (replies, run) => {
+        const requests = [];
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+                const content = replies[Math.min(requests.length, replies.length) - 1];
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content } }] }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const provider = new OpenAiProvider({
+                baseUrl: `http://127.0.0.1:${server.address().port}/v1/`,
+                apiKey: 'test-key',
+                model: 'local-model'
+            });
+            await run(provider, requests);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    };
+
+    it('should call OpenAI-compatible chat completions', async () => {
+        await withChatServer([JSON.stringify(analysisReply)], async (provider, requests) => {
+            const views = [{ view: 'front', mimeType: 'image/png', data: 'iVBORw0KGgo=' }];
+            const analysis = await provider.analyzeProject('Outdoor bracket', [], null, null, { measurements: block, views });
+
+            expect(analysis.recommendedMaterial).toBe('PETG');
+            expect(analysis.repaired).toBe(false);
+            expect(Object.values(analysis.fieldSources).every(source => source === 'model')).toBe(true);
+            expect(requests).toHaveLength(1);
+            expect(requests[0].url).toBe('/v1/chat/completions');
+            expect(requests[0].headers.authorization).toBe('Bearer test-key');
+            expect(requests[0].body.model).toBe('local-model');
+            const [text, image] = requests[0].body.messages[1].content;
+            expect(text.text).toContain('40 x 20 x 10 mm');
+            expect(text.text).toContain('front renders of the uploaded model');
+            expect(image).toEqual({ type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } });
+            expect(requests[0].body.response_format.json_schema.schema.required).toContain('confidence');
+            expect(provider.getConfiguration()).not.toHaveProperty('apiKey');
+        });
+    });
+
+    it('should repair invalid replies once and default what is still missing', async () => {
+        const { volumeCategory, ...withoutVolume } = analysisReply;
+        const replies = [
+            `Sure! ${JSON.stringify({ ...withoutVolume, recommendedMaterial: 'Wood' })}`,
+            JSON.stringify({ ...withoutVolume, volumeCategory: 'huge' })
+        ];
+
+        await withChatServer(replies, async (provider, requests) => {
+            const analysis = await provider.analyzeProject('Outdoor bracket');
+
+            expect(requests).toHaveLength(2);
+            expect(requests[1].body.messages[1].content).toContain('"recommendedMaterial" must be one of');
+            expect(analysis).toMatchObject({
+                recommendedMaterial: 'PETG',
+                volumeCategory: 'medium',
+                repaired: true,
+                // 6 of 7 fields from the model
+                confidence: 0.77
+            });
+            expect(analysis.fieldSources).toMatchObject({ recommendedMaterial: 'model', volumeCategory: 'default' });
+        });
+
+        await withChatServer(['I cannot help with that.'], async provider => {
+            await expect(provider.analyzeProject('Outdoor bracket')).rejects.toThrow('No usable analysis in openai response');
+        });
+    });
+
+    it('should choose the provider from configuration', () => {
+        expect(() => new PrintRequestController({})).not.toThrow();
+        expect(() => new PrintRequestController({ analysisProvider: 'gemini' })).toThrow('Gemini API key must be provided.');
+        expect(() => new PrintRequestController({ analysisProvider: 'watson' })).toThrow("Unknown analysis provider 'watson'");
+    });
+});
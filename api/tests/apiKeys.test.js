@@ -0,0 +1,249 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { PROJECT_ID, writeJwksFile, signIdToken } = require('./fixtures/idTokens');
+
+process.env.FIREBASE_PROJECT_ID = PROJECT_ID;
+process.env.FIREBASE_JWKS_FILE = writeJwksFile();
+process.env.FILE_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'makerspace-files-'));
+process.env.ANALYSIS_PROVIDER = 'rules';
+// Read keys from the (mocked) database on every call
+process.env.API_KEY_CACHE_TTL = '0';
+
+const ApiKeyService = require('../src/services/auth/ApiKeyService');
+const app = require('../src/app').getApp();
+
+// Keeps keys in memory the way ApiKeyRepository keeps them in Snowflake
+class MemoryKeyRepository {
+    constructor() {
+        this.rows = new Map();
+        this.touched = [];
+    }
+
+    async createKey(data, actor) {
+        this.rows.set(data.keyId, { ...data, createdBy: actor, revokedAt: null, owner: { userId: data.ownerId, email: 'owner@rutgers.edu' } });
+        return this.getKey(data.keyId);
+    }
+
+    async getKey(keyId) {
+        const { hash, ...key } = this.rows.get(keyId);
+        return key;
+    }
+
+    async findByHash(hash) {
+        const row = [...this.rows.values()].find(key => key.hash === hash);
+        return row ? this.getKey(row.keyId) : null;
+    }
+
+    async listKeys() {
+        return Promise.all([...this.rows.keys()].map(keyId => this.getKey(keyId)));
+    }
+
+    async revokeKey(keyId, actor) {
+        Object.assign(this.rows.get(keyId), { revokedAt: new Date().toISOString(), revokedBy: actor });
+        return this.getKey(keyId);
+    }
+
+    async touchLastUsed(keyId) {
+        this.touched.push(keyId);
+    }
+}
+
+describe('ApiKeyService', () => {
+    let repository;
+    let service;
+
+    const issue = (overrides = {}) => service.create({
+        name: 'Lab status script',
+        ownerId: 'uid-staff-1',
+        scopes: ['write:equipment'],
+        ...overrides
+    }, 'admin@rutgers.edu');
+
+    beforeEach(() => {
+        repository = new MemoryKeyRepository();
+        service = new ApiKeyService({ repository });
+    });
+
+    it('should store only a hash of the key', async () => {
+        const created = await issue();
+
+        expect(created.key).toMatch(/^msk_[A-Za-z0-9_-]{32}$/);
+        expect(created.prefix).toBe(created.key.slice(0, 12));
+        expect(created).not.toHaveProperty('hash');
+        const [stored] = repository.rows.values();
+        expect(stored.hash).toBe(ApiKeyService.hash(created.key));
+        expect(JSON.stringify(stored)).not.toContain(created.key);
+    });
+
+    it('should check the scope a call needs', async () => {
+        const { key } = await issue();
+        const { key: adminKey } = await issue({ scopes: ['admin:*'] });
+
+        await expect(service.authenticate(key, 'write:equipment')).resolves.toMatchObject({ owner: { userId: 'uid-staff-1' } });
+        await expect(service.authenticate(key, 'write:print-requests')).rejects.toMatchObject({ name: 'ForbiddenError', message: expect.stringMatching(/write:print-requests/) });
+        await expect(service.authenticate(adminKey, 'write:print-requests')).resolves.toBeDefined();
+        await expect(service.authenticate('msk_unknown', 'write:equipment')).rejects.toMatchObject({ name: 'UnauthorizedError' });
+    });
+
+    it('should refuse revoked and expired keys', async () => {
+        const created = await issue();
+        await service.authenticate(created.key, 'write:equipment');
+        await service.revoke(created.keyId, 'admin@rutgers.edu');
+        await expect(service.authenticate(created.key, 'write:equipment')).rejects.toThrow(/revoked/);
+
+        const expired = await issue({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+        await expect(service.authenticate(expired.key, 'write:equipment')).rejects.toThrow(/expired/);
+    });
+
+    it('should apply each key\'s own rate limit', async () => {
+        const limited = await issue({ rateLimit: 2 });
+        const other = await issue();
+
+        await expect(service.authenticate(limited.key, 'write:equipment')).resolves.toMatchObject({ rateLimit: 2, remaining: 1 });
+        await service.authenticate(limited.key, 'write:equipment');
+        const error = await service.authenticate(limited.key, 'write:equipment').catch(e => e);
+        expect(error.name).toBe('RateLimitError');
+        expect(error.retryAfter).toBeGreaterThan(0);
+        expect(error.retryAfter).toBeLessThanOrEqual(60);
+
+        await expect(service.authenticate(other.key, 'write:equipment')).resolves.toMatchObject({ rateLimit: 60, remaining: 59 });
+    });
+
+    it('should record the last use at most once a minute', async () => {
+        const { key, keyId } = await issue();
+
+        await service.authenticate(key, 'write:equipment');
+        await service.authenticate(key, 'write:equipment');
+
+        expect(repository.touched).toEqual([keyId]);
+    });
+});
+
+describe('API key authentication', () => {
+    const snowflakeClient = require('../src/database/snowflakeClient');
+    const KEY = 'msk_test-key-for-the-review-queue-1234';
+
+    // Answers lookups of KEY with a stored key holding the given scopes and owned by a user with
+    // the given roles, reads back inserted keys, and answers everything else (such as the review
+    // queue) with nothing
+    const mockKey = (scopes, overrides = {}, ownerRoles = ['admin']) => {
+        const inserted = new Map();
+        return jest.spyOn(snowflakeClient, 'execute').mockImplementation(async (sql, binds = []) => {
+            if (sql.includes('INSERT INTO api_keys')) {
+                const [keyId, prefix, , name, ownerId, storedScopes, rateLimit] = binds;
+                inserted.set(keyId, { KEY_ID: keyId, KEY_PREFIX: prefix, NAME: name, OWNER_USER_ID: ownerId, SCOPES: storedScopes, RATE_LIMIT_PER_MINUTE: rateLimit });
+                return [];
+            }
+            if (sql.includes('FROM api_keys') && inserted.has(binds[0])) {
+                return [inserted.get(binds[0])];
+            }
+            if (sql.includes('FROM api_keys') && binds[0] === ApiKeyService.hash(KEY)) {
+                return [{
+                    KEY_ID: 'key-1',
+                    KEY_PREFIX: KEY.slice(0, 12),
+                    NAME: 'Queue dashboard',
+                    OWNER_USER_ID: 'uid-staff-1',
+                    OWNER_EMAIL: 'staff@rutgers.edu',
+                    SCOPES: JSON.stringify(scopes),
+                    RATE_LIMIT_PER_MINUTE: 30,
+                    ...overrides
+                }];
+            }
+            if (sql.includes('SELECT roles')) {
+                return [{ ROLES: JSON.stringify(ownerRoles) }];
+            }
+            if (sql.includes('SELECT user_id FROM users')) {
+                return [{ USER_ID: binds[0] }];
+            }
+            return [];
+        });
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should let a key call routes its scopes allow', async () => {
+        mockKey(['read:print-requests']);
+
+        const response = await request(app)
+            .get('/api/admin/review-queue')
+            .set('X-API-Key', KEY)
+            .expect(200);
+        expect(response.headers['x-ratelimit-limit']).toBe('30');
+        expect(response.headers['x-ratelimit-remaining']).toBe('29');
+
+        const refused = await request(app)
+            .put('/api/admin/equipment/EQ-1/status')
+            .set('X-API-Key', KEY)
+            .send({ status: 'maintenance' })
+            .expect(403);
+        expect(refused.body.message).toBe('API key lacks the write:equipment scope.');
+    });
+
+    it('should never let a key do more than its owner', async () => {
+        mockKey(['write:print-requests'], {}, ['staff']);
+        // Submitting requests is not enough to change their status
+        const submitOnly = await request(app)
+            .patch('/api/admin/print-request/REQ-1/status')
+            .set('X-API-Key', KEY)
+            .send({ status: 'cancelled' })
+            .expect(403);
+        expect(submitOnly.body.message).toBe('API key lacks the write:request-status scope.');
+        jest.restoreAllMocks();
+
+        const execute = mockKey(['write:request-status', 'read:print-requests'], {}, ['student']);
+        const answer = execute.getMockImplementation();
+        execute.mockImplementation(async (sql, binds) => (
+            sql.includes('FROM print_requests') ? [{ REQUEST_ID: 'REQ-1', STATUS: 'needs_review', USER_ID: 'uid-student-2' }] : answer(sql, binds)
+        ));
+
+        const student = await request(app)
+            .patch('/api/admin/print-request/REQ-1/status')
+            .set('X-API-Key', KEY)
+            .send({ status: 'cancelled' })
+            .expect(403);
+        expect(student.body.message).toBe('API key owner needs one of the roles: staff');
+        await request(app).get('/api/admin/review-queue').set('X-API-Key', KEY).expect(403);
+        // A student's key reads only the student's own requests
+        await request(app).get('/api/print-request/REQ-1').set('X-API-Key', KEY).expect(403);
+        expect(execute.mock.calls.some(([sql]) => sql.includes('UPDATE print_requests'))).toBe(false);
+    });
+
+    it('should refuse unknown and revoked keys', async () => {
+        mockKey(['read:print-requests'], { REVOKED_AT: '2026-10-18T12:00:00Z' });
+
+        await request(app).get('/api/admin/review-queue').set('X-API-Key', 'msk_unknown').expect(401);
+        const revoked = await request(app).get('/api/admin/review-queue').set('X-API-Key', KEY).expect(401);
+        expect(revoked.body.message).toBe('API key has been revoked.');
+        // A bad key is refused on public routes too rather than ignored
+        await request(app).get('/api/printers').set('X-API-Key', 'msk_unknown').expect(401);
+    });
+
+    it('should let admins issue keys without storing them', async () => {
+        const execute = mockKey(['admin:*']);
+        const adminAuth = `Bearer ${signIdToken({ sub: 'uid-admin-1', email: 'admin@rutgers.edu' })}`;
+
+        await request(app)
+            .post('/api/admin/api-keys')
+            .set('Authorization', adminAuth)
+            .send({ name: 'Grading script', ownerId: 'uid-staff-1', scopes: ['write:everything'] })
+            .expect(422);
+
+        const response = await request(app)
+            .post('/api/admin/api-keys')
+            .set('Authorization', adminAuth)
+            .send({ name: 'Grading script', ownerId: 'uid-staff-1', scopes: ['read:printers', 'write:print-requests'], rateLimit: 10 })
+            .expect(201);
+
+        const { key } = response.body.data;
+        expect(key).toMatch(/^msk_/);
+        const [, insertBinds] = execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO api_keys'));
+        expect(insertBinds).not.toContain(key);
+        expect(insertBinds.slice(1, 7)).toEqual([key.slice(0, 12), ApiKeyService.hash(key), 'Grading script', 'uid-staff-1', '["read:printers","write:print-requests"]', 10]);
+        expect(insertBinds[8]).toBe('admin@rutgers.edu');
+        expect(execute.mock.calls.some(([sql, binds]) => sql.includes('INSERT INTO audit_logs') && binds.includes('api_key_created'))).toBe(true);
+    });
+});
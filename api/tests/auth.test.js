@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { PROJECT_ID, jwks, writeJwksFile, signIdToken } = require('./fixtures/idTokens');
+
+// Verify tokens against the local key set instead of Google's
+process.env.FIREBASE_PROJECT_ID = PROJECT_ID;
+process.env.FIREBASE_JWKS_FILE = writeJwksFile();
+process.env.FILE_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'makerspace-files-'));
+process.env.ANALYSIS_PROVIDER = 'rules';
+
+const FirebaseTokenVerifier = require('../src/services/auth/FirebaseTokenVerifier');
+const app = require('../src/app').getApp();
+
+describe('FirebaseTokenVerifier', () => {
+    const verifier = new FirebaseTokenVerifier({ projectId: PROJECT_ID, jwks });
+
+    it('should return the verified user', async () => {
+        const user = await verifier.verify(signIdToken());
+
+        expect(user).toMatchObject({ uid: 'uid-student-1', email: 'jd567@rutgers.edu', emailVerified: true, name: 'Jane Doe' });
+        expect(user.claims.aud).toBe(PROJECT_ID);
+    });
+
+    it.each([
+        ['that is not a JWT', () => 'abc.def', /not a JWT/],
+        ['that has expired', () => signIdToken({ exp: Math.floor(Date.now() / 1000) - 10 }), /expired/],
+        ['issued for another project', () => signIdToken({ aud: 'other-project' }), /another project/],
+        ['issued by someone else', () => signIdToken({ iss: 'https://example.com' }), /issuer/],
+        ['without a subject', () => signIdToken({ sub: '' }), /subject/],
+        ['signed with an unknown key', () => signIdToken({}, { kid: 'other-key' }), /unknown key/],
+        ['using another algorithm', () => signIdToken({}, { alg: 'HS256' }), /RS256/],
+        ['signed with another private key', () => signIdToken({}, { key: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey }), /signature/]
+    ])('should refuse a token %s', async (name, token, message) => {
+        await expect(verifier.verify(token())).rejects.toMatchObject({ name: 'UnauthorizedError', message: expect.stringMatching(message) });
+    });
+
+    it('should fetch the key set from a URL and cache it for its max-age', async () => {
+        let fetches = 0;
+        const server = http.createServer((req, res) => {
+            fetches++;
+            res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'public, max-age=600' });
+            res.end(JSON.stringify(jwks));
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+
+        try {
+            const remote = new FirebaseTokenVerifier({ projectId: PROJECT_ID, jwksUrl: `http://127.0.0.1:${server.address().port}/jwks` });
+            await Promise.all([remote.verify(signIdToken()), remote.verify(signIdToken())]);
+            await remote.verify(signIdToken({ sub: 'uid-student-2' }));
+            expect(fetches).toBe(1);
+
+            // A key ID not in the cached set refetches at most once a minute, e.g. after Google rotates its keys
+            await expect(remote.verify(signIdToken({}, { kid: 'rotated-key' }))).rejects.toThrow(/unknown key/);
+            await expect(remote.verify(signIdToken({}, { kid: 'forged-key' }))).rejects.toThrow(/unknown key/);
+            expect(fetches).toBe(1);
+
+            const minuteLater = Date.now() + 61 * 1000;
+            jest.spyOn(Date, 'now').mockReturnValue(minuteLater);
+            await expect(remote.verify(signIdToken({}, { kid: 'rotated-key' }))).rejects.toThrow(/unknown key/);
+            await expect(remote.verify(signIdToken({}, { kid: 'rotated-key' }))).rejects.toThrow(/unknown key/);
+            expect(fetches).toBe(2);
+        } finally {
+            jest.restoreAllMocks();
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it('should require a project ID', () => {
+        expect(() => new FirebaseTokenVerifier({ jwks })).toThrow(/project ID/);
+    });
+});
+
+describe('ID token authentication', () => {
+    const snowflakeClient = require('../src/database/snowflakeClient');
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should refuse the user print history without a valid token', async () => {
+        const missing = await request(app).get('/api/user/print-requests').expect(401);
+        expect(missing.body.message).toBe('A Firebase ID token is required');
+        expect(missing.headers['www-authenticate']).toBe('Bearer');
+
+        const expired = await request(app)
+            .get('/api/user/print-requests')
+            .set('Authorization', `Bearer ${signIdToken({ exp: Math.floor(Date.now() / 1000) - 10 })}`)
+            .expect(401);
+        expect(expired.body.message).toMatch(/expired/);
+    });
+
+    it('should return only the verified user\'s requests', async () => {
+        const execute = jest.spyOn(snowflakeClient, 'execute').mockImplementation(async (sql, binds = []) => {
+            if (sql.includes('FROM users')) {
+                return [{ USER_ID: 'uid-student-1' }];
+            }
+            if (sql.includes('FROM print_requests')) {
+                return [{ ID: 'REQ-1', TITLE: 'Bracket', STATUS: 'needs_review', USER_ID: binds[0] }];
+            }
+            return [];
+        });
+
+        const response = await request(app)
+            .get('/api/user/print-requests')
+            .set('Authorization', `Bearer ${signIdToken()}`)
+            .expect(200);
+
+        expect(response.body.data.printRequests).toEqual([expect.objectContaining({ id: 'REQ-1', userId: 'uid-student-1' })]);
+        const [sql, binds] = execute.mock.calls.find(([query]) => query.includes('FROM print_requests'));
+        expect(sql).toMatch(/WHERE user_id = \?/);
+        expect(binds).toEqual(['uid-student-1']);
+    });
+
+    it('should take over requests sent with the user\'s email before sign-in was verified', async () => {
+        const execute = jest.spyOn(snowflakeClient, 'execute').mockImplementation(async (sql) => {
+            if (sql.includes('SELECT user_id FROM users')) {
+                return [{ USER_ID: 'user-1700000000000' }];
+            }
+            return [];
+        });
+
+        await request(app)
+            .get('/api/user/print-requests')
+            .set('Authorization', `Bearer ${signIdToken()}`)
+            .expect(200);
+
+        const [, requestBinds] = execute.mock.calls.find(([sql]) => sql.startsWith('UPDATE print_requests SET user_id'));
+        expect(requestBinds).toEqual(['uid-student-1', 'user-1700000000000']);
+        const [, userBinds] = execute.mock.calls.find(([sql]) => sql.startsWith('UPDATE users SET user_id'));
+        expect(userBinds).toEqual(['uid-student-1', 'user-1700000000000']);
+    });
+
+    it('should not take over an existing user for an email Firebase has not verified', async () => {
+        const execute = jest.spyOn(snowflakeClient, 'execute').mockImplementation(async (sql, binds = []) => {
+            if (sql.includes('SELECT user_id FROM users') && binds.includes('jd567@rutgers.edu')) {
+                return [{ USER_ID: 'user-1700000000000' }];
+            }
+            return [];
+        });
+
+        await request(app)
+            .get('/api/user/print-requests')
+            .set('Authorization', `Bearer ${signIdToken({ sub: 'uid-impostor', email_verified: false })}`)
+            .expect(200);
+
+        expect(execute.mock.calls.some(([sql]) => sql.startsWith('UPDATE print_requests SET user_id') || sql.startsWith('UPDATE users SET user_id'))).toBe(false);
+        const [, insertBinds] = execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO users'));
+        expect(insertBinds.slice(0, 2)).toEqual(['uid-impostor', 'jd567@rutgers.edu']);
+        expect(insertBinds[3]).toBe('["student"]');
+    });
+
+    it('should refuse a submission with a bad token rather than treat it as anonymous', async () => {
+        const response = await request(app)
+            .post('/api/print-request')
+            .set('Authorization', 'Bearer not-a-token')
+            .field('projectName', 'Bracket')
+            .expect(401);
+
+        expect(response.body.message).toMatch(/not a JWT/);
+    });
+});
+
+describe('Role authorization', () => {
+    const snowflakeClient = require('../src/database/snowflakeClient');
+
+    // Answers role lookups with the given roles per user ID, and records every query
+    const mockRoles = (rolesByUser) => jest.spyOn(snowflakeClient, 'execute').mockImplementation(async (sql, binds = []) => {
+        if (sql.includes('SELECT roles') && rolesByUser[binds[0]]) {
+            return [{ ROLES: JSON.stringify(rolesByUser[binds[0]]), IS_ADMIN: false, IS_STAFF: false }];
+        }
+        return [];
+    });
+
+    const staffToken = () => signIdToken({ sub: 'uid-staff-1', email: 'staff@rutgers.edu', name: 'Sam Staff' });
+    const adminToken = () => signIdToken({ sub: 'uid-admin-1', email: 'admin@rutgers.edu', name: 'Ada Admin' });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should require a signed-in user to submit a request', async () => {
+        const response = await request(app)
+            .post('/api/print-request')
+            .field('projectName', 'Bracket')
+            .expect(401);
+
+        expect(response.body.message).toBe('A Firebase ID token is required');
+    });
+
+    it('should return the signed-in user with their roles', async () => {
+        mockRoles({ 'uid-staff-1': ['staff', 'faculty_approver'] });
+
+        const response = await request(app)
+            .get('/api/user/me')
+            .set('Authorization', `Bearer ${staffToken()}`)
+            .expect(200);
+
+        expect(response.body.data).toEqual({ uid: 'uid-staff-1', email: 'staff@rutgers.edu', name: 'Sam Staff', roles: ['staff', 'faculty_approver'] });
+    });
+
+    it('should keep students out of staff routes and let staff in', async () => {
+        mockRoles({ 'uid-staff-1': ['staff'] });
+
+        const student = await request(app)
+            .get('/api/admin/review-queue')
+            .set('Authorization', `Bearer ${signIdToken()}`)
+            .expect(403);
+        expect(student.body.message).toBe('Requires one of the roles: staff, faculty_approver');
+
+        await request(app)
+            .get('/api/admin/review-queue')
+            .set('Authorization', `Bearer ${staffToken()}`)
+            .expect(200);
+        await request(app)
+            .get('/api/admin/users')
+            .set('Authorization', `Bearer ${staffToken()}`)
+            .expect(403);
+    });
+
+    it('should treat users whose roles cannot be read as students', async () => {
+        jest.spyOn(snowflakeClient, 'execute').mockRejectedValue(new Error('Connection refused'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await request(app)
+            .put('/api/admin/equipment/EQ-1/status')
+            .set('Authorization', `Bearer ${staffToken()}`)
+            .send({ status: 'maintenance' })
+            .expect(403);
+    });
+
+    it('should let admins change roles and record who changed them', async () => {
+        const execute = mockRoles({ 'uid-admin-1': ['admin'], 'uid-student-1': ['student'] });
+
+        await request(app)
+            .put('/api/admin/users/uid-student-1/roles')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ roles: ['superuser'] })
+            .expect(422);
+
+        const response = await request(app)
+            .put('/api/admin/users/uid-student-1/roles')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ roles: ['faculty_approver', 'student'] })
+            .expect(200);
+
+        expect(response.body.data).toEqual({ userId: 'uid-student-1', previousRoles: ['student'], roles: ['student', 'faculty_approver'] });
+        const [, updateBinds] = execute.mock.calls.find(([sql]) => sql.includes('UPDATE users'));
+        expect(updateBinds).toEqual(['["student","faculty_approver"]', false, false, 'uid-student-1']);
+        const [, auditBinds] = execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO audit_logs'));
+        expect(auditBinds.slice(1, 3)).toEqual(['admin@rutgers.edu', 'uid-student-1']);
+
+        await request(app)
+            .put('/api/admin/users/uid-missing/roles')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ roles: ['staff'] })
+            .expect(404);
+    });
+});
@@ -0,0 +1,53 @@
+const EventBus = require('../src/services/events/EventBus');
+
+describe('EventBus', () => {
+    const collect = (bus, subscriber, lastEventId) => {
+        const received = [];
+        const unsubscribe = bus.subscribe(subscriber, event => received.push(event.type), lastEventId);
+        return { received, unsubscribe };
+    };
+
+    it('should deliver events only to subscribers allowed to see them', () => {
+        const bus = new EventBus();
+        const staff = collect(bus, { staff: true });
+        const owner = collect(bus, { userId: 'uid-student-1' });
+        const other = collect(bus, { userId: 'uid-student-2' });
+        const anonymous = collect(bus, {});
+
+        bus.publish('print-request.submitted', { requestId: 'REQ-1' }, { userId: 'uid-student-1' });
+        bus.publish('equipment.status', { equipmentId: 'EQ-1' }, { public: true });
+
+        expect(staff.received).toEqual(['print-request.submitted', 'equipment.status']);
+        expect(owner.received).toEqual(['print-request.submitted', 'equipment.status']);
+        expect(other.received).toEqual(['equipment.status']);
+        expect(anonymous.received).toEqual(['equipment.status']);
+    });
+
+    it('should replay kept events after the last one a subscriber received', () => {
+        const bus = new EventBus({ historySize: 2 });
+        const first = bus.publish('equipment.status', {}, { public: true });
+        bus.publish('print-request.status', {}, { userId: 'uid-student-2' });
+        bus.publish('print-request.status', {}, { userId: 'uid-student-1' });
+        bus.publish('equipment.status', {}, { public: true });
+
+        const reconnected = collect(bus, { userId: 'uid-student-1' }, first.id);
+        expect(reconnected.received).toEqual(['print-request.status', 'equipment.status']);
+    });
+
+    it('should stop delivering after unsubscribing and survive failing listeners', () => {
+        const bus = new EventBus();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        bus.subscribe({ staff: true }, () => {
+            throw new Error('socket closed');
+        });
+        const staff = collect(bus, { staff: true });
+
+        bus.publish('equipment.status', {}, { public: true });
+        staff.unsubscribe();
+        bus.publish('equipment.status', {}, { public: true });
+
+        expect(staff.received).toEqual(['equipment.status']);
+        expect(bus.getStats()).toMatchObject({ subscribers: 1, published: 2 });
+        console.error.mockRestore();
+    });
+});
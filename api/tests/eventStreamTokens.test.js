@@ -0,0 +1,27 @@
+const EventStreamTokens = require('../src/services/events/EventStreamTokens');
+
+describe('EventStreamTokens', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should return the subscriber a token was issued for until it expires', () => {
+        const tokens = new EventStreamTokens({ ttlSeconds: 60 });
+        const { token, expiresAt } = tokens.issue({ staff: false, userId: 'uid-student-1' });
+
+        expect(token).toMatch(/^[A-Za-z0-9_-]{32}$/);
+        expect(Date.parse(expiresAt)).toBeGreaterThan(Date.now());
+        expect(tokens.redeem(token)).toEqual({ staff: false, userId: 'uid-student-1' });
+        // Reusable until it expires, so EventSource can reconnect with the same URL
+        expect(tokens.redeem(token)).toEqual({ staff: false, userId: 'uid-student-1' });
+        expect(tokens.redeem('forged')).toBeNull();
+
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now + 60000);
+        expect(tokens.redeem(token)).toBeNull();
+    });
+
+    it('should reject an invalid lifetime', () => {
+        expect(() => new EventStreamTokens({ ttlSeconds: 0 })).toThrow('Event stream token lifetime must be a positive number of seconds.');
+    });
+});
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const FileStorageService = require('../src/services/FileStorageService');
+
+describe('FileStorageService', () => {
+    const file = { originalname: 'bracket.3mf', buffer: Buffer.from('bracket contents') };
+
+    describe('local backend', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'makerspace-store-'));
+        const storage = new FileStorageService({ backend: 'local', directory });
+
+        it('should key files by SHA-256 and store each once', async () => {
+            const first = await storage.store(file);
+            const second = await storage.store({ ...file, originalname: 'copy.3mf' });
+
+            expect(first).toMatchObject({
+                hash: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+                size: file.buffer.length,
+                contentType: 'model/3mf',
+                deduplicated: false
+            });
+            expect(second).toMatchObject({ hash: first.hash, deduplicated: true });
+
+            const stored = await storage.retrieve(first.hash);
+            expect(stored).toMatchObject({ contentType: 'model/3mf', originalName: 'bracket.3mf' });
+            expect(stored.buffer.equals(file.buffer)).toBe(true);
+        });
+
+        it('should return null for files that are not stored', async () => {
+            expect(await storage.retrieve('f'.repeat(64))).toBeNull();
+            expect(await storage.retrieve('../../etc/passwd')).toBeNull();
+        });
+    });
+
+    describe('S3 backend', () => {
+        let server;
+        let objects;
+        let requests;
+        let storage;
+
+        beforeAll(async () => {
+            objects = new Map();
+            requests = [];
+            server = http.createServer((req, res) => {
+                const chunks = [];
+                req.on('data', chunk => chunks.push(chunk));
+                req.on('end', () => {
+                    requests.push({ method: req.method, url: req.url, headers: req.headers });
+                    const object = objects.get(req.url);
+                    if (req.method === 'PUT') {
+                        objects.set(req.url, { body: Buffer.concat(chunks), headers: req.headers });
+                        res.writeHead(200).end();
+                    } else if (!object) {
+                        res.writeHead(404).end();
+                    } else {
+                        res.writeHead(200, {
+                            'Content-Type': object.headers['content-type'],
+                            'x-amz-meta-original-name': object.headers['x-amz-meta-original-name']
+                        });
+                        res.end(req.method === 'GET' ? object.body : undefined);
+                    }
+                });
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+            storage = new FileStorageService({
+                backend: 's3',
+                s3: {
+                    bucket: 'models',
+                    endpoint: `http://127.0.0.1:${server.address().port}`,
+                    prefix: 'uploads/',
+                    accessKeyId: 'test-key',
+                    secretAccessKey: 'test-secret'
+                }
+            });
+        });
+
+        afterAll(() => new Promise(resolve => server.close(resolve)));
+
+        it('should store signed, path-style objects and read them back', async () => {
+            const stored = await storage.store(file);
+            const again = await storage.store(file);
+
+            expect(again.deduplicated).toBe(true);
+            expect(objects.has(`/models/uploads/${stored.hash}`)).toBe(true);
+
+            const put = requests.find(entry => entry.method === 'PUT');
+            expect(put.headers.authorization).toMatch(/^AWS4-HMAC-SHA256 Credential=test-key\/\d{8}\/us-east-1\/s3\/aws4_request, SignedHeaders=[a-z0-9;-]+, Signature=[a-f0-9]{64}$/);
+            expect(requests.filter(entry => entry.method === 'PUT')).toHaveLength(1);
+
+            const retrieved = await storage.retrieve(stored.hash);
+            expect(retrieved).toMatchObject({ contentType: 'model/3mf', originalName: 'bracket.3mf' });
+            expect(retrieved.buffer.equals(file.buffer)).toBe(true);
+        });
+    });
+});
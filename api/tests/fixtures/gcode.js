@@ -0,0 +1,168 @@
+/**
+ * G-code fixtures for print file tests
+ * Builds small sliced files in memory the way PrusaSlicer, Cura and Bambu Studio lay them out
+ */
+const PngEncoder = require('../../src/services/geometry/PngEncoder');
+const { toZip } = require('./meshes');
+
+/**
+ * Gets the moves for a square block printed as one perimeter per layer
+ * @param {Object} options - Block options
+ * @param {number} options.x - Lower-left corner X in millimetres
+ * @param {number} options.y - Lower-left corner Y in millimetres
+ * @param {number} options.size - Side length in millimetres
+ * @param {number} options.layers - Number of layers
+ * @param {number} options.layerHeight - Layer height in millimetres
+ * @param {string} options.marker - Layer change comment the slicer writes
+ * @returns {string[]} G-code lines using relative extrusion
+ */
+const squareLayers = ({ x = 100, y = 100, size = 20, layers = 5, layerHeight = 0.2, marker = ';LAYER_CHANGE' } = {}) => {
+    const lines = [];
+    for (let layer = 1; layer <= layers; layer++) {
+        const z = Math.round(layer * layerHeight * 1000) / 1000;
+        lines.push(marker, `G1 Z${z} F720`, `G1 X${x} Y${y} F9000`);
+        lines.push(`G1 X${x + size} Y${y} E1.2`, `G1 X${x + size} Y${y + size} E1.2`);
+        lines.push(`G1 X${x} Y${y + size} E1.2`, `G1 X${x} Y${y} E1.2`);
+        // Retract, hop and park between layers
+        lines.push('G1 E-0.8 F2100', `G1 Z${z + 0.4}`, 'G1 X0 Y200 F9000', 'G1 E0.8 F2100');
+    }
+    return lines;
+};
+
+/**
+ * Gets a small PNG thumbnail
+ * @param {number} size - Width and height in pixels
+ * @returns {Buffer} PNG contents
+ */
+const thumbnailPng = (size = 4) => new PngEncoder().encode(new Uint8Array(size * size * 3).fill(200), size, size);
+
+/**
+ * Builds a PrusaSlicer G-code file with an embedded thumbnail and a purge line before the first layer
+ * @param {Object} options - File options
+ * @param {string} options.printerModel - printer_model value
+ * @param {Object} options.block - Options for squareLayers
+ * @returns {Buffer} G-code file
+ */
+const toPrusaGcode = ({ printerModel = 'MK4IS', block = {} } = {}) => {
+    const png = thumbnailPng(16).toString('base64');
+    return Buffer.from([
+        '; generated by PrusaSlicer 2.7.1+win64 on 2024-03-01 at 10:00:00 UTC',
+        '',
+        `; thumbnail begin 16x16 ${png.length}`,
+        ...png.match(/.{1,78}/g).map(chunk => `; ${chunk}`),
+        '; thumbnail end',
+        '',
+        'M83 ; extruder relative mode',
+        'M104 S240',
+        'M140 S85',
+        'G28',
+        'G1 Z0.2 F720',
+        'G1 X0 Y-4 F9000',
+        'G1 X60 Y-4 E9 F1000 ; purge line',
+        ...squareLayers(block),
+        'M107',
+        '',
+        '; filament used [mm] = 1234.56',
+        '; filament used [cm3] = 2.97',
+        '; filament used [g] = 3.70',
+        '; estimated printing time (normal mode) = 2h 30m 0s',
+        '',
+        '; prusaslicer_config = begin',
+        '; bed_temperature = 85',
+        '; fill_density = 15%',
+        '; filament_diameter = 1.75',
+        '; filament_type = PETG',
+        '; layer_height = 0.2',
+        '; nozzle_diameter = 0.4',
+        `; printer_model = ${printerModel}`,
+        '; start_gcode = M862.3 P "[printer_model]" ; printer model check\\nG28',
+        '; support_material = 0',
+        '; temperature = 240',
+        '; prusaslicer_config = end'
+    ].join('\n'));
+};
+
+/**
+ * Builds a Cura G-code file with absolute extrusion, Cura's metre filament length and an arc
+ * @returns {Buffer} G-code file
+ */
+const toCuraGcode = () => Buffer.from([
+    ';FLAVOR:Marlin',
+    ';TIME:5400',
+    ';Filament used: 2.5m',
+    ';Layer height: 0.15',
+    ';Generated with Cura_SteamEngine 5.6.0',
+    'M140 S60',
+    'M105',
+    'M190 S60',
+    'M104 S210',
+    'M109 S210',
+    'M82 ;absolute extrusion mode',
+    'G28',
+    'G92 E0',
+    ';LAYER_COUNT:2',
+    ';LAYER:0',
+    'G0 F3000 X50 Y50 Z0.15',
+    'G1 X70 Y50 E1',
+    // Counter-clockwise half circle about (60, 50) bulges to Y = 60
+    'G3 X50 Y50 I-10 J0 E2',
+    ';LAYER:1',
+    'G92 E0',
+    'G0 X50 Y50 Z0.3',
+    'G1 X70 Y50 E1',
+    'G1 X50 Y50 E2',
+    ';End of Gcode'
+].join('\r\n'));
+
+/**
+ * Builds a Bambu Studio plate G-code file
+ * @param {Object} block - Options for squareLayers
+ * @returns {string} G-code file
+ */
+const toBambuPlateGcode = (block = {}) => [
+    '; HEADER_BLOCK_START',
+    '; BambuStudio 01.08.04.51',
+    '; model printing time: 50m 10s; total estimated time: 56m 40s',
+    '; total layer number: 5',
+    '; total filament length [mm] : 1000.00',
+    '; total filament volume [cm^3] : 2.41',
+    '; total filament weight [g] : 3.00',
+    '; HEADER_BLOCK_END',
+    '',
+    '; CONFIG_BLOCK_START',
+    '; curr_bed_type = Textured PEI Plate',
+    '; filament_type = PLA;PLA',
+    '; hot_plate_temp = 55,55',
+    '; layer_height = 0.2',
+    '; nozzle_temperature = 220,220',
+    '; printer_model = Bambu Lab X1 Carbon',
+    '; sparse_infill_density = 15%',
+    '; enable_support = 1',
+    '; textured_plate_temp = 65,65',
+    '; CONFIG_BLOCK_END',
+    'M83',
+    ...squareLayers({ marker: '; CHANGE_LAYER', ...block })
+].join('\n');
+
+/**
+ * Builds a Bambu Studio .gcode.3mf print file
+ * @param {number} plates - Number of sliced plates
+ * @returns {Buffer} 3MF package
+ */
+const toBambuPrintFile = (plates = 1) => {
+    const files = {
+        '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8"?><Types/>',
+        'Metadata/plate_1.png': thumbnailPng(8)
+    };
+    for (let plate = 1; plate <= plates; plate++) {
+        files[`Metadata/plate_${plate}.gcode`] = toBambuPlateGcode({ x: 20 * plate, size: 10 });
+    }
+    return toZip(files);
+};
+
+module.exports = {
+    squareLayers,
+    toPrusaGcode,
+    toCuraGcode,
+    toBambuPrintFile
+};
@@ -0,0 +1,64 @@
+/**
+ * Firebase ID token fixtures for authentication tests
+ * Signs tokens with a local key pair whose public half stands in for Google's key set
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PROJECT_ID = 'makerspace-test';
+const KEY_ID = 'test-key-1';
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwks = {
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }]
+};
+
+/**
+ * Writes the key set to a temporary file, for FIREBASE_JWKS_FILE
+ * @returns {string} File path
+ */
+const writeJwksFile = () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'makerspace-jwks-')), 'jwks.json');
+    fs.writeFileSync(file, JSON.stringify(jwks));
+    return file;
+};
+
+/**
+ * Signs an ID token as Firebase would issue it for the test project
+ * @param {Object} claims - Claims to add or override (e.g. sub, email, exp)
+ * @param {Object} options - Signing options
+ * @param {string} options.kid - Key ID in the header (default the test key)
+ * @param {string} options.alg - Algorithm in the header (default RS256)
+ * @param {crypto.KeyObject} options.key - Signing key (default the test private key)
+ * @returns {string} Encoded JWT
+ */
+const signIdToken = (claims = {}, { kid = KEY_ID, alg = 'RS256', key = privateKey } = {}) => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg, kid, typ: 'JWT' };
+    const payload = {
+        iss: `https://securetoken.google.com/${PROJECT_ID}`,
+        aud: PROJECT_ID,
+        auth_time: now - 60,
+        iat: now - 60,
+        exp: now + 3600,
+        sub: 'uid-student-1',
+        email: 'jd567@rutgers.edu',
+        email_verified: true,
+        name: 'Jane Doe',
+        ...claims
+    };
+    const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+    const signedPart = `${encode(header)}.${encode(payload)}`;
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(signedPart), key).toString('base64url');
+    return `${signedPart}.${signature}`;
+};
+
+module.exports = {
+    PROJECT_ID,
+    KEY_ID,
+    jwks,
+    writeJwksFile,
+    signIdToken
+};
@@ -0,0 +1,205 @@
+/**
+ * Mesh fixtures for geometry tests
+ * Builds small model files in memory so tests do not depend on binary assets
+ */
+
+/**
+ * Gets the 12 outward-facing triangles of an axis-aligned box
+ * @param {number} sx - Size along X in millimetres
+ * @param {number} sy - Size along Y in millimetres
+ * @param {number} sz - Size along Z in millimetres
+ * @returns {number[][][]} Triangles as arrays of [x, y, z] vertices
+ */
+const boxTriangles = (sx, sy, sz) => {
+    const v = [
+        [0, 0, 0], [sx, 0, 0], [sx, sy, 0], [0, sy, 0],
+        [0, 0, sz], [sx, 0, sz], [sx, sy, sz], [0, sy, sz]
+    ];
+    const faces = [
+        [0, 2, 1], [0, 3, 2], // bottom
+        [4, 5, 6], [4, 6, 7], // top
+        [0, 1, 5], [0, 5, 4], // front
+        [1, 2, 6], [1, 6, 5], // right
+        [2, 3, 7], [2, 7, 6], // back
+        [3, 0, 4], [3, 4, 7]  // left
+    ];
+    return faces.map(face => face.map(index => v[index]));
+};
+
+/**
+ * Encodes triangles as a binary STL
+ * @param {number[][][]} triangles - Triangles as arrays of vertices
+ * @returns {Buffer} Binary STL contents
+ */
+const toBinaryStl = (triangles) => {
+    const buffer = Buffer.alloc(84 + triangles.length * 50);
+    buffer.write('fixture', 0, 'ascii');
+    buffer.writeUInt32LE(triangles.length, 80);
+    triangles.forEach((triangle, i) => {
+        const offset = 84 + i * 50 + 12;
+        triangle.forEach((vertex, j) => {
+            vertex.forEach((value, k) => buffer.writeFloatLE(value, offset + j * 12 + k * 4));
+        });
+    });
+    return buffer;
+};
+
+/**
+ * Encodes triangles as an ASCII STL
+ * @param {number[][][]} triangles - Triangles as arrays of vertices
+ * @returns {Buffer} ASCII STL contents
+ */
+const toAsciiStl = (triangles) => {
+    const lines = ['solid fixture'];
+    for (const triangle of triangles) {
+        lines.push('  facet normal 0 0 0', '    outer loop');
+        for (const vertex of triangle) {
+            lines.push(`      vertex ${vertex.join(' ')}`);
+        }
+        lines.push('    endloop', '  endfacet');
+    }
+    lines.push('endsolid fixture');
+    return Buffer.from(lines.join('\n'));
+};
+
+/**
+ * Encodes named groups of triangles as an OBJ file, one `o` statement per group
+ * @param {Object<string, number[][][]>} groups - Triangles keyed by object name
+ * @returns {Buffer} OBJ contents
+ */
+const toObj = (groups) => {
+    const lines = ['# fixture'];
+    let vertexCount = 0;
+    for (const [name, triangles] of Object.entries(groups)) {
+        lines.push(`o ${name}`);
+        for (const triangle of triangles) {
+            for (const vertex of triangle) {
+                lines.push(`v ${vertex.join(' ')}`);
+            }
+            lines.push(`f ${vertexCount + 1}/1/1 ${vertexCount + 2}/2/2 ${vertexCount + 3}/3/3`);
+            vertexCount += 3;
+        }
+    }
+    return Buffer.from(lines.join('\n'));
+};
+
+/**
+ * Computes the CRC-32 of a buffer
+ * @param {Buffer} buffer - Data to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) {
+            crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+        }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Builds a ZIP archive with deflated entries
+ * @param {Object<string, string|Buffer>} files - Entry contents keyed by name
+ * @returns {Buffer} ZIP archive
+ */
+const toZip = (files) => {
+    const zlib = require('zlib');
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const [name, contents] of Object.entries(files)) {
+        const data = Buffer.isBuffer(contents) ? contents : Buffer.from(contents);
+        const compressed = zlib.deflateRawSync(data);
+        const nameBuffer = Buffer.from(name);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBuffer, compressed);
+        centrals.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, centralDirectory, end]);
+};
+
+/**
+ * Builds a 3MF package containing a single 10 mm cube placed by build items
+ * @param {Object} options - Package options
+ * @param {string} options.unit - Model unit attribute
+ * @param {string[]} options.itemTransforms - Transform attribute for each build item
+ * @returns {Buffer} 3MF package
+ */
+const toThreeMf = ({ unit = 'millimeter', itemTransforms = [null] } = {}) => {
+    const corners = [
+        [0, 0, 0], [10, 0, 0], [10, 10, 0], [0, 10, 0],
+        [0, 0, 10], [10, 0, 10], [10, 10, 10], [0, 10, 10]
+    ];
+    const faces = [
+        [0, 2, 1], [0, 3, 2], [4, 5, 6], [4, 6, 7], [0, 1, 5], [0, 5, 4],
+        [1, 2, 6], [1, 6, 5], [2, 3, 7], [2, 7, 6], [3, 0, 4], [3, 4, 7]
+    ];
+    const vertices = corners.map(([x, y, z]) => `<vertex x="${x}" y="${y}" z="${z}"/>`).join('');
+    const triangles = faces.map(([a, b, c]) => `<triangle v1="${a}" v2="${b}" v3="${c}"/>`).join('');
+    const items = itemTransforms
+        .map(transform => `<item objectid="2"${transform ? ` transform="${transform}"` : ''}/>`)
+        .join('');
+
+    const model = `<?xml version="1.0" encoding="UTF-8"?>
+<model unit="${unit}" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">
+  <resources>
+    <object id="1" type="model" name="cube"><mesh><vertices>${vertices}</vertices><triangles>${triangles}</triangles></mesh></object>
+    <object id="2" type="model" name="assembly"><components><component objectid="1"/></components></object>
+  </resources>
+  <build>${items}</build>
+</model>`;
+
+    const rels = `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>
+</Relationships>`;
+
+    return toZip({
+        '[Content_Types].xml': '<Types/>',
+        '_rels/.rels': rels,
+        '3D/3dmodel.model': model
+    });
+};
+
+module.exports = {
+    boxTriangles,
+    toBinaryStl,
+    toAsciiStl,
+    toObj,
+    toZip,
+    toThreeMf
+};
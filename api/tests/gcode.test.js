@@ -0,0 +1,123 @@
+const GcodeService = require('../src/services/GcodeService');
+const PrinterSelector = require('../src/models/PrinterSelector');
+const PricingEngine = require('../src/services/PricingEngine');
+const { toThreeMf } = require('./fixtures/meshes');
+const { toPrusaGcode, toCuraGcode, toBambuPrintFile } = require('./fixtures/gcode');
+
+describe('GcodeService', () => {
+    const gcodeService = new GcodeService();
+    const printerSelector = new PrinterSelector();
+
+    it('should read a PrusaSlicer header and measure the part without the purge line', async () => {
+        const analysis = await gcodeService.analyzeFile({ originalname: 'bracket.gcode', buffer: toPrusaGcode() });
+
+        expect(analysis).toMatchObject({
+            format: 'gcode',
+            slicer: 'PrusaSlicer',
+            slicerVersion: '2.7.1+win64',
+            printerModel: 'MK4IS',
+            estimatedSeconds: 9000,
+            nozzleTemp: 240,
+            bedTemp: 85,
+            layerHeight: 0.2,
+            infill: 15,
+            supports: false
+        });
+        expect(analysis.filament).toMatchObject({ type: 'PETG', grams: 3.7, length: 1234.56, volume: 2.97 });
+        expect(analysis.toolpath.bounds.size).toEqual({ x: 20, y: 20, z: 1 });
+        expect(analysis.toolpath.layers).toBe(5);
+        expect(analysis.thumbnail.readUInt32BE(0)).toBe(0x89504e47);
+    });
+
+    it('should read Cura metres, absolute extrusion and arcs', async () => {
+        const analysis = await gcodeService.analyzeFile({ originalname: 'clip.gcode', buffer: toCuraGcode() });
+
+        expect(analysis.slicer).toBe('Cura');
+        expect(analysis.printerModel).toBeNull();
+        expect(analysis.estimatedSeconds).toBe(5400);
+        expect(analysis.filament.length).toBe(2500);
+        expect(analysis.filament.volume).toBeCloseTo(Math.PI * 0.875 * 0.875 * 2.5, 3);
+        expect(analysis.nozzleTemp).toBe(210);
+        expect(analysis.bedTemp).toBe(60);
+        expect(analysis.toolpath.extrudedLength).toBe(4);
+        // The arc bulges past both of its endpoints
+        expect(analysis.toolpath.bounds.max.y).toBe(60);
+        expect(analysis.toolpath.bounds.size).toEqual({ x: 20, y: 10, z: 0.3 });
+    });
+
+    it('should read Bambu Studio print files and combine their plates', async () => {
+        const single = { originalname: 'gear.gcode.3mf', buffer: toBambuPrintFile() };
+        expect(gcodeService.isPrintFile(single)).toBe(true);
+        expect(gcodeService.isPrintFile({ originalname: 'gear.3mf', buffer: toThreeMf() })).toBe(false);
+
+        const analysis = await gcodeService.analyzeFile(single);
+        expect(analysis).toMatchObject({
+            format: 'gcode.3mf',
+            slicer: 'Bambu Studio',
+            printerModel: 'Bambu Lab X1 Carbon',
+            estimatedSeconds: 3400,
+            nozzleTemp: 220,
+            bedTemp: 65,
+            supports: true,
+            plates: 1
+        });
+        expect(analysis.filament).toMatchObject({ type: 'PLA', grams: 3 });
+        expect(analysis.thumbnail.readUInt32BE(0)).toBe(0x89504e47);
+
+        const combined = await gcodeService.analyzeFile({ originalname: 'gears.gcode.3mf', buffer: toBambuPrintFile(2) });
+        expect(combined.plates).toBe(2);
+        expect(combined.filament.grams).toBe(6);
+        expect(combined.estimatedSeconds).toBe(6800);
+        expect(combined.toolpath.bounds.size).toEqual({ x: 30, y: 10, z: 1 });
+    });
+
+    it('should check the toolpath against a printer build volume', async () => {
+        const analysis = await gcodeService.analyzeFile({
+            originalname: 'panel.gcode',
+            buffer: toPrusaGcode({ block: { x: 0, y: 0, size: 230 } })
+        });
+
+        const mk4 = gcodeService.checkBuildVolume(analysis, printerSelector.getPrinterById('prusa-mk4'));
+        expect(mk4.fits).toBe(false);
+        expect(mk4.overflow).toEqual({ x: 0, y: 20, z: 0 });
+        expect(gcodeService.checkBuildVolume(analysis, printerSelector.getPrinterById('bambu-x1-carbon')).fits).toBe(true);
+    });
+
+    it('should refuse toolpaths that are small enough but lie off the bed', async () => {
+        const mk4 = printerSelector.getPrinterById('prusa-mk4');
+        const offFront = await gcodeService.analyzeFile({ originalname: 'tag.gcode', buffer: toPrusaGcode({ block: { x: 20, y: -15, size: 20 } }) });
+        const offRight = await gcodeService.analyzeFile({ originalname: 'tag.gcode', buffer: toPrusaGcode({ block: { x: 240, y: 20, size: 20 } }) });
+
+        expect(gcodeService.checkBuildVolume(offFront, mk4)).toMatchObject({ fits: false, overflow: { x: 0, y: 15, z: 0 } });
+        expect(gcodeService.checkBuildVolume(offRight, mk4)).toMatchObject({ fits: false, overflow: { x: 10, y: 0, z: 0 } });
+    });
+
+    it('should reject files without extrusion', async () => {
+        await expect(gcodeService.analyzeFile({ originalname: 'empty.gcode', buffer: Buffer.from('; nothing\nG28\n') }))
+            .rejects.toThrow('does not contain any extruding moves');
+    });
+
+    it('should match slicer printer models to the fleet', () => {
+        expect(printerSelector.findPrinterByModel('MK4IS').id).toBe('prusa-mk4');
+        expect(printerSelector.findPrinterByModel('Bambu Lab X1 Carbon').id).toBe('bambu-x1-carbon');
+        expect(printerSelector.findPrinterByModel('UltiMaker S5').id).toBe('ultimaker-s5');
+        expect(printerSelector.findPrinterByModel('Ender-3 V2')).toBeNull();
+    });
+
+    it('should price from slicer-reported filament', () => {
+        const pricingEngine = new PricingEngine();
+        const printer = printerSelector.getPrinterById('prusa-mk4');
+        const settings = { layerHeight: '0.2mm', infill: '15%', supports: true };
+
+        const sliced = pricingEngine.calculateCost('PETG', printer, settings, {
+            complexity: 'medium',
+            estimatedVolume: 50,
+            filamentGrams: 3.7,
+            printTimeHours: 2.5
+        }, { supports: true });
+
+        expect(sliced.materialWeight).toBe(3.7);
+        expect(sliced.supportWeight).toBeNull();
+        expect(sliced.breakdown).toContain('Supports: included in sliced filament');
+    });
+});
@@ -0,0 +1,398 @@
+const zlib = require('zlib');
+const GeometryService = require('../src/services/GeometryService');
+const OverhangAnalyzer = require('../src/services/geometry/OverhangAnalyzer');
+const ThreeMfParser = require('../src/services/geometry/ThreeMfParser');
+const ZipArchive = require('../src/services/geometry/ZipArchive');
+const { boxTriangles, toBinaryStl, toAsciiStl, toObj, toZip, toThreeMf } = require('./fixtures/meshes');
+
+describe('GeometryService', () => {
+    const geometryService = new GeometryService();
+
+    describe('STL parsing', () => {
+        it('should measure a binary STL box', async () => {
+            const file = { originalname: 'box.stl', buffer: toBinaryStl(boxTriangles(20, 10, 5)) };
+            const { metrics } = await geometryService.analyzeFile(file);
+
+            expect(metrics.format).toBe('stl');
+            expect(metrics.triangleCount).toBe(12);
+            expect(metrics.volume).toBeCloseTo(1.0, 4); // 1000 mm³
+            expect(metrics.surfaceArea).toBeCloseTo(7.0, 4); // 700 mm²
+            expect(metrics.dimensions).toEqual({ x: 20, y: 10, z: 5 });
+        });
+
+        it('should measure an ASCII STL box', async () => {
+            const file = { originalname: 'BOX.STL', buffer: toAsciiStl(boxTriangles(10, 10, 10)) };
+            const { metrics } = await geometryService.analyzeFile(file);
+
+            expect(metrics.triangleCount).toBe(12);
+            expect(metrics.volume).toBeCloseTo(1.0, 4);
+            expect(metrics.signedVolume).toBeGreaterThan(0);
+            expect(metrics.boundingBox.min).toEqual({ x: 0, y: 0, z: 0 });
+            expect(metrics.boundingBox.max).toEqual({ x: 10, y: 10, z: 10 });
+        });
+
+        it('should report the absolute volume of inside-out meshes', async () => {
+            const inverted = boxTriangles(10, 10, 10).map(([a, b, c]) => [a, c, b]);
+            const { metrics } = await geometryService.analyzeFile({ originalname: 'box.stl', buffer: toBinaryStl(inverted) });
+
+            expect(metrics.signedVolume).toBeLessThan(0);
+            expect(metrics.volume).toBeCloseTo(1.0, 4);
+        });
+
+        it('should reject truncated binary STL files', async () => {
+            const buffer = toBinaryStl(boxTriangles(10, 10, 10));
+            buffer.writeUInt32LE(500, 80);
+
+            await expect(geometryService.analyzeFile({ originalname: 'box.stl', buffer }))
+                .rejects.toThrow(/truncated/);
+        });
+
+        it('should reject empty files', async () => {
+            await expect(geometryService.analyzeFile({ originalname: 'box.stl', buffer: Buffer.alloc(0) }))
+                .rejects.toThrow(/empty/);
+        });
+    });
+
+    describe('OBJ parsing', () => {
+        it('should combine multiple objects and report each one', async () => {
+            const shifted = boxTriangles(10, 10, 10).map(triangle => triangle.map(([x, y, z]) => [x + 20, y, z]));
+            const buffer = toObj({ left: boxTriangles(10, 10, 10), right: shifted });
+            const { metrics } = await geometryService.analyzeFile({ originalname: 'pair.obj', buffer });
+
+            expect(metrics.format).toBe('obj');
+            expect(metrics.triangleCount).toBe(24);
+            expect(metrics.volume).toBeCloseTo(2.0, 4);
+            expect(metrics.dimensions).toEqual({ x: 30, y: 10, z: 10 });
+            expect(metrics.objects).toEqual([
+                { name: 'left', triangleCount: 12 },
+                { name: 'right', triangleCount: 12 }
+            ]);
+        });
+
+        it('should triangulate polygons and resolve negative indices', async () => {
+            const buffer = Buffer.from([
+                'v 0 0 0', 'v 10 0 0', 'v 10 10 0', 'v 0 10 0',
+                'v 0 0 10', 'v 10 0 10', 'v 10 10 10', 'v 0 10 10',
+                'g cube',
+                'f -8 -5 -6 -7', 'f -4 -3 -2 -1',
+                'f 1 2 6 5', 'f 2 3 7 6', 'f 3 4 8 7', 'f 4 1 5 8'
+            ].join('\n'));
+            const { metrics } = await geometryService.analyzeFile({ originalname: 'cube.obj', buffer });
+
+            expect(metrics.triangleCount).toBe(12);
+            expect(metrics.surfaceArea).toBeCloseTo(6.0, 4);
+            expect(metrics.signedVolume).toBeCloseTo(1.0, 4);
+            expect(metrics.objects).toEqual([{ name: 'cube', triangleCount: 12 }]);
+        });
+
+        it('should reject faces that reference missing vertices', async () => {
+            const buffer = Buffer.from('v 0 0 0\nv 1 0 0\nf 1 2 3');
+
+            await expect(geometryService.analyzeFile({ originalname: 'bad.obj', buffer }))
+                .rejects.toThrow(/missing vertex/);
+        });
+    });
+
+    describe('3MF parsing', () => {
+        it('should expand components and build item transforms', async () => {
+            const buffer = toThreeMf({
+                itemTransforms: [null, '1 0 0 0 1 0 0 0 1 30 0 0']
+            });
+            const { metrics } = await geometryService.analyzeFile({ originalname: 'plate.3mf', buffer });
+
+            expect(metrics.format).toBe('3mf');
+            expect(metrics.triangleCount).toBe(24);
+            expect(metrics.volume).toBeCloseTo(2.0, 4);
+            expect(metrics.dimensions).toEqual({ x: 40, y: 10, z: 10 });
+            expect(metrics.objects).toHaveLength(2);
+        });
+
+        it('should convert the declared unit to millimetres', async () => {
+            const buffer = toThreeMf({ unit: 'centimeter' });
+            const { mesh, metrics } = await geometryService.analyzeFile({ originalname: 'cube.3mf', buffer });
+
+            expect(mesh.unit).toBe('centimeter');
+            expect(metrics.dimensions).toEqual({ x: 100, y: 100, z: 100 });
+            expect(metrics.volume).toBeCloseTo(1000, 2);
+        });
+
+        it('should apply rotations in build item transforms', async () => {
+            // 90° about Z maps +X onto +Y
+            const buffer = toThreeMf({ itemTransforms: ['0 1 0 -1 0 0 0 0 1 0 0 0'] });
+            const { metrics } = await geometryService.analyzeFile({ originalname: 'cube.3mf', buffer });
+
+            expect(metrics.boundingBox.min).toEqual({ x: -10, y: 0, z: 0 });
+            expect(metrics.volume).toBeCloseTo(1.0, 4);
+        });
+
+        it('should reject files that are not ZIP packages', async () => {
+            await expect(geometryService.analyzeFile({ originalname: 'cube.3mf', buffer: Buffer.alloc(64) }))
+                .rejects.toThrow(/ZIP/);
+        });
+
+        it('should stop inflating entries at their declared size', async () => {
+            const zip = toZip({ '3D/3dmodel.model': Buffer.alloc(64 * 1024) });
+            // Understate the size in the central directory, as a zip bomb would
+            zip.writeUInt32LE(100, zip.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+
+            await expect(ZipArchive.open(zip)).rejects.toThrow(/inflates past its declared size/);
+        });
+
+        it('should limit what a whole archive inflates to by its size', async () => {
+            const zip = toZip({ 'a.txt': Buffer.alloc(64 * 1024), 'b.txt': Buffer.alloc(64 * 1024) });
+            const archive = new ZipArchive(zip, { maxTotalSize: 100 * 1024 });
+
+            await archive.load(['a.txt']);
+            expect(archive.readEntry('a.txt')).toHaveLength(64 * 1024);
+            await expect(archive.load(['b.txt'])).rejects.toThrow(/in total/);
+            expect(() => archive.readEntry('b.txt')).toThrow(/was not loaded/);
+
+            // A few hundred bytes of zeros may not expand to the per-entry maximum
+            const bomb = toZip({ 'big.bin': Buffer.alloc(32 * 1024 * 1024) });
+            await expect(ZipArchive.open(bomb)).rejects.toThrow(/more than 16 MB in total/);
+        });
+
+        it('should cap the triangles nested components expand to', async () => {
+            // Each level references the one below ten times: 12 × 10³ triangles from a few hundred bytes
+            const model = `<?xml version="1.0" encoding="UTF-8"?>
+<model unit="millimeter" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">
+  <resources>
+    <object id="1" type="model"><mesh><vertices>${'<vertex x="0" y="0" z="0"/><vertex x="1" y="0" z="0"/><vertex x="0" y="1" z="0"/>'}</vertices><triangles>${'<triangle v1="0" v2="1" v3="2"/>'.repeat(12)}</triangles></mesh></object>
+    ${[2, 3, 4].map(id => `<object id="${id}" type="model"><components>${`<component objectid="${id - 1}"/>`.repeat(10)}</components></object>`).join('')}
+  </resources>
+  <build><item objectid="4"/></build>
+</model>`;
+            const buffer = toZip({
+                '_rels/.rels': '<Relationships><Relationship Target="/3D/3dmodel.model" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/></Relationships>',
+                '3D/3dmodel.model': model
+            });
+
+            expect((await new ThreeMfParser().parse(buffer)).triangleCount).toBe(12000);
+            await expect(new ThreeMfParser({ maxTriangles: 5000 }).parse(buffer)).rejects.toThrow(/more than 5000 triangles/);
+        });
+    });
+
+    describe('mesh health', () => {
+        const shift = (triangles, dx) => triangles.map(triangle => triangle.map(([x, y, z]) => [x + dx, y, z]));
+        const analyze = (triangles) => geometryService.analyzeFile({ originalname: 'part.stl', buffer: toBinaryStl(triangles) });
+
+        it('should report a closed box as healthy', async () => {
+            const { health } = await analyze(boxTriangles(20, 10, 5));
+
+            expect(health.status).toBe('ok');
+            expect(health.watertight).toBe(true);
+            expect(health.counts).toMatchObject({ vertices: 8, edges: 18, boundaryEdges: 0, shells: 1 });
+            expect(health.issues).toEqual([]);
+        });
+
+        it('should flag flipped, inverted and degenerate triangles as warnings', async () => {
+            const triangles = boxTriangles(10, 10, 10);
+            triangles[0] = [...triangles[0]].reverse();
+            triangles.push([[0, 0, 0], [5, 0, 0], [10, 0, 0]]);
+            const { health } = await analyze(triangles);
+
+            expect(health.status).toBe('warning');
+            expect(health.counts.flippedTriangles).toBe(1);
+            expect(health.counts.degenerateTriangles).toBe(1);
+            expect(health.issues.map(issue => issue.code)).toEqual(
+                expect.arrayContaining(['inconsistent_normals', 'degenerate_triangles'])
+            );
+
+            const inverted = await analyze(boxTriangles(10, 10, 10).map(triangle => [...triangle].reverse()));
+            expect(inverted.health.insideOut).toBe(true);
+            expect(inverted.health.counts.flippedTriangles).toBe(0);
+        });
+
+        it('should count disconnected shells', async () => {
+            const { health } = await analyze([...boxTriangles(10, 10, 10), ...shift(boxTriangles(10, 10, 10), 20)]);
+
+            expect(health.counts.shells).toBe(2);
+            expect(health.issues[0].code).toBe('disconnected_shells');
+        });
+
+        it('should reject meshes with large holes or non-manifold edges', async () => {
+            const open = boxTriangles(10, 10, 10).slice(2);
+            await expect(analyze(open)).rejects.toThrow(/open edges/);
+
+            // Two boxes sharing a face edge-for-edge leave that face's edges with four triangles
+            const fused = [...boxTriangles(10, 10, 10), ...shift(boxTriangles(10, 10, 10), 10)];
+            await expect(analyze(fused)).rejects.toThrow(/more than two triangles/);
+        });
+    });
+
+    describe('overhang analysis', () => {
+        const toMesh = (triangles) => ({
+            positions: Float64Array.from(triangles.flat(2)),
+            triangleCount: triangles.length
+        });
+        // Faces down onto the plate, so it sets the bed height without needing support itself
+        const bedTriangle = [[0, 0, 0], [0, 10, 0], [10, 0, 0]];
+        // Downward-facing slope whose angle from vertical is atan(run / rise)
+        const slope = (degrees) => [[0, 0, 10], [0, 10, 10], [5 * Math.tan(degrees * Math.PI / 180), 0, 15]];
+        const ceiling = [[0, 0, 10], [0, 10, 10], [10, 0, 10]];
+
+        it('should flag faces steeper than the overhang angle', () => {
+            const analyzer = new OverhangAnalyzer();
+
+            const steep = analyzer.analyze(toMesh([bedTriangle, slope(60)]));
+            expect(steep.hasOverhangs).toBe(true);
+            expect(steep.overhangFaces).toBe(1);
+            expect(steep.overhangArea).toBeCloseTo(0.5, 4);
+            expect(steep.supportArea).toBeCloseTo(0.433, 3);
+
+            const gentle = analyzer.analyze(toMesh([bedTriangle, slope(30)]));
+            expect(gentle.hasOverhangs).toBe(false);
+            expect(gentle.overhangFaces).toBe(0);
+        });
+
+        it('should use the configured overhang angle', () => {
+            const analyzer = new OverhangAnalyzer({ overhangAngle: 70 });
+
+            expect(analyzer.analyze(toMesh([bedTriangle, slope(60)])).overhangFaces).toBe(0);
+            expect(() => new OverhangAnalyzer({ overhangAngle: 90 })).toThrow(/between 0 and 90/);
+        });
+
+        it('should measure overhangs in the build orientation', () => {
+            const analyzer = new OverhangAnalyzer();
+            const mesh = toMesh([bedTriangle, ceiling]);
+
+            const asModeled = analyzer.analyze(mesh);
+            expect(asModeled.supportArea).toBeCloseTo(0.5, 4);
+            expect(asModeled.supportVolume).toBeCloseTo(0.075, 4); // 50 mm² × 10 mm × 15% density
+
+            expect(analyzer.analyze(mesh, { x: 90, y: 0, z: 0 }).overhangFaces).toBe(0);
+        });
+
+        it('should not ask for supports under a box resting on the bed', async () => {
+            const { mesh, metrics, health } = await geometryService.analyzeFile({
+                originalname: 'box.stl',
+                buffer: toBinaryStl(boxTriangles(20, 20, 20))
+            });
+            const overhangs = geometryService.analyzeOverhangs({ mesh, metrics, health });
+
+            expect(overhangs.hasOverhangs).toBe(false);
+            expect(overhangs.supportVolume).toBe(0);
+        });
+    });
+
+    describe('unit detection', () => {
+        const analyzeStl = async (triangles, options) => (await geometryService.analyzeFile(
+            { originalname: 'part.stl', buffer: toBinaryStl(triangles) },
+            options
+        )).metrics;
+
+        it('should keep parts that are plausibly sized in millimetres', async () => {
+            const metrics = await analyzeStl(boxTriangles(40, 20, 10));
+
+            expect(metrics.units).toMatchObject({ unit: 'millimeter', source: 'detected', scale: 1 });
+        });
+
+        it('should rescale parts exported in inches or meters', async () => {
+            const inches = await analyzeStl(boxTriangles(2, 1, 0.5));
+            expect(inches.units).toMatchObject({ unit: 'inch', source: 'detected', scale: 25.4 });
+            expect(inches.units.uploadedSize).toEqual({ x: 2, y: 1, z: 0.5 });
+            expect(inches.dimensions).toEqual({ x: 50.8, y: 25.4, z: 12.7 });
+            expect(inches.volume).toBeCloseTo(16.3871, 3); // one cubic inch
+
+            const meters = await analyzeStl(boxTriangles(0.1, 0.05, 0.02));
+            expect(meters.units.unit).toBe('meter');
+            expect(meters.dimensions).toEqual({ x: 100, y: 50, z: 20 });
+        });
+
+        it('should apply the submitter\'s unit or scale factor instead of guessing', async () => {
+            const confirmed = await analyzeStl(boxTriangles(2, 1, 0.5), { unit: 'millimeter' });
+            expect(confirmed.units).toMatchObject({ unit: 'millimeter', source: 'override' });
+            expect(confirmed.dimensions).toEqual({ x: 2, y: 1, z: 0.5 });
+
+            const scaled = await analyzeStl(boxTriangles(20, 10, 5), { unit: 'inch', scaleFactor: 2 });
+            expect(scaled.units).toMatchObject({ unit: 'custom', scale: 2 });
+            expect(scaled.dimensions).toEqual({ x: 40, y: 20, z: 10 });
+        });
+
+        it('should trust the 3MF unit unless the submitter overrides it', async () => {
+            const declared = await geometryService.analyzeFile({ originalname: 'cube.3mf', buffer: toThreeMf({ unit: 'centimeter' }) });
+            expect(declared.metrics.units).toMatchObject({ unit: 'centimeter', source: 'file', declaredUnit: 'centimeter' });
+
+            const overridden = await geometryService.analyzeFile(
+                { originalname: 'cube.3mf', buffer: toThreeMf({ unit: 'centimeter' }) },
+                { unit: 'millimeter' }
+            );
+            expect(overridden.metrics.dimensions).toEqual({ x: 10, y: 10, z: 10 });
+        });
+    });
+
+    describe('thumbnail rendering', () => {
+        // Reads back the unfiltered RGB pixels written by PngEncoder
+        const decodePng = (png) => {
+            const width = png.readUInt32BE(16);
+            const height = png.readUInt32BE(20);
+            const dataLength = png.readUInt32BE(33);
+            const raw = zlib.inflateSync(png.subarray(41, 41 + dataLength));
+            const pixel = (x, y) => {
+                const offset = y * (width * 3 + 1) + 1 + x * 3;
+                return [raw[offset], raw[offset + 1], raw[offset + 2]];
+            };
+            return { width, height, colorType: png[25], pixel };
+        };
+
+        it('should render a PNG with the model centred on the background', async () => {
+            const geometry = await geometryService.analyzeFile({
+                originalname: 'block.stl',
+                buffer: toBinaryStl(boxTriangles(30, 20, 10))
+            });
+            const png = geometryService.renderThumbnail(geometry);
+
+            expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+            const image = decodePng(png);
+            expect(image).toMatchObject({ width: 256, height: 256, colorType: 2 });
+            expect(image.pixel(0, 0)).toEqual([245, 245, 245]);
+
+            const [red, green, blue] = image.pixel(128, 128);
+            expect(red).toBeGreaterThan(green + 50);
+            expect(red).toBeGreaterThan(blue + 50);
+        });
+
+        it('should shade faces by their angle to the light', async () => {
+            const thumbnails = new GeometryService(false, { thumbnailSize: 64 });
+            const geometry = await thumbnails.analyzeFile({
+                originalname: 'cube.stl',
+                buffer: toBinaryStl(boxTriangles(20, 20, 20))
+            });
+            const image = decodePng(thumbnails.renderThumbnail(geometry));
+
+            expect(image.width).toBe(64);
+            // Top face versus right-hand side face of the isometric cube
+            expect(image.pixel(32, 16)[0]).not.toBe(image.pixel(44, 40)[0]);
+        });
+
+        it('should render standard views framed on the model from each side', async () => {
+            const views = new GeometryService(false, { thumbnailSize: 64 });
+            const geometry = await views.analyzeFile({
+                originalname: 'block.stl',
+                buffer: toBinaryStl(boxTriangles(30, 20, 10))
+            });
+            const renders = views.renderViews(geometry);
+
+            expect(renders.map(render => render.view)).toEqual(['front', 'side', 'top', 'isometric']);
+            expect(renders.every(render => render.contentType === 'image/png')).toBe(true);
+
+            // The 30 x 10 mm front face is three times wider than tall; the 30 x 20 mm top is not
+            const coveredRows = (render) => {
+                const image = decodePng(render.buffer);
+                let rows = 0;
+                for (let y = 0; y < image.height; y++) {
+                    if (image.pixel(32, y)[0] !== 245 || image.pixel(32, y)[1] !== 245) {
+                        rows++;
+                    }
+                }
+                return rows;
+            };
+            const front = coveredRows(renders[0]);
+            expect(front).toBeGreaterThan(15);
+            expect(front).toBeLessThan(22);
+            expect(coveredRows(renders[2])).toBeGreaterThan(front * 1.8);
+
+            expect(() => views.renderViews(geometry, ['bottom'])).toThrow("Unknown view 'bottom'");
+        });
+    });
+});
@@ -0,0 +1,86 @@
+const JobPlanner = require('../src/services/JobPlanner');
+const GeometryService = require('../src/services/GeometryService');
+const PricingEngine = require('../src/services/PricingEngine');
+const PrinterSelector = require('../src/models/PrinterSelector');
+const { boxTriangles, toObj } = require('./fixtures/meshes');
+
+const shifted = (triangles, dx) => triangles.map(triangle => triangle.map(([x, y, z]) => [x + dx, y, z]));
+
+describe('JobPlanner', () => {
+    const planner = new JobPlanner();
+    const printerSelector = new PrinterSelector();
+    const mk4 = printerSelector.getPrinterById('prusa-mk4');
+
+    it('should pack copies in rows with spacing inside the plate margin', () => {
+        const plan = planner.plan([{ name: 'clip', size: { x: 40, y: 20, z: 10 }, copies: 10 }], mk4);
+
+        expect(plan.plateCount).toBe(1);
+        expect(plan.copies).toBe(10);
+        const [plate] = plan.plates;
+        expect(plate.parts).toHaveLength(10);
+        expect(plate.parts.slice(0, 2).map(({ x, y }) => ({ x, y }))).toEqual([{ x: 5, y: 5 }, { x: 50, y: 5 }]);
+        // Five 40 mm parts with 5 mm gaps fill a 240 mm row, so the sixth starts the next row
+        expect(plate.parts[5]).toMatchObject({ x: 5, y: 30 });
+        expect(plate.coverage).toBeCloseTo(8000 / (250 * 210), 2);
+        expect(plan.totalSeconds).toBeNull();
+    });
+
+    it('should open new plates and turn parts to fit', () => {
+        const plan = planner.plan([
+            { name: 'panel', size: { x: 100, y: 100, z: 5 }, copies: 6 },
+            { name: 'rail', size: { x: 20, y: 150, z: 5 }, copies: 1 }
+        ], mk4);
+
+        // Two panels fit across the bed but a second row of them would overrun its 210 mm depth
+        expect(plan.plateCount).toBe(3);
+        expect(plan.plates.every(plate => plate.parts.filter(part => part.name === 'panel').length === 2)).toBe(true);
+        // The rail lies along X in the space left behind the first plate's panels
+        expect(plan.plates[0].parts[2]).toMatchObject({ name: 'rail', x: 5, y: 110, width: 150, depth: 20, rotated: true });
+    });
+
+    it('should share startup and layer changes between parts on a plate', () => {
+        const time = { printSeconds: 1000, layerSeconds: 200 };
+        const plan = planner.plan([{ name: 'knob', size: { x: 30, y: 30, z: 20 }, copies: 3, time }], mk4);
+
+        expect(plan.plateCount).toBe(1);
+        expect(plan.totalSeconds).toBe(mk4.motion.startupTime + 3 * 1000 + 200);
+        expect(plan.totalHours).toBeCloseTo(plan.totalSeconds / 3600, 2);
+    });
+
+    it('should reject parts larger than the printer', () => {
+        expect(() => planner.plan([{ name: 'tower', size: { x: 10, y: 10, z: 300 } }], mk4))
+            .toThrow("Part 'tower' does not fit the build volume.");
+        expect(() => planner.plan([], mk4)).toThrow('At least one part is required');
+    });
+
+    it('should split multi-object models into parts', async () => {
+        const geometryService = new GeometryService();
+        const geometry = await geometryService.analyzeFile({
+            originalname: 'kit.obj',
+            buffer: toObj({ base: boxTriangles(60, 40, 10), peg: shifted(boxTriangles(10, 10, 30), 80) })
+        });
+
+        const parts = geometryService.getParts(geometry);
+        expect(parts.map(part => part.name)).toEqual(['base', 'peg']);
+        expect(parts[0].size).toEqual({ x: 60, y: 40, z: 10 });
+        expect(parts[1].mesh.triangleCount).toBe(12);
+
+        const lying = geometryService.getParts(geometry, { x: 90, y: 0, z: 0 });
+        expect(lying[1].size).toEqual({ x: 10, y: 30, z: 10 });
+    });
+
+    it('should charge setup per plate rather than per copy', () => {
+        const pricingEngine = new PricingEngine();
+        const settings = { layerHeight: '0.2mm', infill: '20%', supports: false };
+        const part = { complexity: 'medium', estimatedVolume: 8, surfaceArea: 28, printTimeHours: 1 };
+
+        const single = pricingEngine.calculateCost('PLA', mk4, settings, part);
+        const batch = pricingEngine.calculateCost('PLA', mk4, settings, { ...part, copies: 4, plates: 1, printTimeHours: 3.5 });
+
+        expect(batch.materialWeight).toBeCloseTo(single.materialWeight * 4, 0);
+        expect(batch.setupFee).toBe(single.setupFee);
+        expect(batch.printerCost).toBe(`$${(3.5 * mk4.hourlyRate * (mk4.materialCostMultiplier || 1)).toFixed(2)}`);
+        expect(batch.breakdown).toContain('Job: 4 copies on 1 plate');
+        expect(pricingEngine.calculateCost('PLA', mk4, settings, { ...part, copies: 4, plates: 2 }).setupFee).toBe('$4.00');
+    });
+});
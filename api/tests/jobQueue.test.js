@@ -0,0 +1,114 @@
+const JobQueue = require('../src/services/jobs/JobQueue');
+
+describe('JobQueue', () => {
+    const waitFor = async (queue, id) => {
+        for (;;) {
+            const job = await queue.get(id);
+            if (job.status === 'completed' || job.status === 'failed') {
+                return job;
+            }
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should record step progress and the result', async () => {
+        const queue = new JobQueue();
+        const seen = [];
+        const queued = await queue.enqueue('job-1', ['first', 'second'], async (progress) => {
+            await progress.start('first');
+            seen.push((await queue.get('job-1')).currentStep);
+            await progress.start('second');
+            seen.push((await queue.get('job-1')).steps.map(step => step.status));
+            return { answer: 42 };
+        });
+
+        expect(queued.status).toBe('queued');
+        const job = await waitFor(queue, 'job-1');
+        expect(seen).toEqual(['first', ['completed', 'running']]);
+        expect(job).toMatchObject({ status: 'completed', currentStep: null, result: { answer: 42 }, error: null });
+        expect(job.steps.every(step => step.status === 'completed')).toBe(true);
+        await expect(queue.enqueue('job-1', [], async () => null)).rejects.toThrow('Job job-1 already exists');
+    });
+
+    it('should record failures with their HTTP code', async () => {
+        const queue = new JobQueue();
+        await queue.enqueue('job-2', ['parse', 'price'], async (progress) => {
+            await progress.start('parse');
+            const error = new Error('Unreadable model');
+            error.code = 422;
+            throw error;
+        });
+        await queue.enqueue('job-3', ['parse'], async () => {
+            throw new Error('Database unavailable');
+        });
+
+        const failed = await waitFor(queue, 'job-2');
+        expect(failed.error).toEqual({ message: 'Unreadable model', code: 422 });
+        expect(failed.steps.map(step => step.status)).toEqual(['failed', 'pending']);
+        expect((await waitFor(queue, 'job-3')).error.code).toBe(500);
+    });
+
+    it('should run no more jobs at once than the concurrency limit', async () => {
+        const queue = new JobQueue({ concurrency: 1 });
+        let release;
+        await queue.enqueue('slow', [], () => new Promise(resolve => { release = resolve; }));
+        await queue.enqueue('next', [], async () => 'done');
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(queue.getStats()).toMatchObject({ backend: 'memory', running: 1, queued: 1 });
+        expect((await queue.get('next')).status).toBe('queued');
+
+        release();
+        expect((await waitFor(queue, 'next')).result).toBe('done');
+    });
+
+    it('should refuse new jobs once maxPending are waiting', async () => {
+        const queue = new JobQueue({ concurrency: 1, maxPending: 1 });
+        let release;
+        await queue.enqueue('slow', [], () => new Promise(resolve => { release = resolve; }));
+        await new Promise(resolve => setImmediate(resolve));
+        await queue.enqueue('waiting', [], async () => 'done');
+
+        const error = await queue.enqueue('refused', [], async () => null).catch(e => e);
+        expect(error).toMatchObject({ name: 'ServiceUnavailableError', code: 503 });
+        expect(error.retryAfter).toBeGreaterThan(0);
+        expect(await queue.get('refused')).toBeNull();
+        expect(queue.getStats()).toMatchObject({ maxPending: 1, queued: 1 });
+        expect(new JobQueue().getStats().maxPending).toBe(10);
+        expect(() => new JobQueue({ maxPending: 0 })).toThrow('Job queue size must be a positive integer.');
+
+        release();
+        await waitFor(queue, 'waiting');
+        await expect(queue.enqueue('refused', [], async () => null)).resolves.toMatchObject({ status: 'queued' });
+    });
+
+    it('should only remove finished jobs', async () => {
+        const queue = new JobQueue();
+        let release;
+        await queue.enqueue('busy', [], () => new Promise(resolve => { release = resolve; }));
+
+        await expect(queue.remove('busy')).rejects.toThrow('Job busy is still queued');
+        await new Promise(resolve => setImmediate(resolve));
+        await expect(queue.remove('busy')).rejects.toThrow('Job busy is still running');
+        release();
+        await waitFor(queue, 'busy');
+        expect(await queue.remove('busy')).toBe(true);
+        expect(await queue.get('busy')).toBeNull();
+        expect(await queue.remove('busy')).toBe(false);
+    });
+
+    it('should forget finished jobs after the retention period', async () => {
+        const queue = new JobQueue({ retentionSeconds: 60 });
+        await queue.enqueue('old', [], async () => null);
+        await waitFor(queue, 'old');
+
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now + 61000);
+        expect(await queue.get('old')).toBeNull();
+        expect(() => new JobQueue({ backend: 'redis' })).toThrow("Unknown job queue backend 'redis'");
+    });
+});
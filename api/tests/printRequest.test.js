@@ -1,5 +1,53 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
+const { PROJECT_ID, writeJwksFile, signIdToken } = require('./fixtures/idTokens');
+
+// Keep uploads out of the working tree
+process.env.FILE_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'makerspace-files-'));
+// Analyze offline so quotes do not depend on a reachable AI service
+process.env.ANALYSIS_PROVIDER = 'rules';
+// Verify ID tokens against the local key set instead of Google's
+process.env.FIREBASE_PROJECT_ID = PROJECT_ID;
+process.env.FIREBASE_JWKS_FILE = writeJwksFile();
+// Polling job status adds up to more calls than the default per-IP limit allows
+process.env.RATE_LIMIT_MAX_REQUESTS = '1000';
+
 const app = require('../src/app').getApp();
+const snowflakeClient = require('../src/database/snowflakeClient');
+const ApiKeyService = require('../src/services/auth/ApiKeyService');
+const { boxTriangles, toBinaryStl } = require('./fixtures/meshes');
+const { toPrusaGcode } = require('./fixtures/gcode');
+
+// Submitting requests takes a signed-in student
+const studentAuth = `Bearer ${signIdToken()}`;
+
+// Managed key the makerspace's admin holds for the queue dashboard
+const STAFF_KEY = 'msk_test-key-for-the-queue-dashboard-12';
+
+// Answers lookups of STAFF_KEY and its owner's roles, and hands every other query to answer
+const mockStaffKey = (answer = async () => []) => jest.spyOn(snowflakeClient, 'execute').mockImplementation(async (sql, binds = []) => {
+    if (sql.includes('FROM api_keys') && binds[0] === ApiKeyService.hash(STAFF_KEY)) {
+        return [{
+            KEY_ID: 'key-1',
+            KEY_PREFIX: STAFF_KEY.slice(0, 12),
+            NAME: 'Queue dashboard',
+            OWNER_USER_ID: 'uid-staff-1',
+            OWNER_EMAIL: 'staff@rutgers.edu',
+            SCOPES: '["admin:*"]',
+            RATE_LIMIT_PER_MINUTE: 1000
+        }];
+    }
+    if (sql.includes('api_keys')) {
+        return [];
+    }
+    if (sql.includes('FROM users') && binds[0] === 'uid-staff-1') {
+        return [{ ROLES: '["admin"]' }];
+    }
+    return answer(sql, binds);
+});
 
 describe('Rutgers Makerspace 3D Printing API', () => {
     describe('GET /', () => {
@@ -60,6 +108,7 @@ describe('Rutgers Makerspace 3D Printing API', () => {
             expect(response.body.data.api).toBeDefined();
             expect(response.body.data.features).toBeDefined();
             expect(response.body.data.supportedMaterials).toBeDefined();
+            expect(response.body.data.supportedFileTypes).toEqual(['STL', 'OBJ', '3MF', 'GCODE', 'GCODE.3MF']);
         });
     });
 
@@ -77,12 +126,38 @@ describe('Rutgers Makerspace 3D Printing API', () => {
             renderImages: ['handle_front.png', 'handle_side.png']
         };
 
+        // Requests are processed in the background; poll the status URL until the job finishes
+        const pollJob = async (statusUrl) => {
+            for (;;) {
+                const { body } = await request(app).get(statusUrl).set('Authorization', studentAuth).expect(200);
+                if (body.data.status === 'completed' || body.data.status === 'failed') {
+                    return body.data;
+                }
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+        };
+
+        const waitForJob = async (submission) => {
+            const queued = await submission.expect(202);
+            expect(queued.headers.location).toBe(queued.body.data.statusUrl);
+            return pollJob(queued.body.data.statusUrl);
+        };
+
+        const quote = async (submission) => {
+            const job = await waitForJob(submission);
+            if (job.status !== 'completed') {
+                throw new Error(`Job failed with ${job.error.code}: ${job.error.message}`);
+            }
+            return job.result;
+        };
+
         it('should validate required fields', async () => {
             const invalidRequest = { ...validRequest };
             delete invalidRequest.firstName;
 
             const response = await request(app)
                 .post('/api/print-request')
+                .set('Authorization', studentAuth)
                 .send(invalidRequest)
                 .expect(422);
 
@@ -96,6 +171,7 @@ describe('Rutgers Makerspace 3D Printing API', () => {
 
             const response = await request(app)
                 .post('/api/print-request')
+                .set('Authorization', studentAuth)
                 .send(invalidRequest)
                 .expect(422);
 
@@ -109,6 +185,7 @@ describe('Rutgers Makerspace 3D Printing API', () => {
 
             const response = await request(app)
                 .post('/api/print-request')
+                .set('Authorization', studentAuth)
                 .send(invalidRequest)
                 .expect(422);
 
@@ -122,6 +199,7 @@ describe('Rutgers Makerspace 3D Printing API', () => {
 
             const response = await request(app)
                 .post('/api/print-request')
+                .set('Authorization', studentAuth)
                 .send(invalidRequest)
                 .expect(422);
 
@@ -131,17 +209,765 @@ describe('Rutgers Makerspace 3D Printing API', () => {
 
         it('should process valid request (mock mode)', async () => {
             // This test will work even without Gemini API key due to fallback logic
+            const queued = await request(app)
+                .post('/api/print-request')
+                .set('Authorization', studentAuth)
+                .field('projectName', 'Tool Handle')
+                .field('description', 'Ergonomic tool handle for mechanical assembly line prototype')
+                .field('material', 'PETG')
+                .field('color', 'Grey')
+                .field('quantity', '1')
+                .field('urgency', 'normal')
+                .field('userEmail', 'jd567@rutgers.edu')
+                .field('userName', 'Jane Doe')
+                .attach('file', toBinaryStl(boxTriangles(30, 20, 15)), 'handle.stl')
+                .expect(202);
+
+            const { requestId, statusUrl } = queued.body.data;
+            expect(requestId).toBeDefined();
+            expect(statusUrl).toBe(`/api/print-request/${requestId}/status`);
+            expect(queued.headers.location).toBe(statusUrl);
+
+            const job = await pollJob(statusUrl);
+            expect(job.status).toBe('completed');
+            const result = job.result;
+            expect(result.requestId).toBe(requestId);
+            expect(result.recommendations).toBeDefined();
+            expect(result.recommendations.recommendedMaterial).toBeDefined();
+            expect(result.recommendations.recommendedPrinter).toBeDefined();
+            expect(result.recommendations.estimatedCost).toBeDefined();
+        });
+
+        it('should queue requests and report progress per step', async () => {
+            const queued = await request(app)
+                .post('/api/print-request')
+                .set('Authorization', studentAuth)
+                .field('projectName', 'Queued Block')
+                .field('description', 'Block used to check background processing')
+                .field('material', 'PLA')
+                .field('color', 'Black')
+                .field('quantity', '1')
+                .field('urgency', 'normal')
+                .field('userEmail', 'jd567@rutgers.edu')
+                .field('userName', 'Jane Doe')
+                .attach('file', toBinaryStl(boxTriangles(20, 20, 20)), 'block.stl')
+                .expect(202);
+
+            const { requestId, statusUrl, steps } = queued.body.data;
+            expect(queued.body.data.status).toBe('queued');
+            expect(statusUrl).toBe(`/api/print-request/${requestId}/status`);
+            expect(steps.map(step => step.name)).toEqual(['analysis', 'material', 'printer', 'settings', 'pricing', 'persistence']);
+
+            const job = await pollJob(statusUrl);
+            expect(job.status).toBe('completed');
+            expect(job.steps.every(step => step.status === 'completed' && step.completedAt)).toBe(true);
+            expect(job.result.requestId).toBe(requestId);
+
+            await request(app).get(statusUrl).expect(401);
+            await request(app)
+                .get(statusUrl)
+                .set('Authorization', `Bearer ${signIdToken({ sub: 'uid-student-2', email: 'ab123@rutgers.edu' })}`)
+                .expect(403);
+            const lookup = jest.spyOn(snowflakeClient, 'execute').mockResolvedValue([]);
+            try {
+                await request(app).get('/api/print-request/REQ-unknown/status').set('Authorization', studentAuth).expect(404);
+            } finally {
+                lookup.mockRestore();
+            }
+        });
+
+        it('should refuse unauthenticated uploads before reading them', async () => {
+            // multer would fail this file type with 500 if it ran first
             const response = await request(app)
                 .post('/api/print-request')
-                .send(validRequest)
+                .attach('file', Buffer.from('MZ'), 'setup.exe')
+                .expect(401);
+            expect(response.body.message).toBe('A Firebase ID token is required');
+
+            await request(app)
+                .post('/api/print-request/REQ-7/revision')
+                .attach('file', Buffer.from('MZ'), 'setup.exe')
+                .expect(401);
+        });
+
+        it('should answer 503 with Retry-After when the queue is full', async () => {
+            const JobQueue = require('../src/services/jobs/JobQueue');
+            const { ServiceUnavailableError } = require('../src/middleware/errorHandler');
+            const full = jest.spyOn(JobQueue.prototype, 'assertCapacity').mockImplementation(() => {
+                throw new ServiceUnavailableError('The processing queue is full.', 30);
+            });
+
+            try {
+                const response = await request(app)
+                    .post('/api/print-request')
+                    .set('Authorization', studentAuth)
+                    .field('projectName', 'Crowded Block')
+                    .field('description', 'Block submitted while the queue is full')
+                    .field('material', 'PLA')
+                    .field('color', 'Black')
+                    .field('quantity', '1')
+                    .field('urgency', 'normal')
+                    .field('userEmail', 'jd567@rutgers.edu')
+                    .field('userName', 'Jane Doe')
+                    .attach('file', toBinaryStl(boxTriangles(20, 20, 20)), 'block.stl')
+                    .expect(503);
+                expect(response.headers['retry-after']).toBe('30');
+            } finally {
+                full.mockRestore();
+            }
+        });
+
+        it('should quote an uploaded STL from its measured geometry', async () => {
+            const result = await quote(request(app)
+                .post('/api/print-request')
+                .set('Authorization', studentAuth)
+                .field('projectName', 'Calibration Block')
+                .field('description', 'Simple calibration block for a class demo')
+                .field('material', 'PLA')
+                .field('color', 'Black')
+                .field('quantity', '1')
+                .field('urgency', 'normal')
+                .field('userEmail', 'jd567@rutgers.edu')
+                .field('userName', 'Jane Doe')
+                .attach('file', toBinaryStl(boxTriangles(40, 20, 10)), 'block.stl'));
+
+            const geometry = result.project.geometry;
+            expect(geometry.volume).toBeCloseTo(8.0, 4);
+            expect(geometry.dimensions).toEqual({ x: 40, y: 20, z: 10 });
+            expect(result.recommendations.estimatedMaterialWeight).toBeGreaterThan(0);
+            expect(result.recommendations.orientation.label).toBe('As modeled');
+            expect(result.project.buildVolumeFit.every(fit => fit.fits)).toBe(true);
+            expect(result.project.meshHealth.status).toBe('ok');
+            expect(result.project.overhangs.hasOverhangs).toBe(false);
+            expect(result.recommendations.printSettings.supports).toBe(false);
+            expect(result.aiAnalysis.views).toEqual(['front', 'side', 'top', 'isometric']);
+        });
+
+        it('should store the quoted file and serve it by hash', async () => {
+            const stl = toBinaryStl(boxTriangles(30, 30, 30));
+            const submit = () => quote(request(app)
+                .post('/api/print-request')
+                .set('Authorization', studentAuth)
+                .field('projectName', 'Stored Cube')
+                .field('description', 'Cube used to check file storage')
+                .field('material', 'PLA')
+                .field('color', 'Black')
+                .field('quantity', '1')
+                .field('urgency', 'normal')
+                .field('userEmail', 'jd567@rutgers.edu')
+                .field('userName', 'Jane Doe')
+                .attach('file', stl, 'cube.stl'));
+
+            const first = (await submit()).project.file;
+            const second = (await submit()).project.file;
+            expect(first.hash).toMatch(/^[a-f0-9]{64}$/);
+            expect(first.url).toBe(`/api/files/${first.hash}`);
+            expect(second).toMatchObject({ hash: first.hash, deduplicated: true });
+
+            // Only the submitter of a stored request holding the file may download it
+            const owners = jest.spyOn(snowflakeClient, 'execute').mockImplementation(async (sql) => (
+                sql.includes('UNION') ? [{ USER_ID: 'uid-student-1' }] : []
+            ));
+            try {
+                await request(app).get(first.url).expect(401);
+                await request(app)
+                    .get(first.url)
+                    .set('Authorization', `Bearer ${signIdToken({ sub: 'uid-student-2', email: 'ab123@rutgers.edu' })}`)
+                    .expect(403);
+
+                const download = await request(app)
+                    .get(first.url)
+                    .set('Authorization', studentAuth)
+                    .buffer(true)
+                    .parse((res, callback) => {
+                        const chunks = [];
+                        res.on('data', chunk => chunks.push(chunk));
+                        res.on('end', () => callback(null, Buffer.concat(chunks)));
+                    })
+                    .expect(200);
+                expect(download.headers['content-type']).toBe('model/stl');
+                expect(download.headers['cache-control']).toMatch(/^private/);
+                expect(Buffer.compare(download.body, stl)).toBe(0);
+
+                expect(first.thumbnailUrl).toMatch(/^\/api\/files\/[a-f0-9]{64}$/);
+                const thumbnail = await request(app).get(first.thumbnailUrl).set('Authorization', studentAuth).expect(200);
+                expect(thumbnail.headers['content-type']).toBe('image/png');
+            } finally {
+                owners.mockRestore();
+            }
+        });
+
+        it('should reuse the analysis of an identical resubmission', async () => {
+            const stl = toBinaryStl(boxTriangles(25, 25, 25));
+            const submit = (description) => quote(request(app)
+                .post('/api/print-request')
+                .set('Authorization', studentAuth)
+                .field('projectName', 'Cached Cube')
+                .field('description', description)
+                .field('material', 'PLA')
+                .field('color', 'Black')
+                .field('quantity', '1')
+                .field('urgency', 'normal')
+                .field('userEmail', 'jd567@rutgers.edu')
+                .field('userName', 'Jane Doe')
+                .attach('file', stl, 'cube.stl'));
+
+            const first = (await submit('Cube used to check the analysis cache')).aiAnalysis;
+            const second = (await submit('Cube used to check the analysis cache')).aiAnalysis;
+            const changed = (await submit('Cube used to check the analysis cache again')).aiAnalysis;
+
+            expect(first.cached).toBe(false);
+            expect(second).toEqual({ ...first, cached: true });
+            expect(changed.cached).toBe(false);
+
+            const health = await request(app).get('/api/health');
+            expect(health.body.analysisCache.enabled).toBe(true);
+            expect(health.body.analysisCache.hits).toBeGreaterThanOrEqual(1);
+        });
+
+        it('should reject unknown or malformed file hashes', async () => {
+            const execute = mockStaffKey();
+            try {
+                await request(app).get(`/api/files/${'0'.repeat(64)}`).set('X-API-Key', STAFF_KEY).expect(404);
+                await request(app).get('/api/files/not-a-hash').set('X-API-Key', STAFF_KEY).expect(422);
+            } finally {
+                execute.mockRestore();
+            }
+        });
+
+        it('should rescale uploads using the submitted unit', async () => {
+            const result = await quote(request(app)
+                .post('/api/print-request')
+                .set('Authorization', studentAuth)
+                .field('projectName', 'Imperial Bracket')
+                .field('description', 'Bracket exported from CAD in inches')
+                .field('material', 'PLA')
+                .field('color', 'Black')
+                .field('quantity', '1')
+                .field('urgency', 'normal')
+                .field('userEmail', 'jd567@rutgers.edu')
+                .field('userName', 'Jane Doe')
+                .field('unit', 'inch')
+                .attach('file', toBinaryStl(boxTriangles(4, 2, 1)), 'bracket.stl'));
+
+            const geometry = result.project.geometry;
+            expect(geometry.units).toMatchObject({ unit: 'inch', source: 'override' });
+            expect(geometry.dimensions).toEqual({ x: 101.6, y: 50.8, z: 25.4 });
+
+            const { slicerProfile } = result.recommendations;
+            expect(slicerProfile.format).toMatch(/^(prusaslicer|cura|bambu)$/);
+            expect(slicerProfile.url).toBe(`/api/print-request/${result.requestId}/slicer-profile`);
+
+            const { printTime, estimatedPrintTime } = result.recommendations;
+            expect(printTime.layers).toBeGreaterThan(0);
+            expect(estimatedPrintTime).toBe(printTime.formatted);
+        });
+
+        it('should plan copies onto shared build plates', async () => {
+            const result = await quote(request(app)
+                .post('/api/print-request')
+                .set('Authorization', studentAuth)
+                .field('projectName', 'Cable Clips')
+                .field('description', 'Small cable clips for a lab bench')
+                .field('material', 'PLA')
+                .field('color', 'Black')
+                .field('quantity', '6')
+                .field('urgency', 'normal')
+                .field('userEmail', 'jd567@rutgers.edu')
+                .field('userName', 'Jane Doe')
+                .attach('file', toBinaryStl(boxTriangles(30, 15, 8)), 'clip.stl'));
+
+            const { jobPlan, printTime, estimatedPrintTime } = result.recommendations;
+            expect(jobPlan).toMatchObject({ source: 'model', copies: 6, plateCount: 1 });
+            expect(jobPlan.plates[0].parts).toHaveLength(6);
+            // Six copies on one plate take less than six separate prints
+            expect(jobPlan.totalSeconds).toBeLessThan(printTime.seconds * 6);
+            expect(estimatedPrintTime).toBe(jobPlan.formatted);
+            expect(result.reasoning.pricing).toContain('Job: 6 copies on 1 plate');
+        });
+
+        it('should reject parts that fit no printer in any orientation', async () => {
+            const job = await waitForJob(request(app)
+                .post('/api/print-request')
+                .set('Authorization', studentAuth)
+                .field('projectName', 'Oversized Panel')
+                .field('description', 'Wall panel larger than every build plate')
+                .field('material', 'PLA')
+                .field('color', 'Black')
+                .field('quantity', '1')
+                .field('urgency', 'normal')
+                .field('userEmail', 'jd567@rutgers.edu')
+                .field('userName', 'Jane Doe')
+                .attach('file', toBinaryStl(boxTriangles(400, 400, 5)), 'panel.stl'));
+
+            expect(job.error.code).toBe(422);
+            expect(job.error.message).toMatch(/does not fit any printer/);
+        });
+
+        it('should quote sliced G-code from its slicer header', async () => {
+            const result = await quote(request(app)
+                .post('/api/print-request')
+                .set('Authorization', studentAuth)
+                .field('projectName', 'Sliced Bracket')
+                .field('description', 'Bracket I already sliced for the MK4')
+                .field('material', 'PLA')
+                .field('color', 'Black')
+                .field('quantity', '1')
+                .field('urgency', 'normal')
+                .field('userEmail', 'jd567@rutgers.edu')
+                .field('userName', 'Jane Doe')
+                .attach('file', toPrusaGcode(), 'bracket.gcode'));
+
+            const { project, recommendations } = result;
+            expect(project.printFile).toMatchObject({ slicer: 'PrusaSlicer', printerModel: 'MK4IS' });
+            expect(project.printFile.buildVolume.fits).toBe(true);
+            expect(project.file.thumbnailUrl).toMatch(/^\/api\/files\//);
+            expect(recommendations.recommendedPrinter).toBe('Prusa MK4');
+            expect(recommendations.recommendedMaterial).toBe('PETG');
+            expect(recommendations.printSettings).toMatchObject({ layerHeight: '0.2mm', nozzleTemp: '240C', bedTemp: '85C' });
+            expect(recommendations.printTime.source).toBe('slicer');
+            expect(recommendations.estimatedPrintTime).toBe('2.5 hours');
+            expect(recommendations.estimatedMaterialWeight).toBe(3.7);
+        });
+
+        it('should reject G-code sliced for other printers or larger beds', async () => {
+            const submit = (buffer) => waitForJob(request(app)
+                .post('/api/print-request')
+                .set('Authorization', studentAuth)
+                .field('projectName', 'Sliced Panel')
+                .field('description', 'Panel sliced at home')
+                .field('material', 'PLA')
+                .field('color', 'Black')
+                .field('quantity', '1')
+                .field('urgency', 'normal')
+                .field('userEmail', 'jd567@rutgers.edu')
+                .field('userName', 'Jane Doe')
+                .attach('file', buffer, 'panel.gcode'));
+
+            const unknown = await submit(toPrusaGcode({ printerModel: 'Ender-3 V2' }));
+            expect(unknown.error.code).toBe(422);
+            expect(unknown.error.message).toMatch(/sliced for the Ender-3 V2, which the makerspace does not have/);
+
+            const oversized = await submit(toPrusaGcode({ block: { x: 0, y: 0, size: 230 } }));
+            expect(oversized.error.message).toMatch(/exceeds the 250 × 210 × 220 mm build volume of the Prusa MK4/);
+
+            const offBed = await submit(toPrusaGcode({ block: { x: 240, y: 20, size: 20 } }));
+            expect(offBed.error.message).toMatch(/runs from 240 × 20 × 0.2 to 260 × 40 × 1 mm, outside the 250 × 210 × 220 mm build volume/);
+        });
+
+        it('should reject unreadable model files', async () => {
+            const job = await waitForJob(request(app)
+                .post('/api/print-request')
+                .set('Authorization', studentAuth)
+                .field('projectName', 'Broken Upload')
+                .field('description', 'This upload is not really an STL file')
+                .field('material', 'PLA')
+                .field('color', 'Black')
+                .field('quantity', '1')
+                .field('urgency', 'normal')
+                .field('userEmail', 'jd567@rutgers.edu')
+                .field('userName', 'Jane Doe')
+                .attach('file', Buffer.from('solid broken\nendsolid broken'), 'broken.stl'));
+
+            expect(job.status).toBe('failed');
+            expect(job.error.code).toBe(422);
+            expect(job.steps.find(step => step.name === 'analysis').status).toBe('failed');
+        });
+    });
+
+    describe('POST /api/admin/analysis-replay', () => {
+        const storedAnalysis = {
+            analysis: {
+                provider: 'gemini',
+                promptVersion: 'v1',
+                recommendedMaterial: 'PLA',
+                complexity: 'complex',
+                supportsNeeded: false,
+                volumeCategory: 'small',
+                qualityRecommendation: 'standard',
+                reasoning: 'Stored analysis',
+                confidence: 0.7,
+                views: []
+            },
+            analysisInputs: {
+                description: 'Simple calibration block for a class demo',
+                imageUrls: [],
+                material: 'PLA',
+                color: 'Black',
+                measurements: { volume: 8, surfaceArea: 28, dimensions: { x: 40, y: 20, z: 10 }, triangleCount: 12, objectCount: 1 },
+                fileHash: null
+            }
+        };
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should require an admin API key', async () => {
+            await request(app)
+                .post('/api/admin/analysis-replay')
+                .send({ requestIds: ['REQ-1'], promptVersion: 'v1' })
+                .expect(401);
+        });
+
+        it('should replay stored analyses and list the changed recommendations', async () => {
+            mockStaffKey(async (sql, binds) => (
+                binds[0] === 'REQ-1' ? [{ REQUEST_ID: 'REQ-1', RESULT_DATA: JSON.stringify(storedAnalysis) }] : []
+            ));
+
+            const response = await request(app)
+                .post('/api/admin/analysis-replay')
+                .set('X-API-Key', STAFF_KEY)
+                .send({ requestIds: ['REQ-1', 'REQ-404'], promptVersion: 'v1' })
                 .expect(200);
 
-            expect(response.body.status).toBe('success');
-            expect(response.body.data.requestId).toBeDefined();
-            expect(response.body.data.recommendations).toBeDefined();
-            expect(response.body.data.recommendations.recommendedMaterial).toBeDefined();
-            expect(response.body.data.recommendations.recommendedPrinter).toBeDefined();
-            expect(response.body.data.recommendations.estimatedCost).toBeDefined();
+            const { summary, results } = response.body.data;
+            expect(summary).toMatchObject({ requested: 2, replayed: 1, changed: 1, skipped: 1, failed: 0 });
+            expect(results[0].before.complexity).toBe('complex');
+            expect(results[0].after).toMatchObject({ provider: 'rules', complexity: 'simple' });
+            expect(results[0].changes).toEqual([{ field: 'complexity', before: 'complex', after: 'simple' }]);
+            expect(results[1]).toEqual({ requestId: 'REQ-404', status: 'not_found' });
+        });
+
+        it('should reject unknown prompt versions', async () => {
+            mockStaffKey();
+            const response = await request(app)
+                .post('/api/admin/analysis-replay')
+                .set('X-API-Key', STAFF_KEY)
+                .send({ requestIds: ['REQ-1'], promptVersion: 'v999' })
+                .expect(422);
+
+            expect(response.body.message).toBe('Validation error');
+        });
+    });
+
+    describe('PATCH /api/admin/print-request/:id/status', () => {
+
+        // Answers the repository's queries for a request stored with the given status
+        const mockStoredRequest = (status, logs = [], stored = {}) => mockStaffKey(async (sql) => {
+            if (sql.includes('FROM print_request_logs')) return logs;
+            if (sql.includes('SELECT')) return [{ STATUS: status, USER_EMAIL: 'jd567@rutgers.edu', ...stored }];
+            if (sql.includes('UPDATE')) return [{ 'number of rows updated': 1 }];
+            return [];
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should apply allowed transitions and log the key and owner that made them, and why', async () => {
+            const execute = mockStoredRequest('approved', [], { QUOTE_LOCKED_AT: '2026-10-19T12:00:00Z' });
+
+            const response = await request(app)
+                .patch('/api/admin/print-request/REQ-1/status')
+                .set('X-API-Key', STAFF_KEY)
+                // A name in the body does not change who the change is recorded for
+                .send({ status: 'queued', reason: 'Sliced for the Prusa', actor: 'director@rutgers.edu' })
+                .expect(200);
+
+            expect(response.body.data).toMatchObject({
+                previousStatus: 'approved',
+                status: 'queued',
+                actor: 'staff@rutgers.edu (API key "Queue dashboard")',
+                allowedTransitions: ['printing', 'cancelled']
+            });
+            const [, logBinds] = execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO print_request_logs'));
+            expect(logBinds).toEqual([
+                'REQ-1',
+                'status_changed',
+                expect.stringContaining('"from_status":"approved","to_status":"queued"'),
+                'Sliced for the Prusa',
+                'staff@rutgers.edu (API key "Queue dashboard")'
+            ]);
+        });
+
+        it('should refuse keys listed in VALID_API_KEYS', async () => {
+            process.env.VALID_API_KEYS = 'admin-key';
+            const execute = mockStoredRequest('approved', [], { QUOTE_LOCKED_AT: '2026-10-19T12:00:00Z' });
+
+            try {
+                const response = await request(app)
+                    .patch('/api/admin/print-request/REQ-1/status')
+                    .set('X-API-Key', 'admin-key')
+                    .send({ status: 'queued' })
+                    .expect(401);
+                expect(response.body.message).toBe('API key is not valid.');
+                expect(execute.mock.calls.some(([sql]) => sql.includes('UPDATE print_requests'))).toBe(false);
+            } finally {
+                delete process.env.VALID_API_KEYS;
+            }
+        });
+
+        it('should leave review decisions and unlocked quotes to the review endpoint', async () => {
+            const execute = mockStoredRequest('needs_review');
+
+            const refused = await request(app)
+                .patch('/api/admin/print-request/REQ-1/status')
+                .set('X-API-Key', STAFF_KEY)
+                .send({ status: 'approved' })
+                .expect(409);
+            expect(refused.body.message).toBe('Print request REQ-1 can only become approved by reviewing it (POST /api/admin/print-request/REQ-1/review).');
+
+            execute.mockRestore();
+            mockStoredRequest('failed');
+            const unlocked = await request(app)
+                .patch('/api/admin/print-request/REQ-1/status')
+                .set('X-API-Key', STAFF_KEY)
+                .send({ status: 'queued' })
+                .expect(409);
+            expect(unlocked.body.message).toBe('Print request REQ-1 cannot be queued until its quote is locked by approving it.');
+            expect(snowflakeClient.execute.mock.calls.some(([sql]) => sql.includes('UPDATE print_requests'))).toBe(false);
+        });
+
+        it('should refuse transitions the lifecycle does not allow', async () => {
+            const execute = mockStoredRequest('pending');
+
+            const response = await request(app)
+                .patch('/api/admin/print-request/REQ-1/status')
+                .set('X-API-Key', STAFF_KEY)
+                .send({ status: 'printing' })
+                .expect(409);
+
+            expect(response.body.message).toBe('Cannot change status from submitted to printing. Allowed: needs_review, failed, cancelled.');
+            expect(response.body.allowedTransitions).toEqual(['needs_review', 'failed', 'cancelled']);
+            expect(execute.mock.calls.some(([sql]) => sql.includes('UPDATE print_requests'))).toBe(false);
+
+            await request(app)
+                .patch('/api/admin/print-request/REQ-1/status')
+                .set('X-API-Key', STAFF_KEY)
+                .send({ status: 'lost' })
+                .expect(422);
+        });
+
+        it('should return the status history', async () => {
+            mockStoredRequest('approved', [
+                { EVENT_TYPE: 'status_changed', EVENT_DATA: '{"from_status":null,"to_status":"submitted"}', CREATED_BY: 'jd567@rutgers.edu', NOTE: 'Request submitted', LOGGED_AT: '2026-10-19T10:00:00Z' },
+                { EVENT_TYPE: 'ai_completed', EVENT_DATA: '{}', CREATED_BY: 'ai-service', NOTE: null, LOGGED_AT: '2026-10-19T10:01:00Z' },
+                { EVENT_TYPE: 'status_changed', EVENT_DATA: { from_status: 'submitted', to_status: 'needs_review' }, CREATED_BY: 'system', NOTE: null, LOGGED_AT: '2026-10-19T10:02:00Z' }
+            ]);
+
+            const response = await request(app)
+                .get('/api/admin/print-request/REQ-1/status-history')
+                .set('X-API-Key', STAFF_KEY)
+                .expect(200);
+
+            expect(response.body.data).toMatchObject({ status: 'approved', allowedTransitions: ['queued', 'cancelled'] });
+            expect(response.body.data.history.map(change => [change.from, change.to, change.actor])).toEqual([
+                [null, 'submitted', 'jd567@rutgers.edu'],
+                ['submitted', 'needs_review', 'system']
+            ]);
+        });
+    });
+
+    describe('Review workflow', () => {
+        let stored;
+        let revisions;
+
+        // Keeps one stored request and its revisions in memory and answers the queries made against them
+        const mockStoredRequest = () => mockStaffKey(async (sql, binds = []) => {
+            if (sql.includes('INSERT INTO print_request_revisions')) {
+                const [, revision, fileName, fileSize, , fileHash] = binds;
+                revisions.push({ REVISION: revision, FILE_NAME: fileName, FILE_SIZE: fileSize, FILE_HASH: fileHash, MEASUREMENTS: binds[9], ESTIMATED_COST: binds[16], SNAPSHOT_ID: binds[18], NOTES: binds[19] });
+                return [];
+            }
+            if (sql.includes('FROM print_request_revisions')) {
+                return revisions;
+            }
+            if (sql.includes('SET status = ?')) {
+                stored.STATUS = binds[0];
+                return [{ 'number of rows updated': 1 }];
+            }
+            if (sql.includes('quote_locked_at IS NULL')) {
+                Object.assign(stored, { APPROVED_COST: stored.ESTIMATED_COST, QUOTE_LOCKED_AT: '2026-10-19T12:00:00Z', QUOTE_LOCKED_BY: binds[0] });
+                return [{ 'number of rows updated': 1 }];
+            }
+            if (sql.trim().startsWith('SELECT') && binds.includes(stored.REQUEST_ID)) {
+                return [{ ...stored }];
+            }
+            if (sql.includes('FROM users') && binds[0] === 'uid-staff-2') {
+                return [{ ROLES: '["staff"]' }];
+            }
+            return [];
+        });
+
+        const review = (body) => request(app)
+            .post(`/api/admin/print-request/${stored.REQUEST_ID}/review`)
+            .set('X-API-Key', STAFF_KEY)
+            .send(body);
+
+        const uploadRevision = (uid) => request(app)
+            .post(`/api/print-request/${stored.REQUEST_ID}/revision`)
+            .set('Authorization', `Bearer ${signIdToken({ sub: uid })}`)
+            .field('notes', 'Thickened the mounting tabs')
+            .attach('file', toBinaryStl(boxTriangles(20, 10, 5)), 'bracket-v2.stl');
+
+        beforeEach(() => {
+            stored = {
+                REQUEST_ID: 'REQ-7',
+                PROJECT_NAME: 'Sensor Bracket',
+                DESCRIPTION: 'Wall bracket for a lab sensor',
+                MATERIAL: 'PLA',
+                COLOR: 'Black',
+                QUANTITY: 1,
+                URGENCY: 'normal',
+                SPECIAL_INSTRUCTIONS: '',
+                STATUS: 'needs_review',
+                REVISION: 1,
+                ESTIMATED_COST: 4.2,
+                USER_ID: 'uid-student-1',
+                USER_NAME: 'Jane Doe',
+                USER_EMAIL: 'jd567@rutgers.edu'
+            };
+            revisions = [];
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should list the review queue with the rejection reasons', async () => {
+            mockStaffKey(async () => [{ ...stored, MESH_HEALTH: '{"status":"ok"}' }]);
+
+            const response = await request(app)
+                .get('/api/admin/review-queue')
+                .set('X-API-Key', STAFF_KEY)
+                .expect(200);
+
+            expect(response.body.data.requests[0]).toMatchObject({
+                requestId: 'REQ-7',
+                user: { name: 'Jane Doe', email: 'jd567@rutgers.edu' },
+                meshHealth: { status: 'ok' },
+                revision: 1
+            });
+            expect(response.body.data.rejectionReasons.map(reason => reason.code)).toContain('too_large');
+        });
+
+        it('should lock the quote when approving', async () => {
+            const execute = mockStoredRequest();
+
+            const response = await review({ decision: 'approve' }).expect(200);
+
+            const reviewer = 'staff@rutgers.edu (API key "Queue dashboard")';
+            expect(response.body.data.change).toMatchObject({ previousStatus: 'needs_review', status: 'approved' });
+            expect(response.body.data.quote).toMatchObject({ cost: 4.2, lockedBy: reviewer });
+            const [, reviewBinds] = execute.mock.calls.find(([sql]) => sql.includes('review_decision = ?'));
+            expect(reviewBinds).toEqual(['approve', null, null, reviewer, 'REQ-7']);
+        });
+
+        it('should record signed-in reviewers by their email rather than a name in the body', async () => {
+            const execute = mockStoredRequest();
+
+            await request(app)
+                .post('/api/admin/print-request/REQ-7/review')
+                .set('Authorization', `Bearer ${signIdToken({ sub: 'uid-staff-2', email: 'tech@rutgers.edu' })}`)
+                .send({ decision: 'approve', reviewer: 'director@rutgers.edu' })
+                .expect(200);
+
+            const [, reviewBinds] = execute.mock.calls.find(([sql]) => sql.includes('review_decision = ?'));
+            expect(reviewBinds[3]).toBe('tech@rutgers.edu');
+        });
+
+        it('should reject only with a reason code and only while waiting for review', async () => {
+            mockStoredRequest();
+
+            await review({ decision: 'reject' }).expect(422);
+            const rejected = await review({ decision: 'reject', reasonCode: 'too_large', notes: '40 cm tall' }).expect(200);
+            expect(rejected.body.data.change.reason).toBe('The model is too large for the makerspace printers: 40 cm tall');
+
+            const again = await review({ decision: 'approve' }).expect(409);
+            expect(again.body.allowedTransitions).toEqual([]);
+        });
+
+        it('should take a revised file from the submitter after changes are requested', async () => {
+            const execute = mockStoredRequest();
+
+            await review({ decision: 'request_changes' }).expect(422);
+            await review({ decision: 'request_changes', notes: 'Mounting tabs are too thin' }).expect(200);
+            expect(stored.STATUS).toBe('changes_requested');
+
+            await uploadRevision('uid-student-2').expect(403);
+            const queued = await uploadRevision('uid-student-1').expect(202);
+            expect(queued.body.data.requestId).toBe('REQ-7');
+
+            for (let job = queued.body.data; job.status !== 'completed'; ) {
+                expect(job.status).not.toBe('failed');
+                await new Promise(resolve => setTimeout(resolve, 10));
+                job = (await request(app).get(job.statusUrl).set('Authorization', `Bearer ${signIdToken({ sub: 'uid-student-1' })}`).expect(200)).body.data;
+            }
+
+            expect(stored.STATUS).toBe('needs_review');
+            const [revisionSql, revisionBinds] = execute.mock.calls.find(([sql]) => sql.includes('revision = ?'));
+            expect(revisionBinds.slice(-2)).toEqual([2, 'REQ-7']);
+            // VARIANT columns are parsed so they are stored as objects rather than JSON strings
+            expect(revisionSql).toContain('mesh_health = PARSE_JSON(?)');
+            expect(revisionSql).toContain('job_plan = PARSE_JSON(?)');
+            await uploadRevision('uid-student-1').expect(409);
+
+            const [snapshotSql, snapshotBinds] = execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO pricing_snapshots'));
+            expect(snapshotBinds.slice(1, 3)).toEqual(['REQ-7', 2]);
+            expect(typeof snapshotBinds[3]).toBe('number');
+            // The breakdown is stored as an object rather than a JSON string
+            expect(snapshotSql).toContain('PARSE_JSON(?)');
+            expect(snapshotSql).not.toContain('VALUES');
+            expect(JSON.parse(snapshotBinds[5])).toMatchObject({ total: snapshotBinds[3] });
+            expect(revisions).toHaveLength(1);
+            expect(revisions[0]).toMatchObject({ REVISION: 2, FILE_NAME: 'bracket-v2.stl', SNAPSHOT_ID: snapshotBinds[0], NOTES: 'Thickened the mounting tabs' });
+            expect(revisions[0].FILE_HASH).toMatch(/^[0-9a-f]{64}$/);
+        });
+
+        it('should keep a request waiting for changes until its revision is saved', async () => {
+            stored.STATUS = 'changes_requested';
+            const execute = mockStoredRequest();
+            const answer = execute.getMockImplementation();
+            execute.mockImplementation(async (sql, binds) => {
+                if (sql.includes('INSERT INTO print_request_revisions')) {
+                    throw new Error('Warehouse is suspended');
+                }
+                return answer(sql, binds);
+            });
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const waitForRevision = async (upload) => {
+                let job = (await upload.expect(202)).body.data;
+                while (job.status !== 'completed' && job.status !== 'failed') {
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                    job = (await request(app).get(job.statusUrl).set('Authorization', studentAuth).expect(200)).body.data;
+                }
+                return job;
+            };
+
+            const failed = await waitForRevision(uploadRevision('uid-student-1'));
+            expect(failed.status).toBe('failed');
+            expect(stored.STATUS).toBe('changes_requested');
+
+            // The submitter can upload the revision again once the warehouse is back
+            execute.mockImplementation(answer);
+            const saved = await waitForRevision(uploadRevision('uid-student-1'));
+            expect(saved.status).toBe('completed');
+            expect(stored.STATUS).toBe('needs_review');
+        });
+
+        it('should return the revision history with the request details', async () => {
+            mockStoredRequest();
+            revisions.push(
+                { REVISION: 1, FILE_NAME: 'bracket.stl', MEASUREMENTS: '{"volume":800}', ESTIMATED_COST: 4.2, SNAPSHOT_ID: 'snap-1', PRICE_AMOUNT: 4.2, PRICE_CURRENCY: 'USD' },
+                { REVISION: 2, FILE_NAME: 'bracket-v2.stl', MEASUREMENTS: { volume: 1000 }, ESTIMATED_COST: 5.1, SNAPSHOT_ID: null, NOTES: 'Thicker tabs' }
+            );
+            stored.REVISION = 2;
+
+            await request(app).get('/api/print-request/REQ-7').expect(401);
+            await request(app).get('/api/print-request/REQ-7').set('Authorization', `Bearer ${signIdToken({ sub: 'uid-student-2' })}`).expect(403);
+            const response = await request(app).get('/api/print-request/REQ-7').set('Authorization', studentAuth).expect(200);
+
+            expect(response.body.data.revision).toBe(2);
+            expect(response.body.data.revisions).toHaveLength(2);
+            expect(response.body.data.revisions[0]).toMatchObject({
+                revision: 1,
+                file: { name: 'bracket.stl' },
+                measurements: { volume: 800 },
+                pricing: { snapshotId: 'snap-1', amount: 4.2, currency: 'USD' }
+            });
+            expect(response.body.data.revisions[1]).toMatchObject({ revision: 2, measurements: { volume: 1000 }, cost: 5.1, pricing: null, notes: 'Thicker tabs' });
         });
     });
 
@@ -176,6 +1002,115 @@ describe('Rutgers Makerspace 3D Printing API', () => {
         });
     });
 
+    describe('GET /api/events', () => {
+        let server;
+
+        // Opens an event stream and collects the parsed events as they arrive
+        const openStream = (query) => new Promise((resolve, reject) => {
+            const events = [];
+            const waiters = [];
+            let buffer = '';
+
+            const req = http.get({ port: server.address().port, path: `/api/events${query}` }, (res) => {
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    buffer += chunk;
+                    const blocks = buffer.split('\n\n');
+                    buffer = blocks.pop();
+                    for (const block of blocks) {
+                        const type = block.match(/^event: (.+)$/m);
+                        const data = block.match(/^data: (.+)$/m);
+                        if (type && data) {
+                            events.push({ type: type[1], data: JSON.parse(data[1]) });
+                        }
+                    }
+                    waiters.filter(waiter => events.some(waiter.match)).forEach(waiter => waiter.resolve());
+                });
+                resolve({
+                    headers: res.headers,
+                    events,
+                    waitFor: (match) => new Promise((done) => {
+                        waiters.push({ match, resolve: done });
+                        if (events.some(match)) {
+                            done();
+                        }
+                    }),
+                    close: () => req.destroy()
+                });
+            });
+            req.on('error', reject);
+        });
+
+        beforeAll((done) => {
+            server = app.listen(0, done);
+        });
+
+        afterAll((done) => {
+            server.close(done);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should stream request updates to their submitter and equipment updates to everyone', async () => {
+            const issued = await request(app)
+                .post('/api/events/token')
+                .set('Authorization', studentAuth)
+                .expect(201);
+            const owner = await openStream(`?token=${issued.body.data.token}`);
+            // Naming someone else's email does not subscribe to their requests
+            const anonymous = await openStream('?email=jd567@rutgers.edu');
+            expect(owner.headers['content-type']).toMatch(/^text\/event-stream/);
+
+            const queued = await request(app)
+                .post('/api/print-request')
+                .set('Authorization', studentAuth)
+                .field('projectName', 'Streamed Block')
+                .field('description', 'Block used to check live updates')
+                .field('material', 'PLA')
+                .field('color', 'Black')
+                .field('quantity', '1')
+                .field('urgency', 'normal')
+                .field('userEmail', 'jd567@rutgers.edu')
+                .field('userName', 'Jane Doe')
+                .attach('file', toBinaryStl(boxTriangles(15, 15, 15)), 'block.stl')
+                .expect(202);
+            const { requestId } = queued.body.data;
+            await owner.waitFor(event => event.type === 'print-request.progress' && event.data.status === 'completed');
+
+            mockStaffKey(async (sql) => (sql.trim().startsWith('SELECT') ? [{ EQUIPMENT_ID: 'EQ-1', NAME: 'Prusa MK4', STATUS: 'operational' }] : []));
+            await request(app)
+                .put('/api/admin/equipment/EQ-1/status')
+                .set('X-API-Key', STAFF_KEY)
+                .send({ status: 'maintenance', notes: 'Nozzle swap' })
+                .expect(200);
+            await anonymous.waitFor(event => event.type === 'equipment.status');
+            await owner.waitFor(event => event.type === 'equipment.status');
+            owner.close();
+            anonymous.close();
+
+            const ownerRequestEvents = owner.events.filter(event => event.data.requestId === requestId);
+            expect(ownerRequestEvents[0]).toMatchObject({ type: 'print-request.submitted', data: { projectName: 'Streamed Block' } });
+            expect(ownerRequestEvents.filter(event => event.type === 'print-request.progress').map(event => event.data.currentStep))
+                .toEqual(expect.arrayContaining(['analysis', 'pricing', 'persistence']));
+            expect(anonymous.events.map(event => event.type)).toEqual(['equipment.status']);
+            expect(anonymous.events[0].data).toMatchObject({ equipmentId: 'EQ-1', previousStatus: 'operational', status: 'maintenance' });
+        });
+
+        it('should reject invalid equipment statuses and stream tokens', async () => {
+            mockStaffKey();
+            await request(app)
+                .put('/api/admin/equipment/EQ-1/status')
+                .set('X-API-Key', STAFF_KEY)
+                .send({ status: 'broken' })
+                .expect(422);
+            await request(app).post('/api/events/token').expect(401);
+            await request(app).get('/api/events?token=forged').expect(401);
+            await request(app).get('/api/events?lastEventId=soon').expect(422);
+        });
+    });
+
     describe('Error handling', () => {
         it('should handle 404 for unknown routes', async () => {
             const response = await request(app)
@@ -189,6 +1124,7 @@ describe('Rutgers Makerspace 3D Printing API', () => {
         it('should handle invalid JSON', async () => {
             const response = await request(app)
                 .post('/api/print-request')
+                .set('Authorization', studentAuth)
                 .set('Content-Type', 'application/json')
                 .send('invalid json')
                 .expect(400);
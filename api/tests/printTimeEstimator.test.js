@@ -0,0 +1,100 @@
+const GeometryService = require('../src/services/GeometryService');
+const MeshSlicer = require('../src/services/geometry/MeshSlicer');
+const PrintTimeEstimator = require('../src/services/PrintTimeEstimator');
+const printersConfig = require('../src/config/printers.json');
+const { boxTriangles, toBinaryStl } = require('./fixtures/meshes');
+
+const meshOf = async (...boxes) => {
+    const geometryService = new GeometryService();
+    const file = { originalname: 'part.stl', buffer: toBinaryStl(boxes.flat()) };
+    return (await geometryService.analyzeFile(file)).mesh;
+};
+
+const shifted = (triangles, dx) => triangles.map(triangle => triangle.map(([x, y, z]) => [x + dx, y, z]));
+
+describe('MeshSlicer', () => {
+    const slicer = new MeshSlicer();
+
+    it('should measure each layer of a box', async () => {
+        const { layers, height } = slicer.slice(await meshOf(boxTriangles(30, 20, 10)), 0.2);
+
+        expect(height).toBeCloseTo(10);
+        expect(layers).toHaveLength(50);
+        for (const layer of layers) {
+            expect(layer.perimeter).toBeCloseTo(100);
+            expect(layer.area).toBeCloseTo(600);
+            expect(layer.loops).toBe(1);
+            expect(layer.width).toBeCloseTo(30);
+            expect(layer.depth).toBeCloseTo(20);
+        }
+    });
+
+    it('should count separate parts and follow the build orientation', async () => {
+        const twoBoxes = await meshOf(boxTriangles(10, 10, 10), shifted(boxTriangles(10, 10, 10), 20));
+        expect(slicer.slice(twoBoxes, 0.5).layers[0].loops).toBe(2);
+
+        const lying = slicer.slice(await meshOf(boxTriangles(30, 20, 10)), 0.2, { rotation: { x: 90, y: 0, z: 0 } });
+        expect(lying.layers).toHaveLength(100);
+        expect(lying.layers[0].area).toBeCloseTo(300);
+    });
+});
+
+describe('PrintTimeEstimator', () => {
+    const estimator = new PrintTimeEstimator();
+    const printer = id => printersConfig.printers.find(p => p.id === id);
+    let cube;
+    const settings = {
+        layerHeight: '0.2mm',
+        infill: '20%',
+        printSpeed: '60mm/s',
+        supports: false,
+        retraction: { distance: '0.8mm', speed: '35mm/s' },
+        cooling: { fanSpeed: '100%', minLayerTime: '5s' }
+    };
+
+    beforeAll(async () => {
+        cube = await meshOf(boxTriangles(20, 20, 20));
+    });
+
+    it('should time a sliced FDM print', () => {
+        const estimate = estimator.estimate(cube, printer('prusa-mk4'), settings);
+
+        expect(estimate.layers).toBe(100);
+        expect(estimate.hours).toBeGreaterThan(0.2);
+        expect(estimate.hours).toBeLessThan(1);
+        expect(estimate.formatted).toMatch(/^\d+ minutes$/);
+        expect(estimate.breakdown.startup).toBe(240);
+        expect(estimate.breakdown.walls).toBeGreaterThan(0);
+        expect(estimate.breakdown.infill).toBeGreaterThan(0);
+        expect(estimate.toolpath.walls).toBeCloseTo(16, 1);
+    });
+
+    it('should take longer with finer layers, denser infill or a slower printer', () => {
+        const base = estimator.estimate(cube, printer('prusa-mk4'), settings).seconds;
+
+        expect(estimator.estimate(cube, printer('prusa-mk4'), { ...settings, layerHeight: '0.1mm' }).seconds).toBeGreaterThan(base);
+        expect(estimator.estimate(cube, printer('prusa-mk4'), { ...settings, infill: '80%' }).seconds).toBeGreaterThan(base);
+        expect(estimator.estimate(cube, printer('ultimaker-s5'), settings).seconds).toBeGreaterThan(base);
+    });
+
+    it('should time supports only when they are enabled', () => {
+        const withSupports = estimator.estimate(cube, printer('prusa-mk4'), { ...settings, supports: true }, { supportVolume: 2 });
+        const without = estimator.estimate(cube, printer('prusa-mk4'), settings, { supportVolume: 2 });
+
+        expect(withSupports.breakdown.supports).toBeGreaterThan(0);
+        expect(without.breakdown.supports).toBe(0);
+    });
+
+    it('should time resin prints from exposure and layer changes', () => {
+        const estimate = estimator.estimate(cube, printer('formlabs-form3'), { ...settings, layerHeight: '0.1mm' });
+
+        expect(Object.keys(estimate.breakdown)).toEqual(['startup', 'exposure', 'layerChanges']);
+        expect(estimate.breakdown.layerChanges).toBe(2000);
+        expect(estimate.toolpath).toBeNull();
+    });
+
+    it('should require printer motion settings', () => {
+        expect(() => estimator.estimate(cube, { id: 'custom', name: 'Custom' }, settings))
+            .toThrow('Printer custom has no motion settings');
+    });
+});
@@ -0,0 +1,45 @@
+const PrinterSelector = require('../src/models/PrinterSelector');
+
+describe('PrinterSelector', () => {
+    const printerSelector = new PrinterSelector();
+
+    describe('build volume fit', () => {
+        it('should keep the modeled orientation when it fits', () => {
+            const fit = printerSelector.checkBuildVolumeFit({ x: 100, y: 50, z: 20 });
+
+            expect(fit.every(result => result.fits)).toBe(true);
+            expect(fit[0].orientation.label).toBe('As modeled');
+            expect(fit[0].orientation.dimensions).toEqual({ x: 100, y: 50, z: 20 });
+        });
+
+        it('should rotate a part that only fits on its side', () => {
+            const fit = printerSelector.checkBuildVolumeFit({ x: 20, y: 20, z: 320 });
+            const ultimaker = fit.find(result => result.printerId === 'ultimaker-s5');
+            const form3 = fit.find(result => result.printerId === 'formlabs-form3');
+
+            expect(ultimaker.fits).toBe(true);
+            expect(ultimaker.orientation.dimensions.z).toBeLessThanOrEqual(300);
+            expect(ultimaker.orientation.rotation).not.toEqual({ x: 0, y: 0, z: 0 });
+            expect(form3.fits).toBe(false);
+            expect(form3.orientation).toBeNull();
+        });
+
+        it('should lay parts flat when minimal height is preferred', () => {
+            const fit = printerSelector.checkBuildVolumeFit({ x: 20, y: 30, z: 120 }, 'minimal-height');
+
+            expect(fit[0].orientation.dimensions.z).toBe(20);
+        });
+
+        it('should report the orientation with the selected printer', () => {
+            const selection = printerSelector.selectPrinter('PLA', { x: 20, y: 20, z: 320 });
+
+            expect(selection.printer.id).toBe('ultimaker-s5');
+            expect(selection.orientation.dimensions.z).toBeLessThanOrEqual(300);
+        });
+
+        it('should reject parts that fit no printer for the material', () => {
+            expect(() => printerSelector.selectPrinter('Standard Resin', { x: 200, y: 200, z: 200 }))
+                .toThrow(/No Standard Resin printer can fit/);
+        });
+    });
+});
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PromptLibrary = require('../src/services/analysis/PromptLibrary');
+
+describe('PromptLibrary', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'makerspace-prompts-'));
+    const write = (version, name, text) => {
+        fs.mkdirSync(path.join(directory, version), { recursive: true });
+        fs.writeFileSync(path.join(directory, version, `${name}.txt`), text);
+    };
+
+    beforeAll(() => {
+        write('v1', 'analysis', 'Describe "{{projectDescription}}".{{#preferredColor}} Print it in {{preferredColor}}.{{/preferredColor}}\n');
+        write('v2', 'analysis', 'Project: {{projectDescription}}\n');
+        write('v10', 'analysis', 'Project {{projectDescription}}, part count {{partCount}}\n');
+    });
+
+    it('should order versions by number and default to the latest', () => {
+        const prompts = new PromptLibrary({ directory });
+
+        expect(prompts.getVersions()).toEqual(['v1', 'v2', 'v10']);
+        expect(prompts.getDefaultVersion()).toBe('v10');
+        expect(new PromptLibrary({ directory, version: 'v1' }).getDefaultVersion()).toBe('v1');
+        expect(() => new PromptLibrary({ directory, version: 'v3' })).toThrow("Unknown prompt version 'v3'");
+    });
+
+    it('should render variables and optional sections', () => {
+        const prompts = new PromptLibrary({ directory });
+
+        expect(prompts.render('analysis', { projectDescription: 'Bracket', preferredColor: 'Red' }, 'v1'))
+            .toBe('Describe "Bracket". Print it in Red.');
+        expect(prompts.render('analysis', { projectDescription: 'Bracket', preferredColor: null }, 'v1'))
+            .toBe('Describe "Bracket".');
+        // Values are inserted as text, never read as template markup
+        expect(prompts.render('analysis', { projectDescription: '{{preferredColor}}', preferredColor: 'Red' }, 'v1'))
+            .toBe('Describe "{{preferredColor}}". Print it in Red.');
+    });
+
+    it('should reject missing variables, templates and versions', () => {
+        const prompts = new PromptLibrary({ directory });
+
+        expect(() => prompts.render('analysis', { projectDescription: 'Bracket' })).toThrow("v10/analysis needs variable 'partCount'");
+        expect(() => prompts.render('repair', {}, 'v2')).toThrow("Prompt template 'repair' does not exist in version v2");
+        expect(() => prompts.render('analysis', {}, 'v4')).toThrow("Unknown prompt version 'v4'");
+    });
+
+    it('should ship an analysis and repair template in every version', () => {
+        const prompts = new PromptLibrary();
+
+        for (const version of prompts.getVersions()) {
+            expect(prompts.render('analysis', {
+                projectDescription: 'Bracket',
+                materials: 'PLA, PETG',
+                preferredMaterial: 'PLA',
+                preferredColor: null,
+                dimensions: '40 x 20 x 10',
+                volume: 8,
+                partCount: null,
+                views: 'front, top'
+            }, version)).toContain('Bracket');
+            expect(prompts.render('repair', { prompt: 'P', reply: 'R', problems: '- x', fields: 'a, b' }, version)).toContain('a, b');
+        }
+    });
+});
@@ -0,0 +1,30 @@
+const RequestStatusMachine = require('../src/models/RequestStatusMachine');
+
+describe('RequestStatusMachine', () => {
+    const machine = new RequestStatusMachine();
+
+    it('should allow the normal lifecycle from submission to pickup', () => {
+        const lifecycle = ['submitted', 'needs_review', 'approved', 'queued', 'printing', 'post_processing', 'ready_for_pickup', 'picked_up'];
+        for (let i = 1; i < lifecycle.length; i++) {
+            expect(machine.canTransition(lifecycle[i - 1], lifecycle[i])).toBe(true);
+        }
+        expect(machine.getInitialStatus()).toBe('submitted');
+        expect(machine.isTerminal('picked_up')).toBe(true);
+        expect(machine.getLabel('ready_for_pickup')).toBe('Ready for Pickup');
+    });
+
+    it('should refuse skipped steps and leaving final statuses', () => {
+        expect(() => machine.assertTransition('submitted', 'printing')).toThrow('Allowed: needs_review, failed, cancelled.');
+        expect(() => machine.assertTransition('rejected', 'approved')).toThrow('rejected is final.');
+        expect(() => machine.assertTransition('printing', 'cancelled')).toThrow('Cannot change status from printing to cancelled');
+        expect(() => machine.assertTransition('queued', 'lost')).toThrow("Unknown status 'lost'");
+        expect(machine.canTransition('failed', 'queued')).toBe(true);
+    });
+
+    it('should read statuses written before the lifecycle existed', () => {
+        expect(machine.normalize('pending')).toBe('submitted');
+        expect(machine.normalize('In Progress')).toBe('printing');
+        expect(machine.normalize('COMPLETED')).toBe('picked_up');
+        expect(machine.getAllowedTransitions('pending')).toEqual(['needs_review', 'failed', 'cancelled']);
+    });
+});
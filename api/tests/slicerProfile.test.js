@@ -0,0 +1,103 @@
+const request = require('supertest');
+const app = require('../src/app').getApp();
+const SlicerProfileExporter = require('../src/services/SlicerProfileExporter');
+const ZipArchive = require('../src/services/geometry/ZipArchive');
+const printersConfig = require('../src/config/printers.json');
+
+describe('SlicerProfileExporter', () => {
+    const exporter = new SlicerProfileExporter();
+    const printer = id => printersConfig.printers.find(p => p.id === id);
+    const settings = {
+        layerHeight: '0.2mm',
+        infill: '40%',
+        supports: true,
+        nozzleTemp: '210C',
+        bedTemp: '60C',
+        printSpeed: '50mm/s',
+        retraction: { distance: '3mm', speed: '40mm/s' },
+        cooling: { fanSpeed: '100%', minLayerTime: '5s' }
+    };
+
+    it('should pick the slicer from the printer manufacturer', () => {
+        expect(exporter.getFormatForPrinter(printer('prusa-mk4'))).toBe('prusaslicer');
+        expect(exporter.getFormatForPrinter(printer('ultimaker-s5'))).toBe('cura');
+        expect(exporter.getFormatForPrinter(printer('bambu-x1-carbon'))).toBe('bambu');
+        expect(exporter.getFormatForPrinter(printer('formlabs-form3'))).toBeNull();
+
+        expect(() => exporter.exportProfile(settings, printer('formlabs-form3'), 'Standard Resin'))
+            .toThrow('No slicer profile format is available for Formlabs printers');
+    });
+
+    it('should write a PrusaSlicer config', () => {
+        const profile = exporter.exportProfile(settings, printer('prusa-mk4'), 'PLA');
+        const ini = profile.content.toString('utf8');
+
+        expect(profile).toMatchObject({ format: 'prusaslicer', contentType: 'text/plain; charset=utf-8' });
+        expect(profile.fileName).toBe('Makerspace_PLA_0.2mm_Prusa_MK4.ini');
+        expect(ini).toContain('layer_height = 0.2\n');
+        expect(ini).toContain('fill_density = 40%\n');
+        expect(ini).toContain('temperature = 210\n');
+        expect(ini).toContain('support_material = 1\n');
+        expect(ini).toContain('retract_length = 3\n');
+    });
+
+    it('should write a Cura profile archive with machine and extruder containers', async () => {
+        const profile = exporter.exportProfile(settings, printer('ultimaker-s5'), 'PLA');
+        const archive = await ZipArchive.open(profile.content);
+        const [machineEntry, extruderEntry] = archive.getEntryNames();
+
+        expect(profile.fileName).toMatch(/\.curaprofile$/);
+        expect(extruderEntry).toBe(`${machineEntry}_extruder_0`);
+
+        const machine = archive.readText(machineEntry);
+        expect(machine).toContain('definition = ultimaker_s5');
+        expect(machine).toContain('type = quality_changes');
+        expect(machine).toContain('layer_height = 0.2');
+        expect(machine).toContain('support_enable = True');
+
+        const extruder = archive.readText(extruderEntry);
+        expect(extruder).toContain('position = 0');
+        expect(extruder).toContain('infill_sparse_density = 40');
+        expect(extruder).toContain('material_print_temperature = 210');
+    });
+
+    it('should write a Bambu Studio process preset', () => {
+        const profile = exporter.exportProfile({ ...settings, supports: false }, printer('bambu-x1-carbon'), 'PETG');
+        const preset = JSON.parse(profile.content.toString('utf8'));
+
+        expect(preset).toMatchObject({
+            type: 'process',
+            from: 'User',
+            layer_height: '0.2',
+            sparse_infill_density: '40%',
+            enable_support: '0',
+            outer_wall_speed: '25',
+            inner_wall_speed: '50'
+        });
+    });
+});
+
+describe('POST /api/slicer-profile', () => {
+    it('should optimize and export settings for the requested printer', async () => {
+        const response = await request(app)
+            .post('/api/slicer-profile')
+            .send({ printerId: 'prusa-mk4', material: 'PETG', projectType: 'functional' })
+            .expect(200);
+
+        expect(response.headers['content-disposition']).toBe('attachment; filename="Makerspace_PETG_0.2mm_Prusa_MK4.ini"');
+        expect(response.headers['x-slicer-format']).toBe('prusaslicer');
+        expect(response.text).toContain('temperature = 245\n');
+    });
+
+    it('should reject printers that cannot use the material or format', async () => {
+        await request(app)
+            .post('/api/slicer-profile')
+            .send({ printerId: 'formlabs-form3', material: 'PLA' })
+            .expect(422);
+
+        await request(app)
+            .post('/api/slicer-profile')
+            .send({ printerId: 'prusa-mk4', material: 'PLA', format: 'simplify3d' })
+            .expect(422);
+    });
+});
@@ -1,9 +1,10 @@
 import React from 'react';
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { DASHBOARD_ROLES, hasRole } from '../utils/roles';
 
-const AdminRoute = ({ children }) => {
-  const { user, loading } = useAuth();
+const AdminRoute = ({ children, allowedRoles = DASHBOARD_ROLES }) => {
+  const { user, roles, loading } = useAuth();
 
   if (loading) {
     return (
@@ -20,11 +21,15 @@ const AdminRoute = ({ children }) => {
     );
   }
 
-  // Check if user is admin
-  if (!user || !user.isAdmin) {
+  if (!user) {
     return <Navigate to="/login" replace />;
   }
 
+  // Roles come from the verified ID token via the API; the API checks them again on every call
+  if (!hasRole(roles, ...allowedRoles)) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
   return children;
 };
 
@@ -1,9 +1,12 @@
-import React, { Suspense, useState, useRef } from 'react';
+import React, { Suspense, useState, useRef, useEffect } from 'react';
 import { Canvas, useLoader } from '@react-three/fiber';
 import { OrbitControls, Environment, Html } from '@react-three/drei';
 import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
 import { STLLoader } from 'three/examples/jsm/loaders/STLLoader';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader';
+import { ThreeMFLoader } from 'three/examples/jsm/loaders/3MFLoader';
+import { getAuthHeaders } from '../firebase/auth';
 import './ModelViewer.css';
 
 // Fallback component for when model fails to load
@@ -67,8 +70,105 @@ function STLModel({ url }) {
   );
 }
 
+// Component to load and display OBJ and 3MF models, which load as object groups
+function GroupModel({ url, loader }) {
+  const meshRef = useRef();
+  
+  useFrame((state) => {
+    if (meshRef.current) {
+      meshRef.current.rotation.y = state.clock.elapsedTime * 0.2;
+    }
+  });
+
+  const object = useLoader(loader, url);
+  const model = object.clone(true);
+
+  // Use a single material so every format previews the same way
+  model.traverse((child) => {
+    if (child.isMesh) {
+      child.material = new THREE.MeshStandardMaterial({
+        color: '#d32f2f',
+        metalness: 0.3,
+        roughness: 0.4
+      });
+    }
+  });
+
+  // Center and scale the model
+  const box = new THREE.Box3().setFromObject(model);
+  const center = box.getCenter(new THREE.Vector3());
+  const size = box.getSize(new THREE.Vector3());
+  const scale = 4 / Math.max(size.x, size.y, size.z);
+  model.position.sub(center.multiplyScalar(scale));
+  model.scale.setScalar(scale);
+
+  return (
+    <group ref={meshRef}>
+      <primitive object={model} />
+    </group>
+  );
+}
+
+// Determine the model format from an explicit format or the URL extension
+const getModelFormat = (url, format) => {
+  if (format) return format.toLowerCase();
+  if (!url) return null;
+  const path = url.split('?')[0].toLowerCase();
+  const match = path.match(/\.(stl|obj|3mf)$/);
+  return match ? match[1] : null;
+};
+
+// Stored uploads and their thumbnails are served by the API under relative paths such as /api/files/<hash>
+const resolveModelUrl = (url) => {
+  if (!url || !url.startsWith('/')) return url;
+  return `${process.env.REACT_APP_API_BASE_URL || ''}${url}`;
+};
+
+// Stored uploads are only served to their submitter and staff, so API files are fetched with the
+// ID token and handed to the loaders as object URLs
+const useModelUrl = (modelUrl) => {
+  const isApiFile = Boolean(modelUrl && modelUrl.startsWith('/api/'));
+  const [url, setUrl] = useState(isApiFile ? null : resolveModelUrl(modelUrl));
+
+  useEffect(() => {
+    if (!isApiFile) {
+      setUrl(resolveModelUrl(modelUrl));
+      return undefined;
+    }
+
+    let objectUrl = null;
+    let cancelled = false;
+    setUrl(null);
+
+    (async () => {
+      try {
+        const response = await fetch(resolveModelUrl(modelUrl), { headers: await getAuthHeaders() });
+        if (!response.ok) {
+          throw new Error(`Server error (${response.status}): ${response.statusText}`);
+        }
+        const blob = await response.blob();
+        if (!cancelled) {
+          objectUrl = URL.createObjectURL(blob);
+          setUrl(objectUrl);
+        }
+      } catch (error) {
+        console.error('Error loading model:', error);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [modelUrl, isApiFile]);
+
+  return url;
+};
+
 // Component to load and display 3D models
-function Model({ url, fallbackImage }) {
+function Model({ url, format, fallbackImage }) {
   const meshRef = useRef();
   
   useFrame((state) => {
@@ -77,8 +177,10 @@ function Model({ url, fallbackImage }) {
     }
   });
 
-  // If we have a valid STL URL, use the STL loader
-  if (url && url.endsWith('.stl')) {
+  // No URL yet while a stored upload is still downloading
+  const modelFormat = url ? getModelFormat(url, format) : null;
+
+  if (modelFormat === 'stl') {
     return (
       <Suspense fallback={<Loading />}>
         <STLModel url={url} />
@@ -86,7 +188,15 @@ function Model({ url, fallbackImage }) {
     );
   }
 
-  // Fallback to placeholder if no URL or not STL file
+  if (modelFormat === 'obj' || modelFormat === '3mf') {
+    return (
+      <Suspense fallback={<Loading />}>
+        <GroupModel url={url} loader={modelFormat === 'obj' ? OBJLoader : ThreeMFLoader} />
+      </Suspense>
+    );
+  }
+
+  // Fallback to placeholder if no URL or unsupported file
   return <FallbackModel />;
 }
 
@@ -104,6 +214,7 @@ function Loading() {
 
 const ModelViewer = ({ 
   modelUrl, 
+  modelFormat,
   fallbackImage, 
   width = '100%', 
   height = '400px',
@@ -121,6 +232,7 @@ const ModelViewer = ({
   ];
 
   const selectedImage = fallbackImage || randomImages[Math.floor(Math.random() * randomImages.length)];
+  const url = useModelUrl(modelUrl);
 
   return (
     <div className="model-viewer" style={{ width, height }}>
@@ -133,8 +245,9 @@ const ModelViewer = ({
           <Environment preset="studio" />
           
           <Model 
-            url={modelUrl} 
-            fallbackImage={selectedImage}
+            url={url} 
+            format={getModelFormat(modelUrl, modelFormat)}
+            fallbackImage={resolveModelUrl(selectedImage)}
           />
           
           {showControls && (
@@ -1,14 +1,15 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { signOutUser, signOutAdmin } from '../firebase/auth';
+import { signOutUser } from '../firebase/auth';
+import { DASHBOARD_ROLES, hasRole } from '../utils/roles';
 import rutgersLogo from '../Images/Rutgers_Scarlet_Knights_logo.svg.png';
 import './Navbar.css';
 
 const Navbar = () => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [isLoggingOut, setIsLoggingOut] = useState(false);
-  const { user, setUser } = useAuth();
+  const { user, roles } = useAuth();
   const navigate = useNavigate();
 
   const toggleMenu = () => {
@@ -18,13 +19,7 @@ const Navbar = () => {
   const handleLogout = async () => {
     setIsLoggingOut(true);
     try {
-      if (user && user.isAdmin) {
-        await signOutAdmin();
-        // Clear the user from auth context
-        setUser(null);
-      } else {
-        await signOutUser();
-      }
+      await signOutUser();
       navigate('/');
     } catch (error) {
       console.error('Logout failed:', error);
@@ -58,6 +53,11 @@ const Navbar = () => {
               <li className="nav-item">
                 <Link to="/dashboard" className="nav-link">Dashboard</Link>
               </li>
+              {hasRole(roles, ...DASHBOARD_ROLES) && (
+                <li className="nav-item">
+                  <Link to="/admin" className="nav-link">Admin</Link>
+                </li>
+              )}
               <li className="nav-item">
                 <Link to="/print-request" className="nav-link print-request-btn">Print Request</Link>
               </li>
@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { onAuthStateChange, getAdminUser } from '../firebase/auth';
+import { onAuthStateChange, fetchUserRoles } from '../firebase/auth';
 
 const AuthContext = createContext();
 
@@ -13,23 +13,22 @@ export const useAuth = () => {
 
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
+  const [roles, setRoles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
   useEffect(() => {
-    // Check for admin user first
-    const adminUser = getAdminUser();
-    if (adminUser) {
-      console.log('AuthContext: Found admin user', adminUser);
-      setUser(adminUser);
-      setLoading(false);
-      return;
-    }
-
-    // Then check Firebase auth
-    const unsubscribe = onAuthStateChange((firebaseUser) => {
+    const unsubscribe = onAuthStateChange(async (firebaseUser) => {
       console.log('AuthContext: Firebase auth state changed', firebaseUser);
+      // Roles come from the API, which reads them for the verified ID token
+      const { roles: userRoles, error: rolesError } = firebaseUser
+        ? await fetchUserRoles()
+        : { roles: [], error: null };
+      if (rolesError) {
+        console.error('AuthContext: Failed to load roles', rolesError);
+      }
       setUser(firebaseUser);
+      setRoles(userRoles);
       setLoading(false);
       setError(null);
     });
@@ -39,6 +38,7 @@ export const AuthProvider = ({ children }) => {
 
   const value = {
     user,
+    roles,
     loading,
     error,
     setError,
@@ -116,50 +116,25 @@ export const isAuthenticated = () => {
   return !!auth.currentUser;
 };
 
-// Admin authentication (bypasses Firebase)
-export const signInAsAdmin = async (email, password) => {
-  try {
-    // Check for admin credentials
-    if (email === 'Admin' && password === 'Admin1') {
-      // Create a mock admin user object
-      const adminUser = {
-        uid: 'admin-uid',
-        email: 'Admin',
-        displayName: 'Admin',
-        isAdmin: true,
-        accessToken: 'admin-token'
-      };
-      
-      // Store admin session in localStorage
-      localStorage.setItem('adminUser', JSON.stringify(adminUser));
-      
-      return { user: adminUser, error: null };
-    } else {
-      return { user: null, error: 'Invalid admin credentials' };
-    }
-  } catch (error) {
-    return { user: null, error: error.message };
+// Authorization header carrying the signed-in user's ID token, which the API verifies.
+// getIdToken refreshes the token when it is about to expire.
+export const getAuthHeaders = async () => {
+  if (!auth.currentUser) {
+    return {};
   }
+  return { Authorization: `Bearer ${await auth.currentUser.getIdToken()}` };
 };
 
-// Check if current user is admin
-export const isAdmin = () => {
-  const adminUser = localStorage.getItem('adminUser');
-  return adminUser && JSON.parse(adminUser).isAdmin;
-};
-
-// Get admin user from localStorage
-export const getAdminUser = () => {
-  const adminUser = localStorage.getItem('adminUser');
-  return adminUser ? JSON.parse(adminUser) : null;
-};
-
-// Sign out admin
-export const signOutAdmin = async () => {
+// Roles of the signed-in user, read from the API, which keeps them on the users table.
+// Signing in for the first time makes the user a student.
+export const fetchUserRoles = async () => {
   try {
-    localStorage.removeItem('adminUser');
-    return { error: null };
+    const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/api/user/me`, {
+      headers: await getAuthHeaders()
+    });
+    const data = await response.json();
+    return { roles: response.ok ? data.data.roles : [], error: response.ok ? null : data.message };
   } catch (error) {
-    return { error: error.message };
+    return { roles: [], error: error.message };
   }
-};
\ No newline at end of file
+};
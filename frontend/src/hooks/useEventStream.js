@@ -0,0 +1,82 @@
+import { useEffect, useRef } from 'react';
+import { getAuthHeaders } from '../firebase/auth';
+
+const EVENT_TYPES = ['print-request.submitted', 'print-request.progress', 'print-request.status', 'equipment.status'];
+
+// Exchanges the signed-in user's ID token for a short-lived event stream token. The API decides
+// from the ID token which events the stream carries; signed-out visitors get public events only.
+const fetchStreamToken = async () => {
+  const headers = await getAuthHeaders();
+  if (!headers.Authorization) {
+    return null;
+  }
+
+  const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/api/events/token`, { method: 'POST', headers });
+  if (!response.ok) {
+    throw new Error(`Server error (${response.status}): ${response.statusText}`);
+  }
+  return (await response.json()).data.token;
+};
+
+// Subscribes to the API's live event stream and calls handlers[eventType] with each event's data.
+// EventSource reconnects by itself and sends the last event ID, so the API replays missed events.
+// Once the stream token has expired the API refuses that reconnect, so a new token is fetched and
+// the stream reopened from the last event received.
+const useEventStream = (handlers, { enabled = true } = {}) => {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!enabled || typeof EventSource === 'undefined') {
+      return undefined;
+    }
+
+    let source = null;
+    let lastEventId = null;
+    let closed = false;
+
+    const open = async () => {
+      let token = null;
+      try {
+        token = await fetchStreamToken();
+      } catch (error) {
+        console.error('Error opening event stream:', error);
+      }
+      if (closed) {
+        return;
+      }
+
+      const params = new URLSearchParams();
+      if (token) params.set('token', token);
+      if (lastEventId) params.set('lastEventId', lastEventId);
+      const query = params.toString();
+
+      source = new EventSource(`${process.env.REACT_APP_API_BASE_URL}/api/events${query ? `?${query}` : ''}`);
+      EVENT_TYPES.forEach(type => {
+        source.addEventListener(type, (message) => {
+          lastEventId = message.lastEventId || lastEventId;
+          const handler = handlersRef.current[type];
+          if (handler) {
+            handler(JSON.parse(message.data));
+          }
+        });
+      });
+      source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED && !closed) {
+          setTimeout(open, 5000);
+        }
+      };
+    };
+
+    open();
+
+    return () => {
+      closed = true;
+      if (source) {
+        source.close();
+      }
+    };
+  }, [enabled]);
+};
+
+export default useEventStream;
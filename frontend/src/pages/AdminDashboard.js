@@ -1,8 +1,13 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { signOutAdmin } from '../firebase/auth';
+import { signOutUser, getAuthHeaders } from '../firebase/auth';
 import ModelViewer from '../components/ModelViewer';
+import useEventStream from '../hooks/useEventStream';
+import { REQUEST_STATUSES, getStatusLabel, getNextStatuses } from '../utils/requestStatus';
+import { diffRevisions, formatMetric, formatDelta } from '../utils/revisionDiff';
+import { USER_ROLES, DASHBOARD_ROLES, getRoleLabel, hasRole } from '../utils/roles';
+import { API_KEY_SCOPES, DEFAULT_API_KEY_RATE_LIMIT, getKeyLabel, getKeyStatus } from '../utils/apiKeyScopes';
 import './AdminDashboard.css';
 
 const AdminDashboard = () => {
@@ -20,15 +25,25 @@ const AdminDashboard = () => {
   const [loadingDetails, setLoadingDetails] = useState(false);
   const [dataLoaded, setDataLoaded] = useState(false);
   const [connectionAttempts, setConnectionAttempts] = useState(0);
-  const { user, setUser } = useAuth();
+  const [reviewQueue, setReviewQueue] = useState([]);
+  const [rejectionReasons, setRejectionReasons] = useState([]);
+  const [reviewing, setReviewing] = useState(null);
+  const [reviewReasonCode, setReviewReasonCode] = useState('');
+  const [reviewNotes, setReviewNotes] = useState('');
+  const [editingRoles, setEditingRoles] = useState(null);
+  const [apiKeys, setApiKeys] = useState([]);
+  const [creatingKey, setCreatingKey] = useState(null);
+  const [issuedKey, setIssuedKey] = useState(null);
+  const { user, roles } = useAuth();
+  const isAdmin = hasRole(roles, 'admin');
   const navigate = useNavigate();
 
   // Mock data for demonstration
   const mockUsers = [
-    { id: 1, name: 'John Doe', email: 'john.doe@rutgers.edu', role: 'Student', joinDate: '2024-01-15', status: 'Active' },
-    { id: 2, name: 'Jane Smith', email: 'jane.smith@rutgers.edu', role: 'Faculty', joinDate: '2024-01-10', status: 'Active' },
-    { id: 3, name: 'Mike Johnson', email: 'mike.johnson@rutgers.edu', role: 'Student', joinDate: '2024-01-20', status: 'Inactive' },
-    { id: 4, name: 'Sarah Wilson', email: 'sarah.wilson@rutgers.edu', role: 'Staff', joinDate: '2024-01-05', status: 'Active' }
+    { id: 1, name: 'John Doe', email: 'john.doe@rutgers.edu', roles: ['student'], joinDate: '2024-01-15', status: 'Active' },
+    { id: 2, name: 'Jane Smith', email: 'jane.smith@rutgers.edu', roles: ['faculty_approver'], joinDate: '2024-01-10', status: 'Active' },
+    { id: 3, name: 'Mike Johnson', email: 'mike.johnson@rutgers.edu', roles: ['student'], joinDate: '2024-01-20', status: 'Inactive' },
+    { id: 4, name: 'Sarah Wilson', email: 'sarah.wilson@rutgers.edu', roles: ['staff'], joinDate: '2024-01-05', status: 'Active' }
   ];
 
   const mockPrintRequests = [
@@ -38,7 +53,7 @@ const AdminDashboard = () => {
       email: 'john.doe@rutgers.edu',
       title: 'Phone Case', 
       description: 'Custom phone case for iPhone 15 with Rutgers logo',
-      status: 'Completed', 
+      status: 'picked_up', 
       date: '2024-01-25', 
       cost: 12.50,
       material: 'PLA',
@@ -49,7 +64,26 @@ const AdminDashboard = () => {
       notes: 'High quality print, customer satisfied',
       isPublic: true,
       modelUrl: '/models/resonator-iem-shell.stl',
-      fallbackImage: 'https://images.unsplash.com/photo-1558618666-fcd25c85cd64?w=300&h=300&fit=crop'
+      fallbackImage: 'https://images.unsplash.com/photo-1558618666-fcd25c85cd64?w=300&h=300&fit=crop',
+      revisions: [
+        {
+          revision: 1,
+          createdAt: '2024-01-22',
+          file: { name: 'phone-case.stl', hash: 'a1' },
+          measurements: { volume: 38.4, dimensions: { x: 78, y: 160, z: 12 } },
+          cost: 10.75,
+          printTime: '2.1 hours'
+        },
+        {
+          revision: 2,
+          createdAt: '2024-01-23',
+          notes: 'Thicker walls around the camera cutout',
+          file: { name: 'phone-case-v2.stl', hash: 'b2' },
+          measurements: { volume: 45.2, dimensions: { x: 78, y: 160, z: 13.5 } },
+          cost: 12.50,
+          printTime: '2.5 hours'
+        }
+      ]
     },
     { 
       id: 2, 
@@ -57,7 +91,7 @@ const AdminDashboard = () => {
       email: 'jane.smith@rutgers.edu',
       title: 'Prototype Housing', 
       description: 'Protective housing for electronics project',
-      status: 'In Progress', 
+      status: 'printing', 
       date: '2024-01-24', 
       cost: 18.75,
       material: 'PETG',
@@ -76,7 +110,7 @@ const AdminDashboard = () => {
       email: 'mike.johnson@rutgers.edu',
       title: 'Arduino Mount', 
       description: 'Mounting bracket for Arduino project',
-      status: 'Pending', 
+      status: 'needs_review', 
       date: '2024-01-23', 
       cost: 8.25,
       material: 'PLA',
@@ -95,7 +129,7 @@ const AdminDashboard = () => {
       email: 'sarah.wilson@rutgers.edu',
       title: 'Custom Bracket', 
       description: 'Custom bracket for lab equipment',
-      status: 'Completed', 
+      status: 'ready_for_pickup', 
       date: '2024-01-22', 
       cost: 15.00,
       material: 'ABS',
@@ -137,11 +171,285 @@ const AdminDashboard = () => {
     }
   }, [mockUsers, mockPrintRequests, mockEquipment, dataLoaded]);
 
+  const loadReviewQueue = useCallback(async () => {
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/api/admin/review-queue`, {
+        headers: await getAuthHeaders()
+      });
+      const data = await response.json();
+      if (data.status === 'success') {
+        setReviewQueue(data.data.requests);
+        setRejectionReasons(data.data.rejectionReasons);
+      } else {
+        console.error('Failed to load review queue:', data.message);
+      }
+    } catch (error) {
+      console.error('Error loading review queue:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'review') {
+      loadReviewQueue();
+    }
+  }, [activeTab, loadReviewQueue]);
+
+  // Only admins can list users and change their roles
+  const loadUsers = useCallback(async () => {
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/api/admin/users`, {
+        headers: await getAuthHeaders()
+      });
+      const data = await response.json();
+      if (data.status === 'success') {
+        setUsers(data.data.users.map(account => ({
+          id: account.userId,
+          name: account.name,
+          email: account.email,
+          roles: account.roles,
+          joinDate: account.createdAt ? String(account.createdAt).split('T')[0] : '',
+          status: account.status === 'active' ? 'Active' : 'Inactive'
+        })));
+      } else {
+        console.error('Failed to load users:', data.message);
+      }
+    } catch (error) {
+      console.error('Error loading users:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'users' && isAdmin) {
+      loadUsers();
+    }
+  }, [activeTab, isAdmin, loadUsers]);
+
+  const toggleEditedRole = (role) => {
+    setEditingRoles(prev => ({
+      ...prev,
+      roles: prev.roles.includes(role) ? prev.roles.filter(item => item !== role) : [...prev.roles, role]
+    }));
+  };
+
+  const saveUserRoles = async () => {
+    const { account, roles: newRoles } = editingRoles;
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/api/admin/users/${encodeURIComponent(account.id)}/roles`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(await getAuthHeaders())
+        },
+        body: JSON.stringify({ roles: newRoles })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.errors ? data.errors.map(error => error.message).join('\n') : data.message);
+        return;
+      }
+
+      setUsers(prev => prev.map(item => item.id === account.id ? { ...item, roles: data.data.roles } : item));
+      setEditingRoles(null);
+    } catch (error) {
+      console.error('Error updating roles:', error);
+      alert('Failed to update roles');
+    }
+  };
+
+  // Only admins can issue and revoke API keys; the secret is shown once, right after it is issued
+  const loadApiKeys = useCallback(async () => {
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/api/admin/api-keys`, {
+        headers: await getAuthHeaders()
+      });
+      const data = await response.json();
+      if (data.status === 'success') {
+        setApiKeys(data.data.keys);
+      } else {
+        console.error('Failed to load API keys:', data.message);
+      }
+    } catch (error) {
+      console.error('Error loading API keys:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'api-keys' && isAdmin) {
+      loadApiKeys();
+      // Owners are picked from the user list
+      loadUsers();
+    }
+  }, [activeTab, isAdmin, loadApiKeys, loadUsers]);
+
+  const startCreatingKey = () => {
+    setIssuedKey(null);
+    setCreatingKey({
+      name: '',
+      ownerId: users.length > 0 ? users[0].id : '',
+      scopes: ['read:printers'],
+      rateLimit: DEFAULT_API_KEY_RATE_LIMIT
+    });
+  };
+
+  const toggleKeyScope = (scope) => {
+    setCreatingKey(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope) ? prev.scopes.filter(item => item !== scope) : [...prev.scopes, scope]
+    }));
+  };
+
+  const createApiKey = async () => {
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/api/admin/api-keys`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(await getAuthHeaders())
+        },
+        body: JSON.stringify({ ...creatingKey, rateLimit: Number(creatingKey.rateLimit) })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.errors ? data.errors.map(error => error.message).join('\n') : data.message);
+        return;
+      }
+
+      const { key, ...stored } = data.data;
+      setApiKeys(prev => [stored, ...prev]);
+      setIssuedKey({ name: stored.name, key });
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      alert('Failed to create API key');
+    }
+  };
+
+  const revokeApiKey = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working at once.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/api/admin/api-keys/${encodeURIComponent(apiKey.keyId)}`, {
+        method: 'DELETE',
+        headers: await getAuthHeaders()
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.message);
+        return;
+      }
+
+      setApiKeys(prev => prev.map(item => item.keyId === apiKey.keyId ? data.data : item));
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      alert('Failed to revoke API key');
+    }
+  };
+
+  // Apply live submissions, processing progress, status changes and equipment changes in place
+  useEventStream({
+    'print-request.submitted': (event) => {
+      setPrintRequests(prev => prev.some(req => req.id === event.requestId) ? prev : [{
+        id: event.requestId,
+        user: event.userName,
+        email: event.email,
+        title: event.projectName,
+        description: '',
+        status: 'submitted',
+        date: event.createdAt.split('T')[0],
+        cost: 0,
+        material: event.material,
+        color: '',
+        isPublic: false,
+        modelUrl: null
+      }, ...prev]);
+    },
+    'print-request.progress': (event) => {
+      if (event.status === 'failed') {
+        setPrintRequests(prev => prev.map(req => req.id === event.requestId
+          ? { ...req, status: 'failed', notes: event.error ? event.error.message : req.notes }
+          : req));
+      }
+    },
+    'print-request.status': (event) => {
+      setPrintRequests(prev => prev.map(req => req.id === event.requestId
+        ? { ...req, status: event.status, notes: event.reason || req.notes }
+        : req));
+      // Requests join the queue once quoted and leave it once decided
+      if (event.status === 'needs_review' || event.previousStatus === 'needs_review') {
+        loadReviewQueue();
+      }
+    },
+    'equipment.status': (event) => {
+      const status = { operational: 'Operational', maintenance: 'Maintenance', out_of_order: 'Out of Order' }[event.status];
+      setEquipment(prev => prev.map(item => String(item.id) === event.equipmentId || item.name === event.name
+        ? { ...item, status: status || event.status }
+        : item));
+    }
+  }, { enabled: hasRole(roles, ...DASHBOARD_ROLES) });
+
+  const startReview = (request, decision) => {
+    setReviewing({ request, decision });
+    setReviewReasonCode(decision === 'reject' && rejectionReasons.length > 0 ? rejectionReasons[0].code : '');
+    setReviewNotes('');
+  };
+
+  const submitReview = async () => {
+    const { request, decision } = reviewing;
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/api/admin/print-request/${request.requestId}/review`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(await getAuthHeaders())
+        },
+        // The API records the signed-in reviewer
+        body: JSON.stringify({
+          decision,
+          reasonCode: decision === 'reject' ? reviewReasonCode : undefined,
+          notes: reviewNotes
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.errors ? data.errors.map(error => error.message).join('\n') : data.message);
+        return;
+      }
+
+      setReviewQueue(prev => prev.filter(item => item.requestId !== request.requestId));
+      setReviewing(null);
+    } catch (error) {
+      console.error('Error submitting review:', error);
+      alert('Failed to submit review');
+    }
+  };
+
+  // Slicer profiles are only served to staff and the submitter, so download with the ID token
+  const downloadSlicerProfile = async (requestId) => {
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/api/print-request/${requestId}/slicer-profile`, { headers: await getAuthHeaders() });
+      if (!response.ok) {
+        throw new Error(`Server error (${response.status}): ${response.statusText}`);
+      }
+
+      const fileName = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName ? fileName[1] : `${requestId}-profile`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading slicer profile:', error);
+      alert('Failed to download slicer profile');
+    }
+  };
+
   // Fetch detailed print request data from database
   const fetchRequestDetails = async (requestId) => {
     setLoadingDetails(true);
     try {
-      const response = await fetch(`http://localhost:8080/api/print-request/${requestId}`);
+      const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/api/print-request/${requestId}`, { headers: await getAuthHeaders() });
       const data = await response.json();
       
       if (data.status === 'success') {
@@ -174,6 +482,21 @@ const AdminDashboard = () => {
 
   const updateRequestStatus = async (requestId, newStatus, notes = '') => {
     try {
+      // The API refuses transitions the request lifecycle does not allow
+      const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/api/admin/print-request/${requestId}/status`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(await getAuthHeaders())
+        },
+        body: JSON.stringify({ status: newStatus, reason: notes })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.message || 'Failed to update request status');
+        return;
+      }
+
       // Update the request in the local state
       setPrintRequests(prev => 
         prev.map(req => 
@@ -183,16 +506,13 @@ const AdminDashboard = () => {
         )
       );
       
-      // Here you would typically make an API call to update the database
-      console.log(`Updated request ${requestId} to status: ${newStatus}`);
-      
       // Close the edit modal
       setEditingRequest(null);
       setEditStatus('');
       setEditNotes('');
       
       // Show success message (you could add a toast notification here)
-      alert(`Request status updated to: ${newStatus}`);
+      alert(`Request status updated to: ${getStatusLabel(newStatus)}`);
     } catch (error) {
       console.error('Error updating request status:', error);
       alert('Failed to update request status');
@@ -201,13 +521,13 @@ const AdminDashboard = () => {
 
   const startEditingRequest = (request) => {
     setEditingRequest(request);
-    setEditStatus(request.status);
-    setEditNotes(request.notes || '');
+    setEditStatus(getNextStatuses(request.status)[0] || '');
+    setEditNotes('');
   };
 
   useEffect(() => {
-    // Check if user is admin
-    if (!user || !user.isAdmin) {
+    // Roles are read from the API for the verified ID token
+    if (!user || !hasRole(roles, ...DASHBOARD_ROLES)) {
       navigate('/login');
       return;
     }
@@ -216,20 +536,45 @@ const AdminDashboard = () => {
     if (!dataLoaded) {
       loadAdminData();
     }
-  }, [user, navigate, loadAdminData, dataLoaded]);
+  }, [user, roles, navigate, loadAdminData, dataLoaded]);
+
+  const getMeshHealthColor = (status) => {
+    switch (status) {
+      case 'ok':
+        return 'status-success';
+      case 'warning':
+        return 'status-warning';
+      case 'error':
+        return 'status-danger';
+      default:
+        return 'status-default';
+    }
+  };
 
   const getStatusColor = (status) => {
     switch (status) {
       case 'Active':
-      case 'Completed':
       case 'Operational':
+      case 'ready_for_pickup':
+      case 'picked_up':
         return 'status-success';
-      case 'In Progress':
+      case 'queued':
+      case 'printing':
+      case 'post_processing':
         return 'status-warning';
-      case 'Pending':
+      case 'submitted':
+      case 'needs_review':
+      case 'changes_requested':
+      case 'approved':
         return 'status-info';
       case 'Inactive':
+      case 'Revoked':
+      case 'Expired':
       case 'Maintenance':
+      case 'Out of Order':
+      case 'rejected':
+      case 'failed':
+      case 'cancelled':
         return 'status-danger';
       default:
         return 'status-default';
@@ -292,7 +637,7 @@ const AdminDashboard = () => {
                 <span className="activity-time">{request.date}</span>
               </div>
               <div className={`activity-status ${getStatusColor(request.status)}`}>
-                {request.status}
+                {getStatusLabel(request.status)}
               </div>
             </div>
           ))}
@@ -307,6 +652,7 @@ const AdminDashboard = () => {
         <h2>User Management</h2>
         <button className="btn btn-primary">Add New User</button>
       </div>
+      <p className="request-info">Users start as students when they first sign in. Only admins can change roles.</p>
 
       <div className="users-table-container">
         <table className="admin-table">
@@ -314,7 +660,7 @@ const AdminDashboard = () => {
             <tr>
               <th>Name</th>
               <th>Email</th>
-              <th>Role</th>
+              <th>Roles</th>
               <th>Join Date</th>
               <th>Status</th>
               <th>Actions</th>
@@ -325,7 +671,7 @@ const AdminDashboard = () => {
               <tr key={user.id}>
                 <td>{user.name}</td>
                 <td>{user.email}</td>
-                <td>{user.role}</td>
+                <td>{user.roles.map(getRoleLabel).join(', ')}</td>
                 <td>{user.joinDate}</td>
                 <td>
                   <span className={`status ${getStatusColor(user.status)}`}>
@@ -333,7 +679,13 @@ const AdminDashboard = () => {
                   </span>
                 </td>
                 <td>
-                  <button className="btn btn-sm btn-outline">Edit</button>
+                  <button 
+                    className="btn btn-sm btn-outline"
+                    onClick={() => setEditingRoles({ account: user, roles: user.roles })}
+                    disabled={!isAdmin}
+                  >
+                    Edit Roles
+                  </button>
                   <button className="btn btn-sm btn-danger">Delete</button>
                 </td>
               </tr>
@@ -344,6 +696,62 @@ const AdminDashboard = () => {
     </div>
   );
 
+  const renderApiKeys = () => (
+    <div className="admin-users">
+      <div className="section-header">
+        <h2>API Keys</h2>
+        <button className="btn btn-primary" onClick={startCreatingKey}>Create API Key</button>
+      </div>
+      <p className="request-info">
+        Keys let course staff tools and lab scripts call the API with the <code>X-API-Key</code> header.
+        Each key acts for its owner, only within its scopes and rate limit.
+      </p>
+
+      <div className="users-table-container">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Key</th>
+              <th>Owner</th>
+              <th>Scopes</th>
+              <th>Limit / min</th>
+              <th>Last Used</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {apiKeys.map(apiKey => (
+              <tr key={apiKey.keyId}>
+                <td>{apiKey.name}</td>
+                <td><code>{getKeyLabel(apiKey)}</code></td>
+                <td>{apiKey.owner.email || apiKey.owner.userId}</td>
+                <td>{apiKey.scopes.join(', ')}</td>
+                <td>{apiKey.rateLimit}</td>
+                <td>{apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).toLocaleString() : 'Never'}</td>
+                <td>
+                  <span className={`status ${getStatusColor(getKeyStatus(apiKey))}`}>
+                    {getKeyStatus(apiKey)}
+                  </span>
+                </td>
+                <td>
+                  <button 
+                    className="btn btn-sm btn-danger"
+                    onClick={() => revokeApiKey(apiKey)}
+                    disabled={Boolean(apiKey.revokedAt)}
+                  >
+                    Revoke
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+
   const renderPrintRequests = () => (
     <div className="admin-requests">
       <div className="section-header">
@@ -351,9 +759,9 @@ const AdminDashboard = () => {
         <div className="filter-controls">
           <select className="filter-select">
             <option value="all">All Status</option>
-            <option value="pending">Pending</option>
-            <option value="in-progress">In Progress</option>
-            <option value="completed">Completed</option>
+            {Object.entries(REQUEST_STATUSES).map(([status, { label }]) => (
+              <option key={status} value={status}>{label}</option>
+            ))}
           </select>
         </div>
       </div>
@@ -379,7 +787,7 @@ const AdminDashboard = () => {
                 <td>{request.title}</td>
                 <td>
                   <span className={`status ${getStatusColor(request.status)}`}>
-                    {request.status}
+                    {getStatusLabel(request.status)}
                   </span>
                 </td>
                 <td>{request.date}</td>
@@ -406,6 +814,322 @@ const AdminDashboard = () => {
     </div>
   );
 
+  const renderReviewQueue = () => (
+    <div className="admin-review">
+      <div className="section-header">
+        <h2>Review Queue</h2>
+        <button className="btn btn-outline" onClick={loadReviewQueue}>Refresh</button>
+      </div>
+
+      {reviewQueue.length === 0 ? (
+        <p className="review-empty">No requests are waiting for review.</p>
+      ) : (
+        <div className="review-list">
+          {reviewQueue.map(request => (
+            <div key={request.requestId} className="review-card">
+              <div className="review-header">
+                <h3>{request.projectName}</h3>
+                {request.revision > 1 && (
+                  <span className="status status-info">Revision {request.revision}</span>
+                )}
+              </div>
+              <p className="request-info">
+                {request.user.name} ({request.user.email}) | #{request.requestId}
+              </p>
+              <p>{request.description}</p>
+              <div className="review-quote">
+                <span><strong>Material:</strong> {request.material} - {request.color}</span>
+                <span><strong>Quantity:</strong> {request.quantity}</span>
+                <span><strong>Quote:</strong> ${Number(request.estimatedCost || 0).toFixed(2)}</span>
+                <span><strong>Print Time:</strong> {request.estimatedPrintTime || 'Unknown'}</span>
+                {request.meshHealth && (
+                  <span className={`status ${getMeshHealthColor(request.meshHealth.status)}`}>
+                    Mesh {request.meshHealth.status}
+                  </span>
+                )}
+              </div>
+              <div className="review-actions">
+                <button className="btn btn-sm btn-primary" onClick={() => startReview(request, 'approve')}>
+                  Approve
+                </button>
+                <button className="btn btn-sm btn-outline" onClick={() => startReview(request, 'request_changes')}>
+                  Request Changes
+                </button>
+                <button className="btn btn-sm btn-danger" onClick={() => startReview(request, 'reject')}>
+                  Reject
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  // Edit Roles Modal
+  const renderRolesModal = () => {
+    if (!editingRoles) return null;
+
+    const { account, roles: selectedRoles } = editingRoles;
+
+    return (
+      <div className="modal-overlay" onClick={() => setEditingRoles(null)}>
+        <div className="modal-content edit-modal" onClick={(e) => e.stopPropagation()}>
+          <div className="modal-header">
+            <h3>Edit Roles</h3>
+            <button 
+              className="close-btn"
+              onClick={() => setEditingRoles(null)}
+            >
+              ×
+            </button>
+          </div>
+          
+          <div className="modal-body">
+            <div className="edit-form">
+              <div className="form-group">
+                <label>User: {account.name}</label>
+                <p className="request-info">{account.email}</p>
+              </div>
+
+              <div className="form-group">
+                {Object.entries(USER_ROLES).map(([role, label]) => (
+                  <label key={role} className="role-option">
+                    <input 
+                      type="checkbox"
+                      checked={selectedRoles.includes(role)}
+                      onChange={() => toggleEditedRole(role)}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+          
+          <div className="modal-footer">
+            <button 
+              className="btn btn-outline"
+              onClick={() => setEditingRoles(null)}
+            >
+              Cancel
+            </button>
+            <button 
+              className="btn btn-primary"
+              onClick={saveUserRoles}
+              disabled={selectedRoles.length === 0}
+            >
+              Save Roles
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  // Create API Key Modal
+  const renderApiKeyModal = () => {
+    if (!creatingKey) return null;
+
+    const closeModal = () => {
+      setCreatingKey(null);
+      setIssuedKey(null);
+    };
+
+    return (
+      <div className="modal-overlay" onClick={closeModal}>
+        <div className="modal-content edit-modal" onClick={(e) => e.stopPropagation()}>
+          <div className="modal-header">
+            <h3>{issuedKey ? 'API Key Created' : 'Create API Key'}</h3>
+            <button 
+              className="close-btn"
+              onClick={closeModal}
+            >
+              ×
+            </button>
+          </div>
+          
+          <div className="modal-body">
+            {issuedKey ? (
+              <div className="edit-form">
+                <div className="form-group">
+                  <label>{issuedKey.name}</label>
+                  <p className="api-key-secret">{issuedKey.key}</p>
+                  <p className="request-info">Copy this key now. Only its hash is stored, so it cannot be shown again.</p>
+                </div>
+              </div>
+            ) : (
+              <div className="edit-form">
+                <div className="form-group">
+                  <label htmlFor="keyName">Name:</label>
+                  <input 
+                    id="keyName"
+                    type="text"
+                    value={creatingKey.name}
+                    onChange={(e) => setCreatingKey(prev => ({ ...prev, name: e.target.value }))}
+                    className="form-input"
+                    placeholder="ENG 101 grading script"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="keyOwner">Owner:</label>
+                  <select 
+                    id="keyOwner"
+                    value={creatingKey.ownerId}
+                    onChange={(e) => setCreatingKey(prev => ({ ...prev, ownerId: e.target.value }))}
+                    className="form-select"
+                  >
+                    {users.map(account => (
+                      <option key={account.id} value={account.id}>{account.name} ({account.email})</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="form-group">
+                  <label>Scopes:</label>
+                  {Object.entries(API_KEY_SCOPES).map(([scope, description]) => (
+                    <label key={scope} className="role-option">
+                      <input 
+                        type="checkbox"
+                        checked={creatingKey.scopes.includes(scope)}
+                        onChange={() => toggleKeyScope(scope)}
+                      />
+                      <code>{scope}</code> {description}
+                    </label>
+                  ))}
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="keyRateLimit">Requests per minute:</label>
+                  <input 
+                    id="keyRateLimit"
+                    type="number"
+                    min="1"
+                    max="10000"
+                    value={creatingKey.rateLimit}
+                    onChange={(e) => setCreatingKey(prev => ({ ...prev, rateLimit: e.target.value }))}
+                    className="form-input"
+                  />
+                </div>
+              </div>
+            )}
+          </div>
+          
+          <div className="modal-footer">
+            {issuedKey ? (
+              <button 
+                className="btn btn-primary"
+                onClick={closeModal}
+              >
+                Done
+              </button>
+            ) : (
+              <>
+                <button 
+                  className="btn btn-outline"
+                  onClick={closeModal}
+                >
+                  Cancel
+                </button>
+                <button 
+                  className="btn btn-primary"
+                  onClick={createApiKey}
+                  disabled={!creatingKey.name.trim() || !creatingKey.ownerId || creatingKey.scopes.length === 0}
+                >
+                  Create Key
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  // Review Decision Modal
+  const renderReviewModal = () => {
+    if (!reviewing) return null;
+
+    const { request, decision } = reviewing;
+    const titles = { approve: 'Approve Request', reject: 'Reject Request', request_changes: 'Request Changes' };
+
+    return (
+      <div className="modal-overlay" onClick={() => setReviewing(null)}>
+        <div className="modal-content edit-modal" onClick={(e) => e.stopPropagation()}>
+          <div className="modal-header">
+            <h3>{titles[decision]}</h3>
+            <button 
+              className="close-btn"
+              onClick={() => setReviewing(null)}
+            >
+              ×
+            </button>
+          </div>
+          
+          <div className="modal-body">
+            <div className="edit-form">
+              <div className="form-group">
+                <label>Request: {request.projectName}</label>
+                <p className="request-info">User: {request.user.name} | ID: #{request.requestId}</p>
+                {decision === 'approve' && (
+                  <p className="request-info">
+                    Approving locks the quote at ${Number(request.estimatedCost || 0).toFixed(2)}.
+                  </p>
+                )}
+              </div>
+
+              {decision === 'reject' && (
+                <div className="form-group">
+                  <label htmlFor="reasonCode">Reason:</label>
+                  <select 
+                    id="reasonCode"
+                    value={reviewReasonCode}
+                    onChange={(e) => setReviewReasonCode(e.target.value)}
+                    className="form-select"
+                  >
+                    {rejectionReasons.map(reason => (
+                      <option key={reason.code} value={reason.code}>{reason.label}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              
+              <div className="form-group">
+                <label htmlFor="reviewNotes">
+                  {decision === 'request_changes' ? 'Changes the submitter should make:' : 'Notes (optional):'}
+                </label>
+                <textarea 
+                  id="reviewNotes"
+                  value={reviewNotes}
+                  onChange={(e) => setReviewNotes(e.target.value)}
+                  className="form-textarea"
+                  rows="4"
+                />
+              </div>
+            </div>
+          </div>
+          
+          <div className="modal-footer">
+            <button 
+              className="btn btn-outline"
+              onClick={() => setReviewing(null)}
+            >
+              Cancel
+            </button>
+            <button 
+              className={`btn ${decision === 'reject' ? 'btn-danger' : 'btn-primary'}`}
+              onClick={submitReview}
+              disabled={decision === 'request_changes' && !reviewNotes.trim()}
+            >
+              {titles[decision]}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
   const renderEquipment = () => (
     <div className="admin-equipment">
       <div className="section-header">
@@ -442,6 +1166,54 @@ const AdminDashboard = () => {
   );
 
   // Print Request Detail Modal
+  // Each revision's metrics, with the change from the revision before it
+  const renderRevisionHistory = (revisions) => {
+    const rows = diffRevisions(revisions);
+
+    return (
+      <div className="revision-history-section">
+        <h3>Revision History</h3>
+        <div className="revision-table-wrapper">
+          <table className="revision-table">
+            <thead>
+              <tr>
+                <th>Revision</th>
+                <th>File</th>
+                {rows[0].metrics.map(metric => (
+                  <th key={metric.key}>{metric.label}</th>
+                ))}
+                <th>Print Time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(revision => (
+                <tr key={revision.revision}>
+                  <td>
+                    <strong>#{revision.revision}</strong>
+                    <div className="revision-meta">{revision.createdAt}</div>
+                    {revision.notes && <div className="revision-notes">{revision.notes}</div>}
+                  </td>
+                  <td className={revision.fileChanged ? 'revision-changed' : ''}>{revision.file?.name || 'N/A'}</td>
+                  {revision.metrics.map(metric => (
+                    <td key={metric.key}>
+                      {formatMetric(metric.value, metric.unit)}
+                      {formatDelta(metric.delta, metric.unit) && (
+                        <span className={`revision-delta ${metric.delta > 0 ? 'revision-delta-up' : 'revision-delta-down'}`}>
+                          {formatDelta(metric.delta, metric.unit)}
+                        </span>
+                      )}
+                    </td>
+                  ))}
+                  <td className={revision.printTimeChanged ? 'revision-changed' : ''}>{revision.printTime || 'N/A'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  };
+
   const renderPrintRequestModal = () => {
     if (!selectedRequest) return null;
 
@@ -472,6 +1244,7 @@ const AdminDashboard = () => {
                   <h3>3D Model Preview</h3>
                   <ModelViewer 
                     modelUrl={displayData.file?.modelUrl || displayData.modelUrl}
+                    modelFormat={displayData.file?.type}
                     fallbackImage={displayData.file?.fallbackImage || displayData.fallbackImage}
                     width="100%"
                     height="300px"
@@ -496,7 +1269,7 @@ const AdminDashboard = () => {
                   <div className="detail-row">
                     <strong>Status:</strong> 
                     <span className={`status ${getStatusColor(displayData.status)}`}>
-                      {displayData.status}
+                      {getStatusLabel(displayData.status)}
                     </span>
                   </div>
                   <div className="detail-row">
@@ -530,12 +1303,55 @@ const AdminDashboard = () => {
                     <strong>Notes:</strong> {displayData.project?.specialInstructions || displayData.notes || 'None'}
                   </div>
                 </div>
+
+                {/* Mesh Health Report */}
+                {displayData.meshHealth && (
+                  <div className="mesh-health-section">
+                    <h3>Mesh Health</h3>
+                    <div className="detail-row">
+                      <strong>Result:</strong>
+                      <span className={`status ${getMeshHealthColor(displayData.meshHealth.status)}`}>
+                        {displayData.meshHealth.status}
+                      </span>
+                    </div>
+                    <div className="detail-row">
+                      <strong>Watertight:</strong> {displayData.meshHealth.watertight ? 'Yes' : 'No'}
+                    </div>
+                    <div className="mesh-health-counts">
+                      <span>Open edges: {displayData.meshHealth.counts.boundaryEdges}</span>
+                      <span>Non-manifold edges: {displayData.meshHealth.counts.nonManifoldEdges}</span>
+                      <span>Flipped triangles: {displayData.meshHealth.counts.flippedTriangles}</span>
+                      <span>Zero-area triangles: {displayData.meshHealth.counts.degenerateTriangles}</span>
+                      <span>Shells: {displayData.meshHealth.counts.shells}</span>
+                    </div>
+                    {displayData.meshHealth.issues.length > 0 && (
+                      <ul className="mesh-health-issues">
+                        {displayData.meshHealth.issues.map(issue => (
+                          <li key={issue.code} className={`mesh-issue-${issue.severity}`}>
+                            {issue.message}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+
+                {/* Revision History */}
+                {displayData.revisions?.length > 1 && renderRevisionHistory(displayData.revisions)}
               </>
             )}
           </div>
           <div className="modal-footer">
             <button className="btn btn-primary">Update Status</button>
             <button className="btn btn-outline">Edit Request</button>
+            {requestDetails && displayData.printer?.id && (
+              <button
+                className="btn btn-outline"
+                onClick={() => downloadSlicerProfile(displayData.id)}
+              >
+                Download Slicer Profile
+              </button>
+            )}
             <button 
               className="btn btn-secondary"
               onClick={() => setSelectedRequest(null)}
@@ -632,29 +1448,29 @@ const AdminDashboard = () => {
               </div>
               
               <div className="form-group">
-                <label htmlFor="status">Status:</label>
+                <label htmlFor="status">Move from {getStatusLabel(editingRequest.status)} to:</label>
                 <select 
                   id="status"
                   value={editStatus}
                   onChange={(e) => setEditStatus(e.target.value)}
                   className="form-select"
+                  disabled={getNextStatuses(editingRequest.status).length === 0}
                 >
-                  <option value="Pending">Pending</option>
-                  <option value="In Progress">In Progress</option>
-                  <option value="Completed">Completed</option>
-                  <option value="Cancelled">Cancelled</option>
+                  {getNextStatuses(editingRequest.status).map(status => (
+                    <option key={status} value={status}>{getStatusLabel(status)}</option>
+                  ))}
                 </select>
               </div>
               
               <div className="form-group">
-                <label htmlFor="notes">Admin Notes:</label>
+                <label htmlFor="notes">Reason:</label>
                 <textarea 
                   id="notes"
                   value={editNotes}
                   onChange={(e) => setEditNotes(e.target.value)}
                   className="form-textarea"
                   rows="4"
-                  placeholder="Add notes about this request..."
+                  placeholder="Why is the status changing?"
                 />
               </div>
             </div>
@@ -670,6 +1486,7 @@ const AdminDashboard = () => {
             <button 
               className="btn btn-primary"
               onClick={() => updateRequestStatus(editingRequest.id, editStatus, editNotes)}
+              disabled={!editStatus}
             >
               Update Status
             </button>
@@ -722,17 +1539,30 @@ const AdminDashboard = () => {
                 >
                   🖨️ Print Requests
                 </button>
+                <button 
+                  className={`nav-item ${activeTab === 'review' ? 'active' : ''}`}
+                  onClick={() => setActiveTab('review')}
+                >
+                  ✅ Review Queue
+                </button>
                 <button 
                   className={`nav-item ${activeTab === 'equipment' ? 'active' : ''}`}
                   onClick={() => setActiveTab('equipment')}
                 >
                   ⚙️ Equipment
                 </button>
+                {isAdmin && (
+                  <button 
+                    className={`nav-item ${activeTab === 'api-keys' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('api-keys')}
+                  >
+                    🔑 API Keys
+                  </button>
+                )}
                 <button 
                   className="nav-item logout-btn"
                   onClick={async () => {
-                    await signOutAdmin();
-                    setUser(null);
+                    await signOutUser();
                     navigate('/');
                   }}
                 >
@@ -745,7 +1575,9 @@ const AdminDashboard = () => {
               {activeTab === 'overview' && renderOverview()}
               {activeTab === 'users' && renderUsers()}
               {activeTab === 'requests' && renderPrintRequests()}
+              {activeTab === 'review' && renderReviewQueue()}
               {activeTab === 'equipment' && renderEquipment()}
+              {activeTab === 'api-keys' && isAdmin && renderApiKeys()}
             </div>
           </div>
         </div>
@@ -755,6 +1587,9 @@ const AdminDashboard = () => {
       {renderPrintRequestModal()}
       {renderEquipmentModal()}
       {renderEditRequestModal()}
+      {renderReviewModal()}
+      {renderRolesModal()}
+      {renderApiKeyModal()}
     </div>
   );
 };
@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { signInWithEmail, signInWithGoogle, signUpWithEmail, signInAsAdmin } from '../firebase/auth';
+import { signInWithEmail, signInWithGoogle, signUpWithEmail } from '../firebase/auth';
+import { DASHBOARD_ROLES, hasRole } from '../utils/roles';
 import './Login.css';
 
 const Login = () => {
@@ -16,15 +17,15 @@ const Login = () => {
   const [success, setSuccess] = useState('');
   const navigate = useNavigate();
   const location = useLocation();
-  const { user, setError: setAuthError, setUser } = useAuth();
+  const { user, roles, setError: setAuthError, setUser } = useAuth();
 
   // Redirect if already logged in
   useEffect(() => {
     console.log('Login useEffect: user state changed', user);
     if (user) {
       console.log('Login: User is logged in, redirecting...');
-      // Check if user is admin
-      if (user.isAdmin) {
+      // Staff, faculty approvers and admins go to the admin dashboard once their roles are loaded
+      if (hasRole(roles, ...DASHBOARD_ROLES)) {
         console.log('Login: Redirecting to admin dashboard');
         navigate('/admin', { replace: true });
       } else {
@@ -33,7 +34,7 @@ const Login = () => {
         navigate(from, { replace: true });
       }
     }
-  }, [user, navigate, location]);
+  }, [user, roles, navigate, location]);
 
   const handleChange = (e) => {
     setFormData({
@@ -52,13 +53,7 @@ const Login = () => {
     
     // Validation
     if (!formData.email || !formData.password) {
-      setError('Please fill in both email/username and password fields.');
-      return;
-    }
-
-    // Check if trying to sign up with admin credentials
-    if (isSignUp && formData.email === 'Admin') {
-      setError('Admin account cannot be created through sign up.');
+      setError('Please fill in both email and password fields.');
       return;
     }
 
@@ -85,25 +80,15 @@ const Login = () => {
           navigate(from, { replace: true });
         }
       } else {
-        // Check for admin credentials first
-        if (formData.email === 'Admin' && formData.password === 'Admin1') {
-          result = await signInAsAdmin(formData.email, formData.password);
-          if (result.user) {
-            // Update the auth context with admin user
-            setUser(result.user);
-            navigate('/admin', { replace: true });
-          }
-        } else {
-          result = await signInWithEmail(formData.email, formData.password);
-          console.log('Email sign-in result:', result);
-          if (result.user) {
-            // Update the auth context with the user
-            console.log('Setting user in context:', result.user);
-            setUser(result.user);
-            const from = location.state?.from?.pathname || '/dashboard';
-            console.log('Navigating to:', from);
-            navigate(from, { replace: true });
-          }
+        result = await signInWithEmail(formData.email, formData.password);
+        console.log('Email sign-in result:', result);
+        if (result.user) {
+          // Update the auth context with the user
+          console.log('Setting user in context:', result.user);
+          setUser(result.user);
+          const from = location.state?.from?.pathname || '/dashboard';
+          console.log('Navigating to:', from);
+          navigate(from, { replace: true });
         }
       }
       
@@ -193,14 +178,14 @@ const Login = () => {
                 )}
                 
                 <div className="form-group">
-                  <label htmlFor="email">Email/Username:</label>
+                  <label htmlFor="email">Email:</label>
                   <input 
-                    type="text" 
+                    type="email" 
                     id="email" 
                     name="email" 
                     value={formData.email}
                     onChange={handleChange}
-                    placeholder="Enter your email or username"
+                    placeholder="Enter your email"
                     required 
                   />
                 </div>
@@ -263,7 +248,7 @@ const Login = () => {
                 <p><small>
                   {isSignUp 
                     ? 'By creating an account, you agree to our Terms of Service and Privacy Policy.'
-                    : 'Secure authentication powered by Firebase. Admin access: Use "Admin" as username and "Admin1" as password.'
+                    : 'Secure authentication powered by Firebase. Staff and admin access is granted to your account by a makerspace admin.'
                   }
                 </small></p>
               </div>
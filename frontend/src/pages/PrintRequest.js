@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { getAuthHeaders } from '../firebase/auth';
 import './PrintRequest.css';
 
 const PrintRequest = () => {
@@ -12,11 +13,15 @@ const PrintRequest = () => {
     quantity: 1,
     urgency: 'normal',
     specialInstructions: '',
+    orientation: 'as-modeled',
+    unit: 'auto',
+    scaleFactor: '',
     file: null
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [processingStep, setProcessingStep] = useState('');
   const { user } = useAuth();
   const navigate = useNavigate();
 
@@ -31,6 +36,23 @@ const PrintRequest = () => {
     if (success) setSuccess('');
   };
 
+  // Polls a queued request until the server has finished analyzing and quoting it
+  const waitForProcessing = async (statusUrl) => {
+    for (;;) {
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}${statusUrl}`, { headers: await getAuthHeaders() });
+      if (!response.ok) {
+        throw new Error(`Server error (${response.status}): ${response.statusText}`);
+      }
+
+      const { data: job } = await response.json();
+      if (job.status === 'completed' || job.status === 'failed') {
+        return job;
+      }
+      setProcessingStep(job.currentStep || '');
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -48,10 +70,10 @@ const PrintRequest = () => {
     }
 
     // Check file type
-    const allowedTypes = ['.stl', '.obj', '.3mf'];
+    const allowedTypes = ['.stl', '.obj', '.3mf', '.gcode'];
     const fileExtension = formData.file.name.toLowerCase().substring(formData.file.name.lastIndexOf('.'));
     if (!allowedTypes.includes(fileExtension)) {
-      setError('Please upload a valid 3D model file (.stl, .obj, or .3mf).');
+      setError('Please upload a valid 3D model or print file (.stl, .obj, .3mf, or .gcode).');
       return;
     }
 
@@ -73,6 +95,11 @@ const PrintRequest = () => {
       submitData.append('quantity', formData.quantity);
       submitData.append('urgency', formData.urgency);
       submitData.append('specialInstructions', formData.specialInstructions);
+      submitData.append('orientation', formData.orientation);
+      submitData.append('unit', formData.unit);
+      if (formData.scaleFactor) {
+        submitData.append('scaleFactor', formData.scaleFactor);
+      }
       submitData.append('file', formData.file);
       submitData.append('userEmail', user?.email);
       submitData.append('userName', user?.displayName || user?.email);
@@ -80,11 +107,18 @@ const PrintRequest = () => {
       // Submit to API
       const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/api/print-request`, {
         method: 'POST',
+        headers: await getAuthHeaders(),
         body: submitData
       });
 
       if (response.ok) {
-        const result = await response.json();
+        const { data: queued } = await response.json();
+        const job = await waitForProcessing(queued.statusUrl);
+        if (job.status === 'failed') {
+          setError(job.error?.message || 'Failed to process print request. Please try again.');
+          return;
+        }
+
         setSuccess('Print request submitted successfully! You will receive an email confirmation shortly.');
         setFormData({
           projectName: '',
@@ -118,6 +152,7 @@ const PrintRequest = () => {
       }
     } finally {
       setIsSubmitting(false);
+      setProcessingStep('');
     }
   };
 
@@ -229,10 +264,44 @@ const PrintRequest = () => {
                       id="file"
                       name="file"
                       onChange={handleChange}
-                      accept=".stl,.obj,.3mf"
+                      accept=".stl,.obj,.3mf,.gcode"
                       required
                     />
-                    <small>Accepted formats: .stl, .obj, .3mf (Max 50MB)</small>
+                    <small>Accepted formats: .stl, .obj, .3mf, or sliced .gcode / Bambu .gcode.3mf (Max 50MB)</small>
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label htmlFor="unit">Model Units</label>
+                      <select
+                        id="unit"
+                        name="unit"
+                        value={formData.unit}
+                        onChange={handleChange}
+                      >
+                        <option value="auto">Auto-detect</option>
+                        <option value="millimeter">Millimeters</option>
+                        <option value="centimeter">Centimeters</option>
+                        <option value="meter">Meters</option>
+                        <option value="inch">Inches</option>
+                      </select>
+                      <small>STL and OBJ files have no units; we guess from the model size unless you choose one</small>
+                    </div>
+
+                    <div className="form-group">
+                      <label htmlFor="scaleFactor">Scale Factor (optional)</label>
+                      <input
+                        type="number"
+                        id="scaleFactor"
+                        name="scaleFactor"
+                        value={formData.scaleFactor}
+                        onChange={handleChange}
+                        min="0.001"
+                        step="any"
+                        placeholder="e.g. 25.4"
+                      />
+                      <small>Multiplies file coordinates to get millimeters; overrides the unit</small>
+                    </div>
                   </div>
                 </div>
 
@@ -315,6 +384,19 @@ const PrintRequest = () => {
                 <div className="form-section">
                   <h2>Additional Information</h2>
                   
+                  <div className="form-group">
+                    <label htmlFor="orientation">Print Orientation</label>
+                    <select
+                      id="orientation"
+                      name="orientation"
+                      value={formData.orientation}
+                      onChange={handleChange}
+                    >
+                      <option value="as-modeled">As modeled (rotate only if needed to fit)</option>
+                      <option value="minimal-height">Lay flat (lowest print height)</option>
+                    </select>
+                  </div>
+
                   <div className="form-group">
                     <label htmlFor="specialInstructions">Special Instructions</label>
                     <textarea
@@ -369,7 +451,9 @@ const PrintRequest = () => {
                     className="btn btn-primary btn-large"
                     disabled={isSubmitting}
                   >
-                    {isSubmitting ? 'Submitting...' : 'Submit Print Request'}
+                    {isSubmitting
+                      ? (processingStep ? `Processing (${processingStep})...` : 'Submitting...')
+                      : 'Submit Print Request'}
                   </button>
                 </div>
               </form>
@@ -1,7 +1,10 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { getAuthHeaders } from '../firebase/auth';
 import ModelViewer from '../components/ModelViewer';
+import useEventStream from '../hooks/useEventStream';
+import { getStatusLabel } from '../utils/requestStatus';
 import './UserDashboard.css';
 
 const UserDashboard = () => {
@@ -21,7 +24,7 @@ const UserDashboard = () => {
       id: 1,
       title: "Resonator IEM Shell",
       description: "Custom in-ear monitor shell for audio project",
-      status: "Completed",
+      status: "picked_up",
       date: "2024-01-15",
       material: "PLA",
       color: "Red",
@@ -34,7 +37,7 @@ const UserDashboard = () => {
       id: 2,
       title: "Arduino Mount",
       description: "Mounting bracket for Arduino project",
-      status: "In Progress",
+      status: "printing",
       date: "2024-01-20",
       material: "PETG",
       color: "Black",
@@ -47,7 +50,7 @@ const UserDashboard = () => {
       id: 3,
       title: "Prototype Housing",
       description: "Protective housing for electronics project",
-      status: "Pending",
+      status: "needs_review",
       date: "2024-01-25",
       material: "ABS",
       color: "White",
@@ -119,7 +122,7 @@ const UserDashboard = () => {
         const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/api/user/print-requests`, {
           method: 'GET',
           headers: {
-            'Authorization': `Bearer ${user?.accessToken || 'demo-token'}`,
+            ...(await getAuthHeaders()),
             'Content-Type': 'application/json'
           },
           signal: controller.signal
@@ -147,7 +150,7 @@ const UserDashboard = () => {
     } finally {
       setLoading(false);
     }
-  }, [user?.accessToken, mockPrintRequests, dataLoaded, connectionAttempts]);
+  }, [user?.uid, mockPrintRequests, dataLoaded, connectionAttempts]);
 
   const loadCommunityRequests = useCallback(async () => {
     // Don't reload if data is already loaded
@@ -208,6 +211,37 @@ const UserDashboard = () => {
     }
   };
 
+  // Send a fixed file for a request staff sent back; it is quoted again and returns to review
+  const uploadRevision = async (request, file) => {
+    if (!file) {
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('userEmail', user?.email || '');
+
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/api/print-request/${request.id}/revision`, {
+        method: 'POST',
+        headers: await getAuthHeaders(),
+        body: formData
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.message || 'Failed to upload revision');
+        return;
+      }
+
+      setPrintRequests(prev => prev.map(req => req.id === request.id
+        ? { ...req, status: 'submitted', reviewNotes: null, revision: (req.revision || 1) + 1 }
+        : req));
+    } catch (error) {
+      console.error('Error uploading revision:', error);
+      alert('Failed to upload revision');
+    }
+  };
+
   useEffect(() => {
     // Only load data once when component mounts
     if (!dataLoaded) {
@@ -216,6 +250,32 @@ const UserDashboard = () => {
     }
   }, [loadUserPrintRequests, loadCommunityRequests, dataLoaded]);
 
+  // Keep the user's requests current as the API processes them
+  useEventStream({
+    'print-request.submitted': (event) => {
+      setPrintRequests(prev => prev.some(req => req.id === event.requestId) ? prev : [{
+        id: event.requestId,
+        title: event.projectName,
+        description: '',
+        status: 'submitted',
+        date: event.createdAt.split('T')[0],
+        material: event.material,
+        color: '',
+        cost: 0,
+        isPublic: false
+      }, ...prev]);
+    },
+    'print-request.progress': (event) => {
+      if (event.status === 'failed') {
+        setPrintRequests(prev => prev.map(req => req.id === event.requestId ? { ...req, status: 'failed' } : req));
+      }
+    },
+    'print-request.status': (event) => {
+      const reviewNotes = event.status === 'changes_requested' ? event.reason : null;
+      setPrintRequests(prev => prev.map(req => req.id === event.requestId ? { ...req, status: event.status, reviewNotes } : req));
+    }
+  }, { enabled: Boolean(user) });
+
   const handleCreatePrintRequest = () => {
     navigate('/print-request');
   };
@@ -224,14 +284,20 @@ const UserDashboard = () => {
   const handleViewDetails = (request) => {
     // For now, just show an alert with basic info
     // In a full implementation, this would open a modal with detailed data
-    alert(`View Details for: ${request.title}\nStatus: ${request.status}\nMaterial: ${request.material} - ${request.color}\nCost: $${request.cost}`);
+    alert(`View Details for: ${request.title}\nStatus: ${getStatusLabel(request.status)}\nMaterial: ${request.material} - ${request.color}\nCost: $${request.cost}`);
   };
 
   const getStatusColor = (status) => {
     switch (status) {
-      case 'Completed': return 'status-completed';
-      case 'In Progress': return 'status-progress';
-      case 'Pending': return 'status-pending';
+      case 'ready_for_pickup':
+      case 'picked_up': return 'status-completed';
+      case 'queued':
+      case 'printing':
+      case 'post_processing': return 'status-progress';
+      case 'submitted':
+      case 'needs_review':
+      case 'changes_requested':
+      case 'approved': return 'status-pending';
       default: return 'status-default';
     }
   };
@@ -255,11 +321,11 @@ const UserDashboard = () => {
           <p>Total Requests</p>
         </div>
         <div className="stat-card">
-          <h3>{printRequests.filter(req => req.status === 'Completed').length}</h3>
+          <h3>{printRequests.filter(req => req.status === 'picked_up').length}</h3>
           <p>Completed</p>
         </div>
         <div className="stat-card">
-          <h3>{printRequests.filter(req => req.status === 'In Progress').length}</h3>
+          <h3>{printRequests.filter(req => ['queued', 'printing', 'post_processing'].includes(req.status)).length}</h3>
           <p>In Progress</p>
         </div>
         <div className="stat-card">
@@ -281,7 +347,7 @@ const UserDashboard = () => {
                   <p>{request.description}</p>
                   <div className="request-meta">
                     <span className={`status ${getStatusColor(request.status)}`}>
-                      {request.status}
+                      {getStatusLabel(request.status)}
                     </span>
                     <span className="date">{request.date}</span>
                     <span className="cost">${request.cost}</span>
@@ -391,7 +457,7 @@ const UserDashboard = () => {
                 <div className="detail-group">
                   <label>Status:</label>
                   <span className={`status ${getStatusColor(request.status)}`}>
-                    {request.status}
+                    {getStatusLabel(request.status)}
                   </span>
                 </div>
                 <div className="detail-group">
@@ -407,6 +473,22 @@ const UserDashboard = () => {
                   <span>${request.cost}</span>
                 </div>
               </div>
+
+              {request.status === 'changes_requested' && (
+                <div className="revision-request">
+                  <h4>Changes requested</h4>
+                  <p>{request.reviewNotes}</p>
+                  <label className="btn btn-primary">
+                    Upload Revised File
+                    <input
+                      type="file"
+                      accept=".stl,.obj,.3mf,.gcode"
+                      hidden
+                      onChange={(e) => uploadRevision(request, e.target.files[0])}
+                    />
+                  </label>
+                </div>
+              )}
               
               {/* Make Public Toggle */}
               <div className="public-toggle">
@@ -436,7 +518,7 @@ const UserDashboard = () => {
                 >
                   View Details
                 </button>
-                {request.status === 'Completed' && (
+                {request.status === 'picked_up' && (
                   <button className="btn btn-outline">Download Files</button>
                 )}
               </div>
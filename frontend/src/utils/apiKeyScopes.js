@@ -0,0 +1,22 @@
+// API key scopes, mirroring api/src/models/ApiKeyScopes.js. admin:* grants every scope; a key
+// never does more than its owner's roles allow.
+export const API_KEY_SCOPES = {
+  'read:printers': 'Read printers, materials and pricing',
+  'read:print-requests': 'Read requests, their files and status history, the review queue and staff events',
+  'write:print-requests': 'Submit requests and revisions',
+  'write:request-status': 'Change request status (staff)',
+  'review:print-requests': 'Approve, reject or request changes to requests',
+  'write:equipment': 'Set equipment status',
+  'admin:*': 'Everything, including users, API keys and analysis replays'
+};
+
+export const DEFAULT_API_KEY_RATE_LIMIT = 60;
+
+// Keys are shown once, so the list identifies them by their stored prefix
+export const getKeyLabel = (apiKey) => `${apiKey.prefix}…`;
+
+export const getKeyStatus = (apiKey) => {
+  if (apiKey.revokedAt) return 'Revoked';
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) return 'Expired';
+  return 'Active';
+};
@@ -0,0 +1,25 @@
+// Print request lifecycle, mirroring api/src/models/RequestStatusMachine.js.
+// The API refuses any transition not listed here, so the UI only offers these.
+export const REQUEST_STATUSES = {
+  submitted: { label: 'Submitted', next: ['needs_review', 'failed', 'cancelled'] },
+  needs_review: { label: 'Needs Review', next: ['approved', 'rejected', 'changes_requested', 'cancelled'] },
+  changes_requested: { label: 'Changes Requested', next: ['submitted', 'cancelled'] },
+  approved: { label: 'Approved', next: ['queued', 'cancelled'] },
+  queued: { label: 'Queued', next: ['printing', 'cancelled'] },
+  printing: { label: 'Printing', next: ['post_processing', 'failed'] },
+  post_processing: { label: 'Post-Processing', next: ['ready_for_pickup', 'failed'] },
+  ready_for_pickup: { label: 'Ready for Pickup', next: ['picked_up'] },
+  picked_up: { label: 'Picked Up', next: [] },
+  rejected: { label: 'Rejected', next: [] },
+  failed: { label: 'Failed', next: ['queued', 'cancelled'] },
+  cancelled: { label: 'Cancelled', next: [] }
+};
+
+export const getStatusLabel = (status) => REQUEST_STATUSES[status]?.label || status;
+
+// Set only by reviewing a request, which records the decision and locks the quote;
+// the status endpoint refuses them
+export const REVIEW_STATUSES = ['approved', 'rejected', 'changes_requested'];
+
+// Statuses staff can move a request to from the status editor
+export const getNextStatuses = (status) => (REQUEST_STATUSES[status]?.next || []).filter(next => !REVIEW_STATUSES.includes(next));
@@ -0,0 +1,45 @@
+// Metrics compared between revisions of a print request, read from the revision history
+// returned by GET /api/print-request/:id.
+export const REVISION_METRICS = [
+  { key: 'volume', label: 'Volume', unit: 'cm³', read: (revision) => revision.measurements?.volume },
+  { key: 'width', label: 'Width (X)', unit: 'mm', read: (revision) => revision.measurements?.dimensions?.x },
+  { key: 'depth', label: 'Depth (Y)', unit: 'mm', read: (revision) => revision.measurements?.dimensions?.y },
+  { key: 'height', label: 'Height (Z)', unit: 'mm', read: (revision) => revision.measurements?.dimensions?.z },
+  { key: 'cost', label: 'Cost', unit: '$', read: (revision) => revision.pricing?.amount ?? revision.cost }
+];
+
+const toNumber = (value) => {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Compares each revision with the one before it. The first revision has no changes.
+export const diffRevisions = (revisions = []) => revisions.map((revision, index) => {
+  const previous = index > 0 ? revisions[index - 1] : null;
+
+  const metrics = REVISION_METRICS.map(({ key, label, unit, read }) => {
+    const value = toNumber(read(revision));
+    const before = previous ? toNumber(read(previous)) : null;
+    const delta = value !== null && before !== null ? Math.round((value - before) * 100) / 100 : null;
+    return { key, label, unit, value, before, delta };
+  });
+
+  return {
+    ...revision,
+    metrics,
+    printTimeChanged: previous !== null && previous.printTime !== revision.printTime,
+    fileChanged: previous !== null && previous.file?.hash !== revision.file?.hash
+  };
+});
+
+export const formatMetric = (value, unit) => {
+  if (value === null) return 'N/A';
+  return unit === '$' ? `$${value.toFixed(2)}` : `${value} ${unit}`;
+};
+
+export const formatDelta = (delta, unit) => {
+  if (delta === null || delta === 0) return '';
+  const sign = delta > 0 ? '+' : '−';
+  const amount = Math.abs(delta);
+  return unit === '$' ? `${sign}$${amount.toFixed(2)}` : `${sign}${amount} ${unit}`;
+};
@@ -0,0 +1,17 @@
+// User roles, mirroring api/src/models/UserRoles.js. The API checks them on every
+// staff and admin route; the UI only uses them to decide what to show.
+export const USER_ROLES = {
+  student: 'Student',
+  staff: 'Staff',
+  faculty_approver: 'Faculty Approver',
+  admin: 'Admin'
+};
+
+// Roles that may open the admin dashboard
+export const DASHBOARD_ROLES = ['staff', 'faculty_approver', 'admin'];
+
+export const getRoleLabel = (role) => USER_ROLES[role] || role;
+
+// Admins hold every role
+export const hasRole = (roles, ...wanted) =>
+  (roles || []).some(role => role === 'admin' || wanted.includes(role));